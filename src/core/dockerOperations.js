@@ -291,6 +291,44 @@ async function stopContainer(containerId, remove = true) {
   }
 }
 
+/**
+ * Sends a signal to the processes of a running container that match a name
+ * The container's main process is the shell running the command, so
+ * `docker kill --signal` would not reach the program itself; instead the
+ * processes whose executable basename equals processName are signalled from
+ * inside the container.
+ * @param {string} containerId - The container ID or name
+ * @param {string} processName - Executable name (e.g. the fuzzer binary)
+ * @param {string} signal - Signal name without the SIG prefix (default: "INT")
+ * @returns {Promise<number>} Number of processes signalled
+ */
+async function signalContainerProcesses(
+  containerId,
+  processName,
+  signal = "INT",
+) {
+  if (!/^[A-Za-z0-9_.+-]+$/.test(processName)) {
+    throw new Error(`Invalid process name: ${processName}`);
+  }
+  if (!["INT", "TERM", "STOP", "CONT"].includes(signal)) {
+    throw new Error(`Unsupported signal: ${signal}`);
+  }
+
+  const script = [
+    "n=0",
+    'for d in /proc/[0-9]*; do c=$(tr "\\0" "\\n" < "$d/cmdline" 2>/dev/null | head -n 1)',
+    `if [ "\${c##*/}" = "${processName}" ] && kill -${signal} "\${d##*/}" 2>/dev/null; then n=$((n+1)); fi`,
+    "done",
+    'echo "$n"',
+  ].join("; ");
+
+  const { stdout } = await execAsync(
+    `docker exec ${containerId} sh -c '${script}'`,
+    { timeout: 10000 },
+  );
+  return parseInt(stdout.trim(), 10) || 0;
+}
+
 /**
  * Immediately kills a container (SIGKILL) without graceful shutdown
  * @param {string} containerId - The container ID or name
@@ -857,9 +895,13 @@ function runDockerCommandWithOutput(
   // Add shell
   scriptArgs.push("--shell", shell);
 
-  // Add container name if provided
-  if (containerName) {
-    scriptArgs.push("--name", containerName);
+  // Name the container here rather than letting the script pick one, so the
+  // name tracked below is the name of the container that actually runs
+  const finalContainerName =
+    containerName ||
+    `${generateContainerName(workspaceFolder)}_${containerType}_${Date.now()}`;
+  if (containerName || enableTracking) {
+    scriptArgs.push("--name", finalContainerName);
   }
 
   // Add container type
@@ -904,12 +946,10 @@ function runDockerCommandWithOutput(
     console.error("Failed to execute launch-process-in-docker.sh:", error);
   });
 
+  scriptProcess.containerName = finalContainerName;
+
   // Also track in the extension's in-memory tracking system for compatibility
   if (enableTracking) {
-    const finalContainerName =
-      containerName ||
-      `${generateContainerName(workspaceFolder)}_${containerType}_${Date.now()}`;
-
     trackContainer(finalContainerName, {
       name: finalContainerName,
       image: imageName,
@@ -1219,9 +1259,13 @@ function runCommandInNewContainer(workspacePath, command, options = {}) {
     scriptArgs.push("--shell", shell);
   }
 
-  // Add container name if provided
-  if (containerName) {
-    scriptArgs.push("--name", containerName);
+  // Name the container here rather than letting the script pick one, so the
+  // name tracked below is the name of the container that actually runs
+  const finalContainerName =
+    containerName ||
+    `${generateContainerName(workspacePath)}_${containerType}_${Date.now()}`;
+  if (containerName || enableTracking) {
+    scriptArgs.push("--name", finalContainerName);
   }
 
   // Add container type if provided
@@ -1297,6 +1341,7 @@ module.exports = {
   isContainerRunning,
   stopContainer,
   killContainer,
+  signalContainerProcesses,
   cleanupOrphanedContainers,
   getContainerStatus,
   trackLaunchedContainer,
@@ -8,7 +8,11 @@ const { CodeForgeTaskProvider } = require("./tasks/taskProvider");
 const { CodeForgeWebviewProvider } = require("./ui/webviewProvider");
 const { CodeForgeCommandHandlers } = require("./ui/commandHandlers");
 const { CrashReportProvider } = require("./ui/crashReportProvider");
+const { CrashReportLinkProvider } = require("./ui/crashReportLinkProvider");
 const { CorpusDocumentProvider } = require("./ui/corpusDocumentProvider");
+const {
+  CrashDebugConfigurationProvider,
+} = require("./ui/crashDebugConfigurationProvider");
 const fs = require("fs").promises;
 const path = require("path");
 
@@ -131,6 +135,29 @@ function activate(context) {
     );
   }
 
+  // Register the link provider that makes crash report stack frames clickable
+  try {
+    const crashReportLinkProvider = new CrashReportLinkProvider();
+    const crashReportLinkProviderDisposable =
+      vscode.languages.registerDocumentLinkProvider(
+        { scheme: "codeforge-crash" },
+        crashReportLinkProvider,
+      );
+
+    if (!crashReportLinkProviderDisposable) {
+      throw new Error("Failed to create crash report link provider disposable");
+    }
+
+    context.subscriptions.push(crashReportLinkProviderDisposable);
+    safeOutputLog(
+      "CodeForge: ✓ Crash report link provider registered successfully",
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `CodeForge: Failed to register crash report link provider - ${error.message}`,
+    );
+  }
+
   // Register the corpus document provider for read-only corpus file viewing
   try {
     const corpusDocumentProvider = new CorpusDocumentProvider(resourceManager);
@@ -154,6 +181,40 @@ function activate(context) {
     );
   }
 
+  // Register the "codeforge" debug type that debugs crashes through gdbserver
+  try {
+    const crashDebugProvider = new CrashDebugConfigurationProvider(
+      outputChannel,
+      resourceManager,
+    );
+    const crashDebugProviderDisposable =
+      vscode.debug.registerDebugConfigurationProvider(
+        "codeforge",
+        crashDebugProvider,
+      );
+
+    if (!crashDebugProviderDisposable) {
+      throw new Error(
+        "Failed to create crash debug configuration provider disposable",
+      );
+    }
+
+    context.subscriptions.push(crashDebugProviderDisposable);
+    // gdbserver containers are kept until their debug session ends
+    context.subscriptions.push(
+      vscode.debug.onDidTerminateDebugSession((session) =>
+        crashDebugProvider.handleSessionTerminated(session),
+      ),
+    );
+    safeOutputLog(
+      "CodeForge: ✓ Crash debug configuration provider registered successfully",
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `CodeForge: Failed to register crash debug configuration provider - ${error.message}`,
+    );
+  }
+
   // Create command handlers instance AFTER providers are stored in module variables
   // This ensures that all providers are available when commands are executed
   safeOutputLog("CodeForge: Starting command handlers registration...");
@@ -185,6 +246,9 @@ function activate(context) {
     }
 
     safeOutputLog("CodeForge: ✓ All command handlers registered successfully");
+
+    // Show the last fuzzing campaign and offer to resume an interrupted one
+    commandHandlers.restoreCampaign();
   } catch (error) {
     console.error("CodeForge: Command handlers registration failed:", error);
     safeOutputLog(
@@ -0,0 +1,452 @@
+const vscode = require("vscode");
+const dockerOperations = require("../core/dockerOperations");
+const fuzzingOperations = require("./fuzzingOperations");
+const { CampaignService } = require("./campaignService");
+const { FuzzerDiscoveryService } = require("./fuzzerDiscoveryService");
+
+/**
+ * How often the time spent in a running turn is written to campaign.json,
+ * bounding what a VS Code restart can lose
+ */
+const CHECKPOINT_INTERVAL_MS = 60000;
+
+/**
+ * Extra time a turn gets past its slice before the fuzzer is stopped
+ * (container start-up and libFuzzer shutdown)
+ */
+const TURN_DEADLINE_SLACK_SECONDS = 30;
+
+/**
+ * CampaignScheduler - Runs fuzzing campaigns in the background
+ *
+ * Each turn runs one fuzzer with -max_total_time set to its slice. Turns
+ * rotate through the campaign's fuzzers until every budget is used. After
+ * each turn the fuzzer's crashes are compared with those already known and
+ * new unique crashes are announced. Campaign state is checkpointed through
+ * CampaignService so an interrupted campaign can be resumed.
+ */
+class CampaignScheduler {
+  /**
+   * @param {Object|null} resourceManager - Resource manager for container tracking
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.onUpdate - Receives the campaign whenever its state changes
+   * @param {Function} options.onStats - Receives live libFuzzer stats as (fuzzerName, stats)
+   * @param {Object} options.sessionHistory - SessionHistoryService used to record each turn
+   * @param {Object} options.fuzzerDiscoveryService - FuzzerDiscoveryService to
+   *   share with the caller (optional, one is created if not provided)
+   */
+  constructor(resourceManager = null, options = {}) {
+    this.resourceManager = resourceManager;
+    this.campaignService = new CampaignService();
+    this.fuzzerDiscoveryService =
+      options.fuzzerDiscoveryService ||
+      new FuzzerDiscoveryService(resourceManager);
+    this.onUpdate = options.onUpdate || null;
+    this.onStats = options.onStats || null;
+    this.sessionHistory = options.sessionHistory || null;
+    this.checkpointIntervalMs = CHECKPOINT_INTERVAL_MS;
+
+    this.workspacePath = null;
+    this.campaign = null;
+    // Promise of the turn loop while the campaign runs
+    this.loop = null;
+  }
+
+  /**
+   * Loads the last campaign of a workspace
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {Promise<Object|null>} Campaign or null
+   */
+  async load(workspacePath) {
+    if (this.loop && this.workspacePath === workspacePath) {
+      return this.campaign;
+    }
+    this.workspacePath = workspacePath;
+    this.campaign = await this.campaignService.loadCampaign(workspacePath);
+    this.notifyUpdate();
+    return this.campaign;
+  }
+
+  /**
+   * Whether a campaign is running in this window
+   * @returns {boolean} True while turns are being scheduled
+   */
+  isRunning() {
+    return this.loop !== null;
+  }
+
+  /**
+   * Starts a new campaign, replacing the previous one
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} definition - Campaign definition (see CampaignService.createCampaign)
+   * @returns {Promise<Object>} The started campaign
+   */
+  async start(workspacePath, definition) {
+    if (this.isRunning()) {
+      throw new Error("A fuzzing campaign is already running");
+    }
+
+    this.workspacePath = workspacePath;
+    this.campaign = this.campaignService.createCampaign(definition);
+    await this.campaignService.saveCampaign(workspacePath, this.campaign);
+    this.runInBackground();
+    return this.campaign;
+  }
+
+  /**
+   * Resumes a paused or interrupted campaign
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {Promise<Object>} The resumed campaign
+   */
+  async resume(workspacePath) {
+    if (this.isRunning()) {
+      throw new Error("A fuzzing campaign is already running");
+    }
+
+    const campaign = await this.load(workspacePath);
+    if (!this.campaignService.isResumable(campaign)) {
+      throw new Error("There is no paused fuzzing campaign to resume");
+    }
+
+    campaign.status = "running";
+    // The turn cut short by a restart was checkpointed; it starts over
+    campaign.currentTurn = null;
+    await this.campaignService.saveCampaign(workspacePath, campaign);
+    this.runInBackground();
+    return campaign;
+  }
+
+  /**
+   * Pauses the running campaign; the current fuzzer is stopped gracefully
+   * @returns {Promise<Object|null>} The paused campaign
+   */
+  async pause() {
+    return this.halt("paused");
+  }
+
+  /**
+   * Stops the campaign for good
+   * @returns {Promise<Object|null>} The stopped campaign
+   */
+  async stop() {
+    if (!this.isRunning() && this.campaignService.isResumable(this.campaign)) {
+      this.campaign.status = "stopped";
+      this.campaign.finishedAt = new Date().toISOString();
+      await this.save();
+      return this.campaign;
+    }
+    return this.halt("stopped");
+  }
+
+  /**
+   * Ends the turn loop with the given status
+   * @param {string} status - "paused" or "stopped"
+   * @returns {Promise<Object|null>} The campaign
+   */
+  async halt(status) {
+    if (!this.isRunning()) {
+      return this.campaign;
+    }
+
+    const campaign = this.campaign;
+    campaign.status = status;
+    if (status === "stopped") {
+      campaign.finishedAt = new Date().toISOString();
+    }
+
+    const turn = campaign.currentTurn;
+    if (turn) {
+      await fuzzingOperations.stopFuzzTarget(this.workspacePath, turn.fuzzer);
+    }
+    await this.loop;
+    return campaign;
+  }
+
+  /**
+   * Starts the turn loop without waiting for it
+   */
+  runInBackground() {
+    const workspacePath = this.workspacePath;
+    const campaign = this.campaign;
+
+    this.loop = this.runLoop(workspacePath, campaign)
+      .catch(async (error) => {
+        console.error("Fuzzing campaign failed:", error);
+        campaign.status = "failed";
+        campaign.error = error.message;
+        campaign.finishedAt = new Date().toISOString();
+        await this.save();
+        vscode.window.showErrorMessage(
+          `CodeForge: Fuzzing campaign failed - ${error.message}`,
+        );
+      })
+      .finally(() => {
+        this.loop = null;
+        this.notifyUpdate();
+      });
+    this.notifyUpdate();
+  }
+
+  /**
+   * Runs turns until the budget is used or the campaign is halted
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} campaign - Campaign to run
+   */
+  async runLoop(workspacePath, campaign) {
+    while (campaign.status === "running") {
+      const turn = this.campaignService.getNextTurn(campaign);
+      if (!turn) {
+        campaign.status = "completed";
+        campaign.finishedAt = new Date().toISOString();
+        await this.save();
+        this.announceCompletion(campaign);
+        return;
+      }
+      await this.runTurn(workspacePath, campaign, turn);
+    }
+    await this.save();
+  }
+
+  /**
+   * Runs one fuzzer for one slice and checks it for new crashes
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} campaign - Campaign
+   * @param {Object} turn - Turn from CampaignService.getNextTurn
+   */
+  async runTurn(workspacePath, campaign, turn) {
+    const imageName = dockerOperations.generateContainerName(workspacePath);
+    const fuzzerEntry = campaign.fuzzers[turn.index];
+
+    // Crashes found before the campaign started are not announced as new
+    if (fuzzerEntry.knownCrashes === null) {
+      this.campaignService.recordCrashes(
+        campaign,
+        turn.fuzzer,
+        await this.collectCrashSignatures(
+          workspacePath,
+          turn.fuzzer,
+          imageName,
+        ),
+      );
+    }
+    // Paused or stopped while the baseline was collected
+    if (campaign.status !== "running") {
+      return;
+    }
+
+    campaign.currentTurn = {
+      fuzzer: turn.fuzzer,
+      seconds: turn.seconds,
+      startedAt: new Date().toISOString(),
+    };
+    await this.save();
+
+    let lastCheckpoint = Date.now();
+    const checkpoint = async () => {
+      const now = Date.now();
+      this.campaignService.recordProgress(
+        campaign,
+        turn.fuzzer,
+        (now - lastCheckpoint) / 1000,
+      );
+      lastCheckpoint = now;
+      await this.save();
+    };
+    const checkpointTimer = setInterval(checkpoint, this.checkpointIntervalMs);
+    // Backstop for fuzzers that do not honour -max_total_time
+    const deadlineTimer = setTimeout(
+      () => fuzzingOperations.stopFuzzTarget(workspacePath, turn.fuzzer),
+      (turn.seconds + TURN_DEADLINE_SLACK_SECONDS) * 1000,
+    );
+
+    try {
+      const results = await fuzzingOperations.runFuzzTestsWithScript(
+        workspacePath,
+        imageName,
+        [{ fuzzer: turn.fuzzer, preset: turn.preset }],
+        null,
+        this.resourceManager,
+        {
+          onStats: this.onStats,
+          sessionHistory: this.sessionHistory,
+          libFuzzerArgs: [
+            `-max_total_time=${turn.seconds}`,
+            `-jobs=${campaign.jobs}`,
+          ],
+        },
+      );
+      if (results.skipped && results.skipped.includes(turn.fuzzer)) {
+        fuzzerEntry.error = "Disabled in .codeforge/fuzzers.json";
+      }
+    } catch (error) {
+      console.error(`Campaign turn of ${turn.fuzzer} failed:`, error.message);
+      fuzzerEntry.error = error.message;
+    } finally {
+      clearInterval(checkpointTimer);
+      clearTimeout(deadlineTimer);
+    }
+
+    await checkpoint();
+    this.campaignService.completeTurn(campaign, turn.index);
+
+    const newCrashes = this.campaignService.recordCrashes(
+      campaign,
+      turn.fuzzer,
+      await this.collectCrashSignatures(workspacePath, turn.fuzzer, imageName),
+    );
+    await this.save();
+
+    if (newCrashes.length > 0) {
+      this.announceNewCrashes(turn.fuzzer, newCrashes);
+    }
+  }
+
+  /**
+   * Gets the unique crashes of a fuzzer
+   * Crash groups are used when deduplication is enabled, crash files otherwise.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} imageName - Docker image name
+   * @returns {Promise<Array<Object>>} Crashes as {id, label}
+   */
+  async collectCrashSignatures(workspacePath, fuzzerName, imageName) {
+    const discovery = this.fuzzerDiscoveryService;
+    try {
+      const crashData = await discovery.crashDiscoveryService.discoverCrashes(
+        workspacePath,
+        imageName,
+      );
+      const fuzzerCrashes = discovery.associateCrashesWithFuzzers(
+        fuzzerName,
+        crashData,
+      );
+      let crashes = await discovery.attachCrashMetadata(
+        workspacePath,
+        fuzzerName,
+        fuzzerCrashes,
+        imageName,
+      );
+      // New crashes would otherwise count as unknown signatures until their
+      // reports exist; the campaign runs in the background and can wait
+      if (
+        (await discovery.generatePendingCrashMetadata(
+          workspacePath,
+          imageName,
+        )) > 0
+      ) {
+        crashes = await discovery.attachCrashMetadata(
+          workspacePath,
+          fuzzerName,
+          fuzzerCrashes,
+          imageName,
+        );
+      }
+      const groups = await discovery.getCrashGroups(
+        workspacePath,
+        fuzzerName,
+        crashes,
+        imageName,
+      );
+
+      if (groups) {
+        return groups.map((group) => ({
+          id: group.signatureId,
+          label:
+            group.sanitizer === "unknown"
+              ? group.representative.id
+              : `${group.sanitizer}: ${group.bugClass}`,
+        }));
+      }
+      return crashes.map((crash) => ({
+        id: crash.fullHash || crash.id,
+        label: crash.id,
+      }));
+    } catch (error) {
+      console.warn(
+        `Failed to collect crashes of ${fuzzerName} for the campaign:`,
+        error.message,
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Notifies the user about crashes a turn found
+   * @param {string} fuzzerName - Fuzzer that crashed
+   * @param {Array<Object>} newCrashes - New crashes as {id, label}
+   */
+  announceNewCrashes(fuzzerName, newCrashes) {
+    const labels = newCrashes.map((crash) => crash.label).join(", ");
+    const message =
+      newCrashes.length === 1
+        ? `CodeForge: Campaign found a new crash in ${fuzzerName}: ${labels}`
+        : `CodeForge: Campaign found ${newCrashes.length} new crashes in ${fuzzerName}: ${labels}`;
+
+    vscode.commands.executeCommand("codeforge.refreshFuzzers");
+    vscode.window
+      .showWarningMessage(message, "Show Crashes")
+      .then((selection) => {
+        if (selection === "Show Crashes") {
+          vscode.commands.executeCommand("codeforge.controlPanel.focus");
+        }
+      });
+  }
+
+  /**
+   * Notifies the user that a campaign used its whole budget
+   * @param {Object} campaign - Completed campaign
+   */
+  announceCompletion(campaign) {
+    const summary = this.campaignService.getSummary(campaign);
+    const crashes =
+      summary.newCrashes === 1
+        ? "1 new unique crash"
+        : `${summary.newCrashes} new unique crashes`;
+    vscode.window.showInformationMessage(
+      `CodeForge: Fuzzing campaign finished - ${campaign.fuzzers.length} fuzzer(s), ${formatSeconds(summary.elapsedSeconds)}, ${crashes}`,
+    );
+  }
+
+  /**
+   * Persists the current campaign and notifies listeners
+   */
+  async save() {
+    if (!this.campaign || !this.workspacePath) {
+      return;
+    }
+    try {
+      await this.campaignService.saveCampaign(
+        this.workspacePath,
+        this.campaign,
+      );
+    } catch (error) {
+      console.error("Failed to save fuzzing campaign:", error.message);
+    }
+    this.notifyUpdate();
+  }
+
+  /**
+   * Sends the campaign to the update listener
+   */
+  notifyUpdate() {
+    if (this.onUpdate) {
+      this.onUpdate(this.campaign, this.isRunning());
+    }
+  }
+}
+
+/**
+ * Formats a duration for notifications
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "1h 5m" or "45s"
+ */
+function formatSeconds(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+module.exports = { CampaignScheduler, CHECKPOINT_INTERVAL_MS };
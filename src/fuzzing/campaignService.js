@@ -0,0 +1,354 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { getOutputDirectory } = require("./fuzzingConfig");
+const { validateFuzzerName } = require("./fuzzerUtils");
+
+/**
+ * File name of the campaign state stored in the fuzzing output directory
+ */
+const CAMPAIGN_FILE_NAME = "campaign.json";
+
+/**
+ * Default length of one round-robin turn in seconds
+ */
+const DEFAULT_SLICE_SECONDS = 600;
+
+/**
+ * Turns shorter than this are not worth a container start; a fuzzer with
+ * less budget left is considered done.
+ */
+const MIN_TURN_SECONDS = 10;
+
+/**
+ * Campaign statuses that can be resumed
+ */
+const RESUMABLE_STATUSES = ["running", "paused"];
+
+/**
+ * CampaignService - Plans and persists time-budgeted fuzzing campaigns
+ *
+ * A campaign runs a set of fuzzers round-robin until each has used its share
+ * of the total time budget. The state is kept in
+ * .codeforge/fuzzing/campaign.json so a campaign interrupted by a VS Code
+ * restart can pick up where it stopped. Campaign structure:
+ * {
+ *   version: 1,
+ *   id: string,
+ *   status: string,             // "running" | "paused" | "completed" | "stopped" | "failed"
+ *   totalBudgetSeconds: number,
+ *   sliceSeconds: number,       // maximum length of one turn
+ *   jobs: number,               // libFuzzer -jobs for every turn
+ *   createdAt: string,
+ *   updatedAt: string,
+ *   finishedAt: string|null,
+ *   nextIndex: number,          // fuzzer whose turn is next
+ *   currentTurn: Object|null,   // {fuzzer, seconds, startedAt} while a turn runs
+ *   error: string|null,
+ *   fuzzers: [{
+ *     name, preset, budgetSeconds, elapsedSeconds, turns,
+ *     knownCrashes: string[]|null,  // crash signatures seen so far (null before the first turn)
+ *     newCrashes: [{id, label, foundAt}],
+ *     error: string|null            // set when the fuzzer failed and is skipped
+ *   }]
+ * }
+ */
+class CampaignService {
+  constructor(fsModule = null) {
+    this.fs = fsModule || fs;
+    this.path = path;
+  }
+
+  /**
+   * Gets the campaign file path of a workspace
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {string} Absolute path to campaign.json
+   */
+  getCampaignFilePath(workspacePath) {
+    let outputDirectory;
+    try {
+      outputDirectory = getOutputDirectory();
+    } catch (error) {
+      outputDirectory = ".codeforge/fuzzing";
+    }
+    return this.path.join(workspacePath, outputDirectory, CAMPAIGN_FILE_NAME);
+  }
+
+  /**
+   * Reads the last campaign of a workspace
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {Promise<Object|null>} Campaign, or null if none was started
+   */
+  async loadCampaign(workspacePath) {
+    try {
+      const content = await this.fs.readFile(
+        this.getCampaignFilePath(workspacePath),
+        "utf8",
+      );
+      const campaign = JSON.parse(content);
+      return Array.isArray(campaign.fuzzers) ? campaign : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes a campaign to the workspace
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} campaign - Campaign to store
+   * @returns {Promise<Object>} The stored campaign
+   */
+  async saveCampaign(workspacePath, campaign) {
+    const campaignPath = this.getCampaignFilePath(workspacePath);
+    campaign.updatedAt = new Date().toISOString();
+
+    await this.fs.mkdir(this.path.dirname(campaignPath), { recursive: true });
+    await this.fs.writeFile(
+      campaignPath,
+      JSON.stringify(campaign, null, 2) + "\n",
+      "utf8",
+    );
+    return campaign;
+  }
+
+  /**
+   * Creates a campaign from a definition
+   * @param {Object} definition - Campaign definition
+   * @param {Array<Object>} definition.fuzzers - Fuzzers as {name, preset}
+   * @param {number} definition.totalBudgetSeconds - Time budget of the whole campaign
+   * @param {Object} definition.weights - Optional share of the budget per fuzzer name (default: even split)
+   * @param {number} definition.sliceSeconds - Maximum length of one turn
+   * @param {number} definition.jobs - libFuzzer jobs per turn
+   * @returns {Object} New campaign with status "running"
+   * @throws {Error} If the definition is invalid
+   */
+  createCampaign(definition) {
+    const {
+      fuzzers = [],
+      totalBudgetSeconds,
+      weights = null,
+      sliceSeconds = DEFAULT_SLICE_SECONDS,
+      jobs = 1,
+    } = definition || {};
+
+    const errors = [];
+    if (!Array.isArray(fuzzers) || fuzzers.length === 0) {
+      errors.push("At least one fuzzer is required");
+    } else {
+      for (const fuzzer of fuzzers) {
+        const validation = validateFuzzerName(fuzzer && fuzzer.name);
+        if (!validation.valid) {
+          errors.push(validation.error);
+        }
+      }
+    }
+    if (!Number.isInteger(totalBudgetSeconds) || totalBudgetSeconds < 60) {
+      errors.push(
+        `Total budget must be at least 60 seconds, got: ${totalBudgetSeconds}`,
+      );
+    }
+    if (!Number.isInteger(sliceSeconds) || sliceSeconds < MIN_TURN_SECONDS) {
+      errors.push(
+        `Turn length must be at least ${MIN_TURN_SECONDS} seconds, got: ${sliceSeconds}`,
+      );
+    }
+    if (!Number.isInteger(jobs) || jobs < 1 || jobs > 64) {
+      errors.push(`Jobs must be between 1 and 64, got: ${jobs}`);
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid campaign:\n${errors.join("\n")}`);
+    }
+
+    const budgets = this.allocateBudgets(
+      fuzzers.map((fuzzer) => fuzzer.name),
+      totalBudgetSeconds,
+      weights,
+    );
+    const now = new Date().toISOString();
+
+    return {
+      version: 1,
+      id: `${Date.now()}`,
+      status: "running",
+      totalBudgetSeconds,
+      sliceSeconds,
+      jobs,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      nextIndex: 0,
+      currentTurn: null,
+      error: null,
+      fuzzers: fuzzers.map((fuzzer, index) => ({
+        name: fuzzer.name,
+        preset: fuzzer.preset || "",
+        budgetSeconds: budgets[index],
+        elapsedSeconds: 0,
+        turns: 0,
+        knownCrashes: null,
+        newCrashes: [],
+        error: null,
+      })),
+    };
+  }
+
+  /**
+   * Splits a time budget between fuzzers
+   * Shares are rounded down to whole seconds; the seconds left over go to
+   * the first fuzzers.
+   * @param {Array<string>} fuzzerNames - Fuzzer names
+   * @param {number} totalSeconds - Budget to split
+   * @param {Object} weights - Optional weight per fuzzer name (missing names weigh 1)
+   * @returns {Array<number>} Budget in seconds per fuzzer, in input order
+   */
+  allocateBudgets(fuzzerNames, totalSeconds, weights = null) {
+    const fuzzerWeights = fuzzerNames.map((name) => {
+      const weight = weights ? weights[name] : undefined;
+      return typeof weight === "number" && weight > 0 ? weight : 1;
+    });
+    const totalWeight = fuzzerWeights.reduce((sum, weight) => sum + weight, 0);
+
+    const budgets = fuzzerWeights.map((weight) =>
+      Math.floor((totalSeconds * weight) / totalWeight),
+    );
+    let remainder =
+      totalSeconds - budgets.reduce((sum, budget) => sum + budget, 0);
+    for (let i = 0; remainder > 0; i = (i + 1) % budgets.length) {
+      budgets[i]++;
+      remainder--;
+    }
+    return budgets;
+  }
+
+  /**
+   * Picks the next turn, round-robin from campaign.nextIndex
+   * @param {Object} campaign - Campaign
+   * @returns {Object|null} Turn {index, fuzzer, preset, seconds}, or null when
+   *   every fuzzer has used its budget or failed
+   */
+  getNextTurn(campaign) {
+    const count = campaign.fuzzers.length;
+    for (let offset = 0; offset < count; offset++) {
+      const index = (campaign.nextIndex + offset) % count;
+      const fuzzer = campaign.fuzzers[index];
+      const remaining = fuzzer.budgetSeconds - fuzzer.elapsedSeconds;
+      if (!fuzzer.error && remaining >= MIN_TURN_SECONDS) {
+        return {
+          index,
+          fuzzer: fuzzer.name,
+          preset: fuzzer.preset,
+          seconds: Math.min(campaign.sliceSeconds, Math.ceil(remaining)),
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Adds fuzzing time to a fuzzer
+   * @param {Object} campaign - Campaign
+   * @param {string} fuzzerName - Fuzzer that ran
+   * @param {number} seconds - Time spent
+   */
+  recordProgress(campaign, fuzzerName, seconds) {
+    const fuzzer = this.getFuzzer(campaign, fuzzerName);
+    fuzzer.elapsedSeconds = Math.min(
+      fuzzer.budgetSeconds,
+      Math.round((fuzzer.elapsedSeconds + seconds) * 10) / 10,
+    );
+  }
+
+  /**
+   * Ends a fuzzer's turn and moves the round-robin to the next fuzzer
+   * @param {Object} campaign - Campaign
+   * @param {number} index - Index of the fuzzer whose turn ended
+   */
+  completeTurn(campaign, index) {
+    campaign.fuzzers[index].turns++;
+    campaign.nextIndex = (index + 1) % campaign.fuzzers.length;
+    campaign.currentTurn = null;
+  }
+
+  /**
+   * Records the crash signatures a fuzzer has now and returns the new ones
+   * The first call for a fuzzer only records its existing crashes, so crashes
+   * found before the campaign are not reported as new.
+   * @param {Object} campaign - Campaign
+   * @param {string} fuzzerName - Fuzzer name
+   * @param {Array<Object>} signatures - Current crashes as {id, label}
+   * @returns {Array<Object>} Crashes not seen before, as {id, label, foundAt}
+   */
+  recordCrashes(campaign, fuzzerName, signatures) {
+    const fuzzer = this.getFuzzer(campaign, fuzzerName);
+    if (fuzzer.knownCrashes === null) {
+      fuzzer.knownCrashes = signatures.map((signature) => signature.id);
+      return [];
+    }
+
+    const known = new Set(fuzzer.knownCrashes);
+    const foundAt = new Date().toISOString();
+    const newCrashes = signatures
+      .filter((signature) => !known.has(signature.id))
+      .map((signature) => ({ ...signature, foundAt }));
+
+    for (const crash of newCrashes) {
+      fuzzer.knownCrashes.push(crash.id);
+      fuzzer.newCrashes.push(crash);
+    }
+    return newCrashes;
+  }
+
+  /**
+   * Summarizes the progress of a campaign
+   * @param {Object} campaign - Campaign
+   * @returns {Object} {elapsedSeconds, totalBudgetSeconds, percent, newCrashes}
+   */
+  getSummary(campaign) {
+    const elapsedSeconds = campaign.fuzzers.reduce(
+      (sum, fuzzer) => sum + fuzzer.elapsedSeconds,
+      0,
+    );
+    return {
+      elapsedSeconds: Math.round(elapsedSeconds),
+      totalBudgetSeconds: campaign.totalBudgetSeconds,
+      percent: Math.min(
+        100,
+        Math.round((elapsedSeconds / campaign.totalBudgetSeconds) * 100),
+      ),
+      newCrashes: campaign.fuzzers.reduce(
+        (sum, fuzzer) => sum + fuzzer.newCrashes.length,
+        0,
+      ),
+    };
+  }
+
+  /**
+   * Checks whether a campaign can be resumed
+   * @param {Object|null} campaign - Campaign
+   * @returns {boolean} True for running (interrupted) and paused campaigns
+   */
+  isResumable(campaign) {
+    return !!campaign && RESUMABLE_STATUSES.includes(campaign.status);
+  }
+
+  /**
+   * Gets a fuzzer entry of a campaign
+   * @param {Object} campaign - Campaign
+   * @param {string} fuzzerName - Fuzzer name
+   * @returns {Object} Fuzzer entry
+   * @throws {Error} If the fuzzer is not part of the campaign
+   */
+  getFuzzer(campaign, fuzzerName) {
+    const fuzzer = campaign.fuzzers.find((entry) => entry.name === fuzzerName);
+    if (!fuzzer) {
+      throw new Error(`Fuzzer ${fuzzerName} is not part of the campaign`);
+    }
+    return fuzzer;
+  }
+}
+
+module.exports = {
+  CampaignService,
+  CAMPAIGN_FILE_NAME,
+  DEFAULT_SLICE_SECONDS,
+  MIN_TURN_SECONDS,
+};
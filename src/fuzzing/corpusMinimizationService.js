@@ -0,0 +1,260 @@
+const path = require("path");
+const dockerOperations = require("../core/dockerOperations");
+const { FuzzerResolver } = require("./gdbIntegration");
+const { EXCLUDED_INPUT_PATTERNS } = require("./fuzzingConfig");
+const { CorpusService } = require("./corpusService");
+
+/**
+ * Where merge sources are mounted (read-only) in the container
+ */
+const MERGE_MOUNT_DIR = "/codeforge-merge";
+
+/**
+ * Corpus exports that can be merged besides plain directories
+ */
+const ARCHIVE_EXTENSIONS = [".tar", ".tar.gz", ".tgz", ".tar.xz", ".tar.bz2"];
+
+/**
+ * CorpusMinimizationService - Shrinks a fuzzer's corpus to the inputs that
+ * add coverage
+ *
+ * The corpus is merged inside the container into a fresh directory:
+ * - CMake presets: the built fuzzer runs with -merge=1
+ * - Rust (empty preset): `cargo fuzz cmin` minimizes a copy of the inputs
+ *
+ * Other corpora (a directory or a tar archive exported by a teammate, or the
+ * corpus of another checkout) can be merged in the same pass. Crash, leak,
+ * timeout and OOM inputs are kept as they are. The minimized directory only
+ * replaces the corpus after the merge succeeded, so a failed or cancelled run
+ * leaves the corpus untouched.
+ */
+class CorpusMinimizationService {
+  constructor(resourceManager = null) {
+    this.dockerOperations = dockerOperations;
+    this.resourceManager = resourceManager;
+    this.fuzzerResolver = new FuzzerResolver();
+    this.corpusService = new CorpusService(resourceManager);
+  }
+
+  /**
+   * Describes the corpora to merge and how they are mounted in the container
+   * @param {Array<string>} mergeSources - Host paths of directories or tar archives
+   * @returns {Array<Object>} {hostPath, containerPath, archive}
+   * @throws {Error} If a source cannot be mounted
+   */
+  getMergeMounts(mergeSources = []) {
+    return mergeSources.map((hostPath, index) => {
+      // docker -v splits on ":" and has no way to escape it
+      if (hostPath.includes(":")) {
+        throw new Error(`Cannot merge ${hostPath}: path contains ":"`);
+      }
+      return {
+        hostPath,
+        containerPath: `${MERGE_MOUNT_DIR}/${index}`,
+        archive: ARCHIVE_EXTENSIONS.some((extension) =>
+          hostPath.toLowerCase().endsWith(extension),
+        ),
+      };
+    });
+  }
+
+  /**
+   * Builds the shell script that minimizes a fuzzer's corpus
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} fuzzer - Fuzzer with name, preset ("" for Rust) and, for
+   *   CMake presets, executable (host path of the built fuzzer)
+   * @param {Array<Object>} mergeMounts - Corpora to merge (see getMergeMounts)
+   * @returns {string} Script to run in the container
+   */
+  buildMinimizeScript(workspacePath, fuzzer, mergeMounts = []) {
+    const corpusDir = this.corpusService.getCorpusDirectory(
+      workspacePath,
+      fuzzer.name,
+    );
+    const workDir = path.join(
+      this.corpusService.getFuzzerOutputDirectory(workspacePath, fuzzer.name),
+      "corpus-minimize",
+    );
+    const excludes = EXCLUDED_INPUT_PATTERNS.map(
+      (pattern) => `! -name '${pattern}'`,
+    ).join(" ");
+    const keeps = EXCLUDED_INPUT_PATTERNS.map(
+      (pattern) => `-name '${pattern}'`,
+    ).join(" -o ");
+
+    const inputDirs = ['"$WORK/inputs"'];
+    const prepareInputs = [
+      "set -e",
+      `cd "${workspacePath}"`,
+      `CORPUS="${corpusDir}"`,
+      `WORK="${workDir}"`,
+      'rm -rf "$WORK"',
+      "trap 'rm -rf \"$WORK\"' EXIT",
+      'mkdir -p "$CORPUS" "$WORK/inputs" "$WORK/minimized"',
+      // Hard links, the inputs are only read
+      `find "$CORPUS" -maxdepth 1 -type f ${excludes} -exec cp -l {} "$WORK/inputs/" \\;`,
+    ];
+    mergeMounts.forEach((mount, index) => {
+      if (mount.archive) {
+        prepareInputs.push(
+          `mkdir -p "$WORK/merge-${index}"`,
+          `tar -xf "${mount.containerPath}" -C "$WORK/merge-${index}"`,
+        );
+        inputDirs.push(`"$WORK/merge-${index}"`);
+      } else {
+        inputDirs.push(`"${mount.containerPath}"`);
+      }
+    });
+
+    let minimize;
+    if (fuzzer.preset && fuzzer.preset.trim() !== "") {
+      minimize = [
+        `BIN="${fuzzer.executable}"`,
+        `if [ ! -x "$BIN" ]; then echo "Fuzzer ${fuzzer.name} is not built" >&2; exit 1; fi`,
+        `"$BIN" -merge=1 -detect_leaks=0 "$WORK/minimized" ${inputDirs.join(" ")} >&2`,
+      ];
+    } else {
+      // cargo fuzz cmin minimizes one directory in place; inputs are named by
+      // content so files from different corpora cannot overwrite each other
+      minimize = [
+        `find ${inputDirs.join(" ")} -type f -exec sh -c 'cp "$1" "$2/$(sha1sum "$1" | cut -c1-40)"' _ {} "$WORK/minimized" \\;`,
+        `cargo fuzz cmin "${fuzzer.name}" "$WORK/minimized" >&2`,
+      ];
+    }
+
+    return [
+      ...prepareInputs,
+      ...minimize,
+      `find "$CORPUS" -maxdepth 1 -type f \\( ${keeps} \\) -exec cp -l {} "$WORK/minimized/" \\;`,
+      // The corpus is only missing between the two renames
+      'mv "$CORPUS" "$WORK/previous"',
+      'mv "$WORK/minimized" "$CORPUS" || { mv "$WORK/previous" "$CORPUS"; exit 1; }',
+    ].join("\n");
+  }
+
+  /**
+   * Minimizes a fuzzer's corpus, optionally merging other corpora into it
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} fuzzer - Fuzzer with name and preset
+   * @param {Array<string>} mergeSources - Directories or tar archives to merge
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Object>} {before: {files, size}, after: {files, size}}
+   */
+  async minimizeCorpus(
+    workspacePath,
+    fuzzer,
+    mergeSources = [],
+    imageName = null,
+  ) {
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    const corpusDir = this.corpusService.getCorpusDirectory(
+      workspacePath,
+      fuzzer.name,
+    );
+    const before = await this.corpusService.getCorpusStats(corpusDir);
+    if (before.files === 0 && mergeSources.length === 0) {
+      throw new Error(
+        `${fuzzer.name} has no corpus yet - run the fuzzer first`,
+      );
+    }
+
+    const mergeMounts = this.getMergeMounts(mergeSources);
+    const target = { ...fuzzer };
+    if (fuzzer.preset && fuzzer.preset.trim() !== "") {
+      target.executable = await this.fuzzerResolver.resolveFuzzerExecutable(
+        workspacePath,
+        fuzzer.name,
+      );
+    }
+
+    try {
+      await this.executeMinimizeScript(
+        workspacePath,
+        this.buildMinimizeScript(workspacePath, target, mergeMounts),
+        imageName,
+        mergeMounts.flatMap((mount) => [
+          "-v",
+          `${mount.hostPath}:${mount.containerPath}:ro`,
+        ]),
+      );
+    } catch (error) {
+      console.error(
+        `Failed to minimize corpus of ${fuzzer.name}:`,
+        error.message,
+      );
+      throw new Error(`Corpus minimization failed: ${error.message}`);
+    }
+
+    return {
+      before,
+      after: await this.corpusService.getCorpusStats(corpusDir),
+    };
+  }
+
+  /**
+   * Runs a minimization script in the Docker container
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} script - Script from buildMinimizeScript
+   * @param {string} imageName - Docker image name
+   * @param {Array<string>} additionalArgs - Extra docker run arguments (merge mounts)
+   * @returns {Promise<void>}
+   */
+  async executeMinimizeScript(
+    workspacePath,
+    script,
+    imageName,
+    additionalArgs = [],
+  ) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        removeAfterRun: true,
+        mountWorkspace: true,
+        dockerCommand: "docker",
+        containerType: "corpus_minimization",
+        additionalArgs,
+        resourceManager: this.resourceManager,
+      };
+
+      const minimizeProcess = this.dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        imageName,
+        script,
+        "/bin/bash",
+        options,
+      );
+
+      let stderr = "";
+
+      minimizeProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      minimizeProcess.on("close", (code) => {
+        if (code !== 0) {
+          // libFuzzer logs every merge step, the last lines hold the error
+          const tail = stderr.trim().split("\n").slice(-20).join("\n");
+          reject(
+            new Error(`Minimization script exited with code ${code}: ${tail}`),
+          );
+          return;
+        }
+        resolve();
+      });
+
+      minimizeProcess.on("error", (error) => {
+        reject(
+          new Error(`Failed to execute minimization script: ${error.message}`),
+        );
+      });
+    });
+  }
+}
+
+module.exports = {
+  CorpusMinimizationService,
+  ARCHIVE_EXTENSIONS,
+  MERGE_MOUNT_DIR,
+};
@@ -0,0 +1,219 @@
+const fs = require("fs").promises;
+const path = require("path");
+const dockerOperations = require("../core/dockerOperations");
+const {
+  getOutputDirectory,
+  EXCLUDED_INPUT_PATTERNS,
+} = require("./fuzzingConfig");
+
+/**
+ * Corpus file names accepted for deletion, which passes them to a shell.
+ * libFuzzer names inputs by their SHA-1; merged corpora may keep other names.
+ */
+const SAFE_INPUT_NAME = /^[A-Za-z0-9_+-][A-Za-z0-9._+-]*$/;
+
+/**
+ * Files larger than this are not read when searching input contents
+ */
+const MAX_SEARCH_FILE_SIZE = 1024 * 1024;
+
+/**
+ * CorpusService - Lists, searches and deletes the inputs of a fuzzer's corpus
+ *
+ * The corpus lives in <outputDirectory>/<fuzzer>-output/corpus next to the
+ * crash, leak, timeout and OOM files libFuzzer writes there; those are not
+ * corpus inputs and are left out. The container writes the corpus as root,
+ * so deleting inputs also happens in the container.
+ */
+class CorpusService {
+  constructor(resourceManager = null) {
+    this.dockerOperations = dockerOperations;
+    this.resourceManager = resourceManager;
+    this.fs = fs;
+  }
+
+  /**
+   * Gets the output directory of a fuzzer
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} Path to <fuzzer>-output
+   */
+  getFuzzerOutputDirectory(workspacePath, fuzzerName) {
+    let outputDirectory;
+    try {
+      outputDirectory = getOutputDirectory();
+    } catch (error) {
+      outputDirectory = ".codeforge/fuzzing";
+    }
+    return path.join(workspacePath, outputDirectory, `${fuzzerName}-output`);
+  }
+
+  /**
+   * Gets the corpus directory of a fuzzer
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} Path to the corpus directory
+   */
+  getCorpusDirectory(workspacePath, fuzzerName) {
+    return path.join(
+      this.getFuzzerOutputDirectory(workspacePath, fuzzerName),
+      "corpus",
+    );
+  }
+
+  /**
+   * Lists the inputs of a corpus
+   * @param {string} corpusDir - Corpus directory
+   * @returns {Promise<Array<Object>>} Inputs as {name, size, modified}, where
+   *   modified is an ISO timestamp; empty if the corpus does not exist
+   */
+  async listInputs(corpusDir) {
+    const excluded = EXCLUDED_INPUT_PATTERNS.map((pattern) =>
+      pattern.replace("*", ""),
+    );
+    const inputs = [];
+    let entries;
+    try {
+      entries = await this.fs.readdir(corpusDir, { withFileTypes: true });
+    } catch (error) {
+      return inputs;
+    }
+
+    for (const entry of entries) {
+      if (
+        !entry.isFile() ||
+        excluded.some((prefix) => entry.name.startsWith(prefix))
+      ) {
+        continue;
+      }
+      try {
+        const stats = await this.fs.stat(path.join(corpusDir, entry.name));
+        inputs.push({
+          name: entry.name,
+          size: stats.size,
+          modified: stats.mtime.toISOString(),
+        });
+      } catch (error) {
+        // Removed by a running fuzzer (REDUCE) while listing
+      }
+    }
+    return inputs;
+  }
+
+  /**
+   * Counts the inputs of a corpus
+   * @param {string} corpusDir - Corpus directory
+   * @returns {Promise<Object>} {files, size}
+   */
+  async getCorpusStats(corpusDir) {
+    const inputs = await this.listInputs(corpusDir);
+    return {
+      files: inputs.length,
+      size: inputs.reduce((sum, input) => sum + input.size, 0),
+    };
+  }
+
+  /**
+   * Finds inputs whose name or content contains a text
+   * Content is compared byte for byte, so the query matches ASCII text inside
+   * binary inputs.
+   * @param {string} corpusDir - Corpus directory
+   * @param {string} query - Text to look for
+   * @returns {Promise<Array<string>>} Names of matching inputs
+   */
+  async searchInputs(corpusDir, query) {
+    const inputs = await this.listInputs(corpusDir);
+    if (!query) {
+      return inputs.map((input) => input.name);
+    }
+
+    const lowerQuery = query.toLowerCase();
+    const needle = Buffer.from(query, "utf8");
+    const matches = [];
+    for (const input of inputs) {
+      if (input.name.toLowerCase().includes(lowerQuery)) {
+        matches.push(input.name);
+        continue;
+      }
+      if (input.size > MAX_SEARCH_FILE_SIZE) {
+        continue;
+      }
+      try {
+        const content = await this.fs.readFile(
+          path.join(corpusDir, input.name),
+        );
+        if (content.includes(needle)) {
+          matches.push(input.name);
+        }
+      } catch (error) {
+        // Removed while searching
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Deletes inputs from a fuzzer's corpus inside the container
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Array<string>} names - Input file names
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<number>} Number of inputs deleted
+   * @throws {Error} If a name is not a plain corpus file name or the container fails
+   */
+  async deleteInputs(workspacePath, fuzzerName, names, imageName = null) {
+    const invalid = names.filter((name) => !SAFE_INPUT_NAME.test(name));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid corpus input name: ${invalid.join(", ")}`);
+    }
+    if (names.length === 0) {
+      return 0;
+    }
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    const corpusDir = this.getCorpusDirectory(workspacePath, fuzzerName);
+    const command = `cd "${corpusDir}" && rm -f -- ${names.map((name) => `"${name}"`).join(" ")}`;
+
+    await new Promise((resolve, reject) => {
+      const deleteProcess = this.dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        imageName,
+        command,
+        "/bin/bash",
+        {
+          removeAfterRun: true,
+          mountWorkspace: true,
+          dockerCommand: "docker",
+          containerType: "corpus_delete",
+          resourceManager: this.resourceManager,
+        },
+      );
+
+      let stderr = "";
+
+      deleteProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      deleteProcess.on("close", (code) => {
+        if (code !== 0) {
+          reject(
+            new Error(`Deleting corpus inputs failed (${code}): ${stderr}`),
+          );
+          return;
+        }
+        resolve();
+      });
+
+      deleteProcess.on("error", (error) => {
+        reject(new Error(`Failed to delete corpus inputs: ${error.message}`));
+      });
+    });
+
+    return names.length;
+  }
+}
+
+module.exports = { CorpusService, SAFE_INPUT_NAME };
@@ -0,0 +1,256 @@
+const fs = require("fs").promises;
+const path = require("path");
+const dockerOperations = require("../core/dockerOperations");
+const { PathMapper } = require("./gdbIntegration");
+const { parseLcov, summarizeCoverage } = require("./lcovParser");
+const { EXCLUDED_INPUT_PATTERNS } = require("./fuzzingConfig");
+const { CorpusService } = require("./corpusService");
+
+/**
+ * Directory (relative to the workspace) holding coverage builds and reports
+ */
+const COVERAGE_DIR = path.join(".codeforge", "coverage");
+
+/**
+ * CoverageService - Measures which source lines a fuzzer's corpus reaches
+ *
+ * The corpus is replayed inside the container against a coverage-instrumented
+ * build of the fuzzer and exported as an lcov tracefile:
+ * - CMake presets: the preset is configured into a separate build directory
+ *   with -fprofile-instr-generate -fcoverage-mapping, the corpus is run with
+ *   -runs=0, and llvm-profdata/llvm-cov produce the report
+ * - Rust (empty preset): `cargo fuzz coverage` builds and replays, and the
+ *   toolchain's llvm-cov exports the report
+ *
+ * Everything is written to .codeforge/coverage/<fuzzer>/, coverage.lcov being
+ * the tracefile loaded by the extension.
+ */
+class CoverageService {
+  constructor(resourceManager = null) {
+    this.dockerOperations = dockerOperations;
+    this.resourceManager = resourceManager;
+    this.pathMapper = new PathMapper();
+    this.corpusService = new CorpusService(resourceManager);
+    this.fs = fs;
+  }
+
+  /**
+   * Gets the coverage output directory of a fuzzer
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} Path to the coverage directory
+   */
+  getCoverageDirectory(workspacePath, fuzzerName) {
+    return path.join(workspacePath, COVERAGE_DIR, fuzzerName);
+  }
+
+  /**
+   * Builds the shell script that produces coverage.lcov for a fuzzer
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} fuzzer - Fuzzer with name and preset ("" for Rust)
+   * @returns {string} Script to run in the container
+   */
+  buildCoverageScript(workspacePath, fuzzer) {
+    const outDir = this.getCoverageDirectory(workspacePath, fuzzer.name);
+    const corpusDir = this.corpusService.getCorpusDirectory(
+      workspacePath,
+      fuzzer.name,
+    );
+    const excludes = EXCLUDED_INPUT_PATTERNS.map(
+      (pattern) => `! -name '${pattern}'`,
+    ).join(" ");
+
+    const prepareInputs = [
+      "set -e",
+      `cd "${workspacePath}"`,
+      `OUT="${outDir}"`,
+      'rm -rf "$OUT/inputs" "$OUT"/*.profraw "$OUT/coverage.lcov"',
+      'mkdir -p "$OUT/inputs"',
+      `if [ -d "${corpusDir}" ]; then find "${corpusDir}" -maxdepth 1 -type f ${excludes} -exec cp {} "$OUT/inputs/" \\; ; fi`,
+    ];
+
+    if (fuzzer.preset && fuzzer.preset.trim() !== "") {
+      return [
+        ...prepareInputs,
+        // Appends the flags to whatever the preset sets instead of replacing them
+        `printf '%s\\n' 'add_compile_options(-fprofile-instr-generate -fcoverage-mapping)' 'add_link_options(-fprofile-instr-generate -fcoverage-mapping)' > "$OUT/coverage-flags.cmake"`,
+        `cmake --preset "${fuzzer.preset}" -B "$OUT/build" -DCMAKE_PROJECT_INCLUDE="$OUT/coverage-flags.cmake" >&2`,
+        `cmake --build "$OUT/build" --target "${fuzzer.name}" >&2`,
+        `BIN=$(find "$OUT/build" -type f -name "${fuzzer.name}" -perm -u+x | head -n 1)`,
+        `if [ -z "$BIN" ]; then echo "Coverage build of ${fuzzer.name} not found" >&2; exit 1; fi`,
+        `LLVM_PROFILE_FILE="$OUT/${fuzzer.name}-%p.profraw" "$BIN" -runs=0 -detect_leaks=0 "$OUT/inputs" >&2 || true`,
+        'llvm-profdata merge -sparse "$OUT"/*.profraw -o "$OUT/coverage.profdata"',
+        'llvm-cov export -format=lcov "$BIN" -instr-profile="$OUT/coverage.profdata" > "$OUT/coverage.lcov"',
+      ].join("\n");
+    }
+
+    return [
+      ...prepareInputs,
+      `cargo fuzz coverage "${fuzzer.name}" "$OUT/inputs" >&2`,
+      "TRIPLE=$(rustc -vV | sed -n 's/^host: //p')",
+      `BIN=$(find . -type f -path "*/coverage/*/release/${fuzzer.name}" -not -path "./.codeforge/*" | head -n 1)`,
+      `PROFDATA=$(find . -type f -path "*/coverage/${fuzzer.name}/coverage.profdata" -not -path "./.codeforge/*" | head -n 1)`,
+      `if [ -z "$BIN" ] || [ -z "$PROFDATA" ]; then echo "cargo fuzz coverage output for ${fuzzer.name} not found" >&2; exit 1; fi`,
+      'LLVM_COV=$(command -v llvm-cov || echo "$(rustc --print sysroot)/lib/rustlib/$TRIPLE/bin/llvm-cov")',
+      '"$LLVM_COV" export -format=lcov "$BIN" -instr-profile="$PROFDATA" > "$OUT/coverage.lcov"',
+    ].join("\n");
+  }
+
+  /**
+   * Replays a fuzzer's corpus with coverage instrumentation and loads the result
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} fuzzer - Fuzzer with name and preset
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Object>} Coverage report (see loadCoverage)
+   */
+  async generateCoverage(workspacePath, fuzzer, imageName = null) {
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    try {
+      await this.executeCoverageScript(
+        workspacePath,
+        this.buildCoverageScript(workspacePath, fuzzer),
+        imageName,
+      );
+    } catch (error) {
+      console.error(
+        `Failed to generate coverage for ${fuzzer.name}:`,
+        error.message,
+      );
+      throw new Error(`Coverage generation failed: ${error.message}`);
+    }
+
+    const report = await this.loadCoverage(workspacePath, fuzzer.name);
+    if (!report) {
+      throw new Error(`Coverage generation produced no report`);
+    }
+    return report;
+  }
+
+  /**
+   * Runs a coverage script in the Docker container
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} script - Script from buildCoverageScript
+   * @param {string} imageName - Docker image name
+   * @returns {Promise<void>}
+   */
+  async executeCoverageScript(workspacePath, script, imageName) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        removeAfterRun: true,
+        mountWorkspace: true,
+        dockerCommand: "docker",
+        containerType: "coverage",
+        resourceManager: this.resourceManager,
+      };
+
+      const coverageProcess = this.dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        imageName,
+        script,
+        "/bin/bash",
+        options,
+      );
+
+      let stderr = "";
+
+      coverageProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      coverageProcess.on("close", (code) => {
+        if (code !== 0) {
+          // Build output can be long, the last lines hold the error
+          const tail = stderr.trim().split("\n").slice(-20).join("\n");
+          reject(
+            new Error(`Coverage script exited with code ${code}: ${tail}`),
+          );
+          return;
+        }
+        resolve();
+      });
+
+      coverageProcess.on("error", (error) => {
+        reject(
+          new Error(`Failed to execute coverage script: ${error.message}`),
+        );
+      });
+    });
+  }
+
+  /**
+   * Loads the last coverage report of a fuzzer
+   * Paths are mapped from the container to the host; files outside the
+   * workspace (system headers, toolchain and dependency sources) are dropped.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {Promise<Object|null>} Report {fuzzerName, generatedAt, files, totals},
+   *   or null if no report exists
+   */
+  async loadCoverage(workspacePath, fuzzerName) {
+    const lcovPath = path.join(
+      this.getCoverageDirectory(workspacePath, fuzzerName),
+      "coverage.lcov",
+    );
+
+    let content;
+    let stats;
+    try {
+      content = await this.fs.readFile(lcovPath, "utf8");
+      stats = await this.fs.stat(lcovPath);
+    } catch (error) {
+      return null;
+    }
+
+    const codeforgeDir = path.join(workspacePath, ".codeforge");
+    const files = [];
+    for (const fileCoverage of parseLcov(content)) {
+      const filePath = this.mapSourcePath(fileCoverage.file, workspacePath);
+      if (filePath && !this.isWithin(filePath, codeforgeDir)) {
+        files.push({ ...fileCoverage, filePath });
+      }
+    }
+    files.sort((a, b) => a.filePath.localeCompare(b.filePath));
+
+    return {
+      fuzzerName,
+      generatedAt: stats.mtime.toISOString(),
+      files,
+      totals: summarizeCoverage(files),
+    };
+  }
+
+  /**
+   * Maps a tracefile source path to a host path inside the workspace
+   * @param {string} file - Source path from the tracefile
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {string|null} Host path, or null if outside the workspace
+   */
+  mapSourcePath(file, workspacePath) {
+    const hostPath = path.resolve(
+      path.isAbsolute(file)
+        ? this.pathMapper.mapContainerToHost(file, workspacePath)
+        : path.join(workspacePath, file),
+    );
+    return this.isWithin(hostPath, workspacePath) ? hostPath : null;
+  }
+
+  /**
+   * Checks whether a path is inside a directory
+   * @param {string} filePath - Path to check
+   * @param {string} directory - Directory path
+   * @returns {boolean} True if filePath is inside directory
+   */
+  isWithin(filePath, directory) {
+    const relativePath = path.relative(directory, filePath);
+    return (
+      relativePath !== "" &&
+      !relativePath.startsWith("..") &&
+      !path.isAbsolute(relativePath)
+    );
+  }
+}
+
+module.exports = { CoverageService, COVERAGE_DIR };
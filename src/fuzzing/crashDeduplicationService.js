@@ -0,0 +1,163 @@
+const dockerOperations = require("../core/dockerOperations");
+const { CrashReportService } = require("./crashReportService");
+const { computeCrashSignature } = require("./crashSignature");
+const { SEVERITY_LEVELS } = require("./sanitizerReportParser");
+const { getCrashDeduplicationConfig } = require("./fuzzingConfig");
+
+/**
+ * CrashDeduplicationService - Groups crash inputs that hit the same bug
+ *
+ * libFuzzer names crash files after the SHA1 of their contents, so a single bug
+ * usually shows up as many crash files. This service derives a signature from
+ * each crash's metadata (the sanitizer bug class and the top symbolized stack
+ * frames, parsed from the cached crash report) and buckets crashes by signature.
+ *
+ * Crash group structure:
+ * {
+ *   signatureId: string,    // short stable id of the signature
+ *   signature: string,      // "<Sanitizer>:<bug-class>|frame1|frame2|..."
+ *   sanitizer: string,      // e.g. "AddressSanitizer"
+ *   bugClass: string,       // e.g. "heap-buffer-overflow"
+ *   severity: string,       // most severe crash severity in the group
+ *   frames: array,          // top frames [{function, file, line}]
+ *   hitCount: number,       // number of crash inputs in the group
+ *   crashes: array,         // crash objects, newest first
+ *   representative: object, // smallest crash input of the group
+ *   firstSeen: string,      // createdAt of the oldest crash
+ *   lastSeen: string        // createdAt of the newest crash
+ * }
+ */
+class CrashDeduplicationService {
+  constructor(resourceManager = null) {
+    this.resourceManager = resourceManager;
+    this.crashReportService = new CrashReportService(resourceManager);
+  }
+
+  /**
+   * Reads the crash deduplication settings, falling back to defaults
+   * @returns {Object} Object with enabled and signatureFrames
+   */
+  getConfig() {
+    try {
+      return getCrashDeduplicationConfig();
+    } catch (error) {
+      console.warn(
+        "Invalid crash deduplication configuration, using defaults:",
+        error.message,
+      );
+      return { enabled: true, signatureFrames: 3 };
+    }
+  }
+
+  /**
+   * Groups a fuzzer's crashes by signature
+   * Crashes carrying metadata (see FuzzerDiscoveryService) are not parsed again.
+   * Crashes whose report cannot be produced are kept as their own group so
+   * that no crash disappears from the UI.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Array} crashes - Crash objects for the fuzzer
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Array>} Crash groups, most recently seen first
+   */
+  async groupCrashes(workspacePath, fuzzerName, crashes, imageName = null) {
+    if (!crashes || crashes.length === 0) {
+      return [];
+    }
+
+    if (!imageName) {
+      imageName = dockerOperations.generateContainerName(workspacePath);
+    }
+
+    const { signatureFrames } = this.getConfig();
+    const groups = new Map();
+
+    for (const crash of crashes) {
+      let signature = null;
+
+      if (crash.fullHash && crash.filePath) {
+        try {
+          // A null metadata property means the report already failed this scan
+          const metadata =
+            crash.metadata !== undefined
+              ? crash.metadata
+              : await this.crashReportService.getCrashMetadata(
+                  workspacePath,
+                  fuzzerName,
+                  crash,
+                  imageName,
+                );
+          if (metadata) {
+            signature = {
+              ...computeCrashSignature(metadata, signatureFrames),
+              severity: metadata.severity,
+            };
+          }
+        } catch (error) {
+          console.warn(
+            `Failed to compute signature for ${fuzzerName}/${crash.id}:`,
+            error.message,
+          );
+        }
+      }
+
+      if (!signature) {
+        const id = crash.fullHash || crash.id;
+        signature = {
+          sanitizer: "unknown",
+          bugClass: "unknown",
+          severity: "unknown",
+          frames: [],
+          signature: `unknown:${id}`,
+          signatureId: `unknown-${id}`,
+        };
+      }
+
+      if (!groups.has(signature.signatureId)) {
+        groups.set(signature.signatureId, { ...signature, crashes: [] });
+      }
+      const group = groups.get(signature.signatureId);
+      group.crashes.push(crash);
+      // Inputs hitting the same frames can differ in access type
+      if (
+        SEVERITY_LEVELS.indexOf(signature.severity) <
+        SEVERITY_LEVELS.indexOf(group.severity)
+      ) {
+        group.severity = signature.severity;
+      }
+    }
+
+    return Array.from(groups.values())
+      .map((group) => this.summarizeGroup(group))
+      .sort(
+        (a, b) =>
+          new Date(b.lastSeen).getTime() - new Date(a.lastSeen).getTime(),
+      );
+  }
+
+  /**
+   * Adds hit count, representative crash and first/last seen times to a group
+   * @param {Object} group - Group with signature fields and crashes
+   * @returns {Object} Completed crash group
+   */
+  summarizeGroup(group) {
+    const crashes = [...group.crashes].sort(
+      (a, b) =>
+        new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime(),
+    );
+    const representative = crashes.reduce((smallest, crash) =>
+      (crash.fileSize || 0) < (smallest.fileSize || 0) ? crash : smallest,
+    );
+
+    return {
+      ...group,
+      crashes,
+      hitCount: crashes.length,
+      representative,
+      firstSeen: crashes[crashes.length - 1].createdAt,
+      lastSeen: crashes[0].createdAt,
+    };
+  }
+}
+
+module.exports = { CrashDeduplicationService };
@@ -2,6 +2,7 @@ const vscode = require("vscode");
 const fs = require("fs").promises;
 const path = require("path");
 const dockerOperations = require("../core/dockerOperations");
+const { getMinimizedCrashPath } = require("./crashMinimizationService");
 
 /**
  * CrashDiscoveryService - Discovers and parses fuzzing crash files
@@ -173,6 +174,8 @@ class CrashDiscoveryService {
 
       // Group crashes by fuzzer
       const crashDataMap = new Map();
+      // Directory listings, to look up minimized inputs once per directory
+      const directoryEntries = new Map();
 
       for (const crashItem of crashList) {
         const { fuzzerName, crashPath } = crashItem;
@@ -209,6 +212,25 @@ class CrashDiscoveryService {
           fuzzerName,
         };
 
+        const minimizedPath = getMinimizedCrashPath(fullCrashPath);
+        const crashDir = this.path.dirname(fullCrashPath);
+        if (!directoryEntries.has(crashDir)) {
+          directoryEntries.set(
+            crashDir,
+            new Set(await this.fs.readdir(crashDir).catch(() => [])),
+          );
+        }
+        if (
+          directoryEntries.get(crashDir).has(this.path.basename(minimizedPath))
+        ) {
+          try {
+            crashInfo.minimizedSize = (await this.fs.stat(minimizedPath)).size;
+            crashInfo.minimizedPath = minimizedPath;
+          } catch (error) {
+            // Removed since the listing, show the crash without it
+          }
+        }
+
         // Add to fuzzer's crash list
         if (!crashDataMap.has(fuzzerName)) {
           crashDataMap.set(fuzzerName, {
@@ -0,0 +1,161 @@
+const fs = require("fs").promises;
+const path = require("path");
+const dockerOperations = require("../core/dockerOperations");
+const { CrashReportService } = require("./crashReportService");
+const { createTarGz } = require("../utils/tarArchive");
+const { shellQuote } = require("../utils/shellUtils");
+
+/**
+ * Where the reproducer mounts the bundle in the container
+ */
+const BUNDLE_MOUNT_DIR = "/codeforge-reproducer";
+
+/**
+ * CrashExportService - Packs a crash into a reproducer bundle that can be
+ * handed to someone without the extension
+ *
+ * The bundle is a .tar.gz with a single <fuzzer>-crash-<id>/ directory:
+ * - the crash input, under its original file name
+ * - report.txt: the symbolized crash report
+ * - crash.json: fuzzer name and preset, crash hash and the Docker image the
+ *   crash was found with (name and image ID)
+ * - reproduce.sh: rebuilds the fuzzer in that image from a checkout of the
+ *   project and replays the crash with `codeforge generate-crash-report`
+ */
+class CrashExportService {
+  constructor(resourceManager = null) {
+    this.fs = fs;
+    this.dockerOperations = dockerOperations;
+    this.crashReportService = new CrashReportService(resourceManager);
+  }
+
+  /**
+   * Gets the name of a crash's bundle directory (and archive)
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Object} crash - Crash with id
+   * @returns {string} Bundle name
+   */
+  getBundleName(fuzzerName, crash) {
+    return `${fuzzerName}-crash-${crash.id}`;
+  }
+
+  /**
+   * Builds the reproduce.sh script of a bundle
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} fuzzer - Fuzzer with name and preset ("" for Rust)
+   * @param {Object} crash - Crash with fullHash and filePath
+   * @param {Object} image - Result of verifyDockerImageUpToDate
+   * @returns {string} Script content
+   */
+  buildReproduceScript(workspacePath, fuzzer, crash, image) {
+    const fileName = path.basename(crash.filePath);
+    // codeforge looks for the crash where it was found in the project
+    const crashDir = path
+      .relative(workspacePath, path.dirname(crash.filePath))
+      .split(path.sep)
+      .join("/");
+    const fuzzerIdentifier =
+      fuzzer.preset && fuzzer.preset.trim() !== ""
+        ? `${fuzzer.preset}:${fuzzer.name}`
+        : fuzzer.name;
+
+    return `#!/usr/bin/env bash
+# Reproduces crash ${crash.fullHash} of fuzzer ${fuzzer.name}.
+#
+# Usage: ./reproduce.sh [PROJECT_DIR]
+#
+# PROJECT_DIR is a checkout of the project at the commit the crash was found
+# on (default: the current directory). The fuzzer is built and the crash is
+# replayed in the Docker image the crash was found with; the crash report is
+# printed at the end. Compare it with report.txt.
+set -euo pipefail
+
+BUNDLE="$(cd "$(dirname "\${BASH_SOURCE[0]}")" && pwd)"
+PROJECT="$(cd "\${1:-.}" && pwd)"
+IMAGE=${shellQuote(image.remoteImage)}
+IMAGE_ID=${shellQuote(image.localImageId || "")}
+
+if ! docker image inspect "$IMAGE" > /dev/null 2>&1; then
+  docker pull "$IMAGE"
+fi
+ACTUAL_ID="$(docker image inspect "$IMAGE" --format '{{.Id}}')"
+if [ -n "$IMAGE_ID" ] && [ "$ACTUAL_ID" != "$IMAGE_ID" ]; then
+  echo "Warning: $IMAGE is $ACTUAL_ID, the crash was found with $IMAGE_ID" >&2
+fi
+
+docker run --rm -i \\
+  -v "$PROJECT:$PROJECT" -w "$PROJECT" \\
+  -v "$BUNDLE:${BUNDLE_MOUNT_DIR}:ro" \\
+  "$IMAGE" /bin/bash -s << 'CONTAINER'
+set -e
+codeforge build-fuzz-tests ${shellQuote(fuzzerIdentifier)}
+mkdir -p ${shellQuote(crashDir)}
+cp ${shellQuote(`${BUNDLE_MOUNT_DIR}/${fileName}`)} ${shellQuote(`${crashDir}/${fileName}`)}
+codeforge generate-crash-report ${shellQuote(`${fuzzer.name}/${crash.fullHash}`)}
+CONTAINER
+`;
+  }
+
+  /**
+   * Exports a crash as a reproducer bundle
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} fuzzer - Fuzzer with name and preset
+   * @param {Object} crash - Crash with id, fullHash and filePath
+   * @param {string} targetPath - Where to write the .tar.gz
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Object>} {filePath, files} with the paths in the archive
+   */
+  async exportReproducer(
+    workspacePath,
+    fuzzer,
+    crash,
+    targetPath,
+    imageName = null,
+  ) {
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    const input = await this.fs.readFile(crash.filePath);
+    const report = await this.crashReportService.getCachedCrashReport(
+      workspacePath,
+      fuzzer.name,
+      crash,
+      imageName,
+    );
+    const image =
+      await this.dockerOperations.verifyDockerImageUpToDate(workspacePath);
+
+    const bundleName = this.getBundleName(fuzzer.name, crash);
+    const manifest = {
+      fuzzer: { name: fuzzer.name, preset: fuzzer.preset || "" },
+      crash: {
+        fullHash: crash.fullHash,
+        fileName: path.basename(crash.filePath),
+        size: input.length,
+      },
+      image: {
+        name: image.remoteImage,
+        id: image.localImageId,
+        upToDate: image.isUpToDate,
+      },
+      exportedAt: new Date().toISOString(),
+    };
+    const entries = [
+      { name: path.basename(crash.filePath), content: input },
+      // The report is colored for the terminal
+      { name: "report.txt", content: report.replace(/\x1b\[[0-9;]*m/g, "") },
+      { name: "crash.json", content: JSON.stringify(manifest, null, 2) + "\n" },
+      {
+        name: "reproduce.sh",
+        content: this.buildReproduceScript(workspacePath, fuzzer, crash, image),
+        mode: 0o755,
+      },
+    ].map((entry) => ({ ...entry, name: `${bundleName}/${entry.name}` }));
+
+    await this.fs.writeFile(targetPath, createTarGz(entries));
+    return { filePath: targetPath, files: entries.map((entry) => entry.name) };
+  }
+}
+
+module.exports = { CrashExportService, BUNDLE_MOUNT_DIR };
@@ -0,0 +1,205 @@
+const fs = require("fs").promises;
+const path = require("path");
+const dockerOperations = require("../core/dockerOperations");
+const { FuzzerResolver } = require("./gdbIntegration");
+const { isScriptSafePath } = require("../utils/shellUtils");
+
+/**
+ * Prefix of minimized crash inputs. It keeps them from being picked up as
+ * crashes (crash-*) while sorting them next to each other.
+ */
+const MINIMIZED_PREFIX = "minimized-";
+
+/**
+ * Gets where the minimized version of a crash input is stored
+ * @param {string} crashPath - Path to the crash input
+ * @returns {string} Path next to the crash input
+ */
+function getMinimizedCrashPath(crashPath) {
+  return path.join(
+    path.dirname(crashPath),
+    `${MINIMIZED_PREFIX}${path.basename(crashPath)}`,
+  );
+}
+
+/**
+ * CrashMinimizationService - Shrinks crash inputs to a smaller input that
+ * still crashes
+ *
+ * The crash is minimized inside the container within a time budget:
+ * - CMake presets: the built fuzzer runs with -minimize_crash=1
+ * - Rust (empty preset): `cargo fuzz tmin`
+ *
+ * The result is stored as minimized-<crash file> next to the original, which
+ * is left untouched. If no smaller input is found, the original is copied.
+ */
+class CrashMinimizationService {
+  constructor(resourceManager = null) {
+    this.fs = fs;
+    this.dockerOperations = dockerOperations;
+    this.resourceManager = resourceManager;
+    this.fuzzerResolver = new FuzzerResolver();
+  }
+
+  /**
+   * Builds the shell script that minimizes a crash input
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} fuzzer - Fuzzer with name, preset ("" for Rust) and, for
+   *   CMake presets, executable (host path of the built fuzzer)
+   * @param {string} crashPath - Path to the crash input
+   * @param {number} maxTotalTime - Time budget in seconds
+   * @returns {string} Script to run in the container
+   */
+  buildMinimizeScript(workspacePath, fuzzer, crashPath, maxTotalTime) {
+    const prepare = [
+      "set -e",
+      `cd "${workspacePath}"`,
+      `CRASH="${crashPath}"`,
+      `OUT="${getMinimizedCrashPath(crashPath)}"`,
+      'TMP="$OUT.tmp"',
+      'rm -f "$TMP"',
+    ];
+
+    let minimize;
+    if (fuzzer.preset && fuzzer.preset.trim() !== "") {
+      minimize = [
+        "trap 'rm -f \"$TMP\"' EXIT",
+        `BIN="${fuzzer.executable}"`,
+        `if [ ! -x "$BIN" ]; then echo "Fuzzer ${fuzzer.name} is not built" >&2; exit 1; fi`,
+        `"$BIN" -minimize_crash=1 -max_total_time=${maxTotalTime} -exact_artifact_path="$TMP" "$CRASH" >&2`,
+      ];
+    } else {
+      // cargo fuzz tmin names its result after the input in the fuzz
+      // project's artifacts directory; the marker tells it apart from
+      // results of earlier runs
+      minimize = [
+        'MARK="$(mktemp)"',
+        'trap \'rm -f "$TMP" "$MARK"\' EXIT',
+        `cargo fuzz tmin "${fuzzer.name}" "$CRASH" -- -max_total_time=${maxTotalTime} >&2`,
+        `RESULT=$(find . -type f -path "*/artifacts/${fuzzer.name}/minimized-from-*" -newer "$MARK" -not -path "./.codeforge/*" | head -n 1)`,
+        'if [ -n "$RESULT" ]; then cp "$RESULT" "$TMP"; fi',
+      ];
+    }
+
+    return [
+      ...prepare,
+      ...minimize,
+      // Nothing smaller was found, the input is already minimal
+      'if [ ! -s "$TMP" ]; then cp "$CRASH" "$TMP"; fi',
+      'mv "$TMP" "$OUT"',
+    ].join("\n");
+  }
+
+  /**
+   * Minimizes a crash input
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} fuzzer - Fuzzer with name and preset
+   * @param {string} crashPath - Path to the crash input
+   * @param {number} maxTotalTime - Time budget in seconds
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Object>} {filePath, originalSize, minimizedSize}
+   */
+  async minimizeCrash(
+    workspacePath,
+    fuzzer,
+    crashPath,
+    maxTotalTime,
+    imageName = null,
+  ) {
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    if (!isScriptSafePath(workspacePath, crashPath)) {
+      throw new Error(`Invalid crash file path: ${crashPath}`);
+    }
+    const { size: originalSize } = await this.fs.stat(crashPath);
+
+    const target = { ...fuzzer };
+    if (fuzzer.preset && fuzzer.preset.trim() !== "") {
+      target.executable = await this.fuzzerResolver.resolveFuzzerExecutable(
+        workspacePath,
+        fuzzer.name,
+      );
+    }
+
+    try {
+      await this.executeMinimizeScript(
+        workspacePath,
+        this.buildMinimizeScript(
+          workspacePath,
+          target,
+          crashPath,
+          maxTotalTime,
+        ),
+        imageName,
+      );
+    } catch (error) {
+      console.error(
+        `Failed to minimize crash ${path.basename(crashPath)}:`,
+        error.message,
+      );
+      throw new Error(`Crash minimization failed: ${error.message}`);
+    }
+
+    const filePath = getMinimizedCrashPath(crashPath);
+    const { size: minimizedSize } = await this.fs.stat(filePath);
+    return { filePath, originalSize, minimizedSize };
+  }
+
+  /**
+   * Runs a crash minimization script in the Docker container
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} script - Script from buildMinimizeScript
+   * @param {string} imageName - Docker image name
+   * @returns {Promise<void>}
+   */
+  async executeMinimizeScript(workspacePath, script, imageName) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        removeAfterRun: true,
+        mountWorkspace: true,
+        dockerCommand: "docker",
+        containerType: "crash_minimization",
+        resourceManager: this.resourceManager,
+      };
+
+      const minimizeProcess = this.dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        imageName,
+        script,
+        "/bin/bash",
+        options,
+      );
+
+      let stderr = "";
+
+      minimizeProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      minimizeProcess.on("close", (code) => {
+        if (code !== 0) {
+          const tail = stderr.trim().split("\n").slice(-20).join("\n");
+          reject(
+            new Error(`Minimization script exited with code ${code}: ${tail}`),
+          );
+          return;
+        }
+        resolve();
+      });
+
+      minimizeProcess.on("error", (error) => {
+        reject(
+          new Error(`Failed to execute minimization script: ${error.message}`),
+        );
+      });
+    });
+  }
+}
+
+module.exports = {
+  CrashMinimizationService,
+  getMinimizedCrashPath,
+  MINIMIZED_PREFIX,
+};
@@ -0,0 +1,408 @@
+const path = require("path");
+const dockerOperations = require("../core/dockerOperations");
+const { CrashReportService } = require("./crashReportService");
+const { CorpusService } = require("./corpusService");
+const { getMinimizedCrashPath } = require("./crashMinimizationService");
+const { isScriptSafePath } = require("../utils/shellUtils");
+
+/**
+ * Line the replay script prints after each replay: fuzzer, crash hash and
+ * exit code
+ */
+const RESULT_MARKER = "CODEFORGE_REPLAY";
+
+/**
+ * Outcome of replaying a crash
+ */
+const REEVALUATION_STATUS = {
+  FIXED: "fixed",
+  REPRODUCING: "reproducing",
+  FLAKY: "flaky",
+};
+
+/**
+ * Where archived crashes go, inside the fuzzer's output directory
+ */
+const ARCHIVE_DIR = "archived-crashes";
+
+/**
+ * Prefix archived crashes are renamed to, so find-crashes (crash-*) skips them
+ */
+const ARCHIVED_PREFIX = "fixed-";
+
+/**
+ * CrashReevaluationService - Replays known crashes against the current build
+ *
+ * Each crash input is replayed N times (codeforge.fuzzing.crashReevaluation.replays)
+ * on the fuzzer binary inside the container. A crash that makes the fuzzer
+ * fail every time is still reproducing, one that never does is fixed, and
+ * anything in between is flaky. The outcome and reproduction rate are stored
+ * with the crash's cached report metadata
+ * (fuzzer_name-output/.crash-cache/<full_hash>.json) under "reevaluation".
+ *
+ * Unlike `codeforge reevaluate-crashes`, which drops a crash the first time it
+ * does not reproduce, only crashes that never reproduced are removed:
+ * deleted, or archived to <fuzzer>-output/archived-crashes/fixed-<hash>.
+ */
+class CrashReevaluationService {
+  constructor(resourceManager = null) {
+    this.dockerOperations = dockerOperations;
+    this.resourceManager = resourceManager;
+    this.crashReportService = new CrashReportService(resourceManager);
+    this.corpusService = new CorpusService(resourceManager);
+  }
+
+  /**
+   * Builds the shell script that replays crashes
+   * The fuzzers must have been built already.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} fuzzers - Fuzzers with name, preset ("" for Rust)
+   *   and crashes (with fullHash and filePath)
+   * @param {Object} options - attempts, timeout (seconds per replay) and
+   *   memoryLimit (MB)
+   * @returns {string} Script to run in the container
+   */
+  buildReplayScript(workspacePath, fuzzers, options) {
+    const flags = `-timeout=${options.timeout} -rss_limit_mb=${options.memoryLimit}`;
+    const lines = [`cd "${workspacePath}"`];
+
+    for (const fuzzer of fuzzers) {
+      const isRust = !fuzzer.preset || fuzzer.preset.trim() === "";
+      const replays = fuzzer.crashes.flatMap((crash) => {
+        const run = isRust
+          ? `cargo fuzz run "${fuzzer.name}" "${crash.filePath}" -- ${flags}`
+          : `"$BIN" ${flags} "${crash.filePath}"`;
+        return [
+          `for i in $(seq ${options.attempts}); do`,
+          `  ${run} > /dev/null 2>&1`,
+          `  echo "${RESULT_MARKER} ${fuzzer.name} ${crash.fullHash} $?"`,
+          "done",
+        ];
+      });
+
+      // Without a binary every replay would fail and look reproducing;
+      // leave the crashes of the fuzzer unreplayed instead
+      if (isRust) {
+        // cargo fuzz run builds the target first, build it once up front so
+        // a build error is not mistaken for a crash
+        lines.push(
+          `if cargo fuzz build "${fuzzer.name}" > /dev/null 2>&1; then`,
+          ...replays,
+          "else",
+          `  echo "Fuzzer ${fuzzer.name} does not build, skipping its crashes" >&2`,
+          "fi",
+        );
+      } else {
+        lines.push(
+          `BIN="$(codeforge get-path-to-fuzzer "${fuzzer.name}" 2>/dev/null || true)"`,
+          'if [ -n "$BIN" ] && [ -x "$BIN" ]; then',
+          ...replays,
+          "else",
+          `  echo "Fuzzer ${fuzzer.name} is not built, skipping its crashes" >&2`,
+          "fi",
+        );
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Counts how often each crash reproduced in the replay script output
+   * @param {string} stdout - Script output
+   * @returns {Map<string, Object>} {attempts, reproduced} by "fuzzer/hash"
+   */
+  parseReplayOutput(stdout) {
+    const counts = new Map();
+    for (const line of stdout.split("\n")) {
+      const parts = line.trim().split(/\s+/);
+      if (parts.length !== 4 || parts[0] !== RESULT_MARKER) {
+        continue;
+      }
+      const key = `${parts[1]}/${parts[2]}`;
+      const count = counts.get(key) || { attempts: 0, reproduced: 0 };
+      count.attempts++;
+      // libFuzzer exits non-zero when the input crashes, times out or
+      // runs out of memory
+      if (parseInt(parts[3], 10) !== 0) {
+        count.reproduced++;
+      }
+      counts.set(key, count);
+    }
+    return counts;
+  }
+
+  /**
+   * Classifies a crash by how often it reproduced
+   * @param {number} reproduced - Replays that crashed
+   * @param {number} attempts - Replays run
+   * @returns {string|null} REEVALUATION_STATUS value, or null if the crash was
+   *   not replayed
+   */
+  classify(reproduced, attempts) {
+    if (attempts === 0) {
+      return null;
+    }
+    if (reproduced === 0) {
+      return REEVALUATION_STATUS.FIXED;
+    }
+    return reproduced === attempts
+      ? REEVALUATION_STATUS.REPRODUCING
+      : REEVALUATION_STATUS.FLAKY;
+  }
+
+  /**
+   * Replays the crashes of the given fuzzers and records the outcome
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} fuzzers - Fuzzers with name, preset and crashes
+   * @param {Object} options - attempts (replays per crash), timeout (seconds
+   *   per replay) and memoryLimit (MB)
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Array<Object>>} One result per replayed crash:
+   *   {fuzzerName, crash, status, reproduced, attempts, reproductionRate}
+   */
+  async reevaluateCrashes(workspacePath, fuzzers, options, imageName = null) {
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    const withCrashes = fuzzers
+      .map((fuzzer) => ({
+        ...fuzzer,
+        crashes: (fuzzer.crashes || []).filter((crash) =>
+          isScriptSafePath(workspacePath, crash.filePath),
+        ),
+      }))
+      .filter((fuzzer) => fuzzer.crashes.length > 0);
+    if (withCrashes.length === 0) {
+      return [];
+    }
+
+    let stdout;
+    try {
+      stdout = await this.runScript(
+        workspacePath,
+        this.buildReplayScript(workspacePath, withCrashes, options),
+        imageName,
+        "crash_reevaluation",
+      );
+    } catch (error) {
+      console.error("Failed to replay crashes:", error.message);
+      throw new Error(`Crash reevaluation failed: ${error.message}`);
+    }
+
+    const counts = this.parseReplayOutput(stdout);
+    const reevaluatedAt = new Date().toISOString();
+    const results = [];
+    for (const fuzzer of withCrashes) {
+      for (const crash of fuzzer.crashes) {
+        const { attempts, reproduced } = counts.get(
+          `${fuzzer.name}/${crash.fullHash}`,
+        ) || { attempts: 0, reproduced: 0 };
+        const status = this.classify(reproduced, attempts);
+        if (!status) {
+          continue;
+        }
+
+        const reevaluation = {
+          status,
+          reproduced,
+          attempts,
+          reproductionRate: reproduced / attempts,
+          reevaluatedAt,
+        };
+        try {
+          await this.crashReportService.updateCache(crash, { reevaluation });
+        } catch (error) {
+          console.warn(
+            `Failed to store reevaluation of crash ${crash.id}:`,
+            error.message,
+          );
+        }
+        results.push({ fuzzerName: fuzzer.name, crash, ...reevaluation });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Gets where a crash is moved to when archived
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Object} crash - Crash with fullHash
+   * @returns {string} Path of the archived crash input
+   */
+  getArchivedCrashPath(workspacePath, fuzzerName, crash) {
+    return path.join(
+      this.corpusService.getFuzzerOutputDirectory(workspacePath, fuzzerName),
+      ARCHIVE_DIR,
+      `${ARCHIVED_PREFIX}${crash.fullHash}`,
+    );
+  }
+
+  /**
+   * Moves crashes out of the crash list into the fuzzer's archive
+   * The minimized input of a crash is moved along with it.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Array<Object>} crashes - Crashes with fullHash and filePath
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Array<string>>} Paths of the archived crash inputs
+   */
+  async archiveCrashes(workspacePath, fuzzerName, crashes, imageName = null) {
+    const archived = [];
+    const lines = this.validateCrashPaths(workspacePath, crashes).flatMap(
+      (crash) => {
+        const target = this.getArchivedCrashPath(
+          workspacePath,
+          fuzzerName,
+          crash,
+        );
+        const minimized = getMinimizedCrashPath(crash.filePath);
+        archived.push(target);
+        return [
+          `mkdir -p "${path.dirname(target)}"`,
+          `mv -f "${crash.filePath}" "${target}"`,
+          `if [ -f "${minimized}" ]; then mv -f "${minimized}" "${getMinimizedCrashPath(target)}"; fi`,
+        ];
+      },
+    );
+    if (lines.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.runFileScript(
+        workspacePath,
+        lines,
+        imageName,
+        "crash_archive",
+      );
+    } catch (error) {
+      throw new Error(`Archiving crashes failed: ${error.message}`);
+    }
+    return archived;
+  }
+
+  /**
+   * Deletes crashes and their minimized inputs
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} crashes - Crashes with filePath
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Array<string>>} Paths of the deleted crash inputs
+   */
+  async deleteCrashes(workspacePath, crashes, imageName = null) {
+    const deleted = this.validateCrashPaths(workspacePath, crashes).map(
+      (crash) => crash.filePath,
+    );
+    if (deleted.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.runFileScript(
+        workspacePath,
+        deleted.map(
+          (filePath) =>
+            `rm -f "${filePath}" "${getMinimizedCrashPath(filePath)}"`,
+        ),
+        imageName,
+        "crash_delete",
+      );
+    } catch (error) {
+      throw new Error(`Deleting crashes failed: ${error.message}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Checks that crashes can be moved or deleted by a container script
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} crashes - Crashes with filePath
+   * @returns {Array<Object>} The crashes
+   * @throws {Error} If a crash path cannot be placed in the script
+   */
+  validateCrashPaths(workspacePath, crashes) {
+    for (const crash of crashes) {
+      if (!isScriptSafePath(workspacePath, crash.filePath)) {
+        throw new Error(`Invalid crash file path: ${crash.filePath}`);
+      }
+    }
+    return crashes;
+  }
+
+  /**
+   * Runs commands on crash files in the container
+   * The crash files belong to root, so they are moved and deleted there.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<string>} commands - Shell commands
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @param {string} containerType - Container type for tracking
+   * @returns {Promise<string>} Script output
+   */
+  async runFileScript(workspacePath, commands, imageName, containerType) {
+    return this.runScript(
+      workspacePath,
+      ["set -e", ...commands].join("\n"),
+      imageName || this.dockerOperations.generateContainerName(workspacePath),
+      containerType,
+    );
+  }
+
+  /**
+   * Runs a script in the Docker container
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} script - Script to run
+   * @param {string} imageName - Docker image name
+   * @param {string} containerType - Container type for tracking
+   * @returns {Promise<string>} Script output
+   */
+  async runScript(workspacePath, script, imageName, containerType) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        removeAfterRun: true,
+        mountWorkspace: true,
+        dockerCommand: "docker",
+        containerType,
+        resourceManager: this.resourceManager,
+      };
+
+      const scriptProcess = this.dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        imageName,
+        script,
+        "/bin/bash",
+        options,
+      );
+
+      let stdout = "";
+      let stderr = "";
+
+      scriptProcess.stdout.on("data", (data) => {
+        stdout += data.toString();
+      });
+
+      scriptProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      scriptProcess.on("close", (code) => {
+        if (code !== 0) {
+          const tail = stderr.trim().split("\n").slice(-20).join("\n");
+          reject(new Error(`Script exited with code ${code}: ${tail}`));
+          return;
+        }
+        resolve(stdout);
+      });
+
+      scriptProcess.on("error", (error) => {
+        reject(new Error(`Failed to execute script: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = {
+  CrashReevaluationService,
+  REEVALUATION_STATUS,
+};
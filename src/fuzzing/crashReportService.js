@@ -1,5 +1,22 @@
+const fs = require("fs").promises;
 const path = require("path");
 const dockerOperations = require("../core/dockerOperations");
+const {
+  parseSanitizerReport,
+  PARSER_VERSION,
+} = require("./sanitizerReportParser");
+const { validateFuzzerName } = require("./fuzzerUtils");
+
+/**
+ * Directory (next to the crash files) holding cached crash reports and metadata
+ * Named so that it is never matched by the crash-* glob used by find-crashes.
+ */
+const CRASH_CACHE_DIR = ".crash-cache";
+
+/**
+ * Prefix of the lines separating the reports of a batch
+ */
+const REPORT_MARKER = "CODEFORGE_CRASH_REPORT";
 
 /**
  * CrashReportService - Generates crash reports for crash files
@@ -9,11 +26,17 @@ const dockerOperations = require("../core/dockerOperations");
  * - A crash identifier in the format "fuzzer_name/full_hash" (without "crash-" prefix)
  * - The fuzzer executable to exist in .codeforge/fuzzing/
  * - The crash file to exist in .codeforge/fuzzing/fuzzer_name-output/
+ *
+ * Generated reports and the structured metadata parsed from them are cached in
+ * fuzzer_name-output/.crash-cache/<full_hash>.json so they are produced only once per crash.
+ * Failed generations are cached as well (as reportError, with the parser
+ * version) so that crash list refreshes do not retry them.
  */
 class CrashReportService {
   constructor(resourceManager = null) {
     this.dockerOperations = dockerOperations;
     this.resourceManager = resourceManager;
+    this.fs = fs;
   }
 
   /**
@@ -121,6 +144,388 @@ class CrashReportService {
     });
   }
 
+  /**
+   * Gets the cache file path for a crash
+   * @param {Object} crash - Crash object from CrashDiscoveryService
+   * @returns {string} Absolute path to the cache file
+   */
+  getCacheFilePath(crash) {
+    return path.join(
+      path.dirname(crash.filePath),
+      CRASH_CACHE_DIR,
+      `${crash.fullHash}.json`,
+    );
+  }
+
+  /**
+   * Reads the cache entry for a crash
+   * @param {Object} crash - Crash object
+   * @returns {Promise<Object>} Cached fields (empty object if not cached)
+   */
+  async readCache(crash) {
+    try {
+      const content = await this.fs.readFile(
+        this.getCacheFilePath(crash),
+        "utf8",
+      );
+      return JSON.parse(content);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Merges fields into the cache entry for a crash
+   * @param {Object} crash - Crash object
+   * @param {Object} fields - Fields to store
+   * @returns {Promise<void>}
+   */
+  async updateCache(crash, fields) {
+    const cachePath = this.getCacheFilePath(crash);
+    const cached = await this.readCache(crash);
+
+    await this.fs.mkdir(path.dirname(cachePath), { recursive: true });
+    await this.fs.writeFile(
+      cachePath,
+      JSON.stringify(
+        { ...cached, ...fields, fullHash: crash.fullHash },
+        null,
+        2,
+      ) + "\n",
+      "utf8",
+    );
+  }
+
+  /**
+   * Gets the crash report for a crash, generating and caching it if needed
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Object} crash - Crash object (requires fullHash and filePath)
+   * @param {string} imageName - Docker image name for script execution
+   * @returns {Promise<string>} The crash report output
+   */
+  async getCachedCrashReport(workspacePath, fuzzerName, crash, imageName) {
+    const cached = await this.readCache(crash);
+    if (typeof cached.report === "string") {
+      return cached.report;
+    }
+
+    const report = await this.generateCrashReport(
+      workspacePath,
+      fuzzerName,
+      crash.fullHash,
+      imageName,
+    );
+
+    try {
+      await this.updateCache(crash, {
+        report,
+        generatedAt: new Date().toISOString(),
+        reportError: undefined,
+      });
+    } catch (error) {
+      console.warn(
+        `Failed to cache crash report for ${crash.id}:`,
+        error.message,
+      );
+    }
+
+    return report;
+  }
+
+  /**
+   * Gets structured crash metadata (sanitizer, bug class, severity, stack, ...)
+   * Metadata is parsed from the cached report and cached itself; entries written
+   * by an older parser version are parsed again without re-running the container.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Object} crash - Crash object (requires fullHash and filePath)
+   * @param {string} imageName - Docker image name for script execution
+   * @returns {Promise<Object>} Crash metadata (see sanitizerReportParser.parseSanitizerReport)
+   */
+  async getCrashMetadata(workspacePath, fuzzerName, crash, imageName) {
+    const cached = await this.readCache(crash);
+    if (cached.metadata && cached.metadata.version === PARSER_VERSION) {
+      return cached.metadata;
+    }
+
+    let report;
+    try {
+      report = await this.getCachedCrashReport(
+        workspacePath,
+        fuzzerName,
+        crash,
+        imageName,
+      );
+    } catch (error) {
+      await this.cacheReportError(crash, error.message);
+      throw error;
+    }
+    const metadata = parseSanitizerReport(report);
+
+    try {
+      await this.updateCache(crash, { metadata });
+    } catch (error) {
+      console.warn(
+        `Failed to cache crash metadata for ${crash.id}:`,
+        error.message,
+      );
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Reads the metadata of a crash without running a container
+   * Metadata missing from the cache is parsed from a cached report if there
+   * is one.
+   * @param {Object} crash - Crash object (requires fullHash and filePath)
+   * @returns {Promise<{metadata: Object|null, needsReport: boolean}>} The
+   *   metadata, and whether a report still has to be generated for it (false
+   *   when the last generation failed with the current parser version)
+   */
+  async readCachedMetadata(crash) {
+    const cached = await this.readCache(crash);
+    if (cached.metadata && cached.metadata.version === PARSER_VERSION) {
+      return { metadata: cached.metadata, needsReport: false };
+    }
+
+    if (typeof cached.report === "string") {
+      const metadata = parseSanitizerReport(cached.report);
+      try {
+        await this.updateCache(crash, { metadata });
+      } catch (error) {
+        console.warn(
+          `Failed to cache crash metadata for ${crash.id}:`,
+          error.message,
+        );
+      }
+      return { metadata, needsReport: false };
+    }
+
+    return {
+      metadata: null,
+      needsReport: !(
+        cached.reportError && cached.reportError.version === PARSER_VERSION
+      ),
+    };
+  }
+
+  /**
+   * Records that no report could be generated for a crash
+   * @param {Object} crash - Crash object
+   * @param {string} message - Why generation failed
+   * @returns {Promise<boolean>} True if the failure was cached
+   */
+  async cacheReportError(crash, message) {
+    try {
+      await this.updateCache(crash, {
+        reportError: {
+          message,
+          version: PARSER_VERSION,
+          failedAt: new Date().toISOString(),
+        },
+      });
+      return true;
+    } catch (error) {
+      console.warn(
+        `Failed to cache crash report error for ${crash.id}:`,
+        error.message,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Generates the reports and metadata of several crashes in one container
+   * Reports, metadata and failures are cached like those of getCrashMetadata.
+   * Crashes whose fuzzer name or hash cannot be placed in a script are
+   * skipped.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} entries - {fuzzerName, crash} pairs
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<number>} Number of crashes whose cache entry was written
+   */
+  async generateCrashMetadataBatch(workspacePath, entries, imageName = null) {
+    const valid = entries.filter(
+      ({ fuzzerName, crash }) =>
+        validateFuzzerName(fuzzerName).valid &&
+        /^[0-9a-f]+$/i.test(crash.fullHash || ""),
+    );
+    if (valid.length === 0) {
+      return 0;
+    }
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    const stdout = await this.executeBatchReportScript(
+      workspacePath,
+      this.buildBatchReportScript(
+        valid.map(({ fuzzerName, crash }) => `${fuzzerName}/${crash.fullHash}`),
+      ),
+      imageName,
+    );
+    const results = this.parseBatchReportOutput(stdout);
+
+    let written = 0;
+    for (const { fuzzerName, crash } of valid) {
+      const result = results.get(`${fuzzerName}/${crash.fullHash}`);
+      if (!result) {
+        // The container stopped before this crash, try again next time
+        continue;
+      }
+
+      if (result.code !== 0) {
+        const errorMsg = result.stderr || result.stdout || "Unknown error";
+        if (
+          await this.cacheReportError(
+            crash,
+            `Crash report generation exited with code ${result.code}: ${errorMsg}`,
+          )
+        ) {
+          written++;
+        }
+        continue;
+      }
+
+      const report =
+        result.stdout ||
+        result.stderr ||
+        "No crash report generated (process may not have crashed)";
+      try {
+        await this.updateCache(crash, {
+          report,
+          generatedAt: new Date().toISOString(),
+          metadata: parseSanitizerReport(report),
+          reportError: undefined,
+        });
+        written++;
+      } catch (error) {
+        console.warn(
+          `Failed to cache crash report for ${crash.id}:`,
+          error.message,
+        );
+      }
+    }
+    return written;
+  }
+
+  /**
+   * Builds the script that generates the reports of several crashes
+   * Each report is framed by marker lines carrying the crash identifier, and
+   * the command's stderr and exit code (see parseBatchReportOutput).
+   * @param {Array<string>} crashIdentifiers - "fuzzer_name/full_hash" identifiers
+   * @returns {string} Script to run in the container
+   */
+  buildBatchReportScript(crashIdentifiers) {
+    return [
+      "report() {",
+      `  printf '\\n${REPORT_MARKER} begin %s\\n' "$1"`,
+      '  codeforge generate-crash-report "$1" 2> /tmp/codeforge-crash-report.err',
+      "  status=$?",
+      `  printf '\\n${REPORT_MARKER} stderr\\n'`,
+      "  cat /tmp/codeforge-crash-report.err",
+      `  printf '\\n${REPORT_MARKER} end %s %s\\n' "$1" "$status"`,
+      "}",
+      ...crashIdentifiers.map(
+        (crashIdentifier) => `report "${crashIdentifier}"`,
+      ),
+      "exit 0",
+    ].join("\n");
+  }
+
+  /**
+   * Splits the output of a batch report script into the reports
+   * @param {string} stdout - Script output
+   * @returns {Map<string, Object>} {code, stdout, stderr} by crash identifier,
+   *   for the crashes whose report completed
+   */
+  parseBatchReportOutput(stdout) {
+    const results = new Map();
+    let current = null;
+
+    for (const line of stdout.split("\n")) {
+      const parts = line.trim().split(/\s+/);
+      if (parts[0] !== REPORT_MARKER) {
+        if (current) {
+          (current.inStderr ? current.stderr : current.stdout).push(line);
+        }
+        continue;
+      }
+
+      if (parts[1] === "begin") {
+        current = { id: parts[2], stdout: [], stderr: [], inStderr: false };
+      } else if (parts[1] === "stderr" && current) {
+        current.inStderr = true;
+      } else if (parts[1] === "end" && current && parts[2] === current.id) {
+        results.set(current.id, {
+          code: parseInt(parts[3], 10),
+          stdout: current.stdout.join("\n").trim(),
+          stderr: current.stderr.join("\n").trim(),
+        });
+        current = null;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Runs a batch report script in the Docker container
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} script - Script from buildBatchReportScript
+   * @param {string} imageName - Docker image name
+   * @returns {Promise<string>} Output of the script
+   */
+  async executeBatchReportScript(workspacePath, script, imageName) {
+    return new Promise((resolve, reject) => {
+      const batchProcess = this.dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        imageName,
+        script,
+        "/bin/bash",
+        {
+          removeAfterRun: true,
+          mountWorkspace: true,
+          dockerCommand: "docker",
+          containerType: "crash_report_generation",
+          resourceManager: this.resourceManager,
+        },
+      );
+
+      let stdout = "";
+      let stderr = "";
+
+      batchProcess.stdout.on("data", (data) => {
+        stdout += data.toString();
+      });
+
+      batchProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      batchProcess.on("close", (code) => {
+        if (code !== 0) {
+          reject(
+            new Error(
+              `Crash report generation exited with code ${code}: ${(stderr || "Unknown error").trim()}`,
+            ),
+          );
+          return;
+        }
+        resolve(stdout);
+      });
+
+      batchProcess.on("error", (error) => {
+        reject(
+          new Error(
+            `Failed to execute crash report generation: ${error.message}`,
+          ),
+        );
+      });
+    });
+  }
+
   /**
    * Extract crash hash from crash ID
    * Crash IDs are typically in format "crash-HASH" where HASH is the identifier
@@ -174,7 +579,6 @@ class CrashReportService {
   async isCrashReportAvailable(workspacePath, fuzzerName) {
     try {
       // Check if fuzzing directory exists (where fuzzer executables and crashes are stored)
-      const fs = require("fs").promises;
       const fuzzingDir = path.join(workspacePath, ".codeforge", "fuzzing");
       await fs.access(fuzzingDir);
 
@@ -188,4 +592,4 @@ class CrashReportService {
   }
 }
 
-module.exports = { CrashReportService };
+module.exports = { CrashReportService, CRASH_CACHE_DIR };
@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+const {
+  parseSanitizerReport,
+  isIgnoredFrame,
+} = require("./sanitizerReportParser");
+
+/**
+ * Crash signature utilities
+ * Derives a stable signature from parsed crash metadata (see
+ * sanitizerReportParser) used to group crash inputs that hit the same bug.
+ */
+
+/**
+ * Normalizes a function name so rebuilt binaries produce the same signature
+ * @param {string} name - Function name from a stack frame
+ * @returns {string} Normalized name
+ */
+function normalizeFunctionName(name) {
+  return (
+    name
+      // Rust symbol hashes change with every build
+      .replace(/::h[0-9a-f]{16}$/, "")
+      // Compiler-generated clone suffixes (foo.cold, foo.constprop.0)
+      .replace(/\.(cold|constprop|isra|part|lto_priv)(\.\d+)*$/, "")
+  );
+}
+
+/**
+ * Computes the deduplication signature of a crash
+ * @param {string|Object} reportOrMetadata - Crash report text or metadata from parseSanitizerReport
+ * @param {number} topN - Number of symbolized frames to include
+ * @returns {Object} Signature details: sanitizer, bugClass, frames, signature, signatureId
+ */
+function computeCrashSignature(reportOrMetadata, topN = 3) {
+  const metadata =
+    typeof reportOrMetadata === "string" || !reportOrMetadata
+      ? parseSanitizerReport(reportOrMetadata)
+      : reportOrMetadata;
+  const { sanitizer, bugClass } = metadata;
+  const frames = (metadata.stack || [])
+    .filter((frame) => !isIgnoredFrame(frame))
+    .slice(0, topN)
+    .map((frame) => ({
+      function: normalizeFunctionName(frame.function),
+      file: frame.file,
+      line: frame.line,
+    }));
+
+  const signature = [
+    `${sanitizer}:${bugClass}`,
+    ...frames.map((frame) => frame.function),
+  ].join("|");
+
+  return {
+    sanitizer,
+    bugClass,
+    frames,
+    signature,
+    signatureId: crypto
+      .createHash("sha1")
+      .update(signature)
+      .digest("hex")
+      .substring(0, 12),
+  };
+}
+
+module.exports = {
+  normalizeFunctionName,
+  computeCrashSignature,
+};
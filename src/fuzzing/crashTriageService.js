@@ -0,0 +1,209 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { computeCrashSignature } = require("./crashSignature");
+
+/**
+ * Workspace-relative path of the triage file
+ */
+const TRIAGE_FILE = ".codeforge/triage.json";
+
+/**
+ * Triage statuses, in the order they are offered
+ */
+const TRIAGE_STATUSES = ["new", "confirmed", "wontfix", "fixed"];
+
+/**
+ * Stack frames in the signature a triage record is keyed on
+ * Fixed rather than codeforge.fuzzing.crashDeduplication.signatureFrames: the
+ * file is shared, and a key computed with another user's setting would not
+ * find the record.
+ */
+const TRIAGE_SIGNATURE_FRAMES = 3;
+
+/**
+ * CrashTriageService - Team triage of unique crashes
+ *
+ * Records live in .codeforge/triage.json, which is meant to be checked in so
+ * the whole team sees who looks at which crash. A record belongs to a unique
+ * crash: the fuzzer plus the crash signature (see crashSignature) over
+ * TRIAGE_SIGNATURE_FRAMES frames, or the crash input hash when no report could
+ * be parsed. Crash inputs hitting the same bug therefore share a record, and
+ * the record outlives the crash files: clearing or reevaluating crashes does
+ * not touch it, and a crash found again later shows up with its old triage.
+ *
+ * File structure:
+ * {
+ *   "crashes": {
+ *     "<fuzzer>/<signatureId or crash hash>": {
+ *       "status": "new" | "confirmed" | "wontfix" | "fixed",
+ *       "assignee": string,
+ *       "notes": string,
+ *       "issueUrl": string,        // http(s) URL
+ *       "signature": string,       // human-readable signature, for reviewers
+ *       "updatedAt": string        // ISO date
+ *     }
+ *   }
+ * }
+ */
+class CrashTriageService {
+  constructor(fsModule = null) {
+    this.fs = fsModule || fs;
+  }
+
+  /**
+   * Gets the key of a crash's triage record
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Object} crash - Crash with fullHash and, if parsed, metadata
+   * @returns {string} "<fuzzer>/<signatureId>", or "<fuzzer>/<crash hash>"
+   *   for crashes without metadata
+   */
+  getTriageKey(fuzzerName, crash) {
+    if (crash.metadata) {
+      const { signatureId } = computeCrashSignature(
+        crash.metadata,
+        TRIAGE_SIGNATURE_FRAMES,
+      );
+      return `${fuzzerName}/${signatureId}`;
+    }
+    return `${fuzzerName}/${crash.fullHash || crash.id}`;
+  }
+
+  /**
+   * Reads the triage records of a workspace
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {Promise<Object>} Records keyed by triage key ({} if the file does not exist)
+   * @throws {Error} If the file is not valid JSON or a record is invalid
+   */
+  async loadTriage(workspacePath) {
+    let content;
+    try {
+      content = await this.fs.readFile(
+        path.join(workspacePath, TRIAGE_FILE),
+        "utf8",
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+
+    let file;
+    try {
+      file = JSON.parse(content);
+    } catch (error) {
+      throw new Error(
+        `Invalid crash triage in ${TRIAGE_FILE}:\n${error.message}`,
+      );
+    }
+
+    const records = (file && file.crashes) || {};
+    const errors = Object.entries(records).flatMap(([key, record]) =>
+      this.validateRecord(record).map((error) => `${key}: ${error}`),
+    );
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid crash triage in ${TRIAGE_FILE}:\n${errors.join("\n")}`,
+      );
+    }
+    return records;
+  }
+
+  /**
+   * Updates the triage record of a crash
+   * Other records and top-level keys of the file are kept; the file is created
+   * if it does not exist. Records are written sorted by key so concurrent
+   * edits merge cleanly.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} key - Triage key (see getTriageKey)
+   * @param {Object} fields - Fields to set; empty strings clear a field
+   * @returns {Promise<Object>} The stored record
+   * @throws {Error} If the existing file cannot be parsed or the record is invalid
+   */
+  async updateTriage(workspacePath, key, fields) {
+    const filePath = path.join(workspacePath, TRIAGE_FILE);
+
+    let file = {};
+    try {
+      file = JSON.parse(await this.fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(
+          `Invalid crash triage in ${TRIAGE_FILE}:\n${error.message}`,
+        );
+      }
+    }
+
+    const records = { ...((file && file.crashes) || {}) };
+    const record = { status: "new", ...records[key] };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === "" || value === null || value === undefined) {
+        delete record[field];
+      } else {
+        record[field] = typeof value === "string" ? value.trim() : value;
+      }
+    }
+    record.updatedAt = new Date().toISOString();
+
+    const errors = this.validateRecord(record);
+    if (errors.length > 0) {
+      throw new Error(`Invalid triage for ${key}:\n${errors.join("\n")}`);
+    }
+    records[key] = record;
+
+    const sorted = {};
+    for (const recordKey of Object.keys(records).sort()) {
+      sorted[recordKey] = records[recordKey];
+    }
+    await this.fs.mkdir(path.dirname(filePath), { recursive: true });
+    await this.fs.writeFile(
+      filePath,
+      JSON.stringify({ ...file, crashes: sorted }, null, 2) + "\n",
+      "utf8",
+    );
+    return record;
+  }
+
+  /**
+   * Validates a triage record
+   * @param {Object} record - Triage record
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validateRecord(record) {
+    if (typeof record !== "object" || record === null) {
+      return ["record must be an object"];
+    }
+
+    const errors = [];
+    if (!TRIAGE_STATUSES.includes(record.status)) {
+      errors.push(
+        `status must be one of ${TRIAGE_STATUSES.join(", ")}, got: ${record.status}`,
+      );
+    }
+    for (const field of [
+      "assignee",
+      "notes",
+      "issueUrl",
+      "signature",
+      "updatedAt",
+    ]) {
+      if (field in record && typeof record[field] !== "string") {
+        errors.push(`${field} must be a string`);
+      }
+    }
+    if (
+      typeof record.issueUrl === "string" &&
+      !/^https?:\/\/\S+$/.test(record.issueUrl)
+    ) {
+      errors.push(`issueUrl must be an http(s) URL, got: ${record.issueUrl}`);
+    }
+    return errors;
+  }
+}
+
+module.exports = {
+  CrashTriageService,
+  TRIAGE_FILE,
+  TRIAGE_STATUSES,
+  TRIAGE_SIGNATURE_FRAMES,
+};
@@ -3,6 +3,9 @@ const fs = require("fs").promises;
 const path = require("path");
 const dockerOperations = require("../core/dockerOperations");
 const { CrashDiscoveryService } = require("./crashDiscoveryService");
+const { CrashDeduplicationService } = require("./crashDeduplicationService");
+const { CrashReportService } = require("./crashReportService");
+const { CrashTriageService } = require("./crashTriageService");
 const { formatFuzzerDisplayName } = require("./fuzzerUtils");
 const { getOutputDirectory } = require("./fuzzingConfig");
 
@@ -18,6 +21,7 @@ const { getOutputDirectory } = require("./fuzzingConfig");
  *   name: string,           // fuzzer name (e.g., "example-fuzz")
  *   preset: string,         // CMake preset name
  *   crashes: array,         // associated crash objects
+ *   crashGroups: array,     // crashes grouped by signature (see CrashDeduplicationService)
  *   lastUpdated: Date,      // last discovery check
  *   outputDir: string       // fuzzing output directory
  * }
@@ -28,9 +32,22 @@ class FuzzerDiscoveryService {
     this.path = path;
     this.resourceManager = resourceManager;
     this.crashDiscoveryService = new CrashDiscoveryService(resourceManager);
+    this.crashReportService = new CrashReportService(resourceManager);
+    this.crashDeduplicationService = new CrashDeduplicationService(
+      resourceManager,
+    );
+    this.crashTriageService = new CrashTriageService();
     this.cachedFuzzers = new Map();
     this.cacheTimestamp = null;
     this.cacheTimeout = 30000; // 30 seconds cache timeout
+    // Crashes waiting for a report, by crash file path
+    this.pendingCrashMetadata = new Map();
+    this.crashMetadataInProgress = new Set();
+    this.crashMetadataGeneration = Promise.resolve(0);
+    this.onDidGenerateCrashMetadataEmitter = new vscode.EventEmitter();
+    // Fires once generated crash metadata can be shown by a refresh
+    this.onDidGenerateCrashMetadata =
+      this.onDidGenerateCrashMetadataEmitter.event;
   }
 
   /**
@@ -80,6 +97,7 @@ class FuzzerDiscoveryService {
         workspacePath,
         fuzzerList,
         crashData,
+        imageName,
       );
 
       // Add displayName to each fuzzer for UI display (testCount already added in buildFuzzerObjects)
@@ -90,6 +108,7 @@ class FuzzerDiscoveryService {
 
       // Update cache
       this.updateCache(fuzzersWithDisplayNames);
+      this.startCrashMetadataGeneration(workspacePath, imageName);
 
       return fuzzersWithDisplayNames;
     } catch (error) {
@@ -221,18 +240,26 @@ class FuzzerDiscoveryService {
    * @param {string} workspacePath - Path to the workspace root
    * @param {Array} fuzzerList - Array of {preset, fuzzer} objects
    * @param {Array} crashData - Crash data from CrashDiscoveryService
+   * @param {string} imageName - Docker image name used to generate crash reports for deduplication
    * @returns {Promise<Array>} Array of complete fuzzer objects
    */
-  async buildFuzzerObjects(workspacePath, fuzzerList, crashData) {
+  async buildFuzzerObjects(
+    workspacePath,
+    fuzzerList,
+    crashData,
+    imageName = null,
+  ) {
     const fuzzers = [];
     const now = new Date();
 
     for (const fuzzerInfo of fuzzerList) {
       try {
-        // Get associated crashes
-        const crashes = this.associateCrashesWithFuzzers(
+        // Get associated crashes with their parsed sanitizer metadata
+        const crashes = await this.attachCrashMetadata(
+          workspacePath,
           fuzzerInfo.fuzzer,
-          crashData,
+          this.associateCrashesWithFuzzers(fuzzerInfo.fuzzer, crashData),
+          imageName,
         );
 
         // Get output directory
@@ -244,11 +271,20 @@ class FuzzerDiscoveryService {
         // Get test count for this fuzzer
         const testCount = await this.getTestCount(outputDir);
 
+        // Group crashes hitting the same bug
+        const crashGroups = await this.getCrashGroups(
+          workspacePath,
+          fuzzerInfo.fuzzer,
+          crashes,
+          imageName,
+        );
+
         // Build simplified fuzzer object
         const fuzzer = {
           name: fuzzerInfo.fuzzer,
           preset: fuzzerInfo.preset,
           crashes: crashes,
+          crashGroups: crashGroups,
           lastUpdated: now,
           outputDir: outputDir,
           testCount: testCount,
@@ -270,6 +306,7 @@ class FuzzerDiscoveryService {
           name: fuzzerInfo.fuzzer,
           preset: fuzzerInfo.preset,
           crashes: [],
+          crashGroups: [],
           lastUpdated: now,
           outputDir: outputDir,
           testCount: 0,
@@ -280,6 +317,166 @@ class FuzzerDiscoveryService {
     return fuzzers;
   }
 
+  /**
+   * Adds structured sanitizer metadata (bug class, severity, stack, ...) to crashes
+   * Only metadata already in the crash report cache is attached, so a refresh
+   * never waits for a container. Crashes without a cached report are queued
+   * for generatePendingCrashMetadata and get their metadata on a later
+   * refresh.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Array} crashes - Crashes associated with the fuzzer
+   * @param {string} imageName - Docker image name (unused, kept for compatibility)
+   * @returns {Promise<Array>} Crashes with metadata, reevaluation and triage
+   *   properties (null when unavailable) and their triageKey
+   */
+  async attachCrashMetadata(
+    workspacePath,
+    fuzzerName,
+    crashes,
+    imageName = null,
+  ) {
+    let triage = {};
+    if (crashes.length > 0) {
+      try {
+        triage = await this.crashTriageService.loadTriage(workspacePath);
+      } catch (error) {
+        console.warn("Failed to read crash triage:", error.message);
+      }
+    }
+    const annotated = [];
+    for (const crash of crashes) {
+      let metadata = null;
+      if (crash.fullHash && crash.filePath) {
+        try {
+          const cached =
+            await this.crashReportService.readCachedMetadata(crash);
+          metadata = cached.metadata;
+          if (
+            cached.needsReport &&
+            !this.crashMetadataInProgress.has(crash.filePath)
+          ) {
+            this.pendingCrashMetadata.set(crash.filePath, {
+              fuzzerName,
+              crash,
+            });
+          }
+        } catch (error) {
+          console.warn(
+            `Failed to get crash metadata for ${fuzzerName}/${crash.id}:`,
+            error.message,
+          );
+        }
+      }
+      // Outcome of the last replay after a build, if any
+      const { reevaluation = null } = crash.filePath
+        ? await this.crashReportService.readCache(crash)
+        : {};
+      // Triage is shared by all inputs of a unique crash
+      const triageKey = this.crashTriageService.getTriageKey(fuzzerName, {
+        ...crash,
+        metadata,
+      });
+      annotated.push({
+        ...crash,
+        metadata,
+        reevaluation,
+        triageKey,
+        triage: triage[triageKey] || null,
+      });
+    }
+    return annotated;
+  }
+
+  /**
+   * Generates the reports of the crashes queued by attachCrashMetadata
+   * All queued crashes share one container; generations run one after the
+   * other. onDidGenerateCrashMetadata fires when cache entries were written.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<number>} Number of crashes whose report was generated or
+   *   failed for good
+   */
+  generatePendingCrashMetadata(workspacePath, imageName = null) {
+    const generate = async () => {
+      const entries = Array.from(this.pendingCrashMetadata.values());
+      this.pendingCrashMetadata.clear();
+      if (entries.length === 0) {
+        return 0;
+      }
+
+      for (const { crash } of entries) {
+        this.crashMetadataInProgress.add(crash.filePath);
+      }
+      try {
+        const written =
+          await this.crashReportService.generateCrashMetadataBatch(
+            workspacePath,
+            entries,
+            imageName,
+          );
+        if (written > 0) {
+          this.onDidGenerateCrashMetadataEmitter.fire(workspacePath);
+        }
+        return written;
+      } finally {
+        for (const { crash } of entries) {
+          this.crashMetadataInProgress.delete(crash.filePath);
+        }
+      }
+    };
+
+    this.crashMetadataGeneration = this.crashMetadataGeneration
+      .catch(() => 0)
+      .then(generate);
+    return this.crashMetadataGeneration;
+  }
+
+  /**
+   * Starts generatePendingCrashMetadata in the background if crashes are queued
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} imageName - Docker image name
+   */
+  startCrashMetadataGeneration(workspacePath, imageName) {
+    if (this.pendingCrashMetadata.size === 0) {
+      return;
+    }
+    this.generatePendingCrashMetadata(workspacePath, imageName).catch(
+      (error) => {
+        console.warn("Failed to generate crash reports:", error.message);
+      },
+    );
+  }
+
+  /**
+   * Groups a fuzzer's crashes by stack signature
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Array} crashes - Crashes associated with the fuzzer
+   * @param {string} imageName - Docker image name (optional)
+   * @returns {Promise<Array|null>} Crash groups, or null when deduplication is disabled or fails
+   */
+  async getCrashGroups(workspacePath, fuzzerName, crashes, imageName = null) {
+    if (!this.crashDeduplicationService.getConfig().enabled) {
+      return null;
+    }
+
+    try {
+      return await this.crashDeduplicationService.groupCrashes(
+        workspacePath,
+        fuzzerName,
+        crashes,
+        imageName,
+      );
+    } catch (error) {
+      console.warn(
+        `Crash deduplication failed for ${fuzzerName}, showing individual crashes:`,
+        error.message,
+      );
+      return null;
+    }
+  }
+
   /**
    * Links crashes to their respective fuzzers
    * @param {string} fuzzerName - Name of the fuzzer
@@ -352,18 +549,29 @@ class FuzzerDiscoveryService {
             workspacePath,
             containerName,
           );
-          const crashes = this.associateCrashesWithFuzzers(
+          const crashes = await this.attachCrashMetadata(
+            workspacePath,
+            fuzzerName,
+            this.associateCrashesWithFuzzers(fuzzerName, crashData),
+            containerName,
+          );
+
+          const crashGroups = await this.getCrashGroups(
+            workspacePath,
             fuzzerName,
-            crashData,
+            crashes,
+            containerName,
           );
 
           const updatedFuzzer = {
             ...cachedFuzzer,
             crashes: crashes,
+            crashGroups: crashGroups,
             lastUpdated: new Date(),
           };
 
           this.cachedFuzzers.set(fuzzerName, updatedFuzzer);
+          this.startCrashMetadataGeneration(workspacePath, containerName);
           return [updatedFuzzer];
         }
       }
@@ -426,6 +634,26 @@ class FuzzerDiscoveryService {
   getAllCachedFuzzers() {
     return Array.from(this.cachedFuzzers.values());
   }
+
+  /**
+   * Sets the triage of cached crashes without rediscovering them
+   * Crash groups hold the same crash objects, so they are updated too.
+   * @param {string} triageKey - Triage key of the unique crash
+   * @param {Object|null} triage - New triage record
+   * @returns {number} Number of crashes updated
+   */
+  updateCachedTriage(triageKey, triage) {
+    let updated = 0;
+    for (const fuzzer of this.cachedFuzzers.values()) {
+      for (const crash of fuzzer.crashes || []) {
+        if (crash.triageKey === triageKey) {
+          crash.triage = triage;
+          updated++;
+        }
+      }
+    }
+    return updated;
+  }
 }
 
 module.exports = { FuzzerDiscoveryService };
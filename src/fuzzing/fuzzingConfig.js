@@ -1,4 +1,6 @@
 const vscode = require("vscode");
+const fs = require("fs").promises;
+const path = require("path");
 
 /**
  * Configuration service for managing fuzzer settings from VSCode's configuration system.
@@ -22,6 +24,19 @@ const DEFAULT_CONFIG = {
   timeoutPerRun: 25,
   outputDirectory: ".codeforge/fuzzing",
   preserveCorpus: true,
+  crashDeduplication: {
+    enabled: true,
+    signatureFrames: 3,
+  },
+  crashMinimization: {
+    maxTotalTime: 60,
+  },
+  regressionDirectory: ".codeforge/regressions",
+  crashReevaluation: {
+    afterBuild: false,
+    archiveFixed: false,
+    replays: 3,
+  },
 };
 
 /**
@@ -34,6 +49,44 @@ const VALIDATION_RULES = {
   "fuzzing.libfuzzer.maxLen": { min: 1, max: 1048576 },
   "fuzzing.memoryLimit": { min: 128, max: 16384 },
   "fuzzing.timeoutPerRun": { min: 1, max: 300 },
+  "fuzzing.crashDeduplication.signatureFrames": { min: 1, max: 20 },
+  "fuzzing.crashMinimization.maxTotalTime": { min: 1, max: 3600 },
+  "fuzzing.crashReevaluation.replays": { min: 1, max: 20 },
+};
+
+/**
+ * Project file with per-fuzzer overrides, relative to the workspace root
+ */
+const FUZZER_OVERRIDES_FILE = ".codeforge/fuzzers.json";
+
+/**
+ * Corpus directory entries that are not corpus inputs: libFuzzer stores
+ * crashing, leaking, timing out and OOM inputs next to the corpus, and
+ * minimized crashes are stored beside them. Replaying or merging them would
+ * abort the run.
+ */
+const EXCLUDED_INPUT_PATTERNS = [
+  "crash-*",
+  "leak-*",
+  "timeout-*",
+  "oom-*",
+  "minimized-*",
+];
+
+/**
+ * Numeric options a fuzzer can override: the VALIDATION_RULES entry each is
+ * checked against and the libFuzzer flag it is passed as
+ */
+const OVERRIDE_OPTIONS = {
+  "libfuzzer.runs": { rule: "fuzzing.libfuzzer.runs", flag: "runs" },
+  "libfuzzer.jobs": { rule: "fuzzing.libfuzzer.jobs", flag: "jobs" },
+  "libfuzzer.maxTotalTime": {
+    rule: "fuzzing.libfuzzer.maxTotalTime",
+    flag: "max_total_time",
+  },
+  "libfuzzer.maxLen": { rule: "fuzzing.libfuzzer.maxLen", flag: "max_len" },
+  memoryLimit: { rule: "fuzzing.memoryLimit", flag: "rss_limit_mb" },
+  timeoutPerRun: { rule: "fuzzing.timeoutPerRun", flag: "timeout" },
 };
 
 /**
@@ -94,12 +147,12 @@ function getFuzzingConfig() {
  * Gets LibFuzzer-specific options in the format expected by the existing fuzzRunner.js code.
  * This provides compatibility with the existing DEFAULT_LIBFUZZER_OPTIONS structure.
  *
+ * @param {Object} config - Configuration to convert (default: getFuzzingConfig(); pass
+ *   getFuzzerConfig() for a fuzzer with overrides)
  * @returns {Object} LibFuzzer options object compatible with existing code
  * @throws {Error} If configuration validation fails
  */
-function getLibFuzzerOptions() {
-  const config = getFuzzingConfig();
-
+function getLibFuzzerOptions(config = getFuzzingConfig()) {
   // Convert to format expected by existing fuzzRunner.js
   const libfuzzerOptions = {
     fork: 1, // Always use fork mode for parallel execution
@@ -295,6 +348,434 @@ function shouldPreserveCorpus() {
   return config.preserveCorpus;
 }
 
+/**
+ * Gets crash deduplication settings.
+ * Crashes are grouped by sanitizer type plus the top N symbolized stack frames.
+ *
+ * @returns {Object} Object with enabled flag and signatureFrames count
+ * @throws {Error} If configuration validation fails
+ */
+function getCrashDeduplicationConfig() {
+  const config = vscode.workspace.getConfiguration("codeforge");
+  const dedupConfig = {
+    enabled: config.get(
+      "fuzzing.crashDeduplication.enabled",
+      DEFAULT_CONFIG.crashDeduplication.enabled,
+    ),
+    signatureFrames: config.get(
+      "fuzzing.crashDeduplication.signatureFrames",
+      DEFAULT_CONFIG.crashDeduplication.signatureFrames,
+    ),
+  };
+
+  const errors = [];
+  if (typeof dedupConfig.enabled !== "boolean") {
+    errors.push(
+      `crashDeduplication.enabled must be a boolean, got: ${typeof dedupConfig.enabled}`,
+    );
+  }
+  const framesRule =
+    VALIDATION_RULES["fuzzing.crashDeduplication.signatureFrames"];
+  if (!validateRange(dedupConfig.signatureFrames, framesRule)) {
+    errors.push(
+      `crashDeduplication.signatureFrames must be between ${framesRule.min} and ${framesRule.max}, got: ${dedupConfig.signatureFrames}`,
+    );
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid fuzzing configuration:\n${errors.join("\n")}`);
+  }
+
+  return dedupConfig;
+}
+
+/**
+ * Gets the settings for minimizing crash inputs on demand.
+ *
+ * @returns {Object} Object with maxTotalTime, the time budget in seconds
+ * @throws {Error} If configuration validation fails
+ */
+function getCrashMinimizationConfig() {
+  const config = vscode.workspace.getConfiguration("codeforge");
+  const maxTotalTime = config.get(
+    "fuzzing.crashMinimization.maxTotalTime",
+    DEFAULT_CONFIG.crashMinimization.maxTotalTime,
+  );
+
+  const rule = VALIDATION_RULES["fuzzing.crashMinimization.maxTotalTime"];
+  if (!validateRange(maxTotalTime, rule)) {
+    throw new Error(
+      `Invalid fuzzing configuration:\ncrashMinimization.maxTotalTime must be between ${rule.min} and ${rule.max}, got: ${maxTotalTime}`,
+    );
+  }
+
+  return { maxTotalTime };
+}
+
+/**
+ * Gets the settings for replaying known crashes.
+ *
+ * @returns {Object} Object with afterBuild (replay the crashes of rebuilt
+ *   fuzzers when a build succeeds), archiveFixed (move crashes that no
+ *   longer reproduce to the archive) and replays (how often each crash is
+ *   replayed)
+ * @throws {Error} If configuration validation fails
+ */
+function getCrashReevaluationConfig() {
+  const config = vscode.workspace.getConfiguration("codeforge");
+  const reevaluationConfig = {
+    afterBuild: config.get(
+      "fuzzing.crashReevaluation.afterBuild",
+      DEFAULT_CONFIG.crashReevaluation.afterBuild,
+    ),
+    archiveFixed: config.get(
+      "fuzzing.crashReevaluation.archiveFixed",
+      DEFAULT_CONFIG.crashReevaluation.archiveFixed,
+    ),
+    replays: config.get(
+      "fuzzing.crashReevaluation.replays",
+      DEFAULT_CONFIG.crashReevaluation.replays,
+    ),
+  };
+
+  const errors = ["afterBuild", "archiveFixed"]
+    .filter((key) => typeof reevaluationConfig[key] !== "boolean")
+    .map(
+      (key) =>
+        `crashReevaluation.${key} must be a boolean, got: ${typeof reevaluationConfig[key]}`,
+    );
+  const replaysRule = VALIDATION_RULES["fuzzing.crashReevaluation.replays"];
+  if (
+    !Number.isInteger(reevaluationConfig.replays) ||
+    !validateRange(reevaluationConfig.replays, replaysRule)
+  ) {
+    errors.push(
+      `crashReevaluation.replays must be a whole number between ${replaysRule.min} and ${replaysRule.max}, got: ${reevaluationConfig.replays}`,
+    );
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid fuzzing configuration:\n${errors.join("\n")}`);
+  }
+
+  return reevaluationConfig;
+}
+
+/**
+ * Gets the directory regression inputs are saved to and replayed from.
+ * Each fuzzer has a subdirectory named after it.
+ *
+ * @returns {string} Workspace-relative directory
+ * @throws {Error} If the directory is not inside the workspace
+ */
+function getRegressionDirectory() {
+  const config = vscode.workspace.getConfiguration("codeforge");
+  const directory = config.get(
+    "fuzzing.regressionDirectory",
+    DEFAULT_CONFIG.regressionDirectory,
+  );
+
+  // Inputs are replayed in the container, which only sees the workspace
+  if (!isWorkspacePath(directory)) {
+    throw new Error(
+      `Invalid fuzzing configuration:\nregressionDirectory must be a path inside the workspace, got: ${directory}`,
+    );
+  }
+
+  return directory;
+}
+
+/**
+ * Reads the per-fuzzer overrides of a workspace from .codeforge/fuzzers.json
+ * File structure (every field of a fuzzer entry is optional):
+ * {
+ *   "fuzzers": {
+ *     "<fuzzer>": {
+ *       "enabled": boolean,
+ *       "libfuzzer": { "runs", "jobs", "maxTotalTime", "maxLen" },
+ *       "memoryLimit": number,
+ *       "timeoutPerRun": number,
+ *       "dictionary": string,         // workspace-relative path
+ *       "seedCorpus": string[],       // workspace-relative directories
+ *       "env": { "<NAME>": string }   // e.g. ASAN_OPTIONS
+ *     }
+ *   }
+ * }
+ *
+ * @param {string} workspacePath - Path to the workspace root
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {Promise<Object>} Overrides keyed by fuzzer name ({} if the file does not exist)
+ * @throws {Error} If the file is not valid JSON or an override is invalid
+ */
+async function loadFuzzerOverrides(workspacePath, fsModule = fs) {
+  let content;
+  try {
+    content = await fsModule.readFile(
+      path.join(workspacePath, FUZZER_OVERRIDES_FILE),
+      "utf8",
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw error;
+  }
+
+  let file;
+  try {
+    file = JSON.parse(content);
+  } catch (error) {
+    throw new Error(
+      `Invalid fuzzer overrides in ${FUZZER_OVERRIDES_FILE}:\n${error.message}`,
+    );
+  }
+
+  const overrides = (file && file.fuzzers) || {};
+  const errors = validateFuzzerOverrides(overrides);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid fuzzer overrides in ${FUZZER_OVERRIDES_FILE}:\n${errors.join("\n")}`,
+    );
+  }
+  return overrides;
+}
+
+/**
+ * Updates the override of one fuzzer in .codeforge/fuzzers.json
+ * Other fuzzers and top-level keys of the file are kept; the file is created
+ * if it does not exist.
+ *
+ * @param {string} workspacePath - Path to the workspace root
+ * @param {string} fuzzerName - Name of the fuzzer
+ * @param {Function} update - Receives the current override (or {}) and returns the new one
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {Promise<Object>} The stored override
+ * @throws {Error} If the existing file cannot be parsed or the new override is invalid
+ */
+async function saveFuzzerOverride(
+  workspacePath,
+  fuzzerName,
+  update,
+  fsModule = fs,
+) {
+  const filePath = path.join(workspacePath, FUZZER_OVERRIDES_FILE);
+
+  let file = {};
+  try {
+    file = JSON.parse(await fsModule.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(
+        `Invalid fuzzer overrides in ${FUZZER_OVERRIDES_FILE}:\n${error.message}`,
+      );
+    }
+  }
+
+  const fuzzers = { ...(file.fuzzers || {}) };
+  fuzzers[fuzzerName] = update({ ...(fuzzers[fuzzerName] || {}) });
+
+  const errors = validateFuzzerOverrides({
+    [fuzzerName]: fuzzers[fuzzerName],
+  });
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid fuzzer overrides in ${FUZZER_OVERRIDES_FILE}:\n${errors.join("\n")}`,
+    );
+  }
+
+  await fsModule.mkdir(path.dirname(filePath), { recursive: true });
+  await fsModule.writeFile(
+    filePath,
+    JSON.stringify({ ...file, fuzzers }, null, 2) + "\n",
+    "utf8",
+  );
+  return fuzzers[fuzzerName];
+}
+
+/**
+ * Validates per-fuzzer overrides against the same rules as the settings.
+ *
+ * @param {Object} overrides - Overrides keyed by fuzzer name
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateFuzzerOverrides(overrides) {
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    return ['"fuzzers" must be an object keyed by fuzzer name'];
+  }
+
+  const errors = [];
+  for (const [name, override] of Object.entries(overrides)) {
+    if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+      errors.push(`Invalid fuzzer name: ${name}`);
+      continue;
+    }
+    if (typeof override !== "object" || override === null) {
+      errors.push(`${name}: override must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(override)) {
+      if (
+        ![
+          "enabled",
+          "libfuzzer",
+          "memoryLimit",
+          "timeoutPerRun",
+          "dictionary",
+          "seedCorpus",
+          "env",
+        ].includes(key)
+      ) {
+        errors.push(`${name}: unknown option "${key}"`);
+      }
+    }
+
+    if ("libfuzzer" in override) {
+      if (
+        typeof override.libfuzzer !== "object" ||
+        override.libfuzzer === null
+      ) {
+        errors.push(`${name}: libfuzzer must be an object`);
+        continue;
+      }
+      for (const key of Object.keys(override.libfuzzer)) {
+        if (!(`libfuzzer.${key}` in OVERRIDE_OPTIONS)) {
+          errors.push(`${name}: unknown option "libfuzzer.${key}"`);
+        }
+      }
+    }
+
+    for (const [key, { rule }] of Object.entries(OVERRIDE_OPTIONS)) {
+      const value = getOverrideValue(override, key);
+      if (value === undefined) {
+        continue;
+      }
+      const range = VALIDATION_RULES[rule];
+      if (!validateRange(value, range)) {
+        errors.push(
+          range.max !== undefined
+            ? `${name}: ${key} must be between ${range.min} and ${range.max}, got: ${value}`
+            : `${name}: ${key} must be >= ${range.min}, got: ${value}`,
+        );
+      }
+    }
+
+    if ("enabled" in override && typeof override.enabled !== "boolean") {
+      errors.push(
+        `${name}: enabled must be a boolean, got: ${typeof override.enabled}`,
+      );
+    }
+    if ("dictionary" in override && !isWorkspacePath(override.dictionary)) {
+      errors.push(
+        `${name}: dictionary must be a path inside the workspace, got: ${override.dictionary}`,
+      );
+    }
+    if ("seedCorpus" in override) {
+      if (
+        !Array.isArray(override.seedCorpus) ||
+        !override.seedCorpus.every(isWorkspacePath)
+      ) {
+        errors.push(
+          `${name}: seedCorpus must be a list of paths inside the workspace`,
+        );
+      }
+    }
+    if ("env" in override) {
+      if (typeof override.env !== "object" || override.env === null) {
+        errors.push(`${name}: env must be an object of variable names`);
+      } else {
+        for (const [variable, value] of Object.entries(override.env)) {
+          if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(variable)) {
+            errors.push(`${name}: invalid environment variable: ${variable}`);
+          } else if (typeof value !== "string") {
+            errors.push(`${name}: env.${variable} must be a string`);
+          }
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Gets the configuration of one fuzzer: the settings with its overrides applied.
+ *
+ * @param {string} fuzzerName - Name of the fuzzer
+ * @param {Object} overrides - Overrides from loadFuzzerOverrides()
+ * @returns {Object} getFuzzingConfig() result plus enabled, dictionary, seedCorpus and env
+ * @throws {Error} If the merged configuration is invalid
+ */
+function getFuzzerConfig(fuzzerName, overrides = {}) {
+  const config = getFuzzingConfig();
+  const override = overrides[fuzzerName] || {};
+
+  const fuzzerConfig = {
+    ...config,
+    libfuzzer: { ...config.libfuzzer, ...(override.libfuzzer || {}) },
+    memoryLimit:
+      override.memoryLimit !== undefined
+        ? override.memoryLimit
+        : config.memoryLimit,
+    timeoutPerRun:
+      override.timeoutPerRun !== undefined
+        ? override.timeoutPerRun
+        : config.timeoutPerRun,
+  };
+  validateConfig(fuzzerConfig);
+
+  return {
+    ...fuzzerConfig,
+    enabled: override.enabled !== false,
+    dictionary: override.dictionary || null,
+    seedCorpus: override.seedCorpus || [],
+    env: override.env || {},
+  };
+}
+
+/**
+ * Gets the libFuzzer flags for the options a fuzzer overrides.
+ * Options that are not overridden are left to the run script.
+ *
+ * @param {Object} override - Override of one fuzzer
+ * @returns {Array<string>} Flags such as "-max_len=1024"
+ */
+function getOverrideLibFuzzerFlags(override = {}) {
+  const flags = [];
+  for (const [key, { flag }] of Object.entries(OVERRIDE_OPTIONS)) {
+    const value = getOverrideValue(override, key);
+    if (value !== undefined) {
+      flags.push(`-${flag}=${value}`);
+    }
+  }
+  return flags;
+}
+
+/**
+ * Reads a dotted option ("libfuzzer.maxLen") from an override
+ *
+ * @param {Object} override - Override of one fuzzer
+ * @param {string} key - Option key from OVERRIDE_OPTIONS
+ * @returns {*} Value, or undefined if not set
+ */
+function getOverrideValue(override, key) {
+  return key
+    .split(".")
+    .reduce((value, part) => (value ? value[part] : undefined), override);
+}
+
+/**
+ * Checks that a path from the overrides file stays inside the workspace,
+ * which is the only host directory mounted into the container.
+ *
+ * @param {string} value - Workspace-relative path
+ * @returns {boolean} True if the path is relative and does not leave the workspace
+ */
+function isWorkspacePath(value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    return false;
+  }
+  const normalized = path.normalize(value);
+  return !path.isAbsolute(normalized) && !normalized.startsWith("..");
+}
+
 /**
  * Gets the current configuration as a human-readable summary for logging/debugging.
  *
@@ -321,5 +802,16 @@ module.exports = {
   shouldMinimizeCrashes,
   shouldPreserveCorpus,
   getConfigSummary,
+  getCrashDeduplicationConfig,
+  getCrashMinimizationConfig,
+  getCrashReevaluationConfig,
+  getRegressionDirectory,
+  loadFuzzerOverrides,
+  saveFuzzerOverride,
+  validateFuzzerOverrides,
+  getFuzzerConfig,
+  getOverrideLibFuzzerFlags,
   DEFAULT_CONFIG,
+  FUZZER_OVERRIDES_FILE,
+  EXCLUDED_INPUT_PATTERNS,
 };
@@ -2,7 +2,29 @@ const vscode = require("vscode");
 const dockerOperations = require("../core/dockerOperations");
 const path = require("path");
 const fs = require("fs").promises;
-const { getOutputDirectory } = require("./fuzzingConfig");
+const {
+  getOutputDirectory,
+  getLibFuzzerOptions,
+  loadFuzzerOverrides,
+  getFuzzerConfig,
+  getOverrideLibFuzzerFlags,
+  FUZZER_OVERRIDES_FILE,
+} = require("./fuzzingConfig");
+const { LibFuzzerStatsTracker } = require("./libfuzzerStatsParser");
+const { shellQuote } = require("../utils/shellUtils");
+
+/**
+ * How long a stopped fuzzer gets to flush its corpus and exit after SIGINT
+ * before its container is stopped
+ */
+const STOP_GRACE_PERIOD_MS = 15000;
+
+/**
+ * Fuzz runs in progress, one entry per fuzzer of a run
+ * Key: `${workspacePath}:${fuzzerName}`, Value: run shared by the fuzzers
+ * started together ({containerName, fuzzers, startedAt, paused, stopped, exited})
+ */
+const runningFuzzers = new Map();
 
 /**
  * Builds fuzz tests using the build-fuzz-tests.sh script
@@ -470,7 +492,14 @@ async function countCrashFiles(workspacePath, fuzzerName) {
  * @param {string} containerName - Docker container name
  * @param {Array} fuzzTests - Array of fuzz test objects with preset and fuzzer properties
  * @param {Object} terminal - Terminal instance for logging
- * @returns {Promise<Object>} Execution results with executed count, crashes, and errors
+ * @param {Object} resourceManager - Optional resource manager for container tracking
+ * @param {Object} runOptions - Additional run options
+ * @param {Function} runOptions.onStats - Called with (fuzzerName, stats) as libFuzzer progress lines stream in
+ * @param {Object} runOptions.sessionHistory - SessionHistoryService used to record each fuzzer's session
+ * @param {Array<string>} runOptions.libFuzzerArgs - Extra libFuzzer flags (e.g. "-max_total_time=600"),
+ *   passed after the fuzzer list and forwarded by the run script to each fuzzer
+ * @returns {Promise<Object>} Execution results with executed count, crashes, errors, and
+ *   the fuzzers skipped because they are disabled in .codeforge/fuzzers.json
  */
 async function runFuzzTestsWithScript(
   workspacePath,
@@ -478,11 +507,13 @@ async function runFuzzTestsWithScript(
   fuzzTests,
   terminal,
   resourceManager = null,
+  runOptions = {},
 ) {
   const results = {
     executed: 0,
     crashes: [],
     errors: [],
+    skipped: [],
   };
 
   if (fuzzTests.length === 0) {
@@ -490,20 +521,30 @@ async function runFuzzTestsWithScript(
     return results;
   }
 
-  // Convert fuzz tests to script format
-  // CMake format: "preset:fuzzer_name preset:fuzzer_name ..."
-  // Rust format: "fuzzer_name fuzzer_name ..." (no preset)
-  const fuzzerList = fuzzTests
-    .map((ft) => {
-      if (ft.preset && ft.preset.trim() !== "") {
-        // CMake format with preset
-        return `${ft.preset}:${ft.fuzzer}`;
-      } else {
-        // Rust format without preset
-        return ft.fuzzer;
-      }
-    })
-    .join(" ");
+  const overrides = await loadFuzzerOverrides(workspacePath);
+  results.skipped = fuzzTests
+    .filter(
+      (ft) => overrides[ft.fuzzer] && overrides[ft.fuzzer].enabled === false,
+    )
+    .map((ft) => ft.fuzzer);
+  if (results.skipped.length > 0) {
+    safeFuzzingLog(
+      terminal,
+      `Skipping fuzzer(s) disabled in ${FUZZER_OVERRIDES_FILE}: ${results.skipped.join(", ")}`,
+    );
+    fuzzTests = fuzzTests.filter((ft) => !results.skipped.includes(ft.fuzzer));
+    if (fuzzTests.length === 0) {
+      return results;
+    }
+  }
+
+  // Execute the run script with the fuzzer list
+  const runCommand = buildRunCommand(
+    workspacePath,
+    fuzzTests,
+    overrides,
+    runOptions.libFuzzerArgs,
+  );
 
   safeFuzzingLog(terminal, `Running ${fuzzTests.length} fuzz test(s)...`);
 
@@ -523,11 +564,10 @@ async function runFuzzTestsWithScript(
       removeAfterRun: true,
       mountWorkspace: true,
       dockerCommand: "docker",
+      containerType: "fuzzing",
+      containerName: `${containerName}_fuzzing_${Date.now()}`,
     };
 
-    // Execute the run script with the fuzzer list
-    const runCommand = `codeforge run-fuzz-tests "${fuzzerList}"`;
-
     const runProcess = dockerOperations.runDockerCommandWithOutput(
       workspacePath,
       containerName,
@@ -535,13 +575,32 @@ async function runFuzzTestsWithScript(
       "/bin/bash",
       { ...options, resourceManager },
     );
+    const run = registerFuzzRun(
+      workspacePath,
+      options.containerName,
+      fuzzTests.map((ft) => ft.fuzzer),
+      runProcess,
+    );
 
     let stdout = "";
     let stderr = "";
 
+    // Parse libFuzzer status lines as they stream so callers can show live
+    // progress and so the final numbers can be recorded in the session history
+    const statsTracker =
+      typeof runOptions.onStats === "function" || runOptions.sessionHistory
+        ? new LibFuzzerStatsTracker(runOptions.onStats, {
+            initialFuzzer: fuzzTests.length === 1 ? fuzzTests[0].fuzzer : null,
+          })
+        : null;
+    const runStartTime = new Date().toISOString();
+
     runProcess.stdout.on("data", (data) => {
       const chunk = data.toString();
       stdout += chunk;
+      if (statsTracker) {
+        statsTracker.processChunk(chunk, "stdout");
+      }
       // Stream execution output to terminal in real-time
       if (terminal && typeof terminal.writeRaw === "function") {
         terminal.writeRaw(chunk, "\x1b[37m"); // Light gray for execution output
@@ -551,6 +610,9 @@ async function runFuzzTestsWithScript(
     runProcess.stderr.on("data", (data) => {
       const chunk = data.toString();
       stderr += chunk;
+      if (statsTracker) {
+        statsTracker.processChunk(chunk, "stderr");
+      }
       // Stream error output to terminal in real-time with error formatting
       if (terminal && typeof terminal.writeRaw === "function") {
         terminal.writeRaw(chunk, "\x1b[31m"); // Red for error output
@@ -558,6 +620,11 @@ async function runFuzzTestsWithScript(
     });
 
     runProcess.on("close", async (code) => {
+      unregisterFuzzRun(workspacePath, run);
+      if (statsTracker) {
+        statsTracker.finishAll();
+      }
+
       // Parse script output for execution results
       const executionResults = parseScriptExecutionResults(
         stdout,
@@ -567,6 +634,19 @@ async function runFuzzTestsWithScript(
       results.executed = executionResults.executed;
       results.errors = executionResults.errors;
 
+      if (runOptions.sessionHistory) {
+        await recordFuzzingSessions(
+          workspacePath,
+          fuzzTests,
+          statsTracker,
+          executionResults,
+          code,
+          runStartTime,
+          runOptions.sessionHistory,
+          overrides,
+        );
+      }
+
       // Display execution summary
       if (terminal && typeof terminal.writeRaw === "function") {
         if (code === 0 || results.executed > 0) {
@@ -601,7 +681,14 @@ async function runFuzzTestsWithScript(
         }
       }
 
-      if (code !== 0 && results.executed === 0) {
+      if (run.stopped.size > 0) {
+        safeFuzzingLog(
+          terminal,
+          `Stopped on request: ${Array.from(run.stopped).join(", ")}`,
+        );
+      }
+
+      if (code !== 0 && results.executed === 0 && run.stopped.size === 0) {
         // Complete failure
         const error = new Error(
           `Run script failed with exit code ${code}: ${stderr}`,
@@ -625,6 +712,11 @@ async function runFuzzTestsWithScript(
     });
 
     runProcess.on("error", (error) => {
+      unregisterFuzzRun(workspacePath, run);
+      if (statsTracker) {
+        statsTracker.finishAll();
+      }
+
       const wrappedError = new Error(
         `Failed to execute run script: ${error.message}`,
       );
@@ -646,6 +738,262 @@ async function runFuzzTestsWithScript(
   });
 }
 
+/**
+ * Builds the shell command that runs fuzz tests with the run script
+ * Fuzzers without overrides in .codeforge/fuzzers.json share one
+ * run-fuzz-tests invocation. Each fuzzer with overrides gets its own, so its
+ * flags, dictionary and environment apply to it alone; its seed corpus
+ * directories are copied into its corpus first. The command exits with the
+ * last non-zero status of the invocations.
+ * @param {string} workspacePath - Path to the workspace
+ * @param {Array} fuzzTests - Fuzz tests with preset and fuzzer properties
+ * @param {Object} overrides - Overrides from loadFuzzerOverrides()
+ * @param {Array<string>} libFuzzerArgs - Extra libFuzzer flags for every fuzzer
+ * @returns {string} Command to run in the container
+ */
+function buildRunCommand(
+  workspacePath,
+  fuzzTests,
+  overrides = {},
+  libFuzzerArgs = [],
+) {
+  // CMake format: "preset:fuzzer_name preset:fuzzer_name ..."
+  // Rust format: "fuzzer_name fuzzer_name ..." (no preset)
+  const runFuzzTests = (tests, flags, quotedFlags = []) =>
+    [
+      `codeforge run-fuzz-tests "${tests
+        .map((ft) =>
+          ft.preset && ft.preset.trim() !== ""
+            ? `${ft.preset}:${ft.fuzzer}`
+            : ft.fuzzer,
+        )
+        .join(" ")}"`,
+      ...formatLibFuzzerArgs(flags),
+      ...quotedFlags,
+    ].join(" ");
+
+  const hasRunOverrides = (override) =>
+    !!override &&
+    (getOverrideLibFuzzerFlags(override).length > 0 ||
+      !!override.dictionary ||
+      (override.seedCorpus || []).length > 0 ||
+      Object.keys(override.env || {}).length > 0);
+
+  const shared = fuzzTests.filter(
+    (ft) => !hasRunOverrides(overrides[ft.fuzzer]),
+  );
+  const customized = fuzzTests.filter((ft) =>
+    hasRunOverrides(overrides[ft.fuzzer]),
+  );
+  if (customized.length === 0) {
+    return runFuzzTests(fuzzTests, libFuzzerArgs);
+  }
+
+  let outputDir;
+  try {
+    outputDir = getOutputDirectory();
+  } catch (error) {
+    outputDir = ".codeforge/fuzzing";
+  }
+
+  const steps = ["status=0"];
+  if (shared.length > 0) {
+    steps.push(`${runFuzzTests(shared, libFuzzerArgs)} || status=$?`);
+  }
+  for (const ft of customized) {
+    const override = overrides[ft.fuzzer];
+    const corpusDir = shellQuote(
+      path.join(workspacePath, outputDir, `${ft.fuzzer}-output`, "corpus"),
+    );
+    for (const seedDir of override.seedCorpus || []) {
+      const source = shellQuote(path.join(workspacePath, seedDir));
+      steps.push(
+        `mkdir -p ${corpusDir} && find ${source} -type f -exec cp -n {} ${corpusDir}/ \\; || echo ${shellQuote(`[!] Could not copy seed corpus ${seedDir}`)} >&2`,
+      );
+    }
+
+    // The dictionary path starts with the workspace path, which may contain any
+    // character, so it is quoted here rather than checked like other flags
+    const quotedFlags = override.dictionary
+      ? [shellQuote(`-dict=${path.join(workspacePath, override.dictionary)}`)]
+      : [];
+    // Flags given by the caller come last so they take precedence
+    quotedFlags.push(...formatLibFuzzerArgs(libFuzzerArgs));
+
+    const env = Object.entries(override.env || {}).map(
+      ([name, value]) => `${name}=${shellQuote(value)}`,
+    );
+    steps.push(
+      `${[...env, runFuzzTests([ft], getOverrideLibFuzzerFlags(override), quotedFlags)].join(" ")} || status=$?`,
+    );
+  }
+  steps.push("exit $status");
+  return steps.join("; ");
+}
+
+/**
+ * Quotes extra libFuzzer flags for the run command
+ * @param {Array<string>} args - Flags of the form -name=value
+ * @returns {Array<string>} Quoted flags
+ * @throws {Error} If a flag is malformed or contains shell metacharacters
+ */
+function formatLibFuzzerArgs(args = []) {
+  return (args || []).map((arg) => {
+    if (!/^-[a-z_]+=[A-Za-z0-9_.,:/+-]*$/.test(arg)) {
+      throw new Error(`Invalid libFuzzer flag: ${arg}`);
+    }
+    return `"${arg}"`;
+  });
+}
+
+/**
+ * Registers the fuzzers of a run so they can be stopped or paused by name
+ * @param {string} workspacePath - Path to the workspace
+ * @param {string} containerName - Name of the run's container
+ * @param {Array<string>} fuzzers - Names of the fuzzers in the run
+ * @param {ChildProcess} runProcess - Process running the container
+ * @returns {Object} The registered run
+ */
+function registerFuzzRun(workspacePath, containerName, fuzzers, runProcess) {
+  const run = {
+    containerName,
+    fuzzers,
+    startedAt: new Date().toISOString(),
+    paused: new Set(),
+    stopped: new Set(),
+    exited: new Promise((resolve) => {
+      runProcess.on("close", resolve);
+      runProcess.on("error", resolve);
+    }),
+  };
+  for (const fuzzerName of fuzzers) {
+    runningFuzzers.set(`${workspacePath}:${fuzzerName}`, run);
+  }
+  return run;
+}
+
+/**
+ * Removes the fuzzers of a finished run from the registry
+ * Entries already taken over by a newer run of the same fuzzer are kept.
+ * @param {string} workspacePath - Path to the workspace
+ * @param {Object} run - Run returned by registerFuzzRun
+ */
+function unregisterFuzzRun(workspacePath, run) {
+  for (const fuzzerName of run.fuzzers) {
+    const key = `${workspacePath}:${fuzzerName}`;
+    if (runningFuzzers.get(key) === run) {
+      runningFuzzers.delete(key);
+    }
+  }
+}
+
+/**
+ * Get the run state of a fuzzer
+ * @param {string} workspacePath - Path to the workspace
+ * @param {string} fuzzerName - Name of the fuzzer
+ * @returns {Object|null} {fuzzerName, containerName, startedAt, paused, stopping},
+ *   or null if the fuzzer is not running
+ */
+function getRunningFuzzer(workspacePath, fuzzerName) {
+  const run = runningFuzzers.get(`${workspacePath}:${fuzzerName}`);
+  if (!run) {
+    return null;
+  }
+  return {
+    fuzzerName,
+    containerName: run.containerName,
+    startedAt: run.startedAt,
+    paused: run.paused.has(fuzzerName),
+    stopping: run.stopped.has(fuzzerName),
+  };
+}
+
+/**
+ * Get the run state of all running fuzzers of a workspace
+ * @param {string} workspacePath - Path to the workspace
+ * @returns {Array<Object>} Run states (see getRunningFuzzer)
+ */
+function getRunningFuzzers(workspacePath) {
+  const prefix = `${workspacePath}:`;
+  return Array.from(runningFuzzers.keys())
+    .filter((key) => key.startsWith(prefix))
+    .map((key) =>
+      getRunningFuzzer(workspacePath, key.substring(prefix.length)),
+    );
+}
+
+/**
+ * Records one session history entry per fuzzer that ran
+ * Failures are logged and never fail the fuzzing run itself.
+ * @param {string} workspacePath - Path to the workspace
+ * @param {Array} fuzzTests - Fuzz tests that were requested
+ * @param {LibFuzzerStatsTracker} statsTracker - Tracker holding the parsed stats
+ * @param {Object} executionResults - Results from parseScriptExecutionResults
+ * @param {number} exitCode - Run script exit code
+ * @param {string} runStartTime - ISO timestamp when the run script started
+ * @param {Object} sessionHistory - SessionHistoryService instance
+ * @param {Object} overrides - Per-fuzzer overrides from .codeforge/fuzzers.json
+ */
+async function recordFuzzingSessions(
+  workspacePath,
+  fuzzTests,
+  statsTracker,
+  executionResults,
+  exitCode,
+  runStartTime,
+  sessionHistory,
+  overrides = {},
+) {
+  const endTime = new Date().toISOString();
+
+  for (const ft of fuzzTests) {
+    const snapshot = statsTracker ? statsTracker.getSnapshot(ft.fuzzer) : null;
+    if (!snapshot && fuzzTests.length > 1) {
+      // This fuzzer never started (e.g. the script stopped early)
+      continue;
+    }
+
+    const current = snapshot && snapshot.current ? snapshot.current : {};
+    const hadErrors = executionResults.errors.some(
+      (error) => error.fuzzer === ft.fuzzer,
+    );
+
+    let libFuzzerOptions = {};
+    try {
+      libFuzzerOptions = getLibFuzzerOptions(
+        getFuzzerConfig(ft.fuzzer, overrides),
+      );
+    } catch (error) {
+      // Invalid configuration is reported elsewhere; record the session without options
+    }
+
+    try {
+      await sessionHistory.recordSession(workspacePath, {
+        fuzzer: ft.fuzzer,
+        preset: ft.preset,
+        startTime: snapshot ? snapshot.startedAt : runStartTime,
+        endTime: (snapshot && snapshot.finishedAt) || endTime,
+        libFuzzerOptions,
+        finalCoverage: current.coverage,
+        finalFeatures: current.features,
+        corpusSize: current.corpusSize,
+        totalExecs: current.execs,
+        newCrashes: executionResults.crashes.filter(
+          (crash) => crash.fuzzer === ft.fuzzer,
+        ).length,
+        exitCode,
+        status:
+          hadErrors || (exitCode !== 0 && !snapshot) ? "error" : "completed",
+      });
+    } catch (error) {
+      console.error(
+        `Failed to record session history for ${ft.fuzzer}:`,
+        error.message,
+      );
+    }
+  }
+}
+
 /**
  * Parses script output to identify execution results, crashes, and errors
  * @param {string} stdout - Script stdout
@@ -957,6 +1305,7 @@ async function orchestrateFuzzingWorkflow(
           fuzzTests,
           terminal,
           options.resourceManager,
+          { onStats: options.onStats, sessionHistory: options.sessionHistory },
         );
 
         results.executedFuzzers = fuzzingResults.executed;
@@ -1797,33 +2146,156 @@ async function runFuzzTarget(
 
 /**
  * Stop a specific fuzzer target
+ * The fuzzer gets SIGINT so libFuzzer writes out its corpus and final stats
+ * before exiting. Other fuzzers of the same run keep going; a fuzzer running
+ * on its own has its container stopped if it does not exit within the grace
+ * period.
  * @param {string} workspacePath - Path to the workspace
  * @param {string} fuzzerName - Name of the fuzzer to stop
+ * @param {Object} options - Stop options
+ * @param {number} options.gracePeriodMs - Time to wait for the fuzzer to exit
  * @returns {Promise<Object>} Stop results with success status
  */
-async function stopFuzzTarget(workspacePath, fuzzerName) {
-  const containerName = dockerOperations.generateContainerName(workspacePath);
-
-  try {
-    // Stop the container associated with this workspace
-    await dockerOperations.stopContainer(containerName);
+async function stopFuzzTarget(workspacePath, fuzzerName, options = {}) {
+  const { gracePeriodMs = STOP_GRACE_PERIOD_MS } = options;
+  const run = runningFuzzers.get(`${workspacePath}:${fuzzerName}`);
 
+  if (!run) {
     return {
       success: true,
       fuzzerName,
-      message: `Stopped container ${containerName} for fuzzer ${fuzzerName}`,
+      message: `Fuzzer ${fuzzerName} is not running (already stopped)`,
     };
+  }
+
+  run.stopped.add(fuzzerName);
+
+  let signalled = 0;
+  try {
+    signalled = await dockerOperations.signalContainerProcesses(
+      run.containerName,
+      fuzzerName,
+      "INT",
+    );
+    // A paused fuzzer only handles the interrupt once it is continued
+    if (run.paused.delete(fuzzerName)) {
+      await dockerOperations.signalContainerProcesses(
+        run.containerName,
+        fuzzerName,
+        "CONT",
+      );
+    }
   } catch (error) {
-    // Container might not be running, which is fine for stop operations
     console.log(
-      `No running container found for fuzzer ${fuzzerName}: ${error.message}`,
+      `Could not interrupt fuzzer ${fuzzerName} in ${run.containerName}: ${error.message}`,
     );
+  }
+
+  if (run.fuzzers.length > 1) {
+    if (signalled === 0) {
+      run.stopped.delete(fuzzerName);
+      return {
+        success: false,
+        fuzzerName,
+        message: `Fuzzer ${fuzzerName} is not executing yet in container ${run.containerName}`,
+      };
+    }
+    return {
+      success: true,
+      fuzzerName,
+      message: `Interrupted fuzzer ${fuzzerName} in container ${run.containerName}`,
+    };
+  }
+
+  if (signalled > 0 && (await waitForRunExit(run, gracePeriodMs))) {
     return {
       success: true,
       fuzzerName,
-      message: `No running container found for fuzzer ${fuzzerName} (already stopped)`,
+      message: `Fuzzer ${fuzzerName} stopped`,
     };
   }
+
+  await dockerOperations.stopContainer(run.containerName);
+  return {
+    success: true,
+    fuzzerName,
+    message: `Stopped container ${run.containerName} for fuzzer ${fuzzerName}`,
+  };
+}
+
+/**
+ * Waits for the container of a run to exit
+ * @param {Object} run - Run from the registry
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} True if the run exited in time
+ */
+async function waitForRunExit(run, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  try {
+    return await Promise.race([run.exited.then(() => true), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Pause a running fuzzer
+ * The fuzzer process is suspended with SIGSTOP; its container keeps running.
+ * @param {string} workspacePath - Path to the workspace
+ * @param {string} fuzzerName - Name of the fuzzer to pause
+ * @returns {Promise<Object>} Pause results with success status
+ */
+async function pauseFuzzTarget(workspacePath, fuzzerName) {
+  return signalRunningFuzzer(workspacePath, fuzzerName, "STOP");
+}
+
+/**
+ * Resume a paused fuzzer
+ * @param {string} workspacePath - Path to the workspace
+ * @param {string} fuzzerName - Name of the fuzzer to resume
+ * @returns {Promise<Object>} Resume results with success status
+ */
+async function resumeFuzzTarget(workspacePath, fuzzerName) {
+  return signalRunningFuzzer(workspacePath, fuzzerName, "CONT");
+}
+
+/**
+ * Suspends (STOP) or continues (CONT) a running fuzzer
+ * @param {string} workspacePath - Path to the workspace
+ * @param {string} fuzzerName - Name of the fuzzer
+ * @param {string} signal - "STOP" or "CONT"
+ * @returns {Promise<Object>} Results with success status
+ */
+async function signalRunningFuzzer(workspacePath, fuzzerName, signal) {
+  const run = runningFuzzers.get(`${workspacePath}:${fuzzerName}`);
+  if (!run) {
+    throw new Error(`Fuzzer ${fuzzerName} is not running`);
+  }
+
+  const signalled = await dockerOperations.signalContainerProcesses(
+    run.containerName,
+    fuzzerName,
+    signal,
+  );
+  if (signalled === 0) {
+    throw new Error(`Fuzzer ${fuzzerName} is not executing yet`);
+  }
+
+  const pausing = signal === "STOP";
+  if (pausing) {
+    run.paused.add(fuzzerName);
+  } else {
+    run.paused.delete(fuzzerName);
+  }
+
+  return {
+    success: true,
+    fuzzerName,
+    message: `${pausing ? "Paused" : "Resumed"} fuzzer ${fuzzerName}`,
+  };
 }
 
 /**
@@ -2000,10 +2472,17 @@ module.exports = {
   parseSuccessfulBuilds,
   parseScriptBuildErrors,
   countCrashFiles,
+  recordFuzzingSessions,
+  formatLibFuzzerArgs,
+  buildRunCommand,
   // Individual fuzzer operations (new functions)
   buildFuzzTarget,
   runFuzzTarget,
   stopFuzzTarget,
+  pauseFuzzTarget,
+  resumeFuzzTarget,
+  getRunningFuzzer,
+  getRunningFuzzers,
   // Legacy function names for backward compatibility
   buildFuzzer,
   runFuzzer,
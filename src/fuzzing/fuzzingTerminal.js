@@ -8,10 +8,25 @@ const fs = require("fs").promises;
  * Based on CodeForgeTaskTerminal pattern from taskProvider.js
  */
 class CodeForgeFuzzingTerminal {
-  constructor(workspacePath, specificFuzzer = null, resourceManager = null) {
+  /**
+   * @param {string} workspacePath - Path to the workspace
+   * @param {string|null} specificFuzzer - Fuzzer to run, or null to run all fuzzers
+   * @param {Object|null} resourceManager - Resource manager for container tracking
+   * @param {Object} options - Additional terminal options
+   * @param {Function} options.onStats - Receives live libFuzzer stats as (fuzzerName, stats)
+   * @param {Object} options.sessionHistory - SessionHistoryService used to record completed runs
+   */
+  constructor(
+    workspacePath,
+    specificFuzzer = null,
+    resourceManager = null,
+    options = {},
+  ) {
     this.workspacePath = workspacePath;
     this.specificFuzzer = specificFuzzer;
     this.resourceManager = resourceManager;
+    this.onStats = options.onStats || null;
+    this.sessionHistory = options.sessionHistory || null;
     this.writeEmitter = new vscode.EventEmitter();
     this.closeEmitter = new vscode.EventEmitter();
     this.fuzzingStartTime = null;
@@ -92,7 +107,11 @@ class CodeForgeFuzzingTerminal {
             this.workspacePath,
             this, // Pass terminal as output channel replacement
             progressCallback,
-            { resourceManager: this.resourceManager },
+            {
+              resourceManager: this.resourceManager,
+              onStats: this.onStats,
+              sessionHistory: this.sessionHistory,
+            },
           );
         }
 
@@ -201,6 +220,7 @@ class CodeForgeFuzzingTerminal {
       [fuzzerForOperations],
       this,
       this.resourceManager,
+      { onStats: this.onStats, sessionHistory: this.sessionHistory },
     );
 
     progressCallback("Fuzzing complete", 100);
@@ -208,7 +228,7 @@ class CodeForgeFuzzingTerminal {
     return {
       crashes: runResults.crashes,
       executedFuzzers: runResults.executed,
-      errors: [...buildResults.errors, ...runResults.errors],
+      errors: runResults.errors,
     };
   }
 
@@ -279,11 +299,14 @@ class CodeForgeFuzzingTerminal {
 /**
  * Custom terminal implementation for fuzzing build operations
  * Similar to CodeForgeFuzzingTerminal but focused on build-only workflow
+ * onBuildSucceeded(results) is called once a build produced fuzzers and the
+ * activity bar was refreshed.
  */
 class CodeForgeBuildTerminal {
-  constructor(workspacePath, resourceManager = null) {
+  constructor(workspacePath, resourceManager = null, onBuildSucceeded = null) {
     this.workspacePath = workspacePath;
     this.resourceManager = resourceManager;
+    this.onBuildSucceeded = onBuildSucceeded;
     this.writeEmitter = new vscode.EventEmitter();
     this.closeEmitter = new vscode.EventEmitter();
     this.buildStartTime = null;
@@ -373,6 +396,15 @@ class CodeForgeBuildTerminal {
         );
         await vscode.commands.executeCommand("codeforge.refreshFuzzers");
 
+        // Not awaited, the terminal can be closed while it runs
+        if (
+          this.onBuildSucceeded &&
+          results.builtFuzzers &&
+          results.builtFuzzers.length > 0
+        ) {
+          this.onBuildSucceeded(results);
+        }
+
         // Add message prompting user to press any key to close
         this.writeEmitter.fire(
           `\r\n\x1b[93mPress any key to close terminal...\x1b[0m\r\n`,
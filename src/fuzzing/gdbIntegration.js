@@ -1,5 +1,7 @@
 const fs = require("fs").promises;
 const path = require("path");
+const { getOutputDirectory } = require("./fuzzingConfig");
+const { shellQuote } = require("../utils/shellUtils");
 
 /**
  * GDB Command Builder - Constructs proper GDB commands for crash analysis
@@ -339,6 +341,29 @@ class GdbTerminalLauncher {
   }
 }
 
+/**
+ * Host ports handed to gdbserver containers that have not been cleaned up yet
+ * A port only looks busy once Docker has bound it, so launches started close
+ * together could otherwise pick the same one. Shared by all launchers.
+ */
+const reservedGdbServerPorts = new Set();
+
+/**
+ * Docker arguments rr needs to record inside a container
+ * rr uses ptrace and the perf_event_open syscall, which the default seccomp
+ * profile blocks.
+ */
+const RR_DOCKER_ARGS = [
+  "--cap-add=SYS_PTRACE",
+  "--security-opt",
+  "seccomp=unconfined",
+];
+
+/**
+ * Workspace-relative directory of the rr traces of crashes
+ */
+const RR_TRACES_DIR = ".codeforge/rr-traces";
+
 /**
  * GDB Server Launcher - Launches gdbserver in a Docker container with port forwarding
  */
@@ -358,6 +383,10 @@ class GdbServerLauncher {
     const maxAttempts = 100;
 
     for (let port = startPort; port < startPort + maxAttempts; port++) {
+      if (reservedGdbServerPorts.has(port)) {
+        continue;
+      }
+
       const isAvailable = await new Promise((resolve) => {
         const server = net.createServer();
         server.once("error", () => resolve(false));
@@ -384,6 +413,8 @@ class GdbServerLauncher {
    * @param {string} fuzzerName - Name of the fuzzer
    * @param {string} fullCrashHash - Full hash of the crash file
    * @param {Object} options - Launch options
+   * @param {boolean} options.recordWithRr - Record the crash with rr and serve
+   *   its replay instead of running the fuzzer under gdbserver
    * @returns {Promise<Object>} Launch result with port and container info
    */
   async launchGdbServer(
@@ -396,10 +427,12 @@ class GdbServerLauncher {
       containerName = null,
       removeAfterRun = false, // Keep container running for debugging
       additionalArgs = [],
+      recordWithRr = false,
     } = options;
 
-    // Find an available port on the host
+    // Find an available port on the host and hold it until stopGdbServer
     const hostPort = await this.findAvailablePort();
+    reservedGdbServerPorts.add(hostPort);
     const containerPort = 2000; // Standard gdbserver port inside container
 
     // Generate container name
@@ -416,12 +449,20 @@ class GdbServerLauncher {
 
     // Build gdbserver command using codeforge CLI
     // Format: codeforge run-crash-in-gdbserver fuzzer_name:full_crash_hash:port
-    const gdbserverCommand = `codeforge run-crash-in-gdbserver ${fuzzerName}:${fullCrashHash}:${containerPort}`;
+    const gdbserverCommand = recordWithRr
+      ? this.buildRrReplayCommand(
+          workspacePath,
+          fuzzerName,
+          fullCrashHash,
+          containerPort,
+        )
+      : `codeforge run-crash-in-gdbserver ${fuzzerName}:${fullCrashHash}:${containerPort}`;
 
     // Prepare Docker run options with port forwarding
     const dockerArgs = [
       ...configAdditionalArgs,
       ...additionalArgs,
+      ...(recordWithRr ? RR_DOCKER_ARGS : []),
       "-p",
       `${hostPort}:${containerPort}`, // Forward container port to host port
     ];
@@ -449,9 +490,87 @@ class GdbServerLauncher {
       process,
       hostPort,
       containerPort,
+      containerName: process.containerName,
       gdbserverCommand,
     };
   }
+
+  /**
+   * Build the container command that records a crash with rr and serves the
+   * replay to a debugger
+   * The crash is looked up in <outputDirectory>/<fuzzer>-output. The trace is
+   * kept in .codeforge/rr-traces/<fuzzer>-<hash> and recorded again on every
+   * launch, so it matches the current build of the fuzzer.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} fullCrashHash - Full hash of the crash file
+   * @param {number} containerPort - Port rr's gdbserver listens on
+   * @returns {string} Script to run in the container
+   */
+  buildRrReplayCommand(
+    workspacePath,
+    fuzzerName,
+    fullCrashHash,
+    containerPort,
+  ) {
+    const traceDir = `${RR_TRACES_DIR}/${fuzzerName}-${fullCrashHash}`;
+    let outputDirectory;
+    try {
+      outputDirectory = getOutputDirectory();
+    } catch (error) {
+      outputDirectory = ".codeforge/fuzzing";
+    }
+    const fuzzerOutputDir = path.join(
+      workspacePath,
+      outputDirectory,
+      `${fuzzerName}-output`,
+    );
+    return [
+      `cd "${workspacePath}"`,
+      `BIN="$(codeforge get-path-to-fuzzer "${fuzzerName}")"`,
+      `if [ -z "$BIN" ] || [ ! -x "$BIN" ]; then echo "Fuzzer ${fuzzerName} is not built" >&2; exit 1; fi`,
+      `CRASH="$(find ${shellQuote(fuzzerOutputDir)} -type f -name "crash-${fullCrashHash}" | head -n 1)"`,
+      `if [ -z "$CRASH" ]; then echo "Crash file crash-${fullCrashHash} not found" >&2; exit 1; fi`,
+      `rm -rf "${traceDir}" && mkdir -p "${RR_TRACES_DIR}"`,
+      // LeakSanitizer stops the process with ptrace, which fails under rr;
+      // aborting leaves the replay stopped at the crash
+      'export ASAN_OPTIONS="${ASAN_OPTIONS:+$ASAN_OPTIONS:}abort_on_error=1:detect_leaks=0"',
+      'export UBSAN_OPTIONS="${UBSAN_OPTIONS:+$UBSAN_OPTIONS:}abort_on_error=1"',
+      // The fuzzer is expected to crash, only a missing trace is an error
+      `rr record --output-trace-dir "${traceDir}" "$BIN" "$CRASH"`,
+      `if [ ! -d "${traceDir}" ]; then echo "rr could not record the crash, recording needs kernel.perf_event_paranoid <= 1 on the Docker host" >&2; exit 1; fi`,
+      `exec rr replay --dbghost=0.0.0.0 --dbgport=${containerPort} "${traceDir}"`,
+    ].join("\n");
+  }
+
+  /**
+   * Stop a gdbserver launched by launchGdbServer
+   * The container is kept after gdbserver exits (see removeAfterRun), so it is
+   * stopped and removed here, and its host port can be handed out again.
+   * @param {Object} server - Result of launchGdbServer
+   * @returns {Promise<boolean>} True if the container was stopped and removed
+   */
+  async stopGdbServer(server) {
+    if (server.process && !server.process.killed) {
+      server.process.kill();
+    }
+
+    try {
+      return server.containerName
+        ? await this.dockerOperations.stopContainer(server.containerName, true)
+        : false;
+    } finally {
+      this.releasePort(server.hostPort);
+    }
+  }
+
+  /**
+   * Let findAvailablePort hand out a port again
+   * @param {number} port - Host port of a stopped gdbserver
+   */
+  releasePort(port) {
+    reservedGdbServerPorts.delete(port);
+  }
 }
 
 /**
@@ -640,4 +759,6 @@ module.exports = {
   GdbTerminalLauncher,
   GdbServerLauncher,
   GdbIntegration,
+  RR_DOCKER_ARGS,
+  RR_TRACES_DIR,
 };
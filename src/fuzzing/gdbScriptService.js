@@ -0,0 +1,287 @@
+const fs = require("fs").promises;
+const path = require("path");
+const dockerOperations = require("../core/dockerOperations");
+const { GdbCommandBuilder } = require("./gdbIntegration");
+const { shellQuote, isScriptSafePath } = require("../utils/shellUtils");
+
+/**
+ * Workspace-relative directory of the named GDB scripts
+ */
+const GDB_SCRIPTS_DIR = ".codeforge/gdb-scripts";
+
+/**
+ * Script used when the workspace has no script named "default"
+ */
+const DEFAULT_GDB_SCRIPT = {
+  name: "default",
+  commands: ["bt full", "info registers", "info locals", "x/32x $sp"],
+};
+
+/**
+ * Script names double as file names
+ */
+const SCRIPT_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+/**
+ * GdbScriptService - Runs scripted gdb commands on a crash in batch mode
+ *
+ * Scripts are named lists of gdb commands stored as
+ * .codeforge/gdb-scripts/<name>.gdb, one command per line; empty lines and
+ * lines starting with # are ignored. The fuzzer is run on the crash input
+ * under `gdb --batch` and the commands of the script are executed once it
+ * stops, e.g. to collect a full backtrace, registers and the stack contents
+ * of a crash without an interactive session.
+ */
+class GdbScriptService {
+  constructor(resourceManager = null) {
+    this.fs = fs;
+    this.dockerOperations = dockerOperations;
+    this.resourceManager = resourceManager;
+    this.commandBuilder = new GdbCommandBuilder();
+  }
+
+  /**
+   * Gets the directory of the named scripts
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {string} Absolute path of .codeforge/gdb-scripts
+   */
+  getScriptsDirectory(workspacePath) {
+    return path.join(workspacePath, GDB_SCRIPTS_DIR);
+  }
+
+  /**
+   * Reads the commands of a script file
+   * @param {string} content - Script file content
+   * @returns {Array<string>} gdb commands
+   */
+  parseScript(content) {
+    return content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line !== "" && !line.startsWith("#"));
+  }
+
+  /**
+   * Lists the named scripts of a workspace
+   * The built-in default script is listed first unless the workspace has its
+   * own script named "default".
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {Promise<Array<Object>>} {name, filePath (null for the built-in
+   *   script), commands} sorted by name
+   */
+  async listScripts(workspacePath) {
+    const directory = this.getScriptsDirectory(workspacePath);
+    let entries = [];
+    try {
+      entries = await this.fs.readdir(directory);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+
+    const scripts = [];
+    for (const entry of entries.sort()) {
+      const name = path.basename(entry, ".gdb");
+      if (!entry.endsWith(".gdb") || !SCRIPT_NAME_PATTERN.test(name)) {
+        continue;
+      }
+      const filePath = path.join(directory, entry);
+      const commands = this.parseScript(
+        await this.fs.readFile(filePath, "utf8"),
+      );
+      if (commands.length > 0) {
+        scripts.push({ name, filePath, commands });
+      }
+    }
+
+    if (!scripts.some((script) => script.name === DEFAULT_GDB_SCRIPT.name)) {
+      scripts.unshift({ ...DEFAULT_GDB_SCRIPT, filePath: null });
+    }
+    return scripts;
+  }
+
+  /**
+   * Saves a named script, replacing a script of the same name
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} name - Script name
+   * @param {Array<string>} commands - gdb commands
+   * @returns {Promise<Object>} The saved script {name, filePath, commands}
+   * @throws {Error} If the name or commands are invalid
+   */
+  async saveScript(workspacePath, name, commands) {
+    const error = this.validateScript(name, commands);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const filePath = path.join(
+      this.getScriptsDirectory(workspacePath),
+      `${name}.gdb`,
+    );
+    await this.fs.mkdir(path.dirname(filePath), { recursive: true });
+    await this.fs.writeFile(
+      filePath,
+      [
+        `# CodeForge GDB script "${name}"`,
+        "# Commands run in batch mode once the fuzzer stops on the crash",
+        ...commands,
+        "",
+      ].join("\n"),
+      "utf8",
+    );
+    return { name, filePath, commands };
+  }
+
+  /**
+   * Validates a script before it is saved
+   * @param {string} name - Script name
+   * @param {Array<string>} commands - gdb commands
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateScript(name, commands) {
+    if (!name || !SCRIPT_NAME_PATTERN.test(name)) {
+      return `Invalid script name: ${name}. Use letters, digits, ".", "_" and "-"`;
+    }
+    if (!Array.isArray(commands) || commands.length === 0) {
+      return "A script needs at least one gdb command";
+    }
+    if (commands.some((command) => /[\r\n]/.test(command))) {
+      return "gdb commands cannot span several lines";
+    }
+    return null;
+  }
+
+  /**
+   * Builds the shell script that runs a fuzzer on a crash under gdb
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} crashPath - Path to the crash input
+   * @param {Array<string>} commands - gdb commands of the script
+   * @returns {string} Script to run in the container
+   */
+  buildAnalysisScript(workspacePath, fuzzerName, crashPath, commands) {
+    const gdbCommand = this.commandBuilder
+      .buildAnalyzeCommandWithOptions("$BIN", crashPath, {
+        batch: true,
+        quiet: true,
+        ex: ["set pagination off", "run", ...commands],
+      })
+      .map((arg) => (arg === "$BIN" ? '"$BIN"' : shellQuote(arg)))
+      .join(" ");
+
+    return [
+      `cd "${workspacePath}"`,
+      `BIN="$(codeforge get-path-to-fuzzer "${fuzzerName}")"`,
+      `if [ -z "$BIN" ] || [ ! -x "$BIN" ]; then echo "Fuzzer ${fuzzerName} is not built" >&2; exit 1; fi`,
+      // Sanitizers exit without a signal by default, which leaves nothing
+      // for gdb to inspect
+      'export ASAN_OPTIONS="${ASAN_OPTIONS:+$ASAN_OPTIONS:}abort_on_error=1"',
+      'export UBSAN_OPTIONS="${UBSAN_OPTIONS:+$UBSAN_OPTIONS:}abort_on_error=1"',
+      `${gdbCommand} 2>&1`,
+      // gdb's status is that of the last command, a failing command is part
+      // of the output rather than an error of the analysis
+      "exit 0",
+    ].join("\n");
+  }
+
+  /**
+   * Runs a script on a crash
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} crashPath - Path to the crash input
+   * @param {Object} script - Script from listScripts or saveScript
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<string>} gdb output
+   */
+  async analyzeCrash(
+    workspacePath,
+    fuzzerName,
+    crashPath,
+    script,
+    imageName = null,
+  ) {
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    if (!isScriptSafePath(workspacePath, crashPath)) {
+      throw new Error(`Invalid crash file path: ${crashPath}`);
+    }
+
+    try {
+      return await this.executeAnalysisScript(
+        workspacePath,
+        this.buildAnalysisScript(
+          workspacePath,
+          fuzzerName,
+          crashPath,
+          script.commands,
+        ),
+        imageName,
+      );
+    } catch (error) {
+      throw new Error(`GDB analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Runs a gdb analysis script in the Docker container
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} script - Script from buildAnalysisScript
+   * @param {string} imageName - Docker image name
+   * @returns {Promise<string>} Output of the script
+   */
+  async executeAnalysisScript(workspacePath, script, imageName) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        removeAfterRun: true,
+        mountWorkspace: true,
+        dockerCommand: "docker",
+        containerType: "gdb_analysis",
+        resourceManager: this.resourceManager,
+      };
+
+      const analysisProcess = this.dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        imageName,
+        script,
+        "/bin/bash",
+        options,
+      );
+
+      let output = "";
+
+      analysisProcess.stdout.on("data", (data) => {
+        output += data.toString();
+      });
+
+      analysisProcess.stderr.on("data", (data) => {
+        output += data.toString();
+      });
+
+      analysisProcess.on("close", (code) => {
+        if (code !== 0) {
+          const tail = output.trim().split("\n").slice(-20).join("\n");
+          reject(
+            new Error(`Analysis script exited with code ${code}: ${tail}`),
+          );
+          return;
+        }
+        resolve(output);
+      });
+
+      analysisProcess.on("error", (error) => {
+        reject(
+          new Error(`Failed to execute analysis script: ${error.message}`),
+        );
+      });
+    });
+  }
+}
+
+module.exports = {
+  GdbScriptService,
+  GDB_SCRIPTS_DIR,
+  DEFAULT_GDB_SCRIPT,
+};
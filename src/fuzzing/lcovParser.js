@@ -0,0 +1,98 @@
+/**
+ * lcov tracefile parsing
+ * Reads the line coverage records ("SF:", "DA:", "end_of_record") produced by
+ * `llvm-cov export -format=lcov` into per-file line hit counts.
+ */
+
+/**
+ * Parses an lcov tracefile
+ * Function and branch records are ignored. Files listed more than once (one
+ * record per test or per object) have their hit counts summed.
+ * @param {string} content - lcov tracefile content
+ * @returns {Array<Object>} Files as {file, lines, linesFound, linesHit, percent},
+ *   where lines maps 1-based line numbers to hit counts
+ */
+function parseLcov(content) {
+  const files = new Map();
+  let current = null;
+
+  for (const rawLine of (content || "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line.startsWith("SF:")) {
+      const file = line.substring(3);
+      if (!files.has(file)) {
+        files.set(file, new Map());
+      }
+      current = files.get(file);
+    } else if (line.startsWith("DA:") && current) {
+      const [lineNumber, hits] = line.substring(3).split(",");
+      const lineNo = parseInt(lineNumber, 10);
+      const count = parseInt(hits, 10);
+      if (Number.isFinite(lineNo) && Number.isFinite(count)) {
+        current.set(lineNo, (current.get(lineNo) || 0) + count);
+      }
+    } else if (line === "end_of_record") {
+      current = null;
+    }
+  }
+
+  return Array.from(files.entries()).map(([file, lines]) =>
+    summarizeFileCoverage(file, lines),
+  );
+}
+
+/**
+ * Computes line totals for a file
+ * @param {string} file - Source file path
+ * @param {Map<number, number>} lines - Hit count per line
+ * @returns {Object} File coverage with linesFound, linesHit and percent
+ */
+function summarizeFileCoverage(file, lines) {
+  const linesFound = lines.size;
+  let linesHit = 0;
+  for (const hits of lines.values()) {
+    if (hits > 0) {
+      linesHit++;
+    }
+  }
+
+  return {
+    file,
+    lines,
+    linesFound,
+    linesHit,
+    percent: calculatePercent(linesHit, linesFound),
+  };
+}
+
+/**
+ * Computes the total line coverage of several files
+ * @param {Array<Object>} files - File coverage objects
+ * @returns {Object} Object with linesFound, linesHit and percent
+ */
+function summarizeCoverage(files) {
+  const linesFound = files.reduce((sum, file) => sum + file.linesFound, 0);
+  const linesHit = files.reduce((sum, file) => sum + file.linesHit, 0);
+  return {
+    linesFound,
+    linesHit,
+    percent: calculatePercent(linesHit, linesFound),
+  };
+}
+
+/**
+ * Calculates a coverage percentage rounded to one decimal
+ * @param {number} hit - Covered lines
+ * @param {number} found - Instrumented lines
+ * @returns {number} Percentage (0 when there are no instrumented lines)
+ */
+function calculatePercent(hit, found) {
+  return found > 0 ? Math.round((hit / found) * 1000) / 10 : 0;
+}
+
+module.exports = {
+  parseLcov,
+  summarizeFileCoverage,
+  summarizeCoverage,
+};
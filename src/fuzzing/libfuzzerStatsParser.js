@@ -0,0 +1,288 @@
+/**
+ * libFuzzer progress parsing
+ * Turns the status lines libFuzzer prints while running (INITED, NEW, REDUCE,
+ * pulse, DONE and the fork-mode "#N: cov:" summaries) into structured stats.
+ */
+
+/**
+ * Status line emitted by a single libFuzzer process, e.g.
+ * "#1024	pulse  cov: 12 ft: 18 corp: 5/40b lim: 8 exec/s: 512 rss: 31Mb"
+ */
+const STATUS_LINE_PATTERN =
+  /^#(\d+)\s+(INITED|NEW|REDUCE|pulse|DONE|RELOAD)\b(.*)$/;
+
+/**
+ * Status line emitted by the libFuzzer parent process in -fork mode, e.g.
+ * "#4096: cov: 120 ft: 300 corp: 48 exec/s 2048 oom/timeout/crash: 0/0/1 time: 12s job: 3"
+ */
+const FORK_STATUS_LINE_PATTERN = /^#(\d+):\s+cov:(.*)$/;
+
+/**
+ * Line printed by the codeforge CLI before each fuzzer starts
+ */
+const RUNNING_FUZZER_PATTERN = /\[\+\] running fuzzer: (.+)/;
+
+/**
+ * Maximum number of samples kept per fuzzer for sparkline rendering
+ */
+const DEFAULT_HISTORY_LIMIT = 60;
+
+/**
+ * Converts a libFuzzer size string (e.g. "40b", "12Kb", "3Mb") to bytes
+ * @param {string} value - Numeric part of the size
+ * @param {string} unit - Unit suffix (b, Kb, Mb, Gb)
+ * @returns {number} Size in bytes
+ */
+function parseSizeToBytes(value, unit) {
+  const multipliers = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 * 1024,
+    gb: 1024 * 1024 * 1024,
+  };
+  return parseInt(value, 10) * (multipliers[unit.toLowerCase()] || 1);
+}
+
+/**
+ * Extracts a single integer field ("cov: 12") from a status line remainder
+ * @param {string} text - Status line text
+ * @param {RegExp} pattern - Pattern with one numeric capture group
+ * @returns {number|null} Parsed value or null when the field is absent
+ */
+function extractNumber(text, pattern) {
+  const match = text.match(pattern);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parses a single libFuzzer status line
+ * @param {string} line - Raw output line
+ * @returns {Object|null} Parsed stats or null if the line is not a status line
+ */
+function parseLibFuzzerStatusLine(line) {
+  if (!line) {
+    return null;
+  }
+
+  const trimmed = line.trim();
+  let event;
+  let execs;
+  let rest;
+
+  const statusMatch = trimmed.match(STATUS_LINE_PATTERN);
+  if (statusMatch) {
+    execs = parseInt(statusMatch[1], 10);
+    event = statusMatch[2];
+    rest = statusMatch[3];
+  } else {
+    const forkMatch = trimmed.match(FORK_STATUS_LINE_PATTERN);
+    if (!forkMatch) {
+      return null;
+    }
+    execs = parseInt(forkMatch[1], 10);
+    event = "fork";
+    rest = ` cov:${forkMatch[2]}`;
+  }
+
+  const stats = {
+    event,
+    execs,
+    coverage: extractNumber(rest, /\bcov:\s*(\d+)/),
+    features: extractNumber(rest, /\bft:\s*(\d+)/),
+    corpusSize: null,
+    corpusBytes: null,
+    execPerSec: extractNumber(rest, /\bexec\/s:?\s*(\d+)/),
+    rssMb: extractNumber(rest, /\brss:\s*(\d+)Mb/),
+  };
+
+  // Corpus is "N/SIZE" for regular runs and a bare count in fork mode
+  const corpMatch = rest.match(/\bcorp:\s*(\d+)(?:\/(\d+)(b|Kb|Mb|Gb))?/);
+  if (corpMatch) {
+    stats.corpusSize = parseInt(corpMatch[1], 10);
+    if (corpMatch[2]) {
+      stats.corpusBytes = parseSizeToBytes(corpMatch[2], corpMatch[3]);
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Tracks live libFuzzer stats across streamed output chunks
+ * Output arrives in arbitrary chunks, so partial lines are buffered per stream
+ * until a newline is seen. Stats are attributed to the fuzzer announced by the
+ * most recent "[+] running fuzzer:" line.
+ */
+class LibFuzzerStatsTracker {
+  /**
+   * @param {Function} onUpdate - Called with (fuzzerName, snapshot) on every parsed status line
+   * @param {Object} options - Tracker options
+   * @param {number} options.historyLimit - Maximum samples kept per fuzzer
+   * @param {string} options.initialFuzzer - Fuzzer to attribute stats to before any "running fuzzer" line
+   */
+  constructor(onUpdate = null, options = {}) {
+    this.onUpdate = onUpdate;
+    this.historyLimit = options.historyLimit || DEFAULT_HISTORY_LIMIT;
+    this.currentFuzzer = options.initialFuzzer || null;
+    this.buffers = new Map();
+    this.stats = new Map();
+  }
+
+  /**
+   * Feed a chunk of process output
+   * @param {string} chunk - Output chunk
+   * @param {string} stream - Stream identifier ("stdout" or "stderr")
+   */
+  processChunk(chunk, stream = "stdout") {
+    const buffered = (this.buffers.get(stream) || "") + chunk.toString();
+    const lines = buffered.split(/\r?\n|\r/);
+
+    // Last element is an incomplete line (or empty string)
+    this.buffers.set(stream, lines.pop());
+
+    lines.forEach((line) => this.processLine(line));
+  }
+
+  /**
+   * Process any buffered partial lines (call when the process exits)
+   */
+  flush() {
+    for (const [stream, remainder] of this.buffers) {
+      if (remainder) {
+        this.processLine(remainder);
+      }
+      this.buffers.set(stream, "");
+    }
+  }
+
+  /**
+   * Process a single complete output line
+   * @param {string} line - Output line
+   */
+  processLine(line) {
+    const runMatch = line.match(RUNNING_FUZZER_PATTERN);
+    if (runMatch) {
+      if (this.currentFuzzer) {
+        this.markFinished(this.currentFuzzer);
+      }
+      this.currentFuzzer = runMatch[1].trim().split("/").pop();
+      this.stats.set(this.currentFuzzer, this.createEntry());
+      this.notify(this.currentFuzzer);
+      return;
+    }
+
+    const parsed = parseLibFuzzerStatusLine(line);
+    if (!parsed || !this.currentFuzzer) {
+      return;
+    }
+
+    if (!this.stats.has(this.currentFuzzer)) {
+      this.stats.set(this.currentFuzzer, this.createEntry());
+    }
+
+    const entry = this.stats.get(this.currentFuzzer);
+    entry.current = parsed;
+    entry.updatedAt = new Date().toISOString();
+    entry.history.push({
+      execs: parsed.execs,
+      coverage: parsed.coverage,
+      features: parsed.features,
+      corpusSize: parsed.corpusSize,
+      execPerSec: parsed.execPerSec,
+      rssMb: parsed.rssMb,
+    });
+    if (entry.history.length > this.historyLimit) {
+      entry.history.splice(0, entry.history.length - this.historyLimit);
+    }
+    if (parsed.event === "DONE") {
+      entry.running = false;
+      entry.finishedAt = entry.updatedAt;
+    }
+
+    this.notify(this.currentFuzzer);
+  }
+
+  /**
+   * Mark a fuzzer as no longer running
+   * @param {string} fuzzerName - Name of the fuzzer
+   */
+  markFinished(fuzzerName) {
+    const entry = this.stats.get(fuzzerName);
+    if (entry && entry.running) {
+      entry.running = false;
+      entry.finishedAt = new Date().toISOString();
+      this.notify(fuzzerName);
+    }
+  }
+
+  /**
+   * Mark every tracked fuzzer as finished (call when the process exits)
+   */
+  finishAll() {
+    this.flush();
+    for (const fuzzerName of this.stats.keys()) {
+      this.markFinished(fuzzerName);
+    }
+  }
+
+  /**
+   * Get a copy of the stats for a fuzzer
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {Object|null} Stats snapshot or null if unknown
+   */
+  getSnapshot(fuzzerName) {
+    const entry = this.stats.get(fuzzerName);
+    if (!entry) {
+      return null;
+    }
+    return {
+      running: entry.running,
+      startedAt: entry.startedAt,
+      updatedAt: entry.updatedAt,
+      finishedAt: entry.finishedAt,
+      current: entry.current ? { ...entry.current } : null,
+      history: entry.history.map((sample) => ({ ...sample })),
+    };
+  }
+
+  /**
+   * Create an empty stats entry for a newly started fuzzer
+   * @returns {Object} Stats entry
+   */
+  createEntry() {
+    const now = new Date().toISOString();
+    return {
+      running: true,
+      startedAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      current: null,
+      history: [],
+    };
+  }
+
+  /**
+   * Notify the update callback, never letting callback errors break parsing
+   * @param {string} fuzzerName - Name of the fuzzer that changed
+   */
+  notify(fuzzerName) {
+    if (typeof this.onUpdate !== "function") {
+      return;
+    }
+    try {
+      this.onUpdate(fuzzerName, this.getSnapshot(fuzzerName));
+    } catch (error) {
+      console.error(
+        `Error publishing fuzzer stats for ${fuzzerName}:`,
+        error.message,
+      );
+    }
+  }
+}
+
+module.exports = {
+  parseLibFuzzerStatusLine,
+  parseSizeToBytes,
+  LibFuzzerStatsTracker,
+  DEFAULT_HISTORY_LIMIT,
+};
@@ -0,0 +1,348 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const dockerOperations = require("../core/dockerOperations");
+const { getRegressionDirectory } = require("./fuzzingConfig");
+const { CorpusService, SAFE_INPUT_NAME } = require("./corpusService");
+const { parseSanitizerReport } = require("./sanitizerReportParser");
+
+/**
+ * Line the replay script prints after each input: fuzzer, input and exit code
+ */
+const RESULT_MARKER = "CODEFORGE_REGRESSION";
+
+/**
+ * Lines of a failing input's output kept for the results view
+ */
+const MAX_LOG_LINES = 200;
+
+/**
+ * RegressionCorpusService - Keeps inputs that must keep working
+ *
+ * Inputs are stored per fuzzer in <regression directory>/<fuzzer>/ (setting
+ * codeforge.fuzzing.regressionDirectory, checked in with the project) under
+ * their SHA-1, so saving the same input twice keeps a single copy.
+ *
+ * Replaying the regression corpus builds the fuzzers that have saved inputs
+ * and runs each input once inside the container. An input passes when the
+ * fuzzer exits cleanly on it; the output of every run is written to
+ * <fuzzer>-output/regression-logs/<input>.log.
+ */
+class RegressionCorpusService {
+  constructor(fsModule = null, resourceManager = null) {
+    this.fs = fsModule || fs;
+    this.dockerOperations = dockerOperations;
+    this.resourceManager = resourceManager;
+    this.corpusService = new CorpusService(resourceManager);
+  }
+
+  /**
+   * Gets the regression directory of a fuzzer
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} Path to the fuzzer's regression inputs
+   */
+  getRegressionDirectory(workspacePath, fuzzerName) {
+    return path.join(workspacePath, getRegressionDirectory(), fuzzerName);
+  }
+
+  /**
+   * Gets where the output of replaying a fuzzer's regression inputs goes
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} Path to the log directory
+   */
+  getLogDirectory(workspacePath, fuzzerName) {
+    return path.join(
+      this.corpusService.getFuzzerOutputDirectory(workspacePath, fuzzerName),
+      "regression-logs",
+    );
+  }
+
+  /**
+   * Copies an input into a fuzzer's regression corpus
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} inputPath - Input to save
+   * @returns {Promise<Object>} {filePath, duplicate} where duplicate is true
+   *   if the input was already saved
+   */
+  async saveInput(workspacePath, fuzzerName, inputPath) {
+    const content = await this.fs.readFile(inputPath);
+    const directory = this.getRegressionDirectory(workspacePath, fuzzerName);
+    const filePath = path.join(
+      directory,
+      crypto.createHash("sha1").update(content).digest("hex"),
+    );
+
+    await this.fs.mkdir(directory, { recursive: true });
+    try {
+      await this.fs.writeFile(filePath, content, { flag: "wx" });
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+      return { filePath, duplicate: true };
+    }
+    return { filePath, duplicate: false };
+  }
+
+  /**
+   * Lists the saved inputs of a fuzzer
+   * Hidden files (such as .gitkeep) and names that cannot be passed to the
+   * container script are skipped.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {Promise<Array<string>>} Input file names, sorted
+   */
+  async listInputs(workspacePath, fuzzerName) {
+    let entries;
+    try {
+      entries = await this.fs.readdir(
+        this.getRegressionDirectory(workspacePath, fuzzerName),
+        { withFileTypes: true },
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries
+      .filter(
+        (entry) =>
+          entry.isFile() &&
+          !entry.name.startsWith(".") &&
+          SAFE_INPUT_NAME.test(entry.name),
+      )
+      .map((entry) => entry.name)
+      .sort();
+  }
+
+  /**
+   * Builds the shell script that replays regression inputs
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} fuzzers - Fuzzers with name, preset ("" for Rust)
+   *   and inputs (file names from listInputs)
+   * @param {Object} options - timeout (seconds per input) and memoryLimit (MB)
+   * @returns {string} Script to run in the container
+   */
+  buildReplayScript(workspacePath, fuzzers, options) {
+    const identifiers = fuzzers.map((fuzzer) =>
+      fuzzer.preset && fuzzer.preset.trim() !== ""
+        ? `${fuzzer.preset}:${fuzzer.name}`
+        : fuzzer.name,
+    );
+    const flags = `-timeout=${options.timeout} -rss_limit_mb=${options.memoryLimit}`;
+
+    const lines = [
+      `cd "${workspacePath}"`,
+      // Regressions are checked against the current sources
+      `codeforge build-fuzz-tests "${identifiers.join(" ")}" >&2 || { echo "Building the fuzzers failed" >&2; exit 1; }`,
+    ];
+
+    for (const fuzzer of fuzzers) {
+      const inputDir = this.getRegressionDirectory(workspacePath, fuzzer.name);
+      const logDir = this.getLogDirectory(workspacePath, fuzzer.name);
+      const isRust = !fuzzer.preset || fuzzer.preset.trim() === "";
+
+      lines.push(`LOGS="${logDir}"`, 'rm -rf "$LOGS"', 'mkdir -p "$LOGS"');
+      if (!isRust) {
+        lines.push(`BIN="$(codeforge get-path-to-fuzzer "${fuzzer.name}")"`);
+      }
+      for (const input of fuzzer.inputs) {
+        const run = isRust
+          ? `cargo fuzz run "${fuzzer.name}" "${inputDir}/${input}" -- ${flags}`
+          : `"$BIN" ${flags} "${inputDir}/${input}"`;
+        lines.push(
+          `${run} > "$LOGS/${input}.log" 2>&1`,
+          `echo "${RESULT_MARKER} ${fuzzer.name} ${input} $?"`,
+        );
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Parses the result lines of the replay script
+   * @param {string} stdout - Script output
+   * @returns {Array<Object>} {fuzzerName, input, exitCode}
+   */
+  parseReplayOutput(stdout) {
+    const results = [];
+    for (const line of stdout.split("\n")) {
+      const parts = line.trim().split(/\s+/);
+      if (parts.length === 4 && parts[0] === RESULT_MARKER) {
+        results.push({
+          fuzzerName: parts[1],
+          input: parts[2],
+          exitCode: parseInt(parts[3], 10),
+        });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Replays the regression corpus of the given fuzzers
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} fuzzers - Fuzzers with name and preset
+   * @param {Object} options - timeout (seconds per input) and memoryLimit (MB)
+   * @param {string} imageName - Docker image name (optional, will be generated if not provided)
+   * @returns {Promise<Array<Object>>} One result per input: {fuzzerName, input,
+   *   inputPath, passed, exitCode, summary, log}; summary and log are null for
+   *   passing inputs
+   */
+  async runRegressionCorpus(workspacePath, fuzzers, options, imageName = null) {
+    if (!imageName) {
+      imageName = this.dockerOperations.generateContainerName(workspacePath);
+    }
+
+    const withInputs = [];
+    for (const fuzzer of fuzzers) {
+      const inputs = await this.listInputs(workspacePath, fuzzer.name);
+      if (inputs.length > 0) {
+        withInputs.push({ ...fuzzer, inputs });
+      }
+    }
+    if (withInputs.length === 0) {
+      return [];
+    }
+
+    let stdout;
+    try {
+      stdout = await this.executeReplayScript(
+        workspacePath,
+        this.buildReplayScript(workspacePath, withInputs, options),
+        imageName,
+      );
+    } catch (error) {
+      console.error("Failed to replay regression corpus:", error.message);
+      throw new Error(`Regression run failed: ${error.message}`);
+    }
+
+    const exitCodes = new Map(
+      this.parseReplayOutput(stdout).map((result) => [
+        `${result.fuzzerName}/${result.input}`,
+        result.exitCode,
+      ]),
+    );
+
+    const results = [];
+    for (const fuzzer of withInputs) {
+      for (const input of fuzzer.inputs) {
+        const exitCode = exitCodes.has(`${fuzzer.name}/${input}`)
+          ? exitCodes.get(`${fuzzer.name}/${input}`)
+          : null;
+        const result = {
+          fuzzerName: fuzzer.name,
+          input,
+          inputPath: path.join(
+            this.getRegressionDirectory(workspacePath, fuzzer.name),
+            input,
+          ),
+          passed: exitCode === 0,
+          exitCode,
+          summary: null,
+          log: null,
+        };
+        if (!result.passed) {
+          Object.assign(
+            result,
+            await this.readFailure(workspacePath, fuzzer.name, input),
+          );
+        }
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Reads the output of a failing input
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} input - Input file name
+   * @returns {Promise<Object>} {summary, log}
+   */
+  async readFailure(workspacePath, fuzzerName, input) {
+    let log;
+    try {
+      log = await this.fs.readFile(
+        path.join(
+          this.getLogDirectory(workspacePath, fuzzerName),
+          `${input}.log`,
+        ),
+        "utf8",
+      );
+    } catch (error) {
+      return { summary: "The input was not replayed", log: null };
+    }
+
+    const lines = log.trimEnd().split("\n");
+    const metadata = parseSanitizerReport(log);
+    return {
+      summary:
+        metadata.summary ||
+        metadata.description ||
+        lines[lines.length - 1] ||
+        null,
+      log: lines.slice(-MAX_LOG_LINES).join("\n"),
+    };
+  }
+
+  /**
+   * Runs a replay script in the Docker container
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} script - Script from buildReplayScript
+   * @param {string} imageName - Docker image name
+   * @returns {Promise<string>} Script output
+   */
+  async executeReplayScript(workspacePath, script, imageName) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        removeAfterRun: true,
+        mountWorkspace: true,
+        dockerCommand: "docker",
+        containerType: "regression_replay",
+        resourceManager: this.resourceManager,
+      };
+
+      const replayProcess = this.dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        imageName,
+        script,
+        "/bin/bash",
+        options,
+      );
+
+      let stdout = "";
+      let stderr = "";
+
+      replayProcess.stdout.on("data", (data) => {
+        stdout += data.toString();
+      });
+
+      replayProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      replayProcess.on("close", (code) => {
+        if (code !== 0) {
+          const tail = stderr.trim().split("\n").slice(-20).join("\n");
+          reject(new Error(`Replay script exited with code ${code}: ${tail}`));
+          return;
+        }
+        resolve(stdout);
+      });
+
+      replayProcess.on("error", (error) => {
+        reject(new Error(`Failed to execute replay script: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = { RegressionCorpusService, RESULT_MARKER };
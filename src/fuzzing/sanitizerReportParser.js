@@ -0,0 +1,550 @@
+/**
+ * Sanitizer report parser
+ * Turns the text produced by `codeforge generate-crash-report` (sanitizer
+ * output, Rust panics and GDB backtraces) into structured crash metadata:
+ * the reporting sanitizer, bug class, severity, faulting address, access
+ * size and the symbolized stacks.
+ */
+
+/**
+ * Version of the metadata format; cached metadata with another version is re-parsed
+ */
+const PARSER_VERSION = 1;
+
+/**
+ * Severity levels, most severe first
+ */
+const SEVERITY_LEVELS = ["critical", "high", "medium", "low", "unknown"];
+
+/**
+ * Sanitizer-style frame: "#0 0x4f8b2a in parse_header /src/parser.c:42:7"
+ * or "#3 0x4f8b2a (/out/fuzzer+0x4f8b2a)"
+ */
+const SANITIZER_FRAME_PATTERN =
+  /^\s*#(\d+)\s+(0x[0-9a-fA-F]+)\s+(?:in\s+(.+?)\s+)?(\(?\/?[^\s()]*[^\s]*)$/;
+
+/**
+ * GDB-style frame: "#1  0x000055555555 in parse_header (buf=0x0) at src/parser.c:42"
+ * or "#0  __GI_raise (sig=6) at ../sysdeps/raise.c:50"
+ */
+const GDB_FRAME_PATTERN =
+  /^\s*#(\d+)\s+(?:(0x[0-9a-fA-F]+)\s+in\s+)?(?!0x)([^\s(]+)\s*\(.*?\)(?:\s+(?:at|from)\s+(\S+))?\s*$/;
+
+/**
+ * Sanitizer error phrases that are reported under a shorter bug class
+ */
+const BUG_CLASS_ALIASES = [
+  [/^attempting double-free/, "double-free"],
+  [/^attempting free/, "bad-free"],
+  [/^detected memory leaks/, "memory-leak"],
+  [/^requested allocation size/, "allocation-size-too-big"],
+  [/^allocator is out of memory/, "out-of-memory"],
+  [/^out-of-memory/, "out-of-memory"],
+  [/^timeout/, "timeout"],
+];
+
+/**
+ * UndefinedBehaviorSanitizer runtime error messages and their bug classes
+ */
+const UBSAN_BUG_CLASSES = [
+  [/signed integer overflow/, "signed-integer-overflow"],
+  [/unsigned integer overflow/, "unsigned-integer-overflow"],
+  [/division by zero/, "integer-divide-by-zero"],
+  [/shift exponent|left shift of/, "invalid-shift"],
+  [/index .* out of bounds/, "out-of-bounds-index"],
+  [/null pointer/, "null-pointer-use"],
+  [/misaligned address/, "misaligned-access"],
+  [/load of value .* not a valid value/, "invalid-value-load"],
+  [/outside the range of representable values/, "float-cast-overflow"],
+  [/pointer overflow/, "pointer-overflow"],
+  [/control flow integrity|cfi/i, "cfi-violation"],
+  [/unreachable/, "unreachable"],
+];
+
+/**
+ * Bug classes that corrupt memory when the faulting access is a write
+ */
+const MEMORY_ACCESS_BUG_CLASSES = new Set([
+  "heap-buffer-overflow",
+  "stack-buffer-overflow",
+  "stack-buffer-underflow",
+  "dynamic-stack-buffer-overflow",
+  "global-buffer-overflow",
+  "container-overflow",
+  "intra-object-overflow",
+  "SEGV",
+  "BUS",
+]);
+
+/**
+ * Bug classes that are exploitable memory corruption regardless of access type
+ */
+const CRITICAL_BUG_CLASSES = new Set([
+  "heap-use-after-free",
+  "use-after-poison",
+  "stack-use-after-return",
+  "stack-use-after-scope",
+  "double-free",
+  "bad-free",
+  "alloc-dealloc-mismatch",
+]);
+
+/**
+ * Bug classes that are worth fixing but do not corrupt memory
+ */
+const HIGH_BUG_CLASSES = new Set([
+  "use-of-uninitialized-value",
+  "memcpy-param-overlap",
+  "strcpy-param-overlap",
+  "negative-size-param",
+]);
+
+/**
+ * Bug classes that only affect availability
+ */
+const LOW_BUG_CLASSES = new Set([
+  "memory-leak",
+  "timeout",
+  "out-of-memory",
+  "allocation-size-too-big",
+  "malloc-limit",
+]);
+
+/**
+ * Frames from sanitizer runtimes, libFuzzer and libc that say nothing about
+ * where the bug is
+ */
+const IGNORED_FRAME_PATTERNS = [
+  /^__asan/,
+  /^__sanitizer/,
+  /^__ubsan/,
+  /^__msan/,
+  /^__lsan/,
+  /^__hwasan/,
+  /^__interceptor_/,
+  /^___interceptor_/,
+  /^__GI_/,
+  /^__libc_/,
+  /^__assert_fail/,
+  /^_start$/,
+  /^raise$/,
+  /^abort$/,
+  /^fuzzer::/,
+  /^std::panicking::/,
+  /^core::panicking::/,
+  /^rust_panic/,
+  /^__rust_/,
+];
+
+/**
+ * Splits a "path:line:column" location into its parts
+ * @param {string} location - Location string
+ * @returns {Object} Object with file, line and column (null when absent)
+ */
+function parseLocation(location) {
+  if (!location) {
+    return { file: null, line: null, column: null };
+  }
+
+  const match = location.match(/^(.*?):(\d+)(?::(\d+))?$/);
+  if (!match) {
+    return { file: location, line: null, column: null };
+  }
+
+  return {
+    file: match[1],
+    line: parseInt(match[2], 10),
+    column: match[3] ? parseInt(match[3], 10) : null,
+  };
+}
+
+/**
+ * Parses a single stack frame line
+ * @param {string} line - Report line
+ * @returns {Object|null} Frame object or null if the line is not a frame
+ */
+function parseStackFrame(line) {
+  // Newer sanitizer runtimes append "(BuildId: ...)" to module frames
+  line = line.replace(/\s+\(BuildId: [0-9a-fA-F]+\)\s*$/, "");
+
+  const gdbMatch = line.match(GDB_FRAME_PATTERN);
+  if (gdbMatch) {
+    const [, index, address, func, location] = gdbMatch;
+    const isLibrary = / from \S+\s*$/.test(line);
+    const {
+      file,
+      line: lineNo,
+      column,
+    } = isLibrary
+      ? { file: null, line: null, column: null }
+      : parseLocation(location);
+
+    return {
+      index: parseInt(index, 10),
+      address: address || null,
+      function: func === "??" ? null : func,
+      file,
+      line: lineNo,
+      column,
+      module: isLibrary ? location : null,
+    };
+  }
+
+  const sanitizerMatch = line.match(SANITIZER_FRAME_PATTERN);
+  if (sanitizerMatch) {
+    const [, index, address, func, location] = sanitizerMatch;
+    // Unsymbolized frames look like "(/out/fuzzer+0x1234)"
+    const isModuleOffset = location.startsWith("(");
+    const {
+      file,
+      line: lineNo,
+      column,
+    } = isModuleOffset
+      ? { file: null, line: null, column: null }
+      : parseLocation(location);
+
+    return {
+      index: parseInt(index, 10),
+      address,
+      function: func || null,
+      file,
+      line: lineNo,
+      column,
+      module: isModuleOffset
+        ? location.replace(/^\(|\)$/g, "").replace(/\+0x[0-9a-fA-F]+$/, "")
+        : null,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a frame belongs to a runtime rather than to the code under test
+ * @param {Object} frame - Stack frame
+ * @returns {boolean} True if the frame is unsymbolized or a runtime frame
+ */
+function isIgnoredFrame(frame) {
+  if (!frame.function) {
+    return true;
+  }
+  return IGNORED_FRAME_PATTERNS.some((pattern) => pattern.test(frame.function));
+}
+
+/**
+ * Extracts every stack trace from a crash report
+ * A new stack starts whenever frame #0 is seen again, which separates the
+ * crash stack from e.g. ASan's "freed by thread" and "previously allocated"
+ * stacks. Each stack is titled with the last text line printed before it.
+ * @param {string} report - Crash report text
+ * @returns {Array<Object>} Stacks in report order as {title, frames}
+ */
+function extractStacks(report) {
+  if (!report) {
+    return [];
+  }
+
+  const stacks = [];
+  let current = null;
+  let lastText = null;
+
+  for (const line of report.split(/\r?\n/)) {
+    const frame = parseStackFrame(line);
+    if (!frame) {
+      if (line.trim()) {
+        lastText = line.trim().replace(/:$/, "");
+      }
+      continue;
+    }
+    if (frame.index === 0 || !current) {
+      current = { title: lastText, frames: [] };
+      stacks.push(current);
+    }
+    current.frames.push(frame);
+  }
+
+  return stacks;
+}
+
+/**
+ * Extracts the crashing stack (the first stack) from a crash report
+ * @param {string} report - Crash report text
+ * @returns {Array<Object>} Frames of the crashing stack
+ */
+function extractStackFrames(report) {
+  const stacks = extractStacks(report);
+  return stacks.length > 0 ? stacks[0].frames : [];
+}
+
+/**
+ * Reduces a sanitizer error phrase to a bug class
+ * "heap-buffer-overflow on address 0x..." becomes "heap-buffer-overflow",
+ * "attempting double-free on 0x..." becomes "double-free".
+ * @param {string} phrase - Text following "<Sanitizer>: " on the error line
+ * @returns {string} Bug class
+ */
+function normalizeBugClass(phrase) {
+  const trimmed = phrase.trim();
+  for (const [pattern, bugClass] of BUG_CLASS_ALIASES) {
+    if (pattern.test(trimmed)) {
+      return bugClass;
+    }
+  }
+
+  const head = trimmed.split(/\s+(?:on|at|for|after|in)\s+|[:(]/)[0].trim();
+  return head.replace(/\s+/g, "-") || "unknown";
+}
+
+/**
+ * Classifies a UBSan runtime error message
+ * @param {string} message - Text following "runtime error: "
+ * @returns {string} Bug class
+ */
+function classifyUbsanError(message) {
+  for (const [pattern, bugClass] of UBSAN_BUG_CLASSES) {
+    if (pattern.test(message)) {
+      return bugClass;
+    }
+  }
+  return "undefined-behavior";
+}
+
+/**
+ * Detects which sanitizer (or other mechanism) reported the crash and the bug class
+ * Sanitizer errors take precedence over the generic libFuzzer "deadly signal"
+ * that follows them, so a Rust panic or UBSan error is reported as such.
+ * @param {string} report - Crash report text
+ * @returns {Object} Object with sanitizer, bugClass, description and location (null when unknown)
+ */
+function classifyBug(report) {
+  const unknown = {
+    sanitizer: "unknown",
+    bugClass: "unknown",
+    description: null,
+    location: null,
+  };
+  if (!report) {
+    return unknown;
+  }
+
+  const sanitizerMatch = report.match(
+    /(?:ERROR|WARNING):\s+(\w+Sanitizer):\s+(.+)/,
+  );
+  if (sanitizerMatch) {
+    return {
+      sanitizer: sanitizerMatch[1],
+      bugClass: normalizeBugClass(sanitizerMatch[2]),
+      description: sanitizerMatch[0].trim(),
+      location: null,
+    };
+  }
+
+  const ubsanMatch = report.match(
+    /^\s*(\S+?):(\d+):(\d+): runtime error: (.+)$/m,
+  );
+  if (ubsanMatch) {
+    return {
+      sanitizer: "UndefinedBehaviorSanitizer",
+      bugClass: classifyUbsanError(ubsanMatch[4]),
+      description: `runtime error: ${ubsanMatch[4].trim()}`,
+      location: parseLocation(
+        `${ubsanMatch[1]}:${ubsanMatch[2]}:${ubsanMatch[3]}`,
+      ),
+    };
+  }
+
+  // Rust >= 1.73 prints "panicked at src/lib.rs:10:5:" followed by the message,
+  // older versions "panicked at 'message', src/lib.rs:10:5"
+  const panicMatch = report.match(/panicked at (\S+?:\d+:\d+):\r?\n(.*)/);
+  const legacyPanicMatch = report.match(/panicked at '(.*)', (\S+?:\d+:\d+)/);
+  if (panicMatch || legacyPanicMatch) {
+    const [message, location] = panicMatch
+      ? [panicMatch[2], panicMatch[1]]
+      : [legacyPanicMatch[1], legacyPanicMatch[2]];
+    return {
+      sanitizer: "RustPanic",
+      bugClass: "panic",
+      description: message.trim(),
+      location: parseLocation(location),
+    };
+  }
+
+  const libFuzzerMatch = report.match(/ERROR:\s+libFuzzer:\s+(.+)/);
+  if (libFuzzerMatch) {
+    return {
+      sanitizer: "libFuzzer",
+      bugClass: normalizeBugClass(libFuzzerMatch[1]),
+      description: libFuzzerMatch[0].trim(),
+      location: null,
+    };
+  }
+
+  const summaryMatch = report.match(/SUMMARY:\s+(\w+Sanitizer):\s+(.+)/);
+  if (summaryMatch) {
+    return {
+      sanitizer: summaryMatch[1],
+      bugClass: normalizeBugClass(summaryMatch[2]),
+      description: summaryMatch[0].trim(),
+      location: null,
+    };
+  }
+
+  const signalMatch = report.match(
+    /(?:received|terminated with) signal (SIG[A-Z]+)/,
+  );
+  if (signalMatch) {
+    return {
+      sanitizer: "signal",
+      bugClass: signalMatch[1],
+      description: signalMatch[0].trim(),
+      location: null,
+    };
+  }
+
+  return unknown;
+}
+
+/**
+ * Extracts the faulting address and memory access from a sanitizer report
+ * @param {string} report - Crash report text
+ * @returns {Object} Object with address, accessType ("READ"/"WRITE") and accessSize (null when absent)
+ */
+function extractMemoryAccess(report) {
+  const result = { address: null, accessType: null, accessSize: null };
+  if (!report) {
+    return result;
+  }
+
+  // "READ of size 4 at 0x602000000014 thread T0"
+  const accessMatch = report.match(
+    /^\s*(READ|WRITE) of size (\d+) at (0x[0-9a-fA-F]+)/m,
+  );
+  if (accessMatch) {
+    result.accessType = accessMatch[1];
+    result.accessSize = parseInt(accessMatch[2], 10);
+    result.address = accessMatch[3];
+  }
+
+  // "ERROR: AddressSanitizer: SEGV on unknown address 0x000000000000"
+  const addressMatch = report.match(
+    /Sanitizer: .*? on (?:unknown )?address (0x[0-9a-fA-F]+)/,
+  );
+  if (addressMatch && !result.address) {
+    result.address = addressMatch[1];
+  }
+
+  // "The signal is caused by a WRITE memory access."
+  const signalAccessMatch = report.match(
+    /caused by an? (READ|WRITE) memory access/,
+  );
+  if (signalAccessMatch && !result.accessType) {
+    result.accessType = signalAccessMatch[1];
+  }
+
+  return result;
+}
+
+/**
+ * Rates how severe a bug is likely to be
+ * Writes out of bounds and use-after-free style bugs are critical, other
+ * memory safety bugs high, logic and undefined behavior bugs medium, and
+ * resource exhaustion low.
+ * @param {Object} details - Object with sanitizer, bugClass, accessType and address
+ * @returns {string} One of SEVERITY_LEVELS
+ */
+function assessSeverity({ sanitizer, bugClass, accessType, address }) {
+  if (!bugClass || bugClass === "unknown") {
+    return "unknown";
+  }
+  if (CRITICAL_BUG_CLASSES.has(bugClass)) {
+    return "critical";
+  }
+  if (LOW_BUG_CLASSES.has(bugClass)) {
+    return "low";
+  }
+  if (MEMORY_ACCESS_BUG_CLASSES.has(bugClass)) {
+    // Faults on the zero page are null pointer dereferences
+    if (
+      address !== null &&
+      address !== undefined &&
+      parseInt(address, 16) < 0x1000
+    ) {
+      return "medium";
+    }
+    return accessType === "WRITE" ? "critical" : "high";
+  }
+  if (HIGH_BUG_CLASSES.has(bugClass)) {
+    return "high";
+  }
+  if (sanitizer === "signal" && bugClass === "SIGSEGV") {
+    return "high";
+  }
+  return "medium";
+}
+
+/**
+ * Parses a crash report into structured metadata
+ * @param {string} report - Crash report text
+ * @returns {Object} Crash metadata:
+ * {
+ *   version: number,          // PARSER_VERSION
+ *   sanitizer: string,        // "AddressSanitizer", "RustPanic", "libFuzzer", ... or "unknown"
+ *   bugClass: string,         // "heap-buffer-overflow", "SEGV", "timeout", ...
+ *   severity: string,         // one of SEVERITY_LEVELS
+ *   description: string|null, // sanitizer error line, UBSan message or panic message
+ *   address: string|null,     // faulting address
+ *   accessType: string|null,  // "READ" or "WRITE"
+ *   accessSize: number|null,  // bytes accessed
+ *   location: object|null,    // {file, line, column} of the error, if reported
+ *   stack: array,             // frames of the crashing stack
+ *   relatedStacks: array,     // other stacks as {title, frames} (allocation, free, ...)
+ *   summary: string|null      // sanitizer SUMMARY line
+ * }
+ */
+function parseSanitizerReport(report) {
+  const { sanitizer, bugClass, description, location } = classifyBug(report);
+  const { address, accessType, accessSize } = extractMemoryAccess(report);
+  const stacks = extractStacks(report);
+  const summaryMatch = report ? report.match(/^.*SUMMARY:\s+(.+)$/m) : null;
+
+  const stack = stacks.length > 0 ? stacks[0].frames : [];
+  const topSourceFrame = stack.find(
+    (frame) => !isIgnoredFrame(frame) && frame.file && frame.line,
+  );
+
+  return {
+    version: PARSER_VERSION,
+    sanitizer,
+    bugClass,
+    severity: assessSeverity({ sanitizer, bugClass, accessType, address }),
+    description,
+    address,
+    accessType,
+    accessSize,
+    location:
+      location ||
+      (topSourceFrame
+        ? {
+            file: topSourceFrame.file,
+            line: topSourceFrame.line,
+            column: topSourceFrame.column,
+          }
+        : null),
+    stack,
+    relatedStacks: stacks.slice(1),
+    summary: summaryMatch ? summaryMatch[1].trim() : null,
+  };
+}
+
+module.exports = {
+  parseSanitizerReport,
+  parseStackFrame,
+  extractStacks,
+  extractStackFrames,
+  isIgnoredFrame,
+  classifyBug,
+  extractMemoryAccess,
+  assessSeverity,
+  PARSER_VERSION,
+  SEVERITY_LEVELS,
+};
@@ -0,0 +1,407 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { saveFuzzerOverride } = require("./fuzzingConfig");
+
+/**
+ * Directories (relative to the workspace) holding the seeds and dictionaries
+ * managed by CodeForge. Unlike .codeforge/fuzzing they are meant to be
+ * checked in with the project.
+ */
+const SEEDS_DIR = ".codeforge/seeds";
+const DICTIONARIES_DIR = ".codeforge/dictionaries";
+
+/**
+ * libFuzzer ignores dictionary entries longer than this many bytes
+ */
+const MAX_DICTIONARY_ENTRY_LENGTH = 64;
+
+/**
+ * Upper bound on generated entries; large dictionaries slow mutation down
+ */
+const MAX_DICTIONARY_ENTRIES = 1000;
+
+/**
+ * Extensions of the source files dictionaries are generated from
+ */
+const SOURCE_EXTENSIONS = [
+  ".c",
+  ".cc",
+  ".cpp",
+  ".cxx",
+  ".h",
+  ".hh",
+  ".hpp",
+  ".rs",
+];
+
+/**
+ * SeedService - Manages the seed corpus and dictionary of each fuzzer
+ *
+ * Seeds are copied to .codeforge/seeds/<fuzzer>/ under their SHA-1, the way
+ * libFuzzer names corpus entries, so adding the same input twice is a no-op.
+ * Dictionaries are generated from the string and integer constants in the
+ * fuzzer's sources and written to .codeforge/dictionaries/<fuzzer>.dict.
+ * Both are registered in .codeforge/fuzzers.json, from where
+ * runFuzzTestsWithScript passes them to the container run.
+ */
+class SeedService {
+  constructor(fsModule = null) {
+    this.fs = fsModule || fs;
+  }
+
+  /**
+   * Gets the seed directory of a fuzzer
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} Workspace-relative seed directory
+   */
+  getSeedDirectory(fuzzerName) {
+    return `${SEEDS_DIR}/${fuzzerName}`;
+  }
+
+  /**
+   * Gets the generated dictionary path of a fuzzer
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} Workspace-relative dictionary path
+   */
+  getDictionaryPath(fuzzerName) {
+    return `${DICTIONARIES_DIR}/${fuzzerName}.dict`;
+  }
+
+  /**
+   * Summarizes the managed seeds of a fuzzer
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {Promise<Object>} {count, totalSize}
+   */
+  async getSeedSummary(workspacePath, fuzzerName) {
+    const seedDir = path.join(workspacePath, this.getSeedDirectory(fuzzerName));
+    let count = 0;
+    let totalSize = 0;
+    try {
+      for (const entry of await this.fs.readdir(seedDir, {
+        withFileTypes: true,
+      })) {
+        if (entry.isFile()) {
+          count++;
+          totalSize += (await this.fs.stat(path.join(seedDir, entry.name)))
+            .size;
+        }
+      }
+    } catch (error) {
+      // No seeds yet
+    }
+    return { count, totalSize };
+  }
+
+  /**
+   * Copies files and the files inside folders into the fuzzer's seeds and
+   * registers the seed directory in .codeforge/fuzzers.json
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Array<string>} sourcePaths - Files or folders to add
+   * @returns {Promise<Object>} {added, duplicates, seedDirectory}
+   */
+  async addSeeds(workspacePath, fuzzerName, sourcePaths) {
+    const seedDirectory = this.getSeedDirectory(fuzzerName);
+    const seedDir = path.join(workspacePath, seedDirectory);
+    await this.fs.mkdir(seedDir, { recursive: true });
+
+    let added = 0;
+    let duplicates = 0;
+    for (const sourcePath of sourcePaths) {
+      for (const file of await this.listFiles(sourcePath)) {
+        const content = await this.fs.readFile(file);
+        const target = path.join(
+          seedDir,
+          crypto.createHash("sha1").update(content).digest("hex"),
+        );
+        try {
+          await this.fs.writeFile(target, content, { flag: "wx" });
+          added++;
+        } catch (error) {
+          if (error.code !== "EEXIST") {
+            throw error;
+          }
+          duplicates++;
+        }
+      }
+    }
+
+    await saveFuzzerOverride(workspacePath, fuzzerName, (override) => {
+      const seedCorpus = override.seedCorpus || [];
+      return seedCorpus.includes(seedDirectory)
+        ? override
+        : { ...override, seedCorpus: [...seedCorpus, seedDirectory] };
+    });
+
+    return { added, duplicates, seedDirectory };
+  }
+
+  /**
+   * Lists a file, or the files below a folder
+   * @param {string} sourcePath - File or folder
+   * @returns {Promise<Array<string>>} File paths
+   */
+  async listFiles(sourcePath) {
+    const stats = await this.fs.stat(sourcePath);
+    if (!stats.isDirectory()) {
+      return stats.isFile() ? [sourcePath] : [];
+    }
+
+    const files = [];
+    for (const entry of await this.fs.readdir(sourcePath, {
+      withFileTypes: true,
+    })) {
+      const entryPath = path.join(sourcePath, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await this.listFiles(entryPath)));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Picks the sources a fuzzer is built from
+   * The harness is the file defining the fuzz entry point whose name matches
+   * the fuzzer. For C/C++ the local headers it includes and their
+   * implementation files are added; for a cargo-fuzz target the sources of
+   * the fuzzed crate are.
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Array<string>} candidateFiles - Source files of the workspace
+   * @returns {Promise<Array<string>>} Source files, harness first (empty if no harness was found)
+   */
+  async getFuzzerSources(fuzzerName, candidateFiles) {
+    const normalizedName = normalizeName(fuzzerName);
+    const harnesses = [];
+    for (const file of candidateFiles) {
+      if (!normalizeName(path.basename(file)).includes(normalizedName)) {
+        continue;
+      }
+      const content = await this.readSource(file);
+      if (/LLVMFuzzerTestOneInput|fuzz_target!/.test(content)) {
+        harnesses.push(file);
+      }
+    }
+
+    const sources = new Set(harnesses);
+    const candidates = new Set(
+      candidateFiles.map((file) => path.resolve(file)),
+    );
+    for (const harness of harnesses) {
+      if (harness.endsWith(".rs")) {
+        // fuzz/fuzz_targets/<name>.rs fuzzes the crate two levels up
+        const crateSources = path.resolve(
+          path.dirname(harness),
+          "..",
+          "..",
+          "src",
+        );
+        for (const file of candidateFiles) {
+          if (path.resolve(file).startsWith(crateSources + path.sep)) {
+            sources.add(file);
+          }
+        }
+        continue;
+      }
+
+      const content = await this.readSource(harness);
+      for (const match of content.matchAll(/#\s*include\s+"([^"]+)"/g)) {
+        const header = path.resolve(path.dirname(harness), match[1]);
+        if (!candidates.has(header)) {
+          continue;
+        }
+        sources.add(header);
+        const stem = header.slice(0, -path.extname(header).length);
+        for (const extension of [".c", ".cc", ".cpp", ".cxx"]) {
+          if (candidates.has(stem + extension)) {
+            sources.add(stem + extension);
+          }
+        }
+      }
+    }
+    return Array.from(sources);
+  }
+
+  /**
+   * Generates a dictionary from source files and registers it in
+   * .codeforge/fuzzers.json
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Array<string>} sourceFiles - Files to extract constants from
+   * @returns {Promise<Object>} {dictionary, entries}
+   */
+  async generateDictionary(workspacePath, fuzzerName, sourceFiles) {
+    const entries = new Set();
+    for (const file of sourceFiles) {
+      for (const entry of extractDictionaryEntries(
+        await this.readSource(file),
+      )) {
+        entries.add(entry);
+      }
+    }
+    const sorted = Array.from(entries)
+      .sort((a, b) => a.length - b.length || a.localeCompare(b))
+      .slice(0, MAX_DICTIONARY_ENTRIES);
+
+    const dictionary = this.getDictionaryPath(fuzzerName);
+    const relativeSources = sourceFiles.map((file) =>
+      path.relative(workspacePath, file),
+    );
+    const content = [
+      `# libFuzzer dictionary for ${fuzzerName}, generated by CodeForge`,
+      `# Sources: ${relativeSources.join(", ")}`,
+      ...sorted.map(
+        (entry, index) => `kw${index + 1}="${escapeDictionaryEntry(entry)}"`,
+      ),
+    ].join("\n");
+
+    await this.fs.mkdir(path.join(workspacePath, DICTIONARIES_DIR), {
+      recursive: true,
+    });
+    await this.fs.writeFile(
+      path.join(workspacePath, dictionary),
+      content + "\n",
+      "utf8",
+    );
+    await saveFuzzerOverride(workspacePath, fuzzerName, (override) => ({
+      ...override,
+      dictionary,
+    }));
+
+    return { dictionary, entries: sorted.length };
+  }
+
+  /**
+   * Reads a source file, treating unreadable files as empty
+   * @param {string} file - Source file path
+   * @returns {Promise<string>} File content
+   */
+  async readSource(file) {
+    try {
+      return await this.fs.readFile(file, "utf8");
+    } catch (error) {
+      return "";
+    }
+  }
+}
+
+/**
+ * Extracts dictionary entries from C, C++ or Rust source
+ * String literals are taken as they are (escape sequences decoded) and
+ * integer constants that do not fit in one byte are encoded as
+ * little-endian 2, 4 or 8 byte values. Comments are ignored.
+ * @param {string} source - Source code
+ * @returns {Array<string>} Entries as binary strings (one char per byte)
+ */
+function extractDictionaryEntries(source) {
+  const code = source
+    .replace(/\/\*[\s\S]*?\*\//g, " ")
+    .replace(/(^|[^:"'])\/\/.*$/gm, "$1")
+    .replace(/^\s*#\s*include.*$/gm, "");
+  const stringLiteral = /"((?:[^"\\\n]|\\.)*)"/g;
+  const entries = new Set();
+
+  for (const match of code.matchAll(stringLiteral)) {
+    const value = decodeStringLiteral(match[1]);
+    if (
+      value.length >= 2 &&
+      value.length <= MAX_DICTIONARY_ENTRY_LENGTH &&
+      // Format strings mostly describe output, not input
+      !/%[-+ #0-9.]*[dsuxXfcpl]/.test(value)
+    ) {
+      entries.add(value);
+    }
+  }
+
+  for (const match of code
+    .replace(stringLiteral, " ")
+    .matchAll(
+      /(?<![\w.])(0[xX][0-9a-fA-F]+|[1-9][0-9]*)(?:[uU]?[lL]{0,2}|_?[ui](?:8|16|32|64|size))?(?![\w.])/g,
+    )) {
+    const value = BigInt(match[1]);
+    if (value > 255n && value < 2n ** 64n) {
+      entries.add(encodeLittleEndian(value));
+    }
+  }
+
+  return Array.from(entries);
+}
+
+/**
+ * Decodes the escape sequences of a string literal into bytes
+ * @param {string} literal - Literal content without quotes
+ * @returns {string} Binary string (one char per byte)
+ */
+function decodeStringLiteral(literal) {
+  const simple = { n: "\n", r: "\r", t: "\t", 0: "\0", '"': '"', "\\": "\\" };
+  const decoded = literal.replace(
+    /\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g,
+    (sequence, escape) => {
+      if (escape[0] === "x") {
+        return String.fromCharCode(parseInt(escape.slice(1), 16));
+      }
+      if (/^[0-7]+$/.test(escape)) {
+        return String.fromCharCode(parseInt(escape, 8) & 0xff);
+      }
+      return escape in simple ? simple[escape] : escape;
+    },
+  );
+  // UTF-8 encode so the entry matches the bytes in the binary
+  return Buffer.from(decoded, "utf8").toString("latin1");
+}
+
+/**
+ * Encodes an integer as little-endian bytes of the smallest fitting width
+ * @param {bigint} value - Value between 256 and 2^64 - 1
+ * @returns {string} Binary string of 2, 4 or 8 bytes
+ */
+function encodeLittleEndian(value) {
+  const width = value < 2n ** 16n ? 2 : value < 2n ** 32n ? 4 : 8;
+  let bytes = "";
+  for (let i = 0; i < width; i++) {
+    bytes += String.fromCharCode(Number((value >> BigInt(i * 8)) & 0xffn));
+  }
+  return bytes;
+}
+
+/**
+ * Escapes an entry for the dictionary file format
+ * @param {string} entry - Binary string
+ * @returns {string} Entry with quotes, backslashes and unprintable bytes escaped
+ */
+function escapeDictionaryEntry(entry) {
+  let escaped = "";
+  for (const char of entry) {
+    const code = char.charCodeAt(0);
+    if (char === '"' || char === "\\") {
+      escaped += `\\${char}`;
+    } else if (code < 0x20 || code > 0x7e) {
+      escaped += `\\x${code.toString(16).padStart(2, "0").toUpperCase()}`;
+    } else {
+      escaped += char;
+    }
+  }
+  return escaped;
+}
+
+/**
+ * Normalizes a fuzzer or file name for matching ("parser-fuzz" and
+ * "parser_fuzz.cpp" both become "parserfuzz...")
+ * @param {string} name - Name to normalize
+ * @returns {string} Lowercase name without separators
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+module.exports = {
+  SeedService,
+  extractDictionaryEntries,
+  escapeDictionaryEntry,
+  SEEDS_DIR,
+  DICTIONARIES_DIR,
+  SOURCE_EXTENSIONS,
+};
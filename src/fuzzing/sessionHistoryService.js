@@ -0,0 +1,216 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { getOutputDirectory } = require("./fuzzingConfig");
+
+/**
+ * File name of the per-fuzzer history stored inside <fuzzer>-output
+ */
+const HISTORY_FILE_NAME = "session-history.json";
+
+/**
+ * Maximum number of sessions kept per fuzzer; older entries are dropped
+ */
+const MAX_SESSIONS_PER_FUZZER = 100;
+
+/**
+ * SessionHistoryService - Persists fuzzing session results
+ *
+ * Every fuzzer run is appended to .codeforge/fuzzing/<fuzzer>-output/session-history.json
+ * so runs can be compared over time. Session record structure:
+ * {
+ *   id: string,                 // unique session id
+ *   fuzzer: string,             // fuzzer name
+ *   preset: string,             // CMake preset ("" for Rust projects)
+ *   startTime: string,          // ISO timestamp
+ *   endTime: string,            // ISO timestamp
+ *   durationMs: number,         // endTime - startTime
+ *   libFuzzerOptions: object,   // options from getLibFuzzerOptions()
+ *   finalCoverage: number|null, // last reported cov
+ *   finalFeatures: number|null, // last reported ft
+ *   corpusSize: number|null,    // last reported corpus entries
+ *   totalExecs: number|null,    // last reported execution count
+ *   newCrashes: number,         // crash files reported during the run
+ *   exitCode: number|null,      // run script exit code
+ *   status: string              // "completed" | "error"
+ * }
+ */
+class SessionHistoryService {
+  constructor(fsModule = null) {
+    this.fs = fsModule || fs;
+    this.path = path;
+  }
+
+  /**
+   * Gets the fuzzing output directory relative to the workspace
+   * @returns {string} Relative output directory
+   */
+  getOutputDirectory() {
+    try {
+      return getOutputDirectory();
+    } catch (error) {
+      return ".codeforge/fuzzing";
+    }
+  }
+
+  /**
+   * Gets the history file path for a fuzzer
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} Absolute path to the history file
+   */
+  getHistoryFilePath(workspacePath, fuzzerName) {
+    return this.path.join(
+      workspacePath,
+      this.getOutputDirectory(),
+      `${fuzzerName}-output`,
+      HISTORY_FILE_NAME,
+    );
+  }
+
+  /**
+   * Reads the recorded sessions for a fuzzer
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {Promise<Object[]>} Sessions, oldest first (empty if none recorded)
+   */
+  async getHistory(workspacePath, fuzzerName) {
+    try {
+      const content = await this.fs.readFile(
+        this.getHistoryFilePath(workspacePath, fuzzerName),
+        "utf8",
+      );
+      const parsed = JSON.parse(content);
+      return Array.isArray(parsed.sessions) ? parsed.sessions : [];
+    } catch (error) {
+      // Missing or unreadable history is treated as empty
+      return [];
+    }
+  }
+
+  /**
+   * Appends a session to a fuzzer's history
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} session - Session record (see class documentation)
+   * @returns {Promise<Object>} The stored session record
+   */
+  async recordSession(workspacePath, session) {
+    if (!session || !session.fuzzer) {
+      throw new Error("Session fuzzer name is required");
+    }
+
+    const historyPath = this.getHistoryFilePath(workspacePath, session.fuzzer);
+    const sessions = await this.getHistory(workspacePath, session.fuzzer);
+
+    const startTime = session.startTime || new Date().toISOString();
+    const endTime = session.endTime || new Date().toISOString();
+    const record = {
+      id:
+        session.id ||
+        `${Date.parse(startTime) || Date.now()}-${session.fuzzer}`,
+      fuzzer: session.fuzzer,
+      preset: session.preset || "",
+      startTime,
+      endTime,
+      durationMs: Math.max(0, Date.parse(endTime) - Date.parse(startTime)) || 0,
+      libFuzzerOptions: session.libFuzzerOptions || {},
+      finalCoverage: valueOrNull(session.finalCoverage),
+      finalFeatures: valueOrNull(session.finalFeatures),
+      corpusSize: valueOrNull(session.corpusSize),
+      totalExecs: valueOrNull(session.totalExecs),
+      newCrashes: session.newCrashes || 0,
+      exitCode: valueOrNull(session.exitCode),
+      status: session.status || "completed",
+    };
+
+    sessions.push(record);
+    if (sessions.length > MAX_SESSIONS_PER_FUZZER) {
+      sessions.splice(0, sessions.length - MAX_SESSIONS_PER_FUZZER);
+    }
+
+    await this.fs.mkdir(this.path.dirname(historyPath), { recursive: true });
+    await this.fs.writeFile(
+      historyPath,
+      JSON.stringify({ version: 1, sessions }, null, 2) + "\n",
+      "utf8",
+    );
+
+    return record;
+  }
+
+  /**
+   * Reads the history of every fuzzer that has one
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {Promise<Object>} Map of fuzzer name to annotated sessions (newest first)
+   */
+  async getAllHistory(workspacePath) {
+    const outputRoot = this.path.join(workspacePath, this.getOutputDirectory());
+    let entries;
+    try {
+      entries = await this.fs.readdir(outputRoot);
+    } catch (error) {
+      return {};
+    }
+
+    const history = {};
+    for (const entry of entries) {
+      if (!entry.endsWith("-output")) {
+        continue;
+      }
+      const fuzzerName = entry.slice(0, -"-output".length);
+      const sessions = await this.getHistory(workspacePath, fuzzerName);
+      if (sessions.length > 0) {
+        history[fuzzerName] = this.annotateRegressions(sessions).reverse();
+      }
+    }
+    return history;
+  }
+
+  /**
+   * Annotates sessions with coverage deltas and regression flags
+   * A session is a regression when its final coverage is lower than the
+   * best coverage reached by any earlier session.
+   * @param {Object[]} sessions - Sessions, oldest first
+   * @returns {Object[]} Annotated copies, oldest first
+   */
+  annotateRegressions(sessions) {
+    let previousCoverage = null;
+    let bestCoverage = null;
+
+    return sessions.map((session) => {
+      const coverage = session.finalCoverage;
+      const annotated = {
+        ...session,
+        coverageDelta:
+          coverage !== null && previousCoverage !== null
+            ? coverage - previousCoverage
+            : null,
+        bestPreviousCoverage: bestCoverage,
+        isRegression:
+          coverage !== null && bestCoverage !== null && coverage < bestCoverage,
+      };
+
+      if (coverage !== null) {
+        previousCoverage = coverage;
+        bestCoverage =
+          bestCoverage === null ? coverage : Math.max(bestCoverage, coverage);
+      }
+
+      return annotated;
+    });
+  }
+}
+
+/**
+ * Normalizes undefined values to null for JSON storage
+ * @param {*} value - Value to normalize
+ * @returns {*} Value or null
+ */
+function valueOrNull(value) {
+  return value === undefined ? null : value;
+}
+
+module.exports = {
+  SessionHistoryService,
+  HISTORY_FILE_NAME,
+  MAX_SESSIONS_PER_FUZZER,
+};
@@ -7,8 +7,53 @@ const {
 } = require("../fuzzing/fuzzingTerminal");
 const { FuzzerDiscoveryService } = require("../fuzzing/fuzzerDiscoveryService");
 const { GdbIntegration } = require("../fuzzing/gdbIntegration");
+const { SessionHistoryService } = require("../fuzzing/sessionHistoryService");
 const { CrashReportProvider } = require("./crashReportProvider");
 const { CorpusDocumentProvider } = require("./corpusDocumentProvider");
+const { CorpusExplorerPanel } = require("./corpusExplorerPanel");
+const { RegressionResultsPanel } = require("./regressionResultsPanel");
+const { CrashReportLinkProvider } = require("./crashReportLinkProvider");
+const { CoverageDecorationProvider } = require("./coverageDecorationProvider");
+const { CoverageService } = require("../fuzzing/coverageService");
+const {
+  CorpusMinimizationService,
+} = require("../fuzzing/corpusMinimizationService");
+const {
+  RegressionCorpusService,
+} = require("../fuzzing/regressionCorpusService");
+const {
+  CrashMinimizationService,
+  getMinimizedCrashPath,
+} = require("../fuzzing/crashMinimizationService");
+const { CrashExportService } = require("../fuzzing/crashExportService");
+const {
+  CrashReevaluationService,
+  REEVALUATION_STATUS,
+} = require("../fuzzing/crashReevaluationService");
+const {
+  CrashTriageService,
+  TRIAGE_FILE,
+  TRIAGE_STATUSES,
+  TRIAGE_SIGNATURE_FRAMES,
+} = require("../fuzzing/crashTriageService");
+const {
+  GdbScriptService,
+  GDB_SCRIPTS_DIR,
+  DEFAULT_GDB_SCRIPT,
+} = require("../fuzzing/gdbScriptService");
+const { computeCrashSignature } = require("../fuzzing/crashSignature");
+const { CampaignScheduler } = require("../fuzzing/campaignScheduler");
+const {
+  getFuzzingConfig,
+  getLibFuzzerOptions,
+  getCrashMinimizationConfig,
+  shouldMinimizeCrashes,
+  getCrashReevaluationConfig,
+  getRegressionDirectory,
+  loadFuzzerOverrides,
+} = require("../fuzzing/fuzzingConfig");
+const { SeedService, SOURCE_EXTENSIONS } = require("../fuzzing/seedService");
+const { parseSanitizerReport } = require("../fuzzing/sanitizerReportParser");
 const {
   InitializationDetectionService,
 } = require("../core/initializationDetectionService");
@@ -17,6 +62,25 @@ const { validateFuzzerName } = require("../fuzzing/fuzzerUtils");
 const fs = require("fs").promises;
 const path = require("path");
 
+/**
+ * Actions on crashes selected in the webview: progress title and the verb of
+ * the summary
+ */
+const BATCH_CRASH_ACTIONS = {
+  reports: { title: "Generating crash reports", done: "Generated reports for" },
+  minimize: { title: "Minimizing crash inputs", done: "Minimized" },
+  export: { title: "Exporting crash reproducers", done: "Exported" },
+  archive: { title: "Archiving crashes", done: "Archived" },
+  delete: { title: "Deleting crashes", done: "Deleted" },
+};
+
+/**
+ * Shown when a crash input minimization is requested while
+ * codeforge.fuzzing.minimizeCrashes is off
+ */
+const MINIMIZATION_DISABLED_MESSAGE =
+  "CodeForge: Crash minimization is turned off in the codeforge.fuzzing.minimizeCrashes setting";
+
 /**
  * Command Handlers for CodeForge Extension
  * Provides centralized command handling with proper error handling and user feedback
@@ -27,12 +91,50 @@ class CodeForgeCommandHandlers {
     this.outputChannel = outputChannel;
     this.webviewProvider = webviewProvider;
     this.resourceManager = resourceManager;
-    this.fuzzerDiscoveryService = new FuzzerDiscoveryService(resourceManager);
+    // Share the webview's discovery service so crash reports queued by either
+    // are generated once; the webview refreshes when they are ready
+    if (webviewProvider && webviewProvider._fuzzerDiscoveryService) {
+      this.fuzzerDiscoveryService = webviewProvider._fuzzerDiscoveryService;
+    } else {
+      this.fuzzerDiscoveryService = new FuzzerDiscoveryService(resourceManager);
+      // Show crash metadata generated in the background
+      this.fuzzerDiscoveryService.onDidGenerateCrashMetadata(() =>
+        this.handleRefreshFuzzers(),
+      );
+    }
     this.gdbIntegration = new GdbIntegration(dockerOperations, resourceManager);
     this.initializationService = new InitializationDetectionService(
       resourceManager,
     );
     this.launchConfigManager = new LaunchConfigManager();
+    this.sessionHistoryService = new SessionHistoryService();
+    this.crashReportLinkProvider = new CrashReportLinkProvider();
+    this.coverageService = new CoverageService(resourceManager);
+    this.seedService = new SeedService();
+    this.corpusMinimizationService = new CorpusMinimizationService(
+      resourceManager,
+    );
+    this.regressionCorpusService = new RegressionCorpusService(
+      null,
+      resourceManager,
+    );
+    this.crashMinimizationService = new CrashMinimizationService(
+      resourceManager,
+    );
+    this.crashExportService = new CrashExportService(resourceManager);
+    this.crashReevaluationService = new CrashReevaluationService(
+      resourceManager,
+    );
+    this.crashTriageService = new CrashTriageService();
+    this.gdbScriptService = new GdbScriptService(resourceManager);
+    // Created on first use, it owns editor decorations and a status bar item
+    this.coverageDecorations = null;
+    // Created on first use, campaigns outlive a single command
+    this.campaignScheduler = null;
+    // Created on first use, it owns the corpus explorer panels
+    this.corpusExplorer = null;
+    // Created on first use, it shows the last regression run
+    this.regressionResults = null;
   }
 
   /**
@@ -52,6 +154,27 @@ class CodeForgeCommandHandlers {
     }
   }
 
+  /**
+   * Remove the Problems panel diagnostics of a fuzzer's crashes
+   * @param {string} fuzzerName - Name of the fuzzer
+   */
+  clearCrashDiagnostics(fuzzerName) {
+    if (this.webviewProvider && this.webviewProvider._clearCrashDiagnostics) {
+      this.webviewProvider._clearCrashDiagnostics(fuzzerName);
+    }
+  }
+
+  /**
+   * Forward live libFuzzer stats from a fuzzing terminal to the activity bar
+   * @param {string} fuzzerName - Name of the fuzzer the stats belong to
+   * @param {Object} stats - Stats snapshot from LibFuzzerStatsTracker
+   */
+  publishFuzzerStats(fuzzerName, stats) {
+    if (this.webviewProvider && this.webviewProvider._updateFuzzerStats) {
+      this.webviewProvider._updateFuzzerStats(fuzzerName, stats);
+    }
+  }
+
   /**
    * Get workspace folder and path with validation
    */
@@ -324,6 +447,10 @@ class CodeForgeCommandHandlers {
         workspacePath,
         null,
         this.resourceManager,
+        {
+          onStats: (name, stats) => this.publishFuzzerStats(name, stats),
+          sessionHistory: this.sessionHistoryService,
+        },
       );
 
       // Create the VSCode terminal with our custom implementation
@@ -378,6 +505,7 @@ class CodeForgeCommandHandlers {
       const buildTerminal = new CodeForgeBuildTerminal(
         workspacePath,
         this.resourceManager,
+        (results) => this.reevaluateAfterBuild(results),
       );
 
       // Set up build completion monitoring for user notifications
@@ -812,6 +940,9 @@ class CodeForgeCommandHandlers {
           isLoading: false,
           error: null,
         });
+        if (this.webviewProvider._refreshSessionHistory) {
+          await this.webviewProvider._refreshSessionHistory();
+        }
       }
 
       const totalCrashes = fuzzerData.reduce(
@@ -1006,6 +1137,10 @@ class CodeForgeCommandHandlers {
         workspacePath,
         fuzzerName,
         this.resourceManager,
+        {
+          onStats: (name, stats) => this.publishFuzzerStats(name, stats),
+          sessionHistory: this.sessionHistoryService,
+        },
       );
 
       // Create the VSCode terminal with our custom implementation
@@ -1029,6 +1164,132 @@ class CodeForgeCommandHandlers {
     }
   }
 
+  /**
+   * Stop a running fuzzer
+   * libFuzzer is interrupted so it writes out its corpus before exiting.
+   * @param {Object} params - Parameters with optional fuzzerName (prompted for if missing)
+   */
+  async handleStopFuzzer(params = {}) {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      const fuzzerName = await this.selectRunningFuzzer(
+        workspacePath,
+        params && params.fuzzerName,
+        "Select a fuzzer to stop",
+      );
+      if (!fuzzerName) {
+        return;
+      }
+
+      this.safeOutputLog(`Stopping fuzzer: ${fuzzerName}`);
+      const result = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `CodeForge: Stopping ${fuzzerName}...`,
+          cancellable: false,
+        },
+        () => fuzzingOperations.stopFuzzTarget(workspacePath, fuzzerName),
+      );
+
+      this.safeOutputLog(result.message);
+      if (result.success) {
+        vscode.window.showInformationMessage(`CodeForge: ${result.message}`);
+      } else {
+        vscode.window.showWarningMessage(`CodeForge: ${result.message}`);
+      }
+    } catch (error) {
+      this.safeOutputLog(`Error stopping fuzzer: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to stop fuzzer - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Pause a running fuzzer
+   * @param {Object} params - Parameters with optional fuzzerName (prompted for if missing)
+   */
+  async handlePauseFuzzer(params = {}) {
+    await this.setFuzzerPaused(params, true);
+  }
+
+  /**
+   * Resume a paused fuzzer
+   * @param {Object} params - Parameters with optional fuzzerName (prompted for if missing)
+   */
+  async handleResumeFuzzer(params = {}) {
+    await this.setFuzzerPaused(params, false);
+  }
+
+  /**
+   * Pause or resume a running fuzzer and reflect it in the activity bar
+   * @param {Object} params - Parameters with optional fuzzerName
+   * @param {boolean} paused - True to pause, false to resume
+   */
+  async setFuzzerPaused(params, paused) {
+    const action = paused ? "pause" : "resume";
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      const fuzzerName = await this.selectRunningFuzzer(
+        workspacePath,
+        params && params.fuzzerName,
+        `Select a fuzzer to ${action}`,
+        (run) => run.paused !== paused,
+      );
+      if (!fuzzerName) {
+        return;
+      }
+
+      const result = paused
+        ? await fuzzingOperations.pauseFuzzTarget(workspacePath, fuzzerName)
+        : await fuzzingOperations.resumeFuzzTarget(workspacePath, fuzzerName);
+
+      this.safeOutputLog(result.message);
+      if (this.webviewProvider && this.webviewProvider._setFuzzerPaused) {
+        this.webviewProvider._setFuzzerPaused(fuzzerName, paused);
+      }
+    } catch (error) {
+      this.safeOutputLog(`Failed to ${action} fuzzer: ${error.message}`);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to ${action} fuzzer - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Resolve the running fuzzer a command applies to
+   * @param {string} workspacePath - Path to the workspace
+   * @param {string} fuzzerName - Fuzzer given by the caller, if any
+   * @param {string} placeHolder - Quick pick prompt when no fuzzer was given
+   * @param {Function} filter - Optional predicate on the fuzzer run state
+   * @returns {Promise<string|undefined>} Fuzzer name, or undefined if none was chosen
+   */
+  async selectRunningFuzzer(
+    workspacePath,
+    fuzzerName,
+    placeHolder,
+    filter = () => true,
+  ) {
+    if (fuzzerName) {
+      return fuzzerName;
+    }
+
+    const running = fuzzingOperations
+      .getRunningFuzzers(workspacePath)
+      .filter(filter);
+    if (running.length === 0) {
+      vscode.window.showInformationMessage(
+        "CodeForge: No matching fuzzers are running",
+      );
+      return undefined;
+    }
+
+    return vscode.window.showQuickPick(
+      running.map((run) => run.fuzzerName),
+      { placeHolder },
+    );
+  }
+
   /**
    * Generate hex dump content for binary files
    * @param {string} filePath - Path to the file to dump
@@ -1178,35 +1439,114 @@ class CodeForgeCommandHandlers {
   }
 
   /**
-   * Analyze crash with GDB in a terminal
+   * Open the workspace source of the frame a crash happened in
+   * Uses the crash passed from the webview, or the crash report shown in the
+   * active editor when run from the command palette.
    */
-  async handleAnalyzeCrash(params) {
+  async handleGoToCrashingFrame(params = {}) {
     try {
-      const { crashId, fullHash, fuzzerName, filePath } = params;
       const { path: workspacePath } = this.getWorkspaceInfo();
+      const { crashId, fullHash, filePath, fuzzerName } = params || {};
+      let metadata;
+
+      if (fullHash && filePath && fuzzerName) {
+        const imageName = dockerOperations.generateContainerName(workspacePath);
+        metadata =
+          await this.fuzzerDiscoveryService.crashReportService.getCrashMetadata(
+            workspacePath,
+            fuzzerName,
+            { id: crashId, fullHash, filePath },
+            imageName,
+          );
+      } else {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.uri.scheme !== "codeforge-crash") {
+          vscode.window.showInformationMessage(
+            "CodeForge: Open a crash report to go to its crashing frame",
+          );
+          return;
+        }
+        metadata = parseSanitizerReport(editor.document.getText());
+      }
+
+      const frame = await this.crashReportLinkProvider.findCrashingFrame(
+        metadata,
+        workspacePath,
+      );
+      if (!frame) {
+        vscode.window.showInformationMessage(
+          "CodeForge: No frame of this crash is in a workspace source file",
+        );
+        return;
+      }
+
+      const position = new vscode.Position(
+        frame.line - 1,
+        frame.column ? frame.column - 1 : 0,
+      );
+      const document = await vscode.workspace.openTextDocument(
+        vscode.Uri.file(frame.filePath),
+      );
+      await vscode.window.showTextDocument(document, {
+        preview: false,
+        selection: new vscode.Range(position, position),
+      });
 
       this.safeOutputLog(
-        `Starting GDB crash analysis for ${crashId} from ${fuzzerName}`,
+        `Opened crashing frame ${path.relative(workspacePath, frame.filePath)}:${frame.line}`,
+      );
+    } catch (error) {
+      this.safeOutputLog(
+        `Error going to crashing frame: ${error.message}`,
+        false,
+      );
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to go to crashing frame - ${error.message}`,
       );
+    }
+  }
 
-      // Validate parameters
-      if (!crashId || !fuzzerName || !filePath || !fullHash) {
-        throw new Error(
-          "Missing required parameters: crashId, fullHash, fuzzerName, or filePath",
+  /**
+   * Minimize a crash input within the configured time budget
+   * Uses the crash passed from the webview, or the crash report shown in the
+   * active editor when run from the command palette.
+   */
+  async handleMinimizeCrash(params = {}) {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      const crashParams =
+        params && params.filePath && params.fuzzerName
+          ? params
+          : this.getActiveCrashReportParams();
+      if (!crashParams) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Open a crash report to minimize its input",
         );
+        return;
+      }
+      const { crashId, filePath, fuzzerName } = crashParams;
+      if (!shouldMinimizeCrashes()) {
+        vscode.window.showInformationMessage(MINIMIZATION_DISABLED_MESSAGE);
+        return;
       }
 
       // Validate fuzzer name to prevent shell injection
-      const nameValidation = validateFuzzerName(fuzzerName);
-      if (!nameValidation.valid) {
-        vscode.window.showErrorMessage(`CodeForge: ${nameValidation.error}`);
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${validation.error}`);
         this.safeOutputLog(
-          `Fuzzer name validation failed: ${nameValidation.error}`,
+          `Fuzzer name validation failed: ${validation.error}`,
         );
         return;
       }
 
-      // Check initialization and build status
+      const cachedFuzzer =
+        this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+      if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
+        throw new Error(`Could not find fuzzer in cache: ${fuzzerName}`);
+      }
+
+      const { maxTotalTime } = getCrashMinimizationConfig();
       const containerName =
         dockerOperations.generateContainerName(workspacePath);
       const initialized = await this.ensureInitializedAndBuilt(
@@ -1215,91 +1555,119 @@ class CodeForgeCommandHandlers {
       );
       if (!initialized) {
         vscode.window.showInformationMessage(
-          "CodeForge: Crash analysis cancelled - project initialization and Docker build required",
+          "CodeForge: Minimization cancelled - project initialization and Docker build required",
         );
         return;
       }
 
-      // Format crash identifier as "fuzzer_name/full_hash" for codeforge command
-      // Remove "crash-" prefix if present in the hash
-      const crashHash = fullHash.startsWith("crash-")
-        ? fullHash.substring(6)
-        : fullHash;
-      const crashIdentifier = `${fuzzerName}/${crashHash}`;
-
-      // Launch GDB using codeforge run-crash-in-gdb command
-      const terminalName = `CodeForge GDB: ${fuzzerName} - ${crashId}`;
-      const gdbCommand = `codeforge run-crash-in-gdb "${crashIdentifier}"`;
-
-      this.safeOutputLog(`Launching GDB with: ${gdbCommand}`, false);
-
-      // Build launch script path and arguments
-      const scriptPath = path.join(
-        workspacePath,
-        ".codeforge",
-        "scripts",
-        "launch-process-in-docker.sh",
+      this.safeOutputLog(
+        `Minimizing crash ${crashId} of ${fuzzerName} for up to ${maxTotalTime}s`,
       );
 
-      const scriptArgs = [
-        "-i", // Interactive mode for GDB
-        "--image",
-        containerName,
-        "--type",
-        "gdb-analysis",
-        gdbCommand,
-      ];
-
-      // Create terminal with the script
-      const terminal = vscode.window.createTerminal({
-        name: terminalName,
-        shellPath: scriptPath,
-        shellArgs: scriptArgs,
-      });
-
-      terminal.show();
+      const result = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `CodeForge: Minimizing crash ${crashId}...`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({
+            message: `Searching for a smaller crashing input (up to ${maxTotalTime}s)...`,
+          });
+          return this.crashMinimizationService.minimizeCrash(
+            workspacePath,
+            { name: fuzzerName, preset: cachedFuzzer.preset },
+            filePath,
+            maxTotalTime,
+            containerName,
+          );
+        },
+      );
 
+      const reduction =
+        result.originalSize > 0
+          ? Math.round((1 - result.minimizedSize / result.originalSize) * 100)
+          : 0;
+      const summary = `${formatFileSize(result.originalSize)} → ${formatFileSize(result.minimizedSize)}, ${reduction}% smaller`;
       this.safeOutputLog(
-        `GDB analysis terminal created successfully for ${crashId} from ${fuzzerName}`,
+        `Minimized crash ${crashId} of ${fuzzerName}: ${summary} (${path.relative(workspacePath, result.filePath)})`,
+      );
+      await this.handleRefreshFuzzers();
+
+      const action = await vscode.window.showInformationMessage(
+        `CodeForge: Minimized crash ${crashId} (${summary})`,
+        "View Minimized",
       );
+      if (action === "View Minimized") {
+        // Crash reports are generated for the original crash by hash, so
+        // the minimized input is shown as a hex dump
+        const document = await vscode.workspace.openTextDocument({
+          content: await this.generateHexDump(result.filePath),
+          language: "plaintext",
+        });
+        await vscode.window.showTextDocument(document, { preview: true });
+      }
     } catch (error) {
-      this.safeOutputLog(`Error analyzing crash: ${error.message}`, false);
+      this.safeOutputLog(`Error minimizing crash: ${error.message}`, false);
       vscode.window.showErrorMessage(
-        `CodeForge: Failed to analyze crash - ${error.message}`,
+        `CodeForge: Failed to minimize crash - ${error.message}`,
       );
     }
   }
 
   /**
-   * Launch GDB server for remote debugging
+   * Export a crash as a reproducer bundle (.tar.gz)
+   * Uses the crash passed from the webview, or the crash report shown in the
+   * active editor when run from the command palette.
    */
-  async handleDebugCrash(params) {
+  async handleExportReproducer(params = {}) {
     try {
-      const { crashId, fullHash, fuzzerName, filePath } = params;
       const { path: workspacePath } = this.getWorkspaceInfo();
-
-      this.safeOutputLog(
-        `Launching GDB server for crash ${crashId} from ${fuzzerName}`,
-      );
-
-      // Validate parameters
-      if (!crashId || !fuzzerName || !filePath || !fullHash) {
-        throw new Error(
-          "Missing required parameters: crashId, fullHash, fuzzerName, or filePath",
+      const crashParams =
+        params && params.filePath && params.fuzzerName
+          ? params
+          : this.getActiveCrashReportParams();
+      if (!crashParams) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Open a crash report to export its reproducer",
         );
+        return;
       }
+      const { crashId, fullHash, filePath, fuzzerName } = crashParams;
 
       // Validate fuzzer name to prevent shell injection
-      const nameValidation = validateFuzzerName(fuzzerName);
-      if (!nameValidation.valid) {
-        vscode.window.showErrorMessage(`CodeForge: ${nameValidation.error}`);
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${validation.error}`);
         this.safeOutputLog(
-          `Fuzzer name validation failed: ${nameValidation.error}`,
+          `Fuzzer name validation failed: ${validation.error}`,
         );
         return;
       }
 
-      // Check initialization and build status
+      const cachedFuzzer =
+        this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+      if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
+        throw new Error(`Could not find fuzzer in cache: ${fuzzerName}`);
+      }
+
+      const crash = { id: crashId, fullHash, filePath };
+      const bundleName = this.crashExportService.getBundleName(
+        fuzzerName,
+        crash,
+      );
+      const target = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(
+          path.join(workspacePath, `${bundleName}.tar.gz`),
+        ),
+        filters: { "Reproducer Bundle": ["tar.gz", "tgz"] },
+        saveLabel: "Export Reproducer",
+        title: `Export reproducer for crash ${crashId}`,
+      });
+      if (!target) {
+        return;
+      }
+
       const containerName =
         dockerOperations.generateContainerName(workspacePath);
       const initialized = await this.ensureInitializedAndBuilt(
@@ -1308,252 +1676,2096 @@ class CodeForgeCommandHandlers {
       );
       if (!initialized) {
         vscode.window.showInformationMessage(
-          "CodeForge: GDB server launch cancelled - project initialization and Docker build required",
+          "CodeForge: Export cancelled - project initialization and Docker build required",
         );
         return;
       }
 
-      // Validate that the fuzzer executable exists
-      const { LaunchConfigManager } = require("../utils/launchConfig");
-      const launchConfigManager = new LaunchConfigManager();
-      const fuzzerCheck = await launchConfigManager.checkFuzzerExists(
-        workspacePath,
-        fuzzerName,
+      const result = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `CodeForge: Exporting reproducer for crash ${crashId}...`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({ message: "Collecting crash report and image..." });
+          return this.crashExportService.exportReproducer(
+            workspacePath,
+            { name: fuzzerName, preset: cachedFuzzer.preset },
+            crash,
+            target.fsPath,
+            containerName,
+          );
+        },
       );
 
-      if (!fuzzerCheck.exists) {
-        const errorMsg = `Fuzzer executable not found: ${fuzzerName}. ${fuzzerCheck.error || ""}`;
-        this.safeOutputLog(errorMsg, true);
-        vscode.window.showErrorMessage(`CodeForge: ${errorMsg}`);
-        return;
-      }
+      this.safeOutputLog(
+        `Exported reproducer for crash ${crashId} of ${fuzzerName} to ${result.filePath}: ${result.files.join(", ")}`,
+      );
+      const action = await vscode.window.showInformationMessage(
+        `CodeForge: Exported reproducer to ${path.basename(result.filePath)}`,
+        "Reveal in File Explorer",
+      );
+      if (action === "Reveal in File Explorer") {
+        await vscode.commands.executeCommand(
+          "revealFileInOS",
+          vscode.Uri.file(result.filePath),
+        );
+      }
+    } catch (error) {
+      this.safeOutputLog(`Error exporting reproducer: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to export reproducer - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Save a crash input as a regression test
+   * The minimized input is saved when the crash has been minimized. Uses the
+   * crash passed from the webview, or the crash report shown in the active
+   * editor when run from the command palette.
+   */
+  async handleSaveRegressionTest(params = {}) {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      const crashParams =
+        params && params.filePath && params.fuzzerName
+          ? params
+          : this.getActiveCrashReportParams();
+      if (!crashParams) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Open a crash report to save it as a regression test",
+        );
+        return;
+      }
+      const { crashId, filePath, fuzzerName } = crashParams;
+
+      // Validate fuzzer name, it names the regression directory
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${validation.error}`);
+        this.safeOutputLog(
+          `Fuzzer name validation failed: ${validation.error}`,
+        );
+        return;
+      }
+
+      let inputPath = getMinimizedCrashPath(filePath);
+      try {
+        await fs.access(inputPath);
+      } catch (error) {
+        inputPath = filePath;
+      }
+
+      const { filePath: savedPath, duplicate } =
+        await this.regressionCorpusService.saveInput(
+          workspacePath,
+          fuzzerName,
+          inputPath,
+        );
+      const relativePath = path.relative(workspacePath, savedPath);
+      const source = inputPath === filePath ? "input" : "minimized input";
+
+      this.safeOutputLog(
+        `Saved ${source} of crash ${crashId} of ${fuzzerName} as ${relativePath}`,
+      );
+      vscode.window.showInformationMessage(
+        duplicate
+          ? `CodeForge: Crash ${crashId} is already a regression test (${relativePath})`
+          : `CodeForge: Saved ${source} of crash ${crashId} as regression test ${relativePath}`,
+      );
+    } catch (error) {
+      this.safeOutputLog(
+        `Error saving regression test: ${error.message}`,
+        false,
+      );
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to save regression test - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Edit the triage record of a crash
+   * Asks for status, assignee, linked issue and notes, and stores them in
+   * .codeforge/triage.json for every input of the unique crash. Uses the
+   * crash passed from the webview, or the crash report shown in the active
+   * editor when run from the command palette.
+   */
+  async handleEditCrashTriage(params = {}) {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      const crashParams =
+        params && params.fullHash && params.fuzzerName
+          ? params
+          : this.getActiveCrashReportParams();
+      if (!crashParams) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Open a crash report to triage it",
+        );
+        return;
+      }
+      const { fuzzerName, fullHash } = crashParams;
+
+      // The triage key comes with the crash's metadata from discovery
+      const cachedFuzzer =
+        this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+      const crash =
+        cachedFuzzer &&
+        (cachedFuzzer.crashes || []).find(
+          (candidate) => candidate.fullHash === fullHash,
+        );
+      if (!crash || !crash.triageKey) {
+        throw new Error(
+          `Crash ${crashParams.crashId || fullHash} of ${fuzzerName} not found - refresh the fuzzer list first`,
+        );
+      }
+      const current = crash.triage || { status: "new" };
+
+      const status = await vscode.window.showQuickPick(
+        TRIAGE_STATUSES.map((label) => ({
+          label,
+          description: label === current.status ? "current" : "",
+        })),
+        { placeHolder: `Triage status of crash ${crash.id}` },
+      );
+      if (!status) {
+        return;
+      }
+
+      const assignee = await vscode.window.showInputBox({
+        prompt: "Assignee (leave empty for none)",
+        value: current.assignee || "",
+      });
+      if (assignee === undefined) {
+        return;
+      }
+
+      const issueUrl = await vscode.window.showInputBox({
+        prompt: "Linked issue URL (leave empty for none)",
+        value: current.issueUrl || "",
+        validateInput: (value) =>
+          value.trim() === "" || /^https?:\/\/\S+$/.test(value.trim())
+            ? null
+            : "Enter an http(s) URL",
+      });
+      if (issueUrl === undefined) {
+        return;
+      }
+
+      const notes = await vscode.window.showInputBox({
+        prompt: "Notes (leave empty for none)",
+        value: current.notes || "",
+      });
+      if (notes === undefined) {
+        return;
+      }
+
+      const triage = await this.crashTriageService.updateTriage(
+        workspacePath,
+        crash.triageKey,
+        {
+          status: status.label,
+          assignee,
+          issueUrl,
+          notes,
+          signature: crash.metadata
+            ? computeCrashSignature(crash.metadata, TRIAGE_SIGNATURE_FRAMES)
+                .signature
+            : "",
+        },
+      );
+
+      const updated = this.fuzzerDiscoveryService.updateCachedTriage(
+        crash.triageKey,
+        triage,
+      );
+      if (this.webviewProvider) {
+        this.webviewProvider._updateFuzzerState({
+          data: this.fuzzerDiscoveryService.getAllCachedFuzzers(),
+          lastUpdated: new Date().toISOString(),
+          isLoading: false,
+          error: null,
+        });
+      }
+
+      this.safeOutputLog(
+        `Triaged ${crash.triageKey} (${updated} crash input(s)): ${triage.status}${triage.assignee ? `, assigned to ${triage.assignee}` : ""}`,
+      );
+      vscode.window.showInformationMessage(
+        `CodeForge: Marked crash ${crash.id} as ${triage.status} in ${TRIAGE_FILE}`,
+      );
+    } catch (error) {
+      this.safeOutputLog(`Error triaging crash: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to triage crash - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Run a named GDB script on a crash in batch mode and show the output
+   * The script is picked from .codeforge/gdb-scripts/ (or the built-in
+   * default), or written on the spot and saved there for later runs. Uses
+   * the crash passed from the webview, or the crash report shown in the
+   * active editor when run from the command palette.
+   */
+  async handleAnalyzeCrashWithGdbScript(params = {}) {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      const crashParams =
+        params && params.filePath && params.fuzzerName
+          ? params
+          : this.getActiveCrashReportParams();
+      if (!crashParams) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Open a crash report to analyze it with a GDB script",
+        );
+        return;
+      }
+      const { fuzzerName, filePath } = crashParams;
+      const crashId = crashParams.crashId || path.basename(filePath);
+
+      // Validate fuzzer name to prevent shell injection
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${validation.error}`);
+        this.safeOutputLog(
+          `Fuzzer name validation failed: ${validation.error}`,
+        );
+        return;
+      }
+
+      const script = await this.pickGdbScript(workspacePath);
+      if (!script) {
+        return;
+      }
+
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const initialized = await this.ensureInitializedAndBuilt(
+        workspacePath,
+        containerName,
+      );
+      if (!initialized) {
+        vscode.window.showInformationMessage(
+          "CodeForge: GDB analysis cancelled - project initialization and Docker build required",
+        );
+        return;
+      }
+
+      this.safeOutputLog(
+        `Running GDB script "${script.name}" on crash ${crashId} of ${fuzzerName}`,
+      );
+      const output = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `CodeForge: Analyzing crash ${crashId} with GDB script "${script.name}"...`,
+          cancellable: false,
+        },
+        () =>
+          this.gdbScriptService.analyzeCrash(
+            workspacePath,
+            fuzzerName,
+            filePath,
+            script,
+            containerName,
+          ),
+      );
+
+      const document = await vscode.workspace.openTextDocument({
+        content: [
+          `# GDB script "${script.name}" on crash ${crashId} of ${fuzzerName}`,
+          `# Crash file: ${path.relative(workspacePath, filePath)}`,
+          ...script.commands.map((command) => `#   ${command}`),
+          "",
+          output,
+        ].join("\n"),
+        language: "plaintext",
+      });
+      await vscode.window.showTextDocument(document, { preview: true });
+    } catch (error) {
+      this.safeOutputLog(
+        `Error analyzing crash with GDB script: ${error.message}`,
+        false,
+      );
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to analyze crash with GDB script - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Asks for the GDB script to run
+   * Offers the named scripts and a new script, which is saved under
+   * .codeforge/gdb-scripts/ before it is returned.
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {Promise<Object|null>} {name, filePath, commands}, or null if cancelled
+   */
+  async pickGdbScript(workspacePath) {
+    const scripts = await this.gdbScriptService.listScripts(workspacePath);
+    const picked = await vscode.window.showQuickPick(
+      [
+        ...scripts.map((script) => ({
+          label: script.name,
+          description: script.commands.join("; "),
+          detail: script.filePath
+            ? path.relative(workspacePath, script.filePath)
+            : "Built-in",
+          script,
+        })),
+        {
+          label: "$(add) New GDB script...",
+          description: `Saved to ${GDB_SCRIPTS_DIR}/`,
+          script: null,
+        },
+      ],
+      { placeHolder: "GDB script to run on the crash" },
+    );
+    if (!picked) {
+      return null;
+    }
+    if (picked.script) {
+      return picked.script;
+    }
+
+    const name = await vscode.window.showInputBox({
+      prompt: "Name of the new GDB script",
+      placeHolder: "e.g. heap-state",
+      validateInput: (value) =>
+        this.gdbScriptService.validateScript(value.trim(), ["bt"]),
+    });
+    if (!name) {
+      return null;
+    }
+
+    const commands = await vscode.window.showInputBox({
+      prompt:
+        "gdb commands, separated by ';' (run once the fuzzer stops on the crash)",
+      value: DEFAULT_GDB_SCRIPT.commands.join("; "),
+      validateInput: (value) =>
+        this.gdbScriptService.validateScript(
+          name.trim(),
+          this.splitGdbCommands(value),
+        ),
+    });
+    if (commands === undefined) {
+      return null;
+    }
+
+    const script = await this.gdbScriptService.saveScript(
+      workspacePath,
+      name.trim(),
+      this.splitGdbCommands(commands),
+    );
+    this.safeOutputLog(
+      `Saved GDB script "${script.name}" to ${path.relative(workspacePath, script.filePath)}`,
+    );
+    return script;
+  }
+
+  /**
+   * Splits the ';'-separated gdb commands of an input box
+   * A ';' inside a string, a character literal or brackets belongs to the
+   * command, as in printf "a;b\n", print ';' or print ({int x = 1; x;}).
+   * Other single quotes are plain text, as in echo it's done.
+   * @param {string} value - Input box value
+   * @returns {Array<string>} Commands
+   */
+  splitGdbCommands(value) {
+    const commands = [];
+    let current = "";
+    let inString = false;
+    let depth = 0;
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      const charLiteral =
+        char === "'" && value.slice(i).match(/^'(\\.|[^\\'])'/);
+      if (inString) {
+        if (char === "\\" && i + 1 < value.length) {
+          current += char + value[++i];
+          continue;
+        }
+        if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (charLiteral) {
+        current += charLiteral[0];
+        i += charLiteral[0].length - 1;
+        continue;
+      } else if ("([{".includes(char)) {
+        depth++;
+      } else if (")]}".includes(char)) {
+        depth = Math.max(0, depth - 1);
+      } else if (char === ";" && depth === 0) {
+        commands.push(current);
+        current = "";
+        continue;
+      }
+      current += char;
+    }
+    commands.push(current);
+
+    return commands
+      .map((command) => command.trim())
+      .filter((command) => command !== "");
+  }
+
+  /**
+   * Run an action on the crashes selected in the webview
+   * All crashes share one progress notification. A crash that fails does not
+   * stop the batch; failures are listed in the output channel.
+   * @param {Object} params - {action, crashes: [{crashId, fullHash, fuzzerName}]}
+   *   with action one of the BATCH_CRASH_ACTIONS keys
+   */
+  async handleBatchCrashAction(params = {}) {
+    try {
+      const { action } = params;
+      const batch = BATCH_CRASH_ACTIONS[action];
+      if (!batch) {
+        throw new Error(`Unknown batch crash action: ${action}`);
+      }
+      if (action === "minimize" && !shouldMinimizeCrashes()) {
+        vscode.window.showInformationMessage(MINIMIZATION_DISABLED_MESSAGE);
+        return;
+      }
+      const { path: workspacePath } = this.getWorkspaceInfo();
+
+      const targets = this.resolveSelectedCrashes(params.crashes || []);
+      const total = targets.reduce(
+        (count, target) => count + target.crashes.length,
+        0,
+      );
+      if (total === 0) {
+        vscode.window.showInformationMessage(
+          "CodeForge: None of the selected crashes exist anymore - refresh the fuzzer list",
+        );
+        return;
+      }
+
+      let exportDir = null;
+      if (action === "export") {
+        const uris = await vscode.window.showOpenDialog({
+          canSelectFiles: false,
+          canSelectFolders: true,
+          canSelectMany: false,
+          defaultUri: vscode.Uri.file(workspacePath),
+          openLabel: "Export Reproducers",
+          title: `Select a folder for the reproducers of ${total} crash(es)`,
+        });
+        if (!uris || uris.length === 0) {
+          return;
+        }
+        exportDir = uris[0].fsPath;
+      } else if (action === "delete") {
+        const confirmation = await vscode.window.showWarningMessage(
+          `CodeForge: Delete ${total} crash(es) and their minimized inputs? This cannot be undone.`,
+          { modal: true },
+          "Delete",
+        );
+        if (confirmation !== "Delete") {
+          return;
+        }
+      }
+
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const initialized = await this.ensureInitializedAndBuilt(
+        workspacePath,
+        containerName,
+      );
+      if (!initialized) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Batch action cancelled - project initialization and Docker build required",
+        );
+        return;
+      }
+
+      this.safeOutputLog(`${batch.title} for ${total} crash(es)`);
+      const { succeeded, failed, cancelled } = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `CodeForge: ${batch.title}...`,
+          cancellable: true,
+        },
+        (progress, token) =>
+          this.runBatchCrashAction(
+            workspacePath,
+            action,
+            targets,
+            { total, exportDir, containerName },
+            progress,
+            token,
+          ),
+      );
+
+      for (const { fuzzerName, crash, error } of failed) {
+        this.safeOutputLog(
+          `${batch.title}: crash ${crash.id} of ${fuzzerName} failed - ${error.message}`,
+          false,
+        );
+      }
+      if (action !== "export") {
+        await this.handleRefreshFuzzers();
+      }
+
+      let summary = `${batch.done} ${succeeded.length} of ${total} crash(es)`;
+      if (failed.length > 0) {
+        summary += `, ${failed.length} failed`;
+      }
+      if (cancelled) {
+        summary += ", cancelled";
+      }
+      this.safeOutputLog(summary);
+      if (failed.length > 0) {
+        vscode.window.showWarningMessage(
+          `CodeForge: ${summary} - see the CodeForge output for details`,
+        );
+      } else if (exportDir && succeeded.length > 0) {
+        const choice = await vscode.window.showInformationMessage(
+          `CodeForge: ${summary}`,
+          "Reveal in File Explorer",
+        );
+        if (choice === "Reveal in File Explorer") {
+          await vscode.commands.executeCommand(
+            "revealFileInOS",
+            vscode.Uri.file(succeeded[0]),
+          );
+        }
+      } else {
+        vscode.window.showInformationMessage(`CodeForge: ${summary}`);
+      }
+    } catch (error) {
+      this.safeOutputLog(
+        `Error running batch crash action: ${error.message}`,
+        false,
+      );
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to run batch crash action - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Looks up selected crashes in the fuzzer cache
+   * Crashes that are gone since the webview was rendered are skipped.
+   * @param {Array<Object>} selected - Crashes from the webview with fuzzerName and fullHash
+   * @returns {Array<Object>} {fuzzer: {name, preset}, crashes} per fuzzer
+   * @throws {Error} If a fuzzer name is invalid
+   */
+  resolveSelectedCrashes(selected) {
+    const targets = new Map();
+    for (const { fuzzerName, fullHash } of selected) {
+      // Names end up in container scripts
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      const cachedFuzzer =
+        this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+      const crash =
+        cachedFuzzer &&
+        (cachedFuzzer.crashes || []).find(
+          (candidate) => candidate.fullHash === fullHash,
+        );
+      if (!crash) {
+        continue;
+      }
+
+      if (!targets.has(fuzzerName)) {
+        targets.set(fuzzerName, {
+          fuzzer: { name: fuzzerName, preset: cachedFuzzer.preset || "" },
+          crashes: [],
+        });
+      }
+      const target = targets.get(fuzzerName);
+      if (!target.crashes.includes(crash)) {
+        target.crashes.push(crash);
+      }
+    }
+    return Array.from(targets.values());
+  }
+
+  /**
+   * Runs a batch crash action, reporting progress per crash
+   * Archiving and deleting run one container per fuzzer, the other actions
+   * one per crash.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} action - Key of BATCH_CRASH_ACTIONS
+   * @param {Array<Object>} targets - Result of resolveSelectedCrashes
+   * @param {Object} options - total crash count, exportDir and containerName
+   * @param {vscode.Progress} progress - Progress of the notification
+   * @param {vscode.CancellationToken} token - Cancels the remaining crashes
+   * @returns {Promise<Object>} {succeeded, failed, cancelled}: the resulting
+   *   paths and [{fuzzerName, crash, error}]
+   */
+  async runBatchCrashAction(
+    workspacePath,
+    action,
+    targets,
+    { total, exportDir, containerName },
+    progress,
+    token,
+  ) {
+    const succeeded = [];
+    const failed = [];
+    // Only minimization depends on its settings, which may be invalid
+    const { maxTotalTime } =
+      action === "minimize" ? getCrashMinimizationConfig() : {};
+    let done = 0;
+
+    for (const { fuzzer, crashes } of targets) {
+      if (action === "archive" || action === "delete") {
+        if (token.isCancellationRequested) {
+          return { succeeded, failed, cancelled: true };
+        }
+        progress.report({
+          message: `${fuzzer.name} (${crashes.length} crash(es))`,
+        });
+        try {
+          succeeded.push(
+            ...(action === "archive"
+              ? await this.crashReevaluationService.archiveCrashes(
+                  workspacePath,
+                  fuzzer.name,
+                  crashes,
+                  containerName,
+                )
+              : await this.crashReevaluationService.deleteCrashes(
+                  workspacePath,
+                  crashes,
+                  containerName,
+                )),
+          );
+        } catch (error) {
+          failed.push(
+            ...crashes.map((crash) => ({
+              fuzzerName: fuzzer.name,
+              crash,
+              error,
+            })),
+          );
+        }
+        done += crashes.length;
+        progress.report({ increment: (crashes.length / total) * 100 });
+        continue;
+      }
+
+      for (const crash of crashes) {
+        if (token.isCancellationRequested) {
+          return { succeeded, failed, cancelled: true };
+        }
+        done++;
+        progress.report({
+          message: `${done}/${total}: ${fuzzer.name} crash ${crash.id}`,
+        });
+        try {
+          if (action === "reports") {
+            await this.fuzzerDiscoveryService.crashReportService.getCachedCrashReport(
+              workspacePath,
+              fuzzer.name,
+              crash,
+              containerName,
+            );
+            succeeded.push(crash.filePath);
+          } else if (action === "minimize") {
+            const result = await this.crashMinimizationService.minimizeCrash(
+              workspacePath,
+              fuzzer,
+              crash.filePath,
+              maxTotalTime,
+              containerName,
+            );
+            succeeded.push(result.filePath);
+          } else {
+            const bundleName = this.crashExportService.getBundleName(
+              fuzzer.name,
+              crash,
+            );
+            const result = await this.crashExportService.exportReproducer(
+              workspacePath,
+              fuzzer,
+              crash,
+              path.join(exportDir, `${bundleName}.tar.gz`),
+              containerName,
+            );
+            succeeded.push(result.filePath);
+          }
+        } catch (error) {
+          failed.push({ fuzzerName: fuzzer.name, crash, error });
+        }
+        progress.report({ increment: 100 / total });
+      }
+    }
+    return { succeeded, failed, cancelled: false };
+  }
+
+  /**
+   * Gets the crash of the crash report shown in the active editor
+   * @returns {Object|null} {crashId, fullHash, filePath, fuzzerName}, or null
+   *   if the active editor is not a crash report
+   */
+  getActiveCrashReportParams() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || editor.document.uri.scheme !== "codeforge-crash") {
+      return null;
+    }
+    const query = new URLSearchParams(editor.document.uri.query);
+    const filePath = query.get("file");
+    if (!filePath) {
+      return null;
+    }
+    return {
+      crashId: query.get("crashId") || path.basename(filePath),
+      fullHash: query.get("fullHash"),
+      filePath,
+      fuzzerName: query.get("fuzzerName"),
+    };
+  }
+
+  /**
+   * Analyze crash with GDB in a terminal
+   */
+  async handleAnalyzeCrash(params) {
+    try {
+      const { crashId, fullHash, fuzzerName, filePath } = params;
+      const { path: workspacePath } = this.getWorkspaceInfo();
+
+      this.safeOutputLog(
+        `Starting GDB crash analysis for ${crashId} from ${fuzzerName}`,
+      );
+
+      // Validate parameters
+      if (!crashId || !fuzzerName || !filePath || !fullHash) {
+        throw new Error(
+          "Missing required parameters: crashId, fullHash, fuzzerName, or filePath",
+        );
+      }
+
+      // Validate fuzzer name to prevent shell injection
+      const nameValidation = validateFuzzerName(fuzzerName);
+      if (!nameValidation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${nameValidation.error}`);
+        this.safeOutputLog(
+          `Fuzzer name validation failed: ${nameValidation.error}`,
+        );
+        return;
+      }
+
+      // Check initialization and build status
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const initialized = await this.ensureInitializedAndBuilt(
+        workspacePath,
+        containerName,
+      );
+      if (!initialized) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Crash analysis cancelled - project initialization and Docker build required",
+        );
+        return;
+      }
+
+      // Format crash identifier as "fuzzer_name/full_hash" for codeforge command
+      // Remove "crash-" prefix if present in the hash
+      const crashHash = fullHash.startsWith("crash-")
+        ? fullHash.substring(6)
+        : fullHash;
+      const crashIdentifier = `${fuzzerName}/${crashHash}`;
+
+      // Launch GDB using codeforge run-crash-in-gdb command
+      const terminalName = `CodeForge GDB: ${fuzzerName} - ${crashId}`;
+      const gdbCommand = `codeforge run-crash-in-gdb "${crashIdentifier}"`;
+
+      this.safeOutputLog(`Launching GDB with: ${gdbCommand}`, false);
+
+      // Build launch script path and arguments
+      const scriptPath = path.join(
+        workspacePath,
+        ".codeforge",
+        "scripts",
+        "launch-process-in-docker.sh",
+      );
+
+      const scriptArgs = [
+        "-i", // Interactive mode for GDB
+        "--image",
+        containerName,
+        "--type",
+        "gdb-analysis",
+        gdbCommand,
+      ];
+
+      // Create terminal with the script
+      const terminal = vscode.window.createTerminal({
+        name: terminalName,
+        shellPath: scriptPath,
+        shellArgs: scriptArgs,
+      });
+
+      terminal.show();
+
+      this.safeOutputLog(
+        `GDB analysis terminal created successfully for ${crashId} from ${fuzzerName}`,
+      );
+    } catch (error) {
+      this.safeOutputLog(`Error analyzing crash: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to analyze crash - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Debug a crash in a "codeforge" debug session
+   * The session's configuration provider starts gdbserver and attaches the
+   * installed debugger; launch.json is left untouched.
+   * @param {Object} params - Crash parameters
+   * @param {Object} options - Session options
+   * @param {boolean} options.recordWithRr - Debug an rr replay of the crash
+   */
+  async handleDebugCrash(params, { recordWithRr = false } = {}) {
+    try {
+      const { crashId, fullHash, fuzzerName, filePath } = params;
+      const { path: workspacePath } = this.getWorkspaceInfo();
+
+      // Validate parameters
+      if (!crashId || !fuzzerName || !filePath || !fullHash) {
+        throw new Error(
+          "Missing required parameters: crashId, fullHash, fuzzerName, or filePath",
+        );
+      }
+
+      // Validate fuzzer name to prevent shell injection
+      const nameValidation = validateFuzzerName(fuzzerName);
+      if (!nameValidation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${nameValidation.error}`);
+        this.safeOutputLog(
+          `Fuzzer name validation failed: ${nameValidation.error}`,
+        );
+        return;
+      }
+
+      // Check initialization and build status
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const initialized = await this.ensureInitializedAndBuilt(
+        workspacePath,
+        containerName,
+      );
+      if (!initialized) {
+        vscode.window.showInformationMessage(
+          "CodeForge: GDB server launch cancelled - project initialization and Docker build required",
+        );
+        return;
+      }
+
+      const workspaceFolder = vscode.workspace.workspaceFolders
+        ? vscode.workspace.workspaceFolders[0]
+        : undefined;
+      const debugConfig = {
+        type: "codeforge",
+        request: "launch",
+        name: `${recordWithRr ? "Replay" : "Debug"} Crash: ${fuzzerName} - ${crashId}`,
+        fuzzer: fuzzerName,
+        crash: filePath,
+      };
+      if (recordWithRr) {
+        debugConfig.rr = true;
+      }
+      const started = await vscode.debug.startDebugging(
+        workspaceFolder,
+        debugConfig,
+      );
+
+      if (started) {
+        this.safeOutputLog(`Debugger started for ${crashId}`, false);
+      } else {
+        this.safeOutputLog(
+          `Debug session for ${crashId} from ${fuzzerName} was not started`,
+          false,
+        );
+      }
+    } catch (error) {
+      this.safeOutputLog(`Error launching GDB server: ${error.message}`, true);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to launch GDB server - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Record a crash with rr and debug the replay
+   * Unlike a gdbserver session, the replay can run backwards from the crash.
+   */
+  async handleRecordCrashWithRr(params) {
+    return this.handleDebugCrash(params, { recordWithRr: true });
+  }
+
+  /**
+   * Clear crashes for a fuzzer
+   */
+  async handleClearCrashes(params) {
+    try {
+      const { fuzzerName } = params;
+      const { path: workspacePath } = this.getWorkspaceInfo();
+
+      if (!fuzzerName) {
+        throw new Error("Fuzzer name not provided");
+      }
+
+      // Validate fuzzer name to prevent shell injection
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${validation.error}`);
+        this.safeOutputLog(
+          `Fuzzer name validation failed: ${validation.error}`,
+        );
+        return;
+      }
+
+      // Get fuzzer preset from cache
+      const cachedFuzzer =
+        this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+      if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
+        throw new Error(`Could not find fuzzer in cache: ${fuzzerName}`);
+      }
+
+      // Check initialization and build status
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const initialized = await this.ensureInitializedAndBuilt(
+        workspacePath,
+        containerName,
+      );
+      if (!initialized) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Clear crashes cancelled - project initialization and Docker build required",
+        );
+        return;
+      }
+
+      this.safeOutputLog(`Clearing crashes for fuzzer: ${fuzzerName}`, false);
+
+      // Execute clear-crashes.sh script inside Docker container
+      // The script expects fuzzer name in "preset:fuzzer_name" format for CMake
+      // or just "fuzzer_name" for Rust fuzzers (which have empty preset)
+      const fuzzerIdentifier =
+        cachedFuzzer.preset && cachedFuzzer.preset.trim() !== ""
+          ? `${cachedFuzzer.preset}:${fuzzerName}`
+          : fuzzerName;
+      const clearCommand = `codeforge clear-crashes "${fuzzerIdentifier}"`;
+
+      const options = {
+        removeAfterRun: true,
+        mountWorkspace: true,
+        dockerCommand: "docker",
+        containerType: "clear_crashes",
+        resourceManager: this.resourceManager,
+      };
+
+      const clearProcess = dockerOperations.runDockerCommandWithOutput(
+        workspacePath,
+        containerName,
+        clearCommand,
+        "/bin/bash",
+        options,
+      );
+
+      let stdout = "";
+      let stderr = "";
+
+      clearProcess.stdout.on("data", (data) => {
+        stdout += data.toString();
+      });
+
+      clearProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      await new Promise((resolve, reject) => {
+        clearProcess.on("close", (code) => {
+          if (code !== 0) {
+            this.safeOutputLog(
+              `Clear crashes script failed with exit code ${code}: ${stderr}`,
+              false,
+            );
+            reject(
+              new Error(
+                `Clear crashes script failed with exit code ${code}: ${stderr}`,
+              ),
+            );
+            return;
+          }
+
+          this.safeOutputLog(`Successfully cleared crashes for ${fuzzerName}`);
+          this.clearCrashDiagnostics(fuzzerName);
+          resolve();
+        });
+
+        clearProcess.on("error", (error) => {
+          reject(
+            new Error(
+              `Failed to execute clear crashes script: ${error.message}`,
+            ),
+          );
+        });
+      });
+
+      // Refresh fuzzer data
+      await this.handleRefreshFuzzers();
+
+      vscode.window.showInformationMessage(
+        `CodeForge: Cleared crashes for ${fuzzerName}`,
+      );
+    } catch (error) {
+      this.safeOutputLog(`Error clearing crashes: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to clear crashes - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Reevaluate crashes for a fuzzer
+   * Rebuilds the fuzzer and replays each crash codeforge.fuzzing.crashReevaluation.replays
+   * times. Crashes that never reproduce are deleted (or archived), crashes
+   * that reproduce only sometimes are kept and flagged as flaky.
+   */
+  async handleReevaluateCrashes(params) {
+    try {
+      const { fuzzerName } = params;
+      const { path: workspacePath } = this.getWorkspaceInfo();
+
+      if (!fuzzerName) {
+        throw new Error("Fuzzer name not provided");
+      }
+
+      // Get fuzzer preset from cache, or refresh if not found
+      let cachedFuzzer =
+        this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+
+      // If fuzzer not in cache or cache is invalid, refresh the fuzzer data
+      if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
+        this.safeOutputLog(
+          `Fuzzer ${fuzzerName} not in cache, refreshing fuzzer data...`,
+          false,
+        );
+
+        const containerName =
+          dockerOperations.generateContainerName(workspacePath);
+
+        // Refresh fuzzer data to populate cache
+        await this.fuzzerDiscoveryService.refreshFuzzerData(
+          workspacePath,
+          containerName,
+        );
+
+        // Try to get the fuzzer again
+        cachedFuzzer = this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+
+        if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
+          throw new Error(`Could not find fuzzer in cache: ${fuzzerName}`);
+        }
+      }
+
+      // Check initialization and build status
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const initialized = await this.ensureInitializedAndBuilt(
+        workspacePath,
+        containerName,
+      );
+      if (!initialized) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Reevaluate crashes cancelled - project initialization and Docker build required",
+        );
+        return;
+      }
+
+      this.safeOutputLog(
+        `Reevaluating crashes for fuzzer: ${fuzzerName}`,
+        false,
+      );
+
+      const { archiveFixed, replays } = getCrashReevaluationConfig();
+      const { timeoutPerRun, memoryLimit } = getFuzzingConfig();
+
+      // Show progress notification
+      const outcome = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `CodeForge: Reevaluating crashes for ${fuzzerName}...`,
+          cancellable: false,
+        },
+        async (progress) => {
+          try {
+            // First, rebuild the fuzzer to ensure we have the latest binary
+            progress.report({ message: "Building fuzzer..." });
+
+            // Build fuzzer identifier based on project type
+            // CMake format: "preset:fuzzer_name", Rust format: "fuzzer_name"
+            const fuzzerIdentifier =
+              cachedFuzzer.preset && cachedFuzzer.preset.trim() !== ""
+                ? `${cachedFuzzer.preset}:${fuzzerName}`
+                : fuzzerName;
+            const buildCommand = `codeforge build-fuzz-tests "${fuzzerIdentifier}"`;
+
+            const buildOptions = {
+              removeAfterRun: true,
+              mountWorkspace: true,
+              dockerCommand: "docker",
+              containerType: "build_fuzzer",
+              resourceManager: this.resourceManager,
+            };
+
+            const buildProcess = dockerOperations.runDockerCommandWithOutput(
+              workspacePath,
+              containerName,
+              buildCommand,
+              "/bin/bash",
+              buildOptions,
+            );
+
+            let buildStdout = "";
+            let buildStderr = "";
+
+            buildProcess.stdout.on("data", (data) => {
+              buildStdout += data.toString();
+            });
+
+            buildProcess.stderr.on("data", (data) => {
+              buildStderr += data.toString();
+            });
+
+            await new Promise((resolve, reject) => {
+              buildProcess.on("close", (code) => {
+                if (code !== 0) {
+                  this.safeOutputLog(
+                    `Build failed with exit code ${code}: ${buildStderr}`,
+                    false,
+                  );
+                  reject(
+                    new Error(
+                      `Build failed with exit code ${code}: ${buildStderr}`,
+                    ),
+                  );
+                  return;
+                }
+
+                this.safeOutputLog(`Successfully built ${fuzzerName}`);
+                resolve();
+              });
+
+              buildProcess.on("error", (error) => {
+                reject(
+                  new Error(`Failed to execute build script: ${error.message}`),
+                );
+              });
+            });
+
+            // Now replay the crashes on the rebuilt fuzzer
+            progress.report({
+              message: `Replaying crashes ${replays} time(s) each...`,
+            });
+            return this.replayAndRemoveFixedCrashes(
+              workspacePath,
+              [
+                {
+                  name: fuzzerName,
+                  preset: cachedFuzzer.preset || "",
+                  crashes: cachedFuzzer.crashes || [],
+                },
+              ],
+              { attempts: replays, timeout: timeoutPerRun, memoryLimit },
+              archiveFixed ? "archive" : "delete",
+              containerName,
+              progress,
+            );
+          } catch (error) {
+            throw error;
+          }
+        },
+      );
+
+      const summary = this.logReevaluationResults(
+        workspacePath,
+        outcome,
+        archiveFixed,
+      );
+
+      // Refresh fuzzer data
+      await this.handleRefreshFuzzers();
+
+      vscode.window.showInformationMessage(
+        `CodeForge: Reevaluated crashes for ${fuzzerName} - ${summary}`,
+      );
+    } catch (error) {
+      this.safeOutputLog(`Error reevaluating crashes: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to reevaluate crashes - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Replay the known crashes of the fuzzers a build produced
+   * Runs after successful builds when codeforge.fuzzing.crashReevaluation.afterBuild
+   * is on. Each crash is marked fixed, still reproducing or flaky; fixed ones
+   * are archived when codeforge.fuzzing.crashReevaluation.archiveFixed is on.
+   * @param {Object} buildResults - Results from buildFuzzingTargetsOnly
+   */
+  async reevaluateAfterBuild(buildResults) {
+    try {
+      const { afterBuild, archiveFixed, replays } =
+        getCrashReevaluationConfig();
+      if (!afterBuild) {
+        return;
+      }
+      const { path: workspacePath } = this.getWorkspaceInfo();
+
+      const builtNames = new Set(
+        (buildResults.builtFuzzers || []).map((fuzzer) => fuzzer.name),
+      );
+      const fuzzers = this.fuzzerDiscoveryService
+        .getAllCachedFuzzers()
+        .filter(
+          (fuzzer) =>
+            builtNames.has(fuzzer.name) &&
+            validateFuzzerName(fuzzer.name).valid &&
+            fuzzer.crashes &&
+            fuzzer.crashes.length > 0,
+        )
+        .map((fuzzer) => ({
+          name: fuzzer.name,
+          preset: fuzzer.preset || "",
+          crashes: fuzzer.crashes,
+        }));
+      if (fuzzers.length === 0) {
+        return;
+      }
+
+      const { timeoutPerRun, memoryLimit } = getFuzzingConfig();
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const crashCount = fuzzers.reduce(
+        (count, fuzzer) => count + fuzzer.crashes.length,
+        0,
+      );
+      this.safeOutputLog(
+        `Reevaluating ${crashCount} crash(es) of rebuilt fuzzers: ${fuzzers.map((fuzzer) => fuzzer.name).join(", ")}`,
+      );
+
+      const outcome = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: "CodeForge: Reevaluating crashes after build...",
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({
+            message: `Replaying ${crashCount} crash(es) ${replays} time(s) each...`,
+          });
+          return this.replayAndRemoveFixedCrashes(
+            workspacePath,
+            fuzzers,
+            { attempts: replays, timeout: timeoutPerRun, memoryLimit },
+            archiveFixed ? "archive" : null,
+            containerName,
+            progress,
+          );
+        },
+      );
+
+      const summary = this.logReevaluationResults(
+        workspacePath,
+        outcome,
+        archiveFixed,
+      );
+      await this.handleRefreshFuzzers();
+
+      vscode.window.showInformationMessage(
+        `CodeForge: Reevaluated ${outcome.results.length} crash(es) after build - ${summary}`,
+      );
+    } catch (error) {
+      this.safeOutputLog(
+        `Error reevaluating crashes after build: ${error.message}`,
+        false,
+      );
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to reevaluate crashes after build - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Replay crashes and archive or delete the ones that no longer reproduce
+   * Flaky and reproducing crashes are always kept.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} fuzzers - Fuzzers with name, preset and crashes
+   * @param {Object} options - attempts, timeout and memoryLimit for the replays
+   * @param {string|null} fixedAction - "archive", "delete" or null to keep fixed crashes
+   * @param {string} containerName - Docker image name
+   * @param {vscode.Progress} progress - Progress of the running notification
+   * @returns {Promise<Object>} {results, removed} with the removed crash paths
+   */
+  async replayAndRemoveFixedCrashes(
+    workspacePath,
+    fuzzers,
+    options,
+    fixedAction,
+    containerName,
+    progress,
+  ) {
+    const results = await this.crashReevaluationService.reevaluateCrashes(
+      workspacePath,
+      fuzzers,
+      options,
+      containerName,
+    );
+
+    const removed = [];
+    const fixed = results.filter(
+      (result) => result.status === REEVALUATION_STATUS.FIXED,
+    );
+    if (!fixedAction || fixed.length === 0) {
+      return { results, removed };
+    }
+
+    progress.report({
+      message:
+        fixedAction === "archive"
+          ? "Archiving fixed crashes..."
+          : "Deleting fixed crashes...",
+    });
+    for (const fuzzer of fuzzers) {
+      const crashes = fixed
+        .filter((result) => result.fuzzerName === fuzzer.name)
+        .map((result) => result.crash);
+      removed.push(
+        ...(fixedAction === "archive"
+          ? await this.crashReevaluationService.archiveCrashes(
+              workspacePath,
+              fuzzer.name,
+              crashes,
+              containerName,
+            )
+          : await this.crashReevaluationService.deleteCrashes(
+              workspacePath,
+              crashes,
+              containerName,
+            )),
+      );
+    }
+    return { results, removed };
+  }
+
+  /**
+   * Log the outcome of a crash reevaluation
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} outcome - Result of replayAndRemoveFixedCrashes
+   * @param {boolean} archived - Whether removed crashes were archived
+   * @returns {string} One-line summary of the outcome
+   */
+  logReevaluationResults(workspacePath, { results, removed }, archived) {
+    const counts = { fixed: 0, reproducing: 0, flaky: 0 };
+    for (const result of results) {
+      counts[result.status]++;
+      this.safeOutputLog(
+        `Crash ${result.crash.id} of ${result.fuzzerName}: ${result.status} (crashed ${result.reproduced}/${result.attempts} replays, ${Math.round(result.reproductionRate * 100)}%)`,
+      );
+    }
+    for (const filePath of removed) {
+      this.safeOutputLog(
+        archived
+          ? `Archived fixed crash to ${path.relative(workspacePath, filePath)}`
+          : `Deleted fixed crash ${path.relative(workspacePath, filePath)}`,
+      );
+    }
+
+    let fixedNote = "";
+    if (removed.length > 0) {
+      fixedNote = archived ? " (archived)" : " (deleted)";
+    }
+    const summary = `${counts.fixed} fixed${fixedNote}, ${counts.reproducing} still reproducing, ${counts.flaky} flaky`;
+    this.safeOutputLog(`Crash reevaluation finished: ${summary}`);
+    return summary;
+  }
+
+  /**
+   * Get the corpus explorer, creating it on first use
+   * @returns {CorpusExplorerPanel} Corpus explorer
+   */
+  getCorpusExplorer() {
+    if (!this.corpusExplorer) {
+      const extensionPath =
+        this.context?.extensionPath || path.join(__dirname, "..", "..");
+      this.corpusExplorer = new CorpusExplorerPanel(
+        extensionPath,
+        this.resourceManager,
+        {
+          generateHexDump: this.generateHexDump.bind(this),
+          debugInput: this.debugCorpusInput.bind(this),
+          promoteInput: this.promoteCorpusInput.bind(this),
+          openTextReport: this.openCorpusReport.bind(this),
+        },
+      );
+      if (this.context) {
+        this.context.subscriptions.push(this.corpusExplorer);
+      }
+    }
+    return this.corpusExplorer;
+  }
+
+  /**
+   * View corpus files for a fuzzer
+   */
+  async handleViewCorpus(params) {
+    try {
+      const { fuzzerName } = params;
+
+      if (!fuzzerName) {
+        throw new Error("Fuzzer name not provided");
+      }
+
+      // Validate fuzzer name, the explorer runs GDB and deletes inputs for it
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${validation.error}`);
+        this.safeOutputLog(
+          `Fuzzer name validation failed: ${validation.error}`,
+        );
+        return;
+      }
+
+      const { path: workspacePath } = this.getWorkspaceInfo();
+
+      this.safeOutputLog(`Opening corpus explorer for fuzzer: ${fuzzerName}`);
+      this.getCorpusExplorer().show(workspacePath, fuzzerName);
+    } catch (error) {
+      this.safeOutputLog(`Error viewing corpus: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to open corpus viewer - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Open the text corpus report of a fuzzer
+   * @param {string} fuzzerName - Name of the fuzzer
+   */
+  async openCorpusReport(fuzzerName) {
+    const { path: workspacePath } = this.getWorkspaceInfo();
+
+    // Create virtual URI for the corpus document
+    const corpusUri = CorpusDocumentProvider.createCorpusUri(
+      fuzzerName,
+      workspacePath,
+    );
+
+    // Open the virtual document using the corpus document provider
+    const document = await vscode.workspace.openTextDocument(corpusUri);
+
+    // Show document in editor
+    await vscode.window.showTextDocument(document, {
+      preview: true,
+      preserveFocus: false,
+    });
+
+    this.safeOutputLog(`Opened corpus report for fuzzer: ${fuzzerName}`);
+  }
+
+  /**
+   * Run a fuzzer on one corpus input under GDB
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} inputPath - Path to the corpus input
+   */
+  async debugCorpusInput(fuzzerName, inputPath) {
+    const { path: workspacePath } = this.getWorkspaceInfo();
+
+    const containerName = dockerOperations.generateContainerName(workspacePath);
+    const initialized = await this.ensureInitializedAndBuilt(
+      workspacePath,
+      containerName,
+    );
+    if (!initialized) {
+      vscode.window.showInformationMessage(
+        "CodeForge: GDB session cancelled - project initialization and Docker build required",
+      );
+      return;
+    }
+
+    const result = await this.gdbIntegration.analyzeCrash(
+      workspacePath,
+      fuzzerName,
+      inputPath,
+      {
+        containerName,
+        terminalName: `CodeForge GDB: ${fuzzerName} - ${path.basename(inputPath)}`,
+      },
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const { terminalConfig } = result;
+    const terminal = vscode.window.createTerminal({
+      name: terminalConfig.terminalName,
+      shellPath: terminalConfig.shellPath,
+      shellArgs: terminalConfig.shellArgs,
+    });
+    terminal.show();
+
+    this.safeOutputLog(
+      `Started GDB for ${fuzzerName} on corpus input ${path.basename(inputPath)}`,
+    );
+  }
+
+  /**
+   * Save a corpus input to the fuzzer's regression corpus
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} inputPath - Path to the corpus input
+   */
+  async promoteCorpusInput(fuzzerName, inputPath) {
+    const { path: workspacePath } = this.getWorkspaceInfo();
+
+    const { filePath, duplicate } =
+      await this.regressionCorpusService.saveInput(
+        workspacePath,
+        fuzzerName,
+        inputPath,
+      );
+    const relativePath = path.relative(workspacePath, filePath);
+
+    this.safeOutputLog(
+      `Saved corpus input ${path.basename(inputPath)} of ${fuzzerName} as ${relativePath}`,
+    );
+    vscode.window.showInformationMessage(
+      duplicate
+        ? `CodeForge: Input is already a regression test (${relativePath})`
+        : `CodeForge: Saved input as regression test ${relativePath}`,
+    );
+  }
+
+  /**
+   * Replay the regression corpus of every fuzzer and show the results
+   */
+  async handleRunRegressionCorpus() {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+
+      const fuzzers = [];
+      for (const fuzzer of this.fuzzerDiscoveryService.getAllCachedFuzzers()) {
+        if (
+          validateFuzzerName(fuzzer.name).valid &&
+          (
+            await this.regressionCorpusService.listInputs(
+              workspacePath,
+              fuzzer.name,
+            )
+          ).length > 0
+        ) {
+          fuzzers.push({ name: fuzzer.name, preset: fuzzer.preset || "" });
+        }
+      }
+      if (fuzzers.length === 0) {
+        vscode.window.showInformationMessage(
+          `CodeForge: No regression tests saved in ${getRegressionDirectory()}`,
+        );
+        return;
+      }
+
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const initialized = await this.ensureInitializedAndBuilt(
+        workspacePath,
+        containerName,
+      );
+      if (!initialized) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Regression run cancelled - project initialization and Docker build required",
+        );
+        return;
+      }
+
+      const { timeoutPerRun, memoryLimit } = getFuzzingConfig();
+      this.safeOutputLog(
+        `Running regression corpus of ${fuzzers.map((fuzzer) => fuzzer.name).join(", ")}`,
+      );
+
+      const results = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: "CodeForge: Running regression corpus...",
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({
+            message: `Building and replaying ${fuzzers.length} fuzzer(s)...`,
+          });
+          return this.regressionCorpusService.runRegressionCorpus(
+            workspacePath,
+            fuzzers,
+            { timeout: timeoutPerRun, memoryLimit },
+            containerName,
+          );
+        },
+      );
+
+      const failed = results.filter((result) => !result.passed);
+      for (const result of failed) {
+        this.safeOutputLog(
+          `Regression test ${result.fuzzerName}/${result.input} failed (exit code ${result.exitCode}): ${result.summary}`,
+        );
+      }
+      const summary = `${results.length - failed.length} passed, ${failed.length} failed`;
+      this.safeOutputLog(`Regression run finished: ${summary}`);
 
+      this.getRegressionResultsPanel().show(workspacePath, results);
+      if (failed.length > 0) {
+        vscode.window.showWarningMessage(
+          `CodeForge: Regression run finished - ${summary}`,
+        );
+      } else {
+        vscode.window.showInformationMessage(
+          `CodeForge: Regression run finished - ${summary}`,
+        );
+      }
+    } catch (error) {
       this.safeOutputLog(
-        `Fuzzer executable found at: ${fuzzerCheck.path}`,
+        `Error running regression corpus: ${error.message}`,
         false,
       );
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to run regression corpus - ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Get the regression results panel, creating it on first use
+   * @returns {RegressionResultsPanel} Results panel
+   */
+  getRegressionResultsPanel() {
+    if (!this.regressionResults) {
+      const extensionPath =
+        this.context?.extensionPath || path.join(__dirname, "..", "..");
+      this.regressionResults = new RegressionResultsPanel(extensionPath);
+      if (this.context) {
+        this.context.subscriptions.push(this.regressionResults);
+      }
+    }
+    return this.regressionResults;
+  }
+
+  /**
+   * Minimize a fuzzer's corpus, optionally merging other corpora into it
+   */
+  async handleMinimizeCorpus(params = {}) {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      let { fuzzerName } = params || {};
+
+      if (!fuzzerName) {
+        const fuzzers = this.fuzzerDiscoveryService.getAllCachedFuzzers();
+        if (fuzzers.length === 0) {
+          vscode.window.showInformationMessage(
+            "CodeForge: No fuzzers found - refresh the fuzzer list first",
+          );
+          return;
+        }
+        fuzzerName = await vscode.window.showQuickPick(
+          fuzzers.map((fuzzer) => fuzzer.name),
+          { placeHolder: "Select a fuzzer whose corpus to minimize" },
+        );
+        if (!fuzzerName) {
+          return;
+        }
+      }
 
-      // Store the validated fuzzer path for later use
-      const validatedFuzzerPath = fuzzerCheck.path;
+      // Validate fuzzer name to prevent shell injection
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${validation.error}`);
+        this.safeOutputLog(
+          `Fuzzer name validation failed: ${validation.error}`,
+        );
+        return;
+      }
+
+      if (fuzzingOperations.getRunningFuzzer(workspacePath, fuzzerName)) {
+        vscode.window.showWarningMessage(
+          `CodeForge: Stop ${fuzzerName} before minimizing its corpus`,
+        );
+        return;
+      }
+
+      const cachedFuzzer =
+        this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+      if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
+        throw new Error(`Could not find fuzzer in cache: ${fuzzerName}`);
+      }
+
+      const mode = await vscode.window.showQuickPick(
+        [
+          {
+            label: "$(fold) Minimize Corpus",
+            description: "Keep only inputs that add coverage",
+            merge: false,
+          },
+          {
+            label: "$(git-merge) Merge and Minimize...",
+            description:
+              "Also take new coverage from another corpus directory or export",
+            merge: true,
+          },
+        ],
+        { placeHolder: `Minimize the corpus of ${fuzzerName}` },
+      );
+      if (!mode) {
+        return;
+      }
 
-      // Launch gdbserver using GdbIntegration
-      const { GdbIntegration } = require("../fuzzing/gdbIntegration");
-      const gdbIntegration = new GdbIntegration(dockerOperations);
+      let mergeSources = [];
+      if (mode.merge) {
+        const uris = await vscode.window.showOpenDialog({
+          canSelectFiles: true,
+          canSelectFolders: true,
+          canSelectMany: true,
+          openLabel: "Merge Corpus",
+          title: "Select corpus directories or tar archives to merge",
+        });
+        if (!uris || uris.length === 0) {
+          return;
+        }
+        mergeSources = uris.map((uri) => uri.fsPath);
+      }
 
-      const result = await gdbIntegration.launchGdbServer(
+      const containerName =
+        dockerOperations.generateContainerName(workspacePath);
+      const initialized = await this.ensureInitializedAndBuilt(
         workspacePath,
-        fuzzerName,
-        filePath,
+        containerName,
       );
-
-      if (!result.success) {
-        throw new Error(result.error);
+      if (!initialized) {
+        vscode.window.showInformationMessage(
+          "CodeForge: Minimization cancelled - project initialization and Docker build required",
+        );
+        return;
       }
 
-      // Log to output channel for record keeping
       this.safeOutputLog(
-        `GDB server started on ${result.connectionString} for crash ${crashId} from ${fuzzerName}`,
+        `Minimizing corpus of ${fuzzerName}` +
+          (mergeSources.length > 0
+            ? ` with ${mergeSources.join(", ")} merged in`
+            : ""),
       );
-      this.safeOutputLog(`Command: ${result.gdbserverCommand}`, false);
 
-      // Create or update launch configuration for VSCode debugging
-      // (launchConfigManager already created above during fuzzer validation)
-      const configName = `Debug Crash: ${fuzzerName} - ${crashId}`;
+      const { before, after } = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `CodeForge: Minimizing corpus of ${fuzzerName}...`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({ message: "Merging inputs in the container..." });
+          return this.corpusMinimizationService.minimizeCorpus(
+            workspacePath,
+            { name: fuzzerName, preset: cachedFuzzer.preset },
+            mergeSources,
+            containerName,
+          );
+        },
+      );
 
-      const launchConfigResult =
-        await launchConfigManager.createOrUpdateGdbAttachConfig(
-          workspacePath,
-          configName,
-          result.hostPort,
-          validatedFuzzerPath, // Use the validated fuzzer path
-          {
-            stopAtConnect: true,
-            fuzzerName: fuzzerName, // Pass fuzzer name as fallback
-          },
-        );
+      const summary = `${before.files} → ${after.files} files, ${formatFileSize(before.size)} → ${formatFileSize(after.size)}`;
+      this.safeOutputLog(`Minimized corpus of ${fuzzerName}: ${summary}`);
+      vscode.window.showInformationMessage(
+        `CodeForge: Minimized corpus of ${fuzzerName} (${summary})`,
+      );
+    } catch (error) {
+      this.safeOutputLog(`Error minimizing corpus: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to minimize corpus - ${error.message}`,
+      );
+    }
+  }
 
-      if (launchConfigResult.success) {
-        this.safeOutputLog(
-          `Launch configuration '${configName}' ${launchConfigResult.action} in .vscode/launch.json`,
-          false,
-        );
-        if (launchConfigResult.extensionUsed) {
-          this.safeOutputLog(
-            `Using ${launchConfigResult.extensionUsed} debug extension`,
-            false,
+  /**
+   * Manage the seed corpus and dictionary of a fuzzer
+   */
+  async handleManageSeeds(params = {}) {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      let { fuzzerName } = params || {};
+
+      if (!fuzzerName) {
+        const fuzzers = this.fuzzerDiscoveryService.getAllCachedFuzzers();
+        if (fuzzers.length === 0) {
+          vscode.window.showInformationMessage(
+            "CodeForge: No fuzzers found - refresh the fuzzer list first",
           );
+          return;
         }
-      } else {
+        fuzzerName = await vscode.window.showQuickPick(
+          fuzzers.map((fuzzer) => fuzzer.name),
+          { placeHolder: "Select a fuzzer to manage seeds for" },
+        );
+        if (!fuzzerName) {
+          return;
+        }
+      }
+
+      // Validate fuzzer name, it becomes part of the seed and dictionary paths
+      const validation = validateFuzzerName(fuzzerName);
+      if (!validation.valid) {
+        vscode.window.showErrorMessage(`CodeForge: ${validation.error}`);
         this.safeOutputLog(
-          `Warning: Failed to create launch configuration: ${launchConfigResult.error}`,
-          false,
+          `Fuzzer name validation failed: ${validation.error}`,
         );
+        return;
       }
 
-      // Create a pseudo-terminal to display gdbserver output
-      const writeEmitter = new vscode.EventEmitter();
-      const closeEmitter = new vscode.EventEmitter();
+      const overrides = await loadFuzzerOverrides(workspacePath);
+      const dictionary = (overrides[fuzzerName] || {}).dictionary || null;
+      const summary = await this.seedService.getSeedSummary(
+        workspacePath,
+        fuzzerName,
+      );
+
+      const items = [
+        {
+          label: "$(add) Add Seed Files...",
+          description: `${summary.count} seed(s), ${formatFileSize(summary.totalSize)}`,
+          action: "addFiles",
+        },
+        { label: "$(folder-opened) Add Seed Folder...", action: "addFolder" },
+        {
+          label: "$(symbol-constant) Generate Dictionary from Sources",
+          description: dictionary ? `Current: ${dictionary}` : "No dictionary",
+          action: "generateDictionary",
+        },
+      ];
+      if (summary.count > 0) {
+        items.push({
+          label: "$(folder) Open Seed Folder",
+          action: "openSeedFolder",
+        });
+      }
+      if (dictionary) {
+        items.push({
+          label: "$(book) Open Dictionary",
+          action: "openDictionary",
+        });
+      }
 
-      let waitingForKeyPress = false;
+      const choice = await vscode.window.showQuickPick(items, {
+        placeHolder: `Seeds and dictionary of ${fuzzerName}`,
+      });
+      if (!choice) {
+        return;
+      }
 
-      const pty = {
-        onDidWrite: writeEmitter.event,
-        onDidClose: closeEmitter.event,
-        open: () => {
-          // Write header information
-          writeEmitter.fire(
-            "\r\n\x1b[1;32m=== CodeForge GDB Server ===\x1b[0m\r\n\r\n",
+      switch (choice.action) {
+        case "addFiles":
+        case "addFolder":
+          await this.addSeedsFromDialog(
+            workspacePath,
+            fuzzerName,
+            choice.action === "addFolder",
           );
-          writeEmitter.fire(
-            `\x1b[1mConnection:\x1b[0m ${result.connectionString}\r\n`,
-          );
-          writeEmitter.fire(`\x1b[1mFuzzer:\x1b[0m ${fuzzerName}\r\n`);
-          writeEmitter.fire(
-            `\x1b[1mCrash Hash:\x1b[0m ${result.fullCrashHash}\r\n`,
-          );
-          writeEmitter.fire(
-            `\x1b[1mCrash File:\x1b[0m ${result.crashFilePath}\r\n`,
+          break;
+        case "generateDictionary":
+          await this.generateDictionaryFromSources(
+            workspacePath,
+            fuzzerName,
+            dictionary,
           );
-          writeEmitter.fire(
-            `\x1b[1mCommand:\x1b[0m ${result.gdbserverCommand}\r\n`,
+          break;
+        case "openSeedFolder":
+          await vscode.commands.executeCommand(
+            "revealFileInOS",
+            vscode.Uri.file(
+              path.join(
+                workspacePath,
+                this.seedService.getSeedDirectory(fuzzerName),
+              ),
+            ),
           );
-          writeEmitter.fire("\r\n");
-          if (launchConfigResult.success) {
-            writeEmitter.fire(
-              "\x1b[1;32mDebugger will launch automatically...\x1b[0m\r\n",
-            );
-            writeEmitter.fire(`\x1b[2mLaunch config: ${configName}\x1b[0m\r\n`);
-          } else {
-            writeEmitter.fire("\x1b[1mTo debug this crash:\x1b[0m\r\n");
-            writeEmitter.fire(
-              `  \x1b[36mgdb -ex "target remote ${result.connectionString}"\x1b[0m\r\n`,
-            );
-          }
-          writeEmitter.fire("\r\n");
-          writeEmitter.fire(
-            "\x1b[33mWaiting for debugger connection...\x1b[0m\r\n",
+          break;
+        case "openDictionary":
+          await vscode.window.showTextDocument(
+            vscode.Uri.file(path.join(workspacePath, dictionary)),
           );
-          writeEmitter.fire("\r\n");
-          writeEmitter.fire("\x1b[2m--- GDB Server Output ---\x1b[0m\r\n\r\n");
-        },
-        close: () => {
-          // Clean up when terminal is closed
-          if (result.process && !result.process.killed) {
-            result.process.kill();
-          }
-        },
-        handleInput: () => {
-          // When waiting for key press, any key will close the terminal
-          if (waitingForKeyPress) {
-            closeEmitter.fire(0);
-          }
-        },
-      };
-
-      // Create terminal with the pseudo-terminal
-      const terminalName = `GDB Server: ${fuzzerName} - ${crashId}`;
-      const terminal = vscode.window.createTerminal({
-        name: terminalName,
-        pty: pty,
-      });
+          break;
+      }
+    } catch (error) {
+      this.safeOutputLog(`Error managing seeds: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to manage seeds - ${error.message}`,
+      );
+    }
+  }
 
-      // Monitor the gdbserver process and write output to terminal
-      if (result.process) {
-        result.process.stdout.on("data", (data) => {
-          const output = data.toString();
-          // Convert line endings for terminal
-          writeEmitter.fire(output.replace(/\n/g, "\r\n"));
-          // Also log to output channel
-          this.safeOutputLog(`[GDB Server] ${output.trim()}`, false);
-        });
+  /**
+   * Ask for seed files or a folder and copy them into the fuzzer's seeds
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {boolean} folders - Pick folders instead of files
+   */
+  async addSeedsFromDialog(workspacePath, fuzzerName, folders) {
+    const uris = await vscode.window.showOpenDialog({
+      canSelectFiles: !folders,
+      canSelectFolders: folders,
+      canSelectMany: true,
+      openLabel: "Add as Seeds",
+      defaultUri: vscode.Uri.file(workspacePath),
+    });
+    if (!uris || uris.length === 0) {
+      return;
+    }
 
-        result.process.stderr.on("data", (data) => {
-          const output = data.toString();
-          // Show stderr in red
-          writeEmitter.fire(`\x1b[31m${output.replace(/\n/g, "\r\n")}\x1b[0m`);
-          // Also log to output channel
-          this.safeOutputLog(`[GDB Server Error] ${output.trim()}`, false);
-        });
+    const result = await this.seedService.addSeeds(
+      workspacePath,
+      fuzzerName,
+      uris.map((uri) => uri.fsPath),
+    );
 
-        result.process.on("close", (code) => {
-          writeEmitter.fire("\r\n");
-          if (code === 0) {
-            writeEmitter.fire(
-              "\x1b[1;32mGDB server session completed successfully\x1b[0m\r\n",
-            );
-          } else {
-            writeEmitter.fire(
-              `\x1b[1;31mGDB server exited with code ${code}\x1b[0m\r\n`,
-            );
-          }
-          writeEmitter.fire("\r\n");
-          writeEmitter.fire("Press any key to close this terminal...\r\n");
+    this.safeOutputLog(
+      `Added ${result.added} seed(s) to ${result.seedDirectory} (${result.duplicates} duplicate(s) skipped)`,
+    );
+    vscode.window.showInformationMessage(
+      `CodeForge: Added ${result.added} seed(s) for ${fuzzerName}` +
+        (result.duplicates > 0
+          ? ` (${result.duplicates} already present)`
+          : ""),
+    );
+  }
 
-          // Log to output channel
-          this.safeOutputLog(
-            `GDB server for ${crashId} exited with code ${code}`,
-          );
+  /**
+   * Generate a dictionary from the fuzzer's sources
+   * Falls back to asking which sources to use when the harness of the fuzzer
+   * cannot be found by name.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string|null} currentDictionary - Dictionary configured now
+   */
+  async generateDictionaryFromSources(
+    workspacePath,
+    fuzzerName,
+    currentDictionary,
+  ) {
+    const generatedPath = this.seedService.getDictionaryPath(fuzzerName);
+    if (currentDictionary && currentDictionary !== generatedPath) {
+      const replace = await vscode.window.showWarningMessage(
+        `CodeForge: ${fuzzerName} uses ${currentDictionary}. Replace it with a generated dictionary?`,
+        "Replace",
+        "Cancel",
+      );
+      if (replace !== "Replace") {
+        return;
+      }
+    }
 
-          // Enable key press handling to close terminal
-          waitingForKeyPress = true;
+    const extensions = SOURCE_EXTENSIONS.map((extension) =>
+      extension.slice(1),
+    ).join(",");
+    const candidateFiles = (
+      await vscode.workspace.findFiles(
+        new vscode.RelativePattern(workspacePath, `**/*.{${extensions}}`),
+        "**/{.codeforge,build,target,node_modules}/**",
+      )
+    ).map((uri) => uri.fsPath);
+
+    let sourceFiles = await this.seedService.getFuzzerSources(
+      fuzzerName,
+      candidateFiles,
+    );
+    if (sourceFiles.length === 0) {
+      const fallback = await vscode.window.showWarningMessage(
+        `CodeForge: Could not find the sources of ${fuzzerName}`,
+        "Use All Project Sources",
+        "Choose Files...",
+      );
+      if (fallback === "Use All Project Sources") {
+        sourceFiles = candidateFiles;
+      } else if (fallback === "Choose Files...") {
+        const uris = await vscode.window.showOpenDialog({
+          canSelectFiles: true,
+          canSelectMany: true,
+          openLabel: "Extract Constants",
+          defaultUri: vscode.Uri.file(workspacePath),
         });
+        sourceFiles = (uris || []).map((uri) => uri.fsPath);
       }
+      if (sourceFiles.length === 0) {
+        return;
+      }
+    }
 
-      // Show the terminal
-      terminal.show();
+    const result = await this.seedService.generateDictionary(
+      workspacePath,
+      fuzzerName,
+      sourceFiles,
+    );
 
-      this.safeOutputLog(
-        `GDB server terminal created successfully for ${crashId} from ${fuzzerName}`,
+    this.safeOutputLog(
+      `Generated ${result.dictionary} with ${result.entries} entries from ${sourceFiles.length} source file(s)`,
+    );
+    const open = await vscode.window.showInformationMessage(
+      `CodeForge: Generated a dictionary with ${result.entries} entries for ${fuzzerName}`,
+      "Open Dictionary",
+    );
+    if (open === "Open Dictionary") {
+      await vscode.window.showTextDocument(
+        vscode.Uri.file(path.join(workspacePath, result.dictionary)),
       );
+    }
+  }
 
-      // Automatically start debugging if launch configuration was created successfully
-      if (launchConfigResult.success) {
-        // Get the workspace folder
-        const workspaceFolder = vscode.workspace.workspaceFolders
-          ? vscode.workspace.workspaceFolders[0]
-          : undefined;
-
-        // Give the gdbserver a moment to fully start
-        setTimeout(async () => {
-          try {
-            this.safeOutputLog(
-              `Starting debugger with configuration '${configName}'`,
-              false,
-            );
-
-            // Start debugging with the created configuration
-            await vscode.debug.startDebugging(workspaceFolder, configName);
-
-            this.safeOutputLog(
-              `Debugger started successfully for ${crashId}`,
-              false,
-            );
-          } catch (debugError) {
-            this.safeOutputLog(
-              `Warning: Failed to automatically start debugger: ${debugError.message}`,
-              false,
-            );
-          }
-        }, 1000); // Wait 1 second for gdbserver to be ready
+  /**
+   * Get the coverage decoration provider, creating it on first use
+   * @returns {CoverageDecorationProvider} Coverage decoration provider
+   */
+  getCoverageDecorations() {
+    if (!this.coverageDecorations) {
+      const extensionPath =
+        this.context?.extensionPath || path.join(__dirname, "..", "..");
+      this.coverageDecorations = new CoverageDecorationProvider(extensionPath);
+      if (this.context) {
+        this.context.subscriptions.push(this.coverageDecorations);
       }
-    } catch (error) {
-      this.safeOutputLog(`Error launching GDB server: ${error.message}`, true);
-      vscode.window.showErrorMessage(
-        `CodeForge: Failed to launch GDB server - ${error.message}`,
-      );
     }
+    return this.coverageDecorations;
   }
 
   /**
-   * Clear crashes for a fuzzer
+   * Replay a fuzzer's corpus with a coverage build and show the result in the editor
    */
-  async handleClearCrashes(params) {
+  async handleShowCoverage(params = {}) {
     try {
-      const { fuzzerName } = params;
       const { path: workspacePath } = this.getWorkspaceInfo();
+      let { fuzzerName } = params || {};
 
       if (!fuzzerName) {
-        throw new Error("Fuzzer name not provided");
+        const fuzzers = this.fuzzerDiscoveryService.getAllCachedFuzzers();
+        if (fuzzers.length === 0) {
+          vscode.window.showInformationMessage(
+            "CodeForge: No fuzzers found - refresh the fuzzer list first",
+          );
+          return;
+        }
+        fuzzerName = await vscode.window.showQuickPick(
+          fuzzers.map((fuzzer) => fuzzer.name),
+          { placeHolder: "Select a fuzzer to measure coverage for" },
+        );
+        if (!fuzzerName) {
+          return;
+        }
       }
 
       // Validate fuzzer name to prevent shell injection
@@ -1566,14 +3778,12 @@ class CodeForgeCommandHandlers {
         return;
       }
 
-      // Get fuzzer preset from cache
       const cachedFuzzer =
         this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
       if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
         throw new Error(`Could not find fuzzer in cache: ${fuzzerName}`);
       }
 
-      // Check initialization and build status
       const containerName =
         dockerOperations.generateContainerName(workspacePath);
       const initialized = await this.ensureInitializedAndBuilt(
@@ -1582,132 +3792,175 @@ class CodeForgeCommandHandlers {
       );
       if (!initialized) {
         vscode.window.showInformationMessage(
-          "CodeForge: Clear crashes cancelled - project initialization and Docker build required",
+          "CodeForge: Coverage cancelled - project initialization and Docker build required",
         );
         return;
       }
 
-      this.safeOutputLog(`Clearing crashes for fuzzer: ${fuzzerName}`, false);
-
-      // Execute clear-crashes.sh script inside Docker container
-      // The script expects fuzzer name in "preset:fuzzer_name" format for CMake
-      // or just "fuzzer_name" for Rust fuzzers (which have empty preset)
-      const fuzzerIdentifier =
-        cachedFuzzer.preset && cachedFuzzer.preset.trim() !== ""
-          ? `${cachedFuzzer.preset}:${fuzzerName}`
-          : fuzzerName;
-      const clearCommand = `codeforge clear-crashes "${fuzzerIdentifier}"`;
-
-      const options = {
-        removeAfterRun: true,
-        mountWorkspace: true,
-        dockerCommand: "docker",
-        containerType: "clear_crashes",
-        resourceManager: this.resourceManager,
-      };
+      this.safeOutputLog(`Collecting coverage for fuzzer: ${fuzzerName}`);
 
-      const clearProcess = dockerOperations.runDockerCommandWithOutput(
-        workspacePath,
-        containerName,
-        clearCommand,
-        "/bin/bash",
-        options,
+      const report = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: `CodeForge: Collecting coverage for ${fuzzerName}...`,
+          cancellable: false,
+        },
+        async (progress) => {
+          progress.report({
+            message: "Building with coverage and replaying corpus...",
+          });
+          return this.coverageService.generateCoverage(
+            workspacePath,
+            { name: fuzzerName, preset: cachedFuzzer.preset },
+            containerName,
+          );
+        },
       );
 
-      let stdout = "";
-      let stderr = "";
-
-      clearProcess.stdout.on("data", (data) => {
-        stdout += data.toString();
-      });
-
-      clearProcess.stderr.on("data", (data) => {
-        stderr += data.toString();
-      });
-
-      await new Promise((resolve, reject) => {
-        clearProcess.on("close", (code) => {
-          if (code !== 0) {
-            this.safeOutputLog(
-              `Clear crashes script failed with exit code ${code}: ${stderr}`,
-              false,
-            );
-            reject(
-              new Error(
-                `Clear crashes script failed with exit code ${code}: ${stderr}`,
-              ),
-            );
-            return;
-          }
-
-          this.safeOutputLog(`Successfully cleared crashes for ${fuzzerName}`);
-          resolve();
-        });
-
-        clearProcess.on("error", (error) => {
-          reject(
-            new Error(
-              `Failed to execute clear crashes script: ${error.message}`,
-            ),
-          );
-        });
-      });
+      this.getCoverageDecorations().showCoverage(report);
 
-      // Refresh fuzzer data
-      await this.handleRefreshFuzzers();
+      const { totals } = report;
+      this.safeOutputLog(
+        `Coverage for ${fuzzerName}: ${totals.linesHit}/${totals.linesFound} lines (${totals.percent}%)`,
+      );
+      for (const file of report.files) {
+        this.safeOutputLog(
+          `  ${file.percent.toFixed(1).padStart(5)}%  ${path.relative(workspacePath, file.filePath)} (${file.linesHit}/${file.linesFound})`,
+        );
+      }
 
       vscode.window.showInformationMessage(
-        `CodeForge: Cleared crashes for ${fuzzerName}`,
+        `CodeForge: ${fuzzerName} reaches ${totals.percent}% of lines in ${report.files.length} file(s)`,
       );
     } catch (error) {
-      this.safeOutputLog(`Error clearing crashes: ${error.message}`, false);
+      this.safeOutputLog(`Error collecting coverage: ${error.message}`, false);
       vscode.window.showErrorMessage(
-        `CodeForge: Failed to clear crashes - ${error.message}`,
+        `CodeForge: Failed to collect coverage - ${error.message}`,
       );
     }
   }
 
   /**
-   * Reevaluate crashes for a fuzzer
+   * Remove fuzzing coverage from the editor
+   */
+  async handleHideCoverage() {
+    if (this.coverageDecorations) {
+      this.coverageDecorations.clear();
+    }
+  }
+
+  /**
+   * Get the campaign scheduler, creating it on first use
+   * @returns {CampaignScheduler} Campaign scheduler
+   */
+  getCampaignScheduler() {
+    if (!this.campaignScheduler) {
+      this.campaignScheduler = new CampaignScheduler(this.resourceManager, {
+        onUpdate: (campaign, isRunning) => {
+          if (
+            this.webviewProvider &&
+            this.webviewProvider._updateCampaignState
+          ) {
+            this.webviewProvider._updateCampaignState(campaign, isRunning);
+          }
+        },
+        onStats: (name, stats) => this.publishFuzzerStats(name, stats),
+        sessionHistory: this.sessionHistoryService,
+        fuzzerDiscoveryService: this.fuzzerDiscoveryService,
+      });
+    }
+    return this.campaignScheduler;
+  }
+
+  /**
+   * Define a fuzzing campaign and run it in the background
+   * @param {Object} params - Optional sliceMinutes (length of one turn, default 10)
    */
-  async handleReevaluateCrashes(params) {
+  async handleStartCampaign(params = {}) {
     try {
-      const { fuzzerName } = params;
       const { path: workspacePath } = this.getWorkspaceInfo();
-
-      if (!fuzzerName) {
-        throw new Error("Fuzzer name not provided");
+      const scheduler = this.getCampaignScheduler();
+      if (scheduler.isRunning()) {
+        vscode.window.showInformationMessage(
+          "CodeForge: A fuzzing campaign is already running",
+        );
+        return;
       }
 
-      // Get fuzzer preset from cache, or refresh if not found
-      let cachedFuzzer =
-        this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
-
-      // If fuzzer not in cache or cache is invalid, refresh the fuzzer data
-      if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
-        this.safeOutputLog(
-          `Fuzzer ${fuzzerName} not in cache, refreshing fuzzer data...`,
-          false,
+      const fuzzers = this.fuzzerDiscoveryService.getAllCachedFuzzers();
+      if (fuzzers.length === 0) {
+        vscode.window.showInformationMessage(
+          "CodeForge: No fuzzers found - refresh the fuzzer list first",
         );
+        return;
+      }
 
-        const containerName =
-          dockerOperations.generateContainerName(workspacePath);
+      const picked = await vscode.window.showQuickPick(
+        fuzzers.map((fuzzer) => ({ label: fuzzer.name, fuzzer })),
+        {
+          placeHolder: "Select the fuzzers of the campaign",
+          canPickMany: true,
+        },
+      );
+      if (!picked || picked.length === 0) {
+        return;
+      }
 
-        // Refresh fuzzer data to populate cache
-        await this.fuzzerDiscoveryService.refreshFuzzerData(
-          workspacePath,
-          containerName,
-        );
+      const budgetInput = await vscode.window.showInputBox({
+        prompt: "Total time budget of the campaign in minutes",
+        value: "60",
+        validateInput: (value) =>
+          /^\d+$/.test(value.trim()) && parseInt(value, 10) >= 1
+            ? null
+            : "Enter a whole number of minutes",
+      });
+      if (budgetInput === undefined) {
+        return;
+      }
 
-        // Try to get the fuzzer again
-        cachedFuzzer = this.fuzzerDiscoveryService.getCachedFuzzer(fuzzerName);
+      const jobsInput = await vscode.window.showInputBox({
+        prompt: "Parallel libFuzzer jobs per fuzzer (-jobs)",
+        value: String(getLibFuzzerOptions().jobs),
+        validateInput: (value) => {
+          const jobs = parseInt(value, 10);
+          return /^\d+$/.test(value.trim()) && jobs >= 1 && jobs <= 64
+            ? null
+            : "Enter a number between 1 and 64";
+        },
+      });
+      if (jobsInput === undefined) {
+        return;
+      }
 
-        if (!cachedFuzzer || !("preset" in cachedFuzzer)) {
-          throw new Error(`Could not find fuzzer in cache: ${fuzzerName}`);
+      let weights = null;
+      if (picked.length > 1) {
+        const split = await vscode.window.showQuickPick(
+          [
+            { label: "Even", description: "Every fuzzer gets the same time" },
+            {
+              label: "Weighted",
+              description: "Give some fuzzers a larger share",
+            },
+          ],
+          { placeHolder: "How should the budget be split?" },
+        );
+        if (!split) {
+          return;
+        }
+        if (split.label === "Weighted") {
+          const weightsInput = await vscode.window.showInputBox({
+            prompt:
+              "Relative weights, e.g. parser-fuzz=3, lexer-fuzz=1 (unlisted fuzzers weigh 1)",
+            validateInput: (value) =>
+              parseCampaignWeights(value) ? null : "Use name=number pairs",
+          });
+          if (weightsInput === undefined) {
+            return;
+          }
+          weights = parseCampaignWeights(weightsInput);
         }
       }
 
-      // Check initialization and build status
       const containerName =
         dockerOperations.generateContainerName(workspacePath);
       const initialized = await this.ensureInitializedAndBuilt(
@@ -1716,209 +3969,141 @@ class CodeForgeCommandHandlers {
       );
       if (!initialized) {
         vscode.window.showInformationMessage(
-          "CodeForge: Reevaluate crashes cancelled - project initialization and Docker build required",
+          "CodeForge: Campaign cancelled - project initialization and Docker build required",
         );
         return;
       }
 
+      const sliceMinutes = (params && params.sliceMinutes) || 10;
+      const campaign = await scheduler.start(workspacePath, {
+        fuzzers: picked.map((item) => ({
+          name: item.fuzzer.name,
+          preset: item.fuzzer.preset,
+        })),
+        totalBudgetSeconds: parseInt(budgetInput, 10) * 60,
+        weights,
+        sliceSeconds: Math.round(sliceMinutes * 60),
+        jobs: parseInt(jobsInput, 10),
+      });
+
       this.safeOutputLog(
-        `Reevaluating crashes for fuzzer: ${fuzzerName}`,
-        false,
+        `Started fuzzing campaign ${campaign.id}: ${campaign.fuzzers
+          .map((fuzzer) => `${fuzzer.name} (${fuzzer.budgetSeconds}s)`)
+          .join(", ")}`,
+      );
+      vscode.window.showInformationMessage(
+        `CodeForge: Fuzzing campaign started with ${campaign.fuzzers.length} fuzzer(s)`,
+      );
+    } catch (error) {
+      this.safeOutputLog(`Error starting campaign: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to start campaign - ${error.message}`,
       );
+    }
+  }
 
-      // Show progress notification
+  /**
+   * Pause the running campaign after stopping its current fuzzer
+   */
+  async handlePauseCampaign() {
+    try {
+      const scheduler = this.getCampaignScheduler();
+      if (!scheduler.isRunning()) {
+        vscode.window.showInformationMessage(
+          "CodeForge: No fuzzing campaign is running",
+        );
+        return;
+      }
       await vscode.window.withProgress(
         {
           location: vscode.ProgressLocation.Notification,
-          title: `CodeForge: Reevaluating crashes for ${fuzzerName}...`,
+          title: "CodeForge: Pausing fuzzing campaign...",
           cancellable: false,
         },
-        async (progress) => {
-          try {
-            // First, rebuild the fuzzer to ensure we have the latest binary
-            progress.report({ message: "Building fuzzer..." });
-
-            // Build fuzzer identifier based on project type
-            // CMake format: "preset:fuzzer_name", Rust format: "fuzzer_name"
-            const fuzzerIdentifier =
-              cachedFuzzer.preset && cachedFuzzer.preset.trim() !== ""
-                ? `${cachedFuzzer.preset}:${fuzzerName}`
-                : fuzzerName;
-            const buildCommand = `codeforge build-fuzz-tests "${fuzzerIdentifier}"`;
-
-            const buildOptions = {
-              removeAfterRun: true,
-              mountWorkspace: true,
-              dockerCommand: "docker",
-              containerType: "build_fuzzer",
-              resourceManager: this.resourceManager,
-            };
-
-            const buildProcess = dockerOperations.runDockerCommandWithOutput(
-              workspacePath,
-              containerName,
-              buildCommand,
-              "/bin/bash",
-              buildOptions,
-            );
-
-            let buildStdout = "";
-            let buildStderr = "";
-
-            buildProcess.stdout.on("data", (data) => {
-              buildStdout += data.toString();
-            });
-
-            buildProcess.stderr.on("data", (data) => {
-              buildStderr += data.toString();
-            });
-
-            await new Promise((resolve, reject) => {
-              buildProcess.on("close", (code) => {
-                if (code !== 0) {
-                  this.safeOutputLog(
-                    `Build failed with exit code ${code}: ${buildStderr}`,
-                    false,
-                  );
-                  reject(
-                    new Error(
-                      `Build failed with exit code ${code}: ${buildStderr}`,
-                    ),
-                  );
-                  return;
-                }
-
-                this.safeOutputLog(`Successfully built ${fuzzerName}`);
-                resolve();
-              });
-
-              buildProcess.on("error", (error) => {
-                reject(
-                  new Error(`Failed to execute build script: ${error.message}`),
-                );
-              });
-            });
-
-            // Now reevaluate crashes
-            progress.report({ message: "Reevaluating crashes..." });
-
-            const reevaluateCommand = `codeforge reevaluate-crashes "${fuzzerIdentifier}"`;
-
-            const reevaluateOptions = {
-              removeAfterRun: true,
-              mountWorkspace: true,
-              dockerCommand: "docker",
-              containerType: "reevaluate_crashes",
-              resourceManager: this.resourceManager,
-            };
-
-            const reevaluateProcess =
-              dockerOperations.runDockerCommandWithOutput(
-                workspacePath,
-                containerName,
-                reevaluateCommand,
-                "/bin/bash",
-                reevaluateOptions,
-              );
-
-            let reevaluateStdout = "";
-            let reevaluateStderr = "";
-
-            reevaluateProcess.stdout.on("data", (data) => {
-              reevaluateStdout += data.toString();
-            });
-
-            reevaluateProcess.stderr.on("data", (data) => {
-              reevaluateStderr += data.toString();
-            });
-
-            await new Promise((resolve, reject) => {
-              reevaluateProcess.on("close", (code) => {
-                if (code !== 0) {
-                  this.safeOutputLog(
-                    `Reevaluate crashes script failed with exit code ${code}: ${reevaluateStderr}`,
-                    false,
-                  );
-                  reject(
-                    new Error(
-                      `Reevaluate crashes script failed with exit code ${code}: ${reevaluateStderr}`,
-                    ),
-                  );
-                  return;
-                }
-
-                this.safeOutputLog(
-                  `Successfully reevaluated crashes for ${fuzzerName}`,
-                );
-                resolve();
-              });
-
-              reevaluateProcess.on("error", (error) => {
-                reject(
-                  new Error(
-                    `Failed to execute reevaluate crashes script: ${error.message}`,
-                  ),
-                );
-              });
-            });
-          } catch (error) {
-            throw error;
-          }
-        },
+        () => scheduler.pause(),
+      );
+      this.safeOutputLog("Fuzzing campaign paused");
+    } catch (error) {
+      this.safeOutputLog(`Error pausing campaign: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to pause campaign - ${error.message}`,
       );
+    }
+  }
 
-      // Refresh fuzzer data
-      await this.handleRefreshFuzzers();
+  /**
+   * Resume a paused or interrupted campaign
+   */
+  async handleResumeCampaign() {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      const campaign = await this.getCampaignScheduler().resume(workspacePath);
+      this.safeOutputLog(`Resumed fuzzing campaign ${campaign.id}`);
+    } catch (error) {
+      this.safeOutputLog(`Error resuming campaign: ${error.message}`, false);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to resume campaign - ${error.message}`,
+      );
+    }
+  }
 
-      vscode.window.showInformationMessage(
-        `CodeForge: Reevaluated crashes for ${fuzzerName}`,
+  /**
+   * Stop the campaign; it cannot be resumed afterwards
+   */
+  async handleStopCampaign() {
+    try {
+      const { path: workspacePath } = this.getWorkspaceInfo();
+      const scheduler = this.getCampaignScheduler();
+      await scheduler.load(workspacePath);
+      const campaign = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: "CodeForge: Stopping fuzzing campaign...",
+          cancellable: false,
+        },
+        () => scheduler.stop(),
       );
+      if (campaign) {
+        this.safeOutputLog(
+          `Fuzzing campaign ${campaign.id} ${campaign.status}`,
+        );
+      }
     } catch (error) {
-      this.safeOutputLog(`Error reevaluating crashes: ${error.message}`, false);
+      this.safeOutputLog(`Error stopping campaign: ${error.message}`, false);
       vscode.window.showErrorMessage(
-        `CodeForge: Failed to reevaluate crashes - ${error.message}`,
+        `CodeForge: Failed to stop campaign - ${error.message}`,
       );
     }
   }
 
   /**
-   * View corpus files for a fuzzer
+   * Show the last campaign and offer to resume one interrupted by a restart
+   * Called once after activation.
    */
-  async handleViewCorpus(params) {
+  async restoreCampaign() {
     try {
-      const { fuzzerName } = params;
-
-      if (!fuzzerName) {
-        throw new Error("Fuzzer name not provided");
+      const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+      if (!workspaceFolder) {
+        return;
+      }
+      const scheduler = this.getCampaignScheduler();
+      const campaign = await scheduler.load(workspaceFolder.uri.fsPath);
+      if (!campaign || campaign.status !== "running") {
+        return;
       }
 
-      // Get workspace path
-      const { path: workspacePath } = this.getWorkspaceInfo();
-
-      // Log the action
-      this.safeOutputLog(`Opening corpus viewer for fuzzer: ${fuzzerName}`);
-
-      // Create virtual URI for the corpus document
-      const corpusUri = CorpusDocumentProvider.createCorpusUri(
-        fuzzerName,
-        workspacePath,
+      const action = await vscode.window.showInformationMessage(
+        "CodeForge: A fuzzing campaign was interrupted when VS Code closed. Resume it?",
+        "Resume",
+        "Stop",
       );
-
-      // Open the virtual document using the corpus document provider
-      const document = await vscode.workspace.openTextDocument(corpusUri);
-
-      // Show document in editor
-      await vscode.window.showTextDocument(document, {
-        preview: true,
-        preserveFocus: false,
-      });
-
-      this.safeOutputLog(`Opened corpus viewer for fuzzer: ${fuzzerName}`);
+      if (action === "Resume") {
+        await this.handleResumeCampaign();
+      } else if (action === "Stop") {
+        await this.handleStopCampaign();
+      }
     } catch (error) {
-      this.safeOutputLog(`Error viewing corpus: ${error.message}`, false);
-      vscode.window.showErrorMessage(
-        `CodeForge: Failed to open corpus viewer - ${error.message}`,
-      );
+      this.safeOutputLog(`Error restoring campaign: ${error.message}`, false);
     }
   }
 
@@ -2145,16 +4330,71 @@ class CodeForgeCommandHandlers {
       "codeforge.regenerateFuzzerList":
         this.handleRegenerateFuzzerList.bind(this),
       "codeforge.runFuzzer": this.handleRunFuzzer.bind(this),
+      "codeforge.stopFuzzer": this.handleStopFuzzer.bind(this),
+      "codeforge.pauseFuzzer": this.handlePauseFuzzer.bind(this),
+      "codeforge.resumeFuzzer": this.handleResumeFuzzer.bind(this),
       "codeforge.viewCrash": this.handleViewCrash.bind(this),
       "codeforge.analyzeCrash": this.handleAnalyzeCrash.bind(this),
       "codeforge.debugCrash": this.handleDebugCrash.bind(this),
+      "codeforge.recordCrashWithRr": this.handleRecordCrashWithRr.bind(this),
+      "codeforge.goToCrashingFrame": this.handleGoToCrashingFrame.bind(this),
+      "codeforge.minimizeCrash": this.handleMinimizeCrash.bind(this),
+      "codeforge.exportReproducer": this.handleExportReproducer.bind(this),
+      "codeforge.saveRegressionTest": this.handleSaveRegressionTest.bind(this),
+      "codeforge.editCrashTriage": this.handleEditCrashTriage.bind(this),
+      "codeforge.analyzeCrashWithGdbScript":
+        this.handleAnalyzeCrashWithGdbScript.bind(this),
+      "codeforge.batchCrashAction": this.handleBatchCrashAction.bind(this),
+      "codeforge.runRegressionCorpus":
+        this.handleRunRegressionCorpus.bind(this),
       "codeforge.clearCrashes": this.handleClearCrashes.bind(this),
       "codeforge.reevaluateCrashes": this.handleReevaluateCrashes.bind(this),
       "codeforge.viewCorpus": this.handleViewCorpus.bind(this),
+      "codeforge.manageSeeds": this.handleManageSeeds.bind(this),
+      "codeforge.minimizeCorpus": this.handleMinimizeCorpus.bind(this),
+      "codeforge.showCoverage": this.handleShowCoverage.bind(this),
+      "codeforge.hideCoverage": this.handleHideCoverage.bind(this),
+      "codeforge.startCampaign": this.handleStartCampaign.bind(this),
+      "codeforge.pauseCampaign": this.handlePauseCampaign.bind(this),
+      "codeforge.resumeCampaign": this.handleResumeCampaign.bind(this),
+      "codeforge.stopCampaign": this.handleStopCampaign.bind(this),
       "codeforge.initializeProject": this.handleInitializeProject.bind(this),
       "codeforge.updateDockerImage": this.handleUpdateDockerImage.bind(this),
     };
   }
 }
 
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "1.5 KB"
+ */
+function formatFileSize(bytes) {
+  if (bytes === 0) return "0 B";
+  const k = 1024;
+  const sizes = ["B", "KB", "MB", "GB"];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + " " + sizes[i];
+}
+
+/**
+ * Parses campaign weights such as "parser-fuzz=3, lexer-fuzz=1"
+ * @param {string} text - Comma separated name=weight pairs
+ * @returns {Object|null} Weight per fuzzer name, or null if malformed
+ */
+function parseCampaignWeights(text) {
+  const weights = {};
+  for (const pair of text.split(",")) {
+    if (pair.trim() === "") {
+      continue;
+    }
+    const match = pair.trim().match(/^([A-Za-z0-9_-]+)\s*=\s*(\d+(?:\.\d+)?)$/);
+    if (!match || parseFloat(match[2]) <= 0) {
+      return null;
+    }
+    weights[match[1]] = parseFloat(match[2]);
+  }
+  return weights;
+}
+
 module.exports = { CodeForgeCommandHandlers };
@@ -0,0 +1,230 @@
+// corpusExplorer.js
+(function () {
+  const vscode = acquireVsCodeApi();
+
+  // State management
+  const state = {
+    inputs: [],
+    corpusDirectory: "",
+    sort: "newest",
+    query: "",
+    // Names matching the query, or null when not searching
+    matches: null,
+    selected: new Set(),
+    previewName: null,
+  };
+
+  let searchTimer = null;
+
+  // DOM elements
+  const elements = {
+    summary: document.getElementById("corpus-summary"),
+    searchInput: document.getElementById("search-input"),
+    sortSelect: document.getElementById("sort-select"),
+    deleteSelectedBtn: document.getElementById("delete-selected-btn"),
+    refreshBtn: document.getElementById("refresh-btn"),
+    reportBtn: document.getElementById("report-btn"),
+    errorBanner: document.getElementById("error-banner"),
+    inputList: document.getElementById("input-list"),
+    preview: document.getElementById("preview"),
+  };
+
+  const comparators = {
+    newest: (a, b) => b.modified.localeCompare(a.modified),
+    oldest: (a, b) => a.modified.localeCompare(b.modified),
+    largest: (a, b) => b.size - a.size,
+    smallest: (a, b) => a.size - b.size,
+    name: (a, b) => a.name.localeCompare(b.name),
+  };
+
+  function getVisibleInputs() {
+    const visible = state.matches
+      ? state.inputs.filter((input) => state.matches.has(input.name))
+      : state.inputs.slice();
+    return visible.sort(comparators[state.sort]);
+  }
+
+  function renderInputs() {
+    const visible = getVisibleInputs();
+    const totalSize = state.inputs.reduce((sum, input) => sum + input.size, 0);
+    elements.summary.textContent = `${state.inputs.length} inputs, ${formatFileSize(totalSize)}${state.matches ? ` (${visible.length} matching)` : ""}`;
+    elements.summary.title = state.corpusDirectory;
+    elements.deleteSelectedBtn.disabled = state.selected.size === 0;
+
+    if (state.inputs.length === 0) {
+      elements.inputList.innerHTML = `<div class="empty-state">The corpus is empty - run the fuzzer to collect inputs</div>`;
+      return;
+    }
+    if (visible.length === 0) {
+      elements.inputList.innerHTML = `<div class="empty-state">No inputs match "${escapeHtml(state.query)}"</div>`;
+      return;
+    }
+
+    const rows = visible
+      .map(
+        (input) => `
+        <tr class="input-row ${input.name === state.previewName ? "active" : ""}" data-name="${escapeHtml(input.name)}">
+          <td><input type="checkbox" class="select-input" data-name="${escapeHtml(input.name)}" ${state.selected.has(input.name) ? "checked" : ""} /></td>
+          <td class="input-name" title="${escapeHtml(input.name)}">${escapeHtml(input.name)}</td>
+          <td class="input-size">${formatFileSize(input.size)}</td>
+          <td class="input-modified" title="${escapeHtml(input.modified)}">${formatDate(input.modified)}</td>
+          <td class="input-actions">
+            <button class="input-action-btn" data-action="debug" data-name="${escapeHtml(input.name)}" title="Run this input under GDB">🐞</button>
+            <button class="input-action-btn" data-action="promote" data-name="${escapeHtml(input.name)}" title="Save as regression test">🧪</button>
+            <button class="input-action-btn" data-action="delete" data-name="${escapeHtml(input.name)}" title="Delete input">🗑️</button>
+          </td>
+        </tr>`,
+      )
+      .join("");
+
+    elements.inputList.innerHTML = `
+      <table class="input-table">
+        <thead>
+          <tr><th></th><th>Input</th><th>Size</th><th>Modified</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  function renderPreview(name, hexDump) {
+    const input = state.inputs.find((entry) => entry.name === name);
+    elements.preview.innerHTML = `
+      <div class="preview-header">
+        <span class="preview-name">${escapeHtml(name)}</span>
+        ${input ? `<span class="preview-size">${input.size} bytes</span>` : ""}
+      </div>
+      <pre class="hex-dump">${escapeHtml(hexDump)}</pre>`;
+  }
+
+  function showError(message) {
+    elements.errorBanner.textContent = message;
+    elements.errorBanner.hidden = false;
+  }
+
+  // Event listeners
+  elements.searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    state.query = elements.searchInput.value;
+    if (state.query === "") {
+      state.matches = null;
+      renderInputs();
+      return;
+    }
+    // Content search reads every input, wait until typing pauses
+    searchTimer = setTimeout(() => {
+      vscode.postMessage({ type: "search", query: state.query });
+    }, 300);
+  });
+
+  elements.sortSelect.addEventListener("change", () => {
+    state.sort = elements.sortSelect.value;
+    renderInputs();
+  });
+
+  elements.deleteSelectedBtn.addEventListener("click", () => {
+    vscode.postMessage({ type: "delete", names: Array.from(state.selected) });
+  });
+
+  elements.refreshBtn.addEventListener("click", () => {
+    vscode.postMessage({ type: "refresh" });
+  });
+
+  elements.reportBtn.addEventListener("click", () => {
+    vscode.postMessage({ type: "openReport" });
+  });
+
+  // Rows are re-rendered on every update, so listen on the list itself
+  elements.inputList.addEventListener("click", (e) => {
+    const actionBtn = e.target.closest(".input-action-btn");
+    if (actionBtn) {
+      const name = actionBtn.dataset.name;
+      if (actionBtn.dataset.action === "delete") {
+        vscode.postMessage({ type: "delete", names: [name] });
+      } else {
+        vscode.postMessage({ type: actionBtn.dataset.action, name });
+      }
+      return;
+    }
+
+    if (e.target.classList.contains("select-input")) {
+      if (e.target.checked) {
+        state.selected.add(e.target.dataset.name);
+      } else {
+        state.selected.delete(e.target.dataset.name);
+      }
+      elements.deleteSelectedBtn.disabled = state.selected.size === 0;
+      return;
+    }
+
+    const row = e.target.closest(".input-row");
+    if (row) {
+      state.previewName = row.dataset.name;
+      renderInputs();
+      vscode.postMessage({ type: "preview", name: row.dataset.name });
+    }
+  });
+
+  // Messages from the extension
+  window.addEventListener("message", (event) => {
+    const message = event.data;
+    switch (message.type) {
+      case "inputs": {
+        state.inputs = message.inputs;
+        state.corpusDirectory = message.corpusDirectory;
+        const names = new Set(state.inputs.map((input) => input.name));
+        state.selected = new Set(
+          Array.from(state.selected).filter((name) => names.has(name)),
+        );
+        if (state.previewName && !names.has(state.previewName)) {
+          state.previewName = null;
+          elements.preview.innerHTML = `<div class="preview-empty">Select an input to preview it</div>`;
+        }
+        elements.errorBanner.hidden = true;
+        renderInputs();
+        // Inputs added since the last search are not in its results
+        if (state.query !== "") {
+          vscode.postMessage({ type: "search", query: state.query });
+        }
+        break;
+      }
+      case "searchResults":
+        if (message.query === state.query) {
+          state.matches = new Set(message.names);
+          renderInputs();
+        }
+        break;
+      case "preview":
+        if (message.name === state.previewName) {
+          renderPreview(message.name, message.hexDump);
+        }
+        break;
+      case "error":
+        showError(message.message);
+        break;
+    }
+  });
+
+  // Utility functions
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function formatFileSize(bytes) {
+    if (bytes === 0) return "0 B";
+    const k = 1024;
+    const sizes = ["B", "KB", "MB", "GB"];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + " " + sizes[i];
+  }
+
+  function formatDate(isoTimestamp) {
+    const date = new Date(isoTimestamp);
+    return isNaN(date.getTime()) ? "Unknown" : date.toLocaleString();
+  }
+
+  vscode.postMessage({ type: "ready" });
+})();
@@ -0,0 +1,322 @@
+const vscode = require("vscode");
+const path = require("path");
+const { CorpusService } = require("../fuzzing/corpusService");
+
+/**
+ * Number of bytes shown in the hex preview of an input
+ */
+const PREVIEW_BYTES = 4096;
+
+/**
+ * Delay before the list is reloaded after the corpus changed on disk. A
+ * running fuzzer adds and reduces inputs in bursts.
+ */
+const REFRESH_DELAY_MS = 1000;
+
+/**
+ * CorpusExplorerPanel - Webview panels for browsing fuzzer corpora
+ *
+ * Each fuzzer gets one panel listing its corpus inputs with size and
+ * modification time, a hex/ASCII preview, search by name or content, and
+ * actions on inputs. The list follows the corpus directory while the panel is
+ * open. Actions implemented elsewhere are passed in:
+ * - generateHexDump(filePath, maxSize): Hex dump text of a file
+ * - debugInput(fuzzerName, filePath): Runs the fuzzer on an input under GDB
+ * - promoteInput(fuzzerName, filePath): Saves an input as a regression test
+ * - openTextReport(fuzzerName): Opens the `codeforge generate-corpus-report` document
+ */
+class CorpusExplorerPanel {
+  constructor(extensionPath, resourceManager = null, actions = {}) {
+    this.extensionPath = extensionPath;
+    this.actions = actions;
+    this.corpusService = new CorpusService(resourceManager);
+    // Open panels by "workspacePath:fuzzerName"
+    this.panels = new Map();
+  }
+
+  /**
+   * Opens the explorer of a fuzzer, or brings an open one to the front
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   */
+  show(workspacePath, fuzzerName) {
+    const key = `${workspacePath}:${fuzzerName}`;
+    const existing = this.panels.get(key);
+    if (existing) {
+      existing.panel.reveal();
+      return;
+    }
+
+    const uiPath = path.join(this.extensionPath, "src", "ui");
+    const panel = vscode.window.createWebviewPanel(
+      "codeforgeCorpusExplorer",
+      `Corpus: ${fuzzerName}`,
+      vscode.ViewColumn.Active,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: [vscode.Uri.file(uiPath)],
+      },
+    );
+    const corpusDir = this.corpusService.getCorpusDirectory(
+      workspacePath,
+      fuzzerName,
+    );
+    const entry = {
+      panel,
+      workspacePath,
+      fuzzerName,
+      corpusDir,
+      inputNames: new Set(),
+      refreshTimer: null,
+      watcher: vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(corpusDir, "*"),
+      ),
+    };
+    this.panels.set(key, entry);
+
+    const scheduleRefresh = () => {
+      clearTimeout(entry.refreshTimer);
+      entry.refreshTimer = setTimeout(
+        () => this.refresh(entry),
+        REFRESH_DELAY_MS,
+      );
+    };
+    entry.watcher.onDidCreate(scheduleRefresh);
+    entry.watcher.onDidDelete(scheduleRefresh);
+
+    panel.webview.html = this.getHtml(panel.webview, fuzzerName);
+    panel.webview.onDidReceiveMessage((message) =>
+      this.handleMessage(entry, message),
+    );
+    panel.onDidDispose(() => {
+      clearTimeout(entry.refreshTimer);
+      entry.watcher.dispose();
+      this.panels.delete(key);
+    });
+  }
+
+  /**
+   * Sends the current input list to a panel
+   * @param {Object} entry - Panel entry
+   */
+  async refresh(entry) {
+    const inputs = await this.corpusService.listInputs(entry.corpusDir);
+    entry.inputNames = new Set(inputs.map((input) => input.name));
+    entry.panel.webview.postMessage({
+      type: "inputs",
+      inputs,
+      corpusDirectory: path.relative(entry.workspacePath, entry.corpusDir),
+    });
+  }
+
+  /**
+   * Handles a message from a panel
+   * @param {Object} entry - Panel entry
+   * @param {Object} message - Message with type and parameters
+   */
+  async handleMessage(entry, message) {
+    try {
+      switch (message.type) {
+        case "ready":
+        case "refresh":
+          await this.refresh(entry);
+          break;
+        case "search":
+          entry.panel.webview.postMessage({
+            type: "searchResults",
+            query: message.query,
+            names: await this.corpusService.searchInputs(
+              entry.corpusDir,
+              message.query,
+            ),
+          });
+          break;
+        case "preview":
+          await this.sendPreview(entry, message.name);
+          break;
+        case "delete":
+          await this.deleteInputs(entry, message.names);
+          break;
+        case "debug":
+          await this.actions.debugInput(
+            entry.fuzzerName,
+            this.getInputPath(entry, message.name),
+          );
+          break;
+        case "promote":
+          await this.actions.promoteInput(
+            entry.fuzzerName,
+            this.getInputPath(entry, message.name),
+          );
+          break;
+        case "openReport":
+          await this.actions.openTextReport(entry.fuzzerName);
+          break;
+        default:
+          console.warn(`Unknown corpus explorer message: ${message.type}`);
+      }
+    } catch (error) {
+      entry.panel.webview.postMessage({
+        type: "error",
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Sends the hex preview of an input to a panel
+   * @param {Object} entry - Panel entry
+   * @param {string} name - Input file name
+   */
+  async sendPreview(entry, name) {
+    const dump = await this.actions.generateHexDump(
+      this.getInputPath(entry, name),
+      PREVIEW_BYTES,
+    );
+    // The panel shows name and size itself, drop the dump's header block
+    const headerEnd = dump.indexOf("\n\n");
+    entry.panel.webview.postMessage({
+      type: "preview",
+      name,
+      hexDump: headerEnd === -1 ? dump : dump.slice(headerEnd + 2),
+    });
+  }
+
+  /**
+   * Deletes inputs after confirmation
+   * @param {Object} entry - Panel entry
+   * @param {Array<string>} names - Input file names
+   */
+  async deleteInputs(entry, names) {
+    if (!Array.isArray(names) || names.length === 0) {
+      return;
+    }
+    names.forEach((name) => this.getInputPath(entry, name));
+
+    const confirm = await vscode.window.showWarningMessage(
+      names.length === 1
+        ? `Delete corpus input ${names[0]} of ${entry.fuzzerName}?`
+        : `Delete ${names.length} corpus inputs of ${entry.fuzzerName}?`,
+      { modal: true },
+      "Delete",
+    );
+    if (confirm !== "Delete") {
+      return;
+    }
+
+    await this.corpusService.deleteInputs(
+      entry.workspacePath,
+      entry.fuzzerName,
+      names,
+    );
+    await this.refresh(entry);
+  }
+
+  /**
+   * Resolves an input name from a panel to its path
+   * Only names from the last listing are accepted, so a message cannot point
+   * outside the corpus.
+   * @param {Object} entry - Panel entry
+   * @param {string} name - Input file name
+   * @returns {string} Path to the input
+   * @throws {Error} If the input is not in the corpus
+   */
+  getInputPath(entry, name) {
+    if (!entry.inputNames.has(name)) {
+      throw new Error(`${name} is not in the corpus of ${entry.fuzzerName}`);
+    }
+    return path.join(entry.corpusDir, name);
+  }
+
+  /**
+   * Generates the panel HTML
+   * @param {vscode.Webview} webview - Panel webview
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @returns {string} HTML document
+   */
+  getHtml(webview, fuzzerName) {
+    const uiPath = path.join(this.extensionPath, "src", "ui");
+    const cssUri = webview.asWebviewUri(
+      vscode.Uri.file(path.join(uiPath, "corpusExplorer.css")),
+    );
+    const jsUri = webview.asWebviewUri(
+      vscode.Uri.file(path.join(uiPath, "corpusExplorer.js")),
+    );
+    const nonce = getNonce();
+    const title = escapeHtml(fuzzerName);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+    <title>Corpus: ${title}</title>
+    <link rel="stylesheet" href="${cssUri}">
+</head>
+<body>
+    <header class="toolbar">
+        <h1>${title} <span class="corpus-summary" id="corpus-summary"></span></h1>
+        <input type="search" id="search-input" placeholder="Search names and contents" />
+        <select id="sort-select" title="Sort inputs">
+            <option value="newest">Newest first</option>
+            <option value="oldest">Oldest first</option>
+            <option value="largest">Largest first</option>
+            <option value="smallest">Smallest first</option>
+            <option value="name">Name</option>
+        </select>
+        <button id="delete-selected-btn" disabled>Delete Selected</button>
+        <button id="refresh-btn" title="Reload the corpus">Refresh</button>
+        <button id="report-btn" title="Open the corpus report as text">Text Report</button>
+    </header>
+    <div class="error-banner" id="error-banner" hidden></div>
+    <main class="explorer">
+        <div class="input-list" id="input-list"></div>
+        <section class="preview" id="preview">
+            <div class="preview-empty">Select an input to preview it</div>
+        </section>
+    </main>
+    <script nonce="${nonce}" src="${jsUri}"></script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Closes all panels
+   */
+  dispose() {
+    for (const entry of Array.from(this.panels.values())) {
+      entry.panel.dispose();
+    }
+  }
+}
+
+/**
+ * Generates a random nonce for the panel's CSP
+ * @returns {string} Nonce
+ */
+function getNonce() {
+  let text = "";
+  const possible =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  for (let i = 0; i < 32; i++) {
+    text += possible.charAt(Math.floor(Math.random() * possible.length));
+  }
+  return text;
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = { CorpusExplorerPanel, PREVIEW_BYTES };
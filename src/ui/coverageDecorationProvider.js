@@ -0,0 +1,164 @@
+const vscode = require("vscode");
+const path = require("path");
+
+/**
+ * Shows fuzzing coverage in the editor
+ * Covered and uncovered lines of the files in a coverage report (see
+ * CoverageService) get green and red gutter markers, and a status bar item
+ * shows the line coverage of the active file.
+ */
+class CoverageDecorationProvider {
+  constructor(extensionPath) {
+    this.coveredDecoration = vscode.window.createTextEditorDecorationType({
+      gutterIconPath: path.join(extensionPath, "media", "coverage-covered.svg"),
+      gutterIconSize: "contain",
+      overviewRulerColor: "rgba(46, 160, 67, 0.6)",
+      overviewRulerLane: vscode.OverviewRulerLane.Left,
+    });
+    this.uncoveredDecoration = vscode.window.createTextEditorDecorationType({
+      gutterIconPath: path.join(
+        extensionPath,
+        "media",
+        "coverage-uncovered.svg",
+      ),
+      gutterIconSize: "contain",
+      overviewRulerColor: "rgba(248, 81, 73, 0.6)",
+      overviewRulerLane: vscode.OverviewRulerLane.Left,
+    });
+
+    this.statusBarItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Right,
+      100,
+    );
+    this.statusBarItem.command = "codeforge.hideCoverage";
+
+    // Coverage currently shown
+    this.report = null;
+    // Key: host file path, Value: file coverage from the report
+    this.filesByPath = new Map();
+
+    this.disposables = [
+      vscode.window.onDidChangeVisibleTextEditors(() => this.refreshEditors()),
+      vscode.window.onDidChangeActiveTextEditor((editor) =>
+        this.updateStatusBar(editor),
+      ),
+    ];
+  }
+
+  /**
+   * Show a coverage report in all visible editors
+   * @param {Object} report - Coverage report from CoverageService
+   */
+  showCoverage(report) {
+    this.report = report;
+    this.filesByPath = new Map(
+      report.files.map((file) => [path.resolve(file.filePath), file]),
+    );
+    this.refreshEditors();
+  }
+
+  /**
+   * Remove coverage from all editors
+   */
+  clear() {
+    this.report = null;
+    this.filesByPath.clear();
+    this.refreshEditors();
+  }
+
+  /**
+   * Get the coverage of a file in the current report
+   * @param {string} filePath - Host file path
+   * @returns {Object|null} File coverage or null
+   */
+  getFileCoverage(filePath) {
+    return this.filesByPath.get(path.resolve(filePath)) || null;
+  }
+
+  /**
+   * Re-apply decorations to the visible editors
+   */
+  refreshEditors() {
+    for (const editor of vscode.window.visibleTextEditors) {
+      this.applyToEditor(editor);
+    }
+    this.updateStatusBar(vscode.window.activeTextEditor);
+  }
+
+  /**
+   * Decorate the covered and uncovered lines of an editor
+   * @param {vscode.TextEditor} editor - Editor to decorate
+   */
+  applyToEditor(editor) {
+    const fileCoverage =
+      editor.document.uri.scheme === "file"
+        ? this.getFileCoverage(editor.document.uri.fsPath)
+        : null;
+
+    const covered = [];
+    const uncovered = [];
+    if (fileCoverage) {
+      for (const [line, hits] of fileCoverage.lines) {
+        if (line < 1 || line > editor.document.lineCount) {
+          continue;
+        }
+        const range = new vscode.Range(line - 1, 0, line - 1, 0);
+        if (hits > 0) {
+          covered.push({
+            range,
+            hoverMessage: `Reached ${hits} time${hits === 1 ? "" : "s"} by the ${this.report.fuzzerName} corpus`,
+          });
+        } else {
+          uncovered.push({
+            range,
+            hoverMessage: `Not reached by the ${this.report.fuzzerName} corpus`,
+          });
+        }
+      }
+    }
+
+    editor.setDecorations(this.coveredDecoration, covered);
+    editor.setDecorations(this.uncoveredDecoration, uncovered);
+  }
+
+  /**
+   * Show the coverage of the active file in the status bar
+   * @param {vscode.TextEditor} editor - Active editor
+   */
+  updateStatusBar(editor) {
+    if (!this.report) {
+      this.statusBarItem.hide();
+      return;
+    }
+
+    const fileCoverage =
+      editor && editor.document.uri.scheme === "file"
+        ? this.getFileCoverage(editor.document.uri.fsPath)
+        : null;
+    const { totals, fuzzerName } = this.report;
+
+    this.statusBarItem.text = fileCoverage
+      ? `$(shield) ${fileCoverage.percent}% covered`
+      : `$(shield) ${totals.percent}% covered`;
+    this.statusBarItem.tooltip = [
+      fileCoverage
+        ? `This file: ${fileCoverage.linesHit}/${fileCoverage.linesFound} lines reached by ${fuzzerName}`
+        : `This file is not instrumented for ${fuzzerName}`,
+      `All files: ${totals.linesHit}/${totals.linesFound} lines (${totals.percent}%)`,
+      "Click to hide fuzzing coverage",
+    ].join("\n");
+    this.statusBarItem.show();
+  }
+
+  /**
+   * Dispose of decorations, status bar item and listeners
+   */
+  dispose() {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.coveredDecoration.dispose();
+    this.uncoveredDecoration.dispose();
+    this.statusBarItem.dispose();
+  }
+}
+
+module.exports = { CoverageDecorationProvider };
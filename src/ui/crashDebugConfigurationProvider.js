@@ -0,0 +1,534 @@
+const vscode = require("vscode");
+const path = require("path");
+const dockerOperations = require("../core/dockerOperations");
+const { GdbServerLauncher, PathMapper } = require("../fuzzing/gdbIntegration");
+const { LaunchConfigManager } = require("../utils/launchConfig");
+const { validateFuzzerName } = require("../fuzzing/fuzzerUtils");
+
+/**
+ * How long to wait for gdbserver to listen before giving up
+ */
+const GDB_SERVER_START_TIMEOUT_MS = 60000;
+
+/**
+ * How long to wait for an rr replay to listen, recording the crash included
+ */
+const RR_REPLAY_START_TIMEOUT_MS = 300000;
+
+/**
+ * Output of gdbserver, or of rr replay, once a debugger can connect
+ */
+const SERVER_READY_PATTERN = /Listening on port|Launch (gdb|debugger) with/;
+
+/**
+ * Display names of the debug types a session can be handed to
+ */
+const DEBUGGER_NAMES = {
+  cppdbg: "C/C++ (cpptools)",
+  lldb: "CodeLLDB",
+  gdb: "Native Debug",
+};
+
+/**
+ * Debug configuration provider for the "codeforge" debug type
+ *
+ * A codeforge configuration names a fuzzer and a crash:
+ *   { "type": "codeforge", "request": "launch", "name": "...",
+ *     "fuzzer": "parser-fuzz", "crash": "<crash file or hash>" }
+ *
+ * Resolving it starts gdbserver on the crash in a container and turns the
+ * configuration into one for an installed debugger extension (Microsoft
+ * C/C++, CodeLLDB or Native Debug, in that order) that attaches to it, with
+ * the container workspace mapped to the host workspace for sources. Nothing
+ * is written to .vscode/launch.json: the Control Panel passes the
+ * configuration straight to vscode.debug.startDebugging, and users may add
+ * one to launch.json themselves.
+ *
+ * With "rr": true the crash is recorded with rr first and the debugger
+ * attaches to the replay, where reverse execution (reverse-continue,
+ * reverse-step, ...) is available from the debug console.
+ */
+class CrashDebugConfigurationProvider {
+  constructor(outputChannel = null, resourceManager = null) {
+    this.outputChannel = outputChannel;
+    this.gdbServerLauncher = new GdbServerLauncher(
+      dockerOperations,
+      resourceManager,
+    );
+    this.launchConfigManager = new LaunchConfigManager();
+    this.pathMapper = new PathMapper();
+    // gdbservers of sessions that have not ended yet, by host port
+    this.servers = new Map();
+  }
+
+  /**
+   * Safe wrapper for output channel operations
+   */
+  safeOutputLog(message, show = false) {
+    try {
+      if (this.outputChannel) {
+        this.outputChannel.appendLine(message);
+        if (show) {
+          this.outputChannel.show();
+        }
+      }
+    } catch (error) {
+      // Silently ignore if output channel is disposed
+      console.log(`CodeForge: ${message}`);
+    }
+  }
+
+  /**
+   * Initial configuration offered when creating a launch.json
+   * @returns {Array<Object>} A crash debugging configuration template
+   */
+  provideDebugConfigurations() {
+    return [
+      {
+        type: "codeforge",
+        request: "launch",
+        name: "CodeForge: Debug Crash",
+        fuzzer: "",
+        crash: "",
+      },
+    ];
+  }
+
+  /**
+   * Starts gdbserver for a codeforge configuration and returns the
+   * configuration of the debugger that attaches to it
+   * @param {vscode.WorkspaceFolder|undefined} folder - Folder the session belongs to
+   * @param {Object} config - codeforge debug configuration
+   * @returns {Promise<Object|undefined>} Debugger configuration, or undefined
+   *   to abort the session (the reason has been shown to the user)
+   */
+  async resolveDebugConfiguration(folder, config) {
+    const workspaceFolder =
+      folder ||
+      (vscode.workspace.workspaceFolders &&
+        vscode.workspace.workspaceFolders[0]);
+    if (!workspaceFolder) {
+      vscode.window.showErrorMessage(
+        "CodeForge: Crash debugging needs an open workspace",
+      );
+      return undefined;
+    }
+    const workspacePath = workspaceFolder.uri.fsPath;
+
+    try {
+      const { fuzzerName, crashHash } = this.parseConfiguration(
+        config,
+        workspacePath,
+      );
+      const debuggerType = this.selectDebugger(config.debugger);
+      if (!debuggerType) {
+        vscode.window.showErrorMessage(
+          "CodeForge: Debugging crashes needs the C/C++, CodeLLDB or Native Debug extension",
+        );
+        return undefined;
+      }
+
+      const fuzzerCheck = await this.launchConfigManager.checkFuzzerExists(
+        workspacePath,
+        fuzzerName,
+      );
+      if (!fuzzerCheck.exists) {
+        throw new Error(
+          `Fuzzer executable not found: ${fuzzerName}. ${fuzzerCheck.error || ""}`.trim(),
+        );
+      }
+
+      const recordWithRr = config.rr === true;
+      const server = await this.startGdbServer(
+        workspacePath,
+        fuzzerName,
+        crashHash,
+        { recordWithRr },
+      );
+
+      const name = config.name || `Debug Crash: ${fuzzerName}`;
+      const debugConfig = this.createDebuggerConfig(debuggerType, name, {
+        port: server.hostPort,
+        program: this.mapProgramPath(fuzzerCheck.path, workspacePath),
+        sourceMap: this.launchConfigManager.getSourceFileMap(
+          workspacePath,
+          config.sourceMap,
+        ),
+      });
+      // Kept on the session configuration so handleSessionTerminated can
+      // find the gdbserver of the session
+      debugConfig.codeforge = {
+        fuzzer: fuzzerName,
+        crashHash,
+        hostPort: server.hostPort,
+        containerName: server.containerName,
+      };
+      this.servers.set(server.hostPort, { ...server, workspacePath });
+
+      this.safeOutputLog(
+        `Attaching ${DEBUGGER_NAMES[debuggerType]} to ${recordWithRr ? "rr replay" : "gdbserver"} on localhost:${server.hostPort}`,
+      );
+      return debugConfig;
+    } catch (error) {
+      this.safeOutputLog(`Error launching GDB server: ${error.message}`, true);
+      vscode.window.showErrorMessage(
+        `CodeForge: Failed to debug crash - ${error.message}`,
+      );
+      return undefined;
+    }
+  }
+
+  /**
+   * Cleans up after a debug session started from a codeforge configuration
+   * Stops and removes the gdbserver container, frees its host port and drops
+   * a launch.json entry of the same name left by versions that still wrote
+   * crash debug configurations there. Other sessions are ignored.
+   * @param {vscode.DebugSession} session - The session that ended
+   * @returns {Promise<boolean>} True if a gdbserver was cleaned up
+   */
+  async handleSessionTerminated(session) {
+    const info = session.configuration && session.configuration.codeforge;
+    const server = info && this.servers.get(info.hostPort);
+    if (!server) {
+      return false;
+    }
+    this.servers.delete(info.hostPort);
+
+    try {
+      await this.gdbServerLauncher.stopGdbServer(server);
+      this.safeOutputLog(
+        `Debug session '${session.name}' ended, removed GDB server container ${server.containerName}`,
+      );
+
+      if (
+        await this.launchConfigManager.configExists(
+          server.workspacePath,
+          session.name,
+        )
+      ) {
+        const result = await this.launchConfigManager.removeGdbConfig(
+          server.workspacePath,
+          session.name,
+        );
+        if (result.success) {
+          this.safeOutputLog(
+            `Removed launch configuration '${session.name}' from .vscode/launch.json`,
+          );
+        }
+      }
+    } catch (error) {
+      this.safeOutputLog(
+        `Warning: Failed to clean up GDB server for '${session.name}': ${error.message}`,
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Reads the fuzzer and crash of a codeforge configuration
+   * @param {Object} config - codeforge debug configuration
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {{fuzzerName: string, crashHash: string}}
+   * @throws {Error} If the fuzzer or crash is missing or not usable in a command
+   */
+  parseConfiguration(config, workspacePath) {
+    const fuzzerName = config.fuzzer;
+    if (!fuzzerName || !config.crash) {
+      throw new Error(
+        'The debug configuration needs a "fuzzer" and a "crash" (crash file or hash)',
+      );
+    }
+    const nameValidation = validateFuzzerName(fuzzerName);
+    if (!nameValidation.valid) {
+      throw new Error(nameValidation.error);
+    }
+
+    // Variables are substituted after this provider runs, so resolve the one
+    // a crash path is likely to use here
+    const crash = String(config.crash).replace(
+      /\$\{workspaceFolder\}/g,
+      workspacePath,
+    );
+    const crashHash = path.basename(crash).replace(/^crash-/, "");
+    // The hash ends up in the gdbserver command line
+    if (!/^[0-9a-f]+$/i.test(crashHash)) {
+      throw new Error(
+        `Invalid crash: ${config.crash}. Expected a crash-{HASH} file or a hash`,
+      );
+    }
+    return { fuzzerName, crashHash };
+  }
+
+  /**
+   * Picks the debugger extension to attach with
+   * @param {string} preference - "auto" (default), "cppdbg", "lldb" or "gdb"
+   * @returns {string|null} Debug type ("cppdbg", "lldb" or "gdb"), or null if
+   *   no suitable extension is installed
+   */
+  selectDebugger(preference = "auto") {
+    const extensions = this.launchConfigManager.detectDebugExtensions();
+    if (preference === "cppdbg") {
+      return extensions.cppTools ? "cppdbg" : null;
+    }
+    if (preference === "lldb") {
+      return extensions.codeLLDB ? "lldb" : null;
+    }
+    if (preference === "gdb") {
+      return extensions.nativeDebug ? "gdb" : null;
+    }
+    const debugTypes = {
+      cppTools: "cppdbg",
+      codeLLDB: "lldb",
+      nativeDebug: "gdb",
+    };
+    return debugTypes[extensions.preferredExtension] || null;
+  }
+
+  /**
+   * Creates the configuration for the chosen debugger extension
+   * @param {string} debuggerType - "cppdbg", "lldb" or "gdb"
+   * @param {string} name - Session name
+   * @param {Object} options - Connection and path options
+   * @param {number} options.port - Host port of gdbserver
+   * @param {string} options.program - Host path of the fuzzer executable
+   * @param {Object} options.sourceMap - Container path prefix -> host path prefix
+   * @returns {Object} Debug configuration
+   */
+  createDebuggerConfig(debuggerType, name, { port, program, sourceMap }) {
+    const hasSourceMap = Object.keys(sourceMap).length > 0;
+
+    if (debuggerType === "cppdbg") {
+      return this.launchConfigManager.createCppdbgConfig(name, port, program, {
+        sourceFileMap: sourceMap,
+      });
+    }
+
+    if (debuggerType === "lldb") {
+      const config = this.launchConfigManager.createCodeLLDBConfig(
+        name,
+        port,
+        program,
+      );
+      if (hasSourceMap) {
+        config.sourceMap = sourceMap;
+      }
+      return config;
+    }
+
+    const config = this.launchConfigManager.createNativeDebugConfig(
+      name,
+      port,
+      program,
+    );
+    if (hasSourceMap) {
+      config.pathSubstitutions = sourceMap;
+    }
+    return config;
+  }
+
+  /**
+   * Maps the fuzzer path reported by the container to the host
+   * @param {string} programPath - Fuzzer executable path in the container
+   * @param {string} workspacePath - Path to the workspace root
+   * @returns {string} Host path of the executable
+   */
+  mapProgramPath(programPath, workspacePath) {
+    const containerWorkspace = this.pathMapper.mapHostToContainer(
+      workspacePath,
+      workspacePath,
+    );
+    if (
+      containerWorkspace !== workspacePath &&
+      programPath.startsWith(`${containerWorkspace}/`)
+    ) {
+      return path.join(
+        workspacePath,
+        programPath.substring(containerWorkspace.length + 1),
+      );
+    }
+    return programPath;
+  }
+
+  /**
+   * Launches gdbserver on a crash and waits until it accepts a debugger
+   * Its output is shown in a terminal that stops the container when closed.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} crashHash - Full hash of the crash file
+   * @param {Object} options - Launch options
+   * @param {boolean} options.recordWithRr - Serve an rr replay of the crash
+   * @returns {Promise<Object>} gdbserver launch result (process, hostPort, ...)
+   */
+  async startGdbServer(
+    workspacePath,
+    fuzzerName,
+    crashHash,
+    { recordWithRr = false } = {},
+  ) {
+    this.safeOutputLog(
+      `Launching ${recordWithRr ? "rr replay" : "GDB server"} for crash ${crashHash.substring(0, 9)} from ${fuzzerName}`,
+    );
+    const server = await this.gdbServerLauncher.launchGdbServer(
+      workspacePath,
+      fuzzerName,
+      crashHash,
+      { recordWithRr },
+    );
+    this.safeOutputLog(`Command: ${server.gdbserverCommand}`, false);
+
+    this.showServerTerminal(server, fuzzerName, crashHash);
+    try {
+      await this.waitForGdbServer(
+        server.process,
+        recordWithRr ? RR_REPLAY_START_TIMEOUT_MS : GDB_SERVER_START_TIMEOUT_MS,
+      );
+    } catch (error) {
+      await this.gdbServerLauncher.stopGdbServer(server);
+      throw error;
+    }
+
+    this.safeOutputLog(
+      `GDB server started on localhost:${server.hostPort} for crash ${crashHash.substring(0, 9)} from ${fuzzerName}`,
+    );
+    return server;
+  }
+
+  /**
+   * Waits for gdbserver to report that it is listening
+   * rr replay announces its gdbserver with the command to connect instead.
+   * @param {ChildProcess} process - Container process running gdbserver
+   * @param {number} timeoutMs - How long to wait
+   * @returns {Promise<void>} Resolves once gdbserver listens
+   * @throws {Error} If gdbserver exits or does not listen in time
+   */
+  waitForGdbServer(process, timeoutMs = GDB_SERVER_START_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      let output = "";
+
+      const finish = (error) => {
+        clearTimeout(timer);
+        process.stdout.removeListener("data", onData);
+        process.stderr.removeListener("data", onData);
+        process.removeListener("close", onClose);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onData = (data) => {
+        output += data.toString();
+        if (SERVER_READY_PATTERN.test(output)) {
+          finish();
+        }
+      };
+      const onClose = (code) => {
+        const tail = output.trim().split("\n").slice(-5).join("\n");
+        finish(
+          new Error(
+            `GDB server exited with code ${code} before a debugger could attach${tail ? `:\n${tail}` : ""}`,
+          ),
+        );
+      };
+      const timer = setTimeout(
+        () =>
+          finish(
+            new Error(
+              `GDB server did not start within ${timeoutMs / 1000} seconds`,
+            ),
+          ),
+        timeoutMs,
+      );
+
+      process.stdout.on("data", onData);
+      process.stderr.on("data", onData);
+      process.on("close", onClose);
+    });
+  }
+
+  /**
+   * Shows the output of a gdbserver container in a terminal
+   * @param {Object} server - gdbserver launch result
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {string} crashHash - Full hash of the crash file
+   * @returns {vscode.Terminal} The terminal
+   */
+  showServerTerminal(server, fuzzerName, crashHash) {
+    const writeEmitter = new vscode.EventEmitter();
+    const closeEmitter = new vscode.EventEmitter();
+    let waitingForKeyPress = false;
+
+    const pty = {
+      onDidWrite: writeEmitter.event,
+      onDidClose: closeEmitter.event,
+      open: () => {
+        writeEmitter.fire(
+          "\r\n\x1b[1;32m=== CodeForge GDB Server ===\x1b[0m\r\n\r\n",
+        );
+        writeEmitter.fire(
+          `\x1b[1mConnection:\x1b[0m localhost:${server.hostPort}\r\n`,
+        );
+        writeEmitter.fire(`\x1b[1mFuzzer:\x1b[0m ${fuzzerName}\r\n`);
+        writeEmitter.fire(`\x1b[1mCrash Hash:\x1b[0m ${crashHash}\r\n`);
+        writeEmitter.fire(
+          `\x1b[1mCommand:\x1b[0m ${server.gdbserverCommand.replace(/\n/g, "\r\n")}\r\n`,
+        );
+        writeEmitter.fire("\r\n");
+        writeEmitter.fire(
+          "\x1b[1;32mThe debugger attaches once gdbserver listens...\x1b[0m\r\n",
+        );
+        writeEmitter.fire("\r\n");
+        writeEmitter.fire("\x1b[2m--- GDB Server Output ---\x1b[0m\r\n\r\n");
+      },
+      close: () => {
+        // Closing the terminal stops gdbserver
+        if (server.process && !server.process.killed) {
+          server.process.kill();
+        }
+      },
+      handleInput: () => {
+        if (waitingForKeyPress) {
+          closeEmitter.fire(0);
+        }
+      },
+    };
+
+    const terminal = vscode.window.createTerminal({
+      name: `GDB Server: ${fuzzerName} - ${crashHash.substring(0, 9)}`,
+      pty,
+    });
+
+    server.process.stdout.on("data", (data) => {
+      const output = data.toString();
+      writeEmitter.fire(output.replace(/\n/g, "\r\n"));
+      this.safeOutputLog(`[GDB Server] ${output.trim()}`, false);
+    });
+    server.process.stderr.on("data", (data) => {
+      const output = data.toString();
+      writeEmitter.fire(`\x1b[31m${output.replace(/\n/g, "\r\n")}\x1b[0m`);
+      this.safeOutputLog(`[GDB Server Error] ${output.trim()}`, false);
+    });
+    server.process.on("close", (code) => {
+      writeEmitter.fire("\r\n");
+      if (code === 0) {
+        writeEmitter.fire(
+          "\x1b[1;32mGDB server session completed successfully\x1b[0m\r\n",
+        );
+      } else {
+        writeEmitter.fire(
+          `\x1b[1;31mGDB server exited with code ${code}\x1b[0m\r\n`,
+        );
+      }
+      writeEmitter.fire("\r\nPress any key to close this terminal...\r\n");
+      this.safeOutputLog(
+        `GDB server for ${crashHash.substring(0, 9)} exited with code ${code}`,
+      );
+      waitingForKeyPress = true;
+    });
+
+    terminal.show();
+    return terminal;
+  }
+}
+
+module.exports = { CrashDebugConfigurationProvider };
@@ -0,0 +1,202 @@
+const vscode = require("vscode");
+const { CrashReportLinkProvider } = require("./crashReportLinkProvider");
+
+/**
+ * Publishes fuzzer crashes to the Problems panel
+ * Every unique crash (crash group, or crash when deduplication is disabled)
+ * becomes an error diagnostic on its top in-project stack frame, with the
+ * remaining in-project frames attached as related information. Diagnostics
+ * are rebuilt from the fuzzer data on every discovery/refresh, so crashes
+ * removed by clear-crashes or reevaluate-crashes disappear with the next
+ * refresh.
+ */
+class CrashDiagnosticsProvider {
+  constructor() {
+    this.diagnosticCollection =
+      vscode.languages.createDiagnosticCollection("codeforge-crashes");
+    this.linkProvider = new CrashReportLinkProvider();
+
+    // Diagnostics of each fuzzer
+    // Key: fuzzerName, Value: Array of {uri, diagnostic}
+    this.fuzzerDiagnostics = new Map();
+
+    // Incremented per update so a slow update cannot overwrite a newer one
+    this.updateGeneration = 0;
+  }
+
+  /**
+   * Replace all crash diagnostics with the crashes of the given fuzzers
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array} fuzzers - Fuzzer objects from FuzzerDiscoveryService
+   * @returns {Promise<void>}
+   */
+  async updateDiagnostics(workspacePath, fuzzers) {
+    const generation = ++this.updateGeneration;
+    const fuzzerDiagnostics = new Map();
+
+    for (const fuzzer of fuzzers || []) {
+      const entries = [];
+      for (const crash of this.getUniqueCrashes(fuzzer)) {
+        const entry = await this.createCrashDiagnostic(
+          workspacePath,
+          fuzzer.name,
+          crash,
+        );
+        if (entry) {
+          entries.push(entry);
+        }
+      }
+      if (entries.length > 0) {
+        fuzzerDiagnostics.set(fuzzer.name, entries);
+      }
+    }
+
+    if (generation !== this.updateGeneration) {
+      return;
+    }
+
+    this.fuzzerDiagnostics = fuzzerDiagnostics;
+    this.publish();
+  }
+
+  /**
+   * Get one representative crash with metadata per unique bug of a fuzzer
+   * @param {Object} fuzzer - Fuzzer object
+   * @returns {Array<Object>} Objects with metadata and hitCount
+   */
+  getUniqueCrashes(fuzzer) {
+    if (Array.isArray(fuzzer.crashGroups) && fuzzer.crashGroups.length > 0) {
+      return fuzzer.crashGroups
+        .map((group) => {
+          const crash = [group.representative, ...(group.crashes || [])].find(
+            (candidate) => candidate && candidate.metadata,
+          );
+          return crash
+            ? { metadata: crash.metadata, hitCount: group.hitCount || 1 }
+            : null;
+        })
+        .filter(Boolean);
+    }
+
+    return (fuzzer.crashes || [])
+      .filter((crash) => crash.metadata)
+      .map((crash) => ({ metadata: crash.metadata, hitCount: 1 }));
+  }
+
+  /**
+   * Create the diagnostic for a unique crash
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Object} crash - Object with metadata and hitCount
+   * @returns {Promise<Object|null>} Object with uri and diagnostic, or null if
+   *   no frame of the crash is in a workspace source
+   */
+  async createCrashDiagnostic(workspacePath, fuzzerName, crash) {
+    const { metadata, hitCount } = crash;
+    const frame = await this.linkProvider.findCrashingFrame(
+      metadata,
+      workspacePath,
+    );
+    if (!frame) {
+      return null;
+    }
+
+    const message =
+      metadata.summary ||
+      metadata.description ||
+      `${metadata.sanitizer}: ${metadata.bugClass}`;
+    const diagnostic = new vscode.Diagnostic(
+      this.createLineRange(frame.line, frame.column),
+      hitCount > 1 ? `${message} (${hitCount} crash inputs)` : message,
+      vscode.DiagnosticSeverity.Error,
+    );
+    diagnostic.source = `CodeForge (${fuzzerName})`;
+    diagnostic.code = metadata.bugClass;
+
+    const relatedInformation = [];
+    if (frame.index !== null) {
+      const remainingFrames = (metadata.stack || []).filter(
+        (stackFrame) =>
+          stackFrame.index > frame.index && stackFrame.file && stackFrame.line,
+      );
+      for (const stackFrame of remainingFrames) {
+        const filePath = await this.linkProvider.resolveSourcePath(
+          stackFrame.file,
+          workspacePath,
+        );
+        if (!filePath) {
+          continue;
+        }
+        relatedInformation.push(
+          new vscode.DiagnosticRelatedInformation(
+            new vscode.Location(
+              vscode.Uri.file(filePath),
+              this.createLineRange(stackFrame.line, stackFrame.column),
+            ),
+            `#${stackFrame.index} in ${stackFrame.function || "??"}`,
+          ),
+        );
+      }
+    }
+    diagnostic.relatedInformation = relatedInformation;
+
+    return { uri: vscode.Uri.file(frame.filePath), diagnostic };
+  }
+
+  /**
+   * Create a range from a report location to the end of its line
+   * @param {number} line - 1-based line number
+   * @param {number|null} column - 1-based column number
+   * @returns {vscode.Range} Range for the location
+   */
+  createLineRange(line, column) {
+    return new vscode.Range(
+      line - 1,
+      column ? column - 1 : 0,
+      line - 1,
+      Number.MAX_SAFE_INTEGER,
+    );
+  }
+
+  /**
+   * Remove the diagnostics of one fuzzer
+   * @param {string} fuzzerName - Name of the fuzzer
+   */
+  clearFuzzer(fuzzerName) {
+    if (this.fuzzerDiagnostics.delete(fuzzerName)) {
+      this.publish();
+    }
+  }
+
+  /**
+   * Write the diagnostics of all fuzzers to the collection
+   * Several fuzzers can crash in the same file, so entries are merged per file.
+   */
+  publish() {
+    const byFile = new Map();
+    for (const entries of this.fuzzerDiagnostics.values()) {
+      for (const { uri, diagnostic } of entries) {
+        const key = uri.toString();
+        if (!byFile.has(key)) {
+          byFile.set(key, { uri, diagnostics: [] });
+        }
+        byFile.get(key).diagnostics.push(diagnostic);
+      }
+    }
+
+    this.diagnosticCollection.clear();
+    for (const { uri, diagnostics } of byFile.values()) {
+      this.diagnosticCollection.set(uri, diagnostics);
+    }
+  }
+
+  /**
+   * Dispose of the diagnostic collection
+   */
+  dispose() {
+    this.fuzzerDiagnostics.clear();
+    this.diagnosticCollection.dispose();
+  }
+}
+
+module.exports = { CrashDiagnosticsProvider };
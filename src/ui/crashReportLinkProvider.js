@@ -0,0 +1,214 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs").promises;
+const { PathMapper } = require("../fuzzing/gdbIntegration");
+const {
+  parseStackFrame,
+  isIgnoredFrame,
+} = require("../fuzzing/sanitizerReportParser");
+
+/**
+ * Matches "path/to/file.c:42" or "path/to/file.c:42:7" outside of stack frames,
+ * e.g. in SUMMARY lines and UBSan "runtime error" lines
+ */
+const SOURCE_LOCATION_PATTERN =
+  /((?:\/|\.{1,2}\/)?[\w.+-]+(?:\/[\w.+-]+)*\.\w+):(\d+)(?::(\d+))?/g;
+
+/**
+ * Document link provider for read-only crash report documents
+ * Turns the "file:line:col" locations of stack frames in codeforge-crash:
+ * documents into links that open the workspace source at that position.
+ * Frame paths are container paths and are translated with PathMapper; only
+ * files inside the workspace that exist on the host are linked.
+ */
+class CrashReportLinkProvider {
+  constructor() {
+    this.pathMapper = new PathMapper();
+    this.fs = fs;
+  }
+
+  /**
+   * Provide links for the source locations in a crash report document
+   * @param {vscode.TextDocument} document - Crash report document
+   * @returns {Promise<Array<vscode.DocumentLink>>} Links to workspace sources
+   */
+  async provideDocumentLinks(document) {
+    const workspacePath = this.getWorkspacePath(document.uri);
+    if (!workspacePath) {
+      return [];
+    }
+
+    const links = [];
+    // Reports repeat the same files many times, resolve each one only once
+    const resolved = new Map();
+
+    for (let lineNumber = 0; lineNumber < document.lineCount; lineNumber++) {
+      const text = document.lineAt(lineNumber).text;
+
+      for (const location of this.findLocations(text)) {
+        if (!resolved.has(location.file)) {
+          resolved.set(
+            location.file,
+            await this.resolveSourcePath(location.file, workspacePath),
+          );
+        }
+        const hostPath = resolved.get(location.file);
+        if (!hostPath) {
+          continue;
+        }
+
+        const link = new vscode.DocumentLink(
+          new vscode.Range(
+            lineNumber,
+            location.start,
+            lineNumber,
+            location.end,
+          ),
+          this.createSourceUri(hostPath, location.line, location.column),
+        );
+        link.tooltip = `Open ${path.relative(workspacePath, hostPath)}:${location.line}`;
+        links.push(link);
+      }
+    }
+
+    return links;
+  }
+
+  /**
+   * Get the workspace path a crash report belongs to
+   * @param {vscode.Uri} uri - Crash report document URI
+   * @returns {string|null} Workspace path from the URI query or the open workspace
+   */
+  getWorkspacePath(uri) {
+    const query = new URLSearchParams(uri.query || "");
+    return (
+      query.get("workspacePath") ||
+      vscode.workspace.workspaceFolders?.[0]?.uri.fsPath ||
+      null
+    );
+  }
+
+  /**
+   * Find the source locations on a single report line
+   * @param {string} text - Report line
+   * @returns {Array<Object>} Locations as {file, line, column, start, end}
+   */
+  findLocations(text) {
+    const frame = parseStackFrame(text);
+    if (frame) {
+      if (!frame.file || !frame.line) {
+        return [];
+      }
+      const locationText =
+        frame.column !== null
+          ? `${frame.file}:${frame.line}:${frame.column}`
+          : `${frame.file}:${frame.line}`;
+      const start = text.lastIndexOf(locationText);
+      if (start === -1) {
+        return [];
+      }
+      return [
+        {
+          file: frame.file,
+          line: frame.line,
+          column: frame.column,
+          start,
+          end: start + locationText.length,
+        },
+      ];
+    }
+
+    return Array.from(text.matchAll(SOURCE_LOCATION_PATTERN), (match) => ({
+      file: match[1],
+      line: parseInt(match[2], 10),
+      column: match[3] ? parseInt(match[3], 10) : null,
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+  }
+
+  /**
+   * Translate a source path from a crash report into an existing workspace file
+   * @param {string} file - Absolute container path or path relative to the workspace
+   * @param {string} workspacePath - Workspace root path on host
+   * @returns {Promise<string|null>} Host path, or null if the file is not in the workspace
+   */
+  async resolveSourcePath(file, workspacePath) {
+    let hostPath;
+    try {
+      hostPath = path.isAbsolute(file)
+        ? this.pathMapper.mapContainerToHost(file, workspacePath)
+        : path.join(workspacePath, file);
+    } catch (error) {
+      return null;
+    }
+
+    const relativePath = path.relative(workspacePath, path.resolve(hostPath));
+    if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      // System headers, toolchain and runtime sources
+      return null;
+    }
+
+    try {
+      await this.fs.access(hostPath);
+      return path.resolve(hostPath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find the frame a crash should be investigated at
+   * That is the first frame of the crashing stack that belongs to the code
+   * under test and resolves to a workspace file; the location reported by the
+   * sanitizer is used for reports without a symbolized stack (e.g. UBSan).
+   * @param {Object} metadata - Crash metadata from parseSanitizerReport
+   * @param {string} workspacePath - Workspace root path on host
+   * @returns {Promise<Object|null>} Object with filePath, line, column and the
+   *   frame index (null for the sanitizer location), or null
+   */
+  async findCrashingFrame(metadata, workspacePath) {
+    if (!metadata) {
+      return null;
+    }
+
+    const candidates = (metadata.stack || []).filter(
+      (frame) => !isIgnoredFrame(frame) && frame.file && frame.line,
+    );
+    if (metadata.location && metadata.location.line) {
+      candidates.push(metadata.location);
+    }
+
+    for (const candidate of candidates) {
+      const filePath = await this.resolveSourcePath(
+        candidate.file,
+        workspacePath,
+      );
+      if (filePath) {
+        return {
+          filePath,
+          line: candidate.line,
+          column: candidate.column || null,
+          index: candidate.index !== undefined ? candidate.index : null,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a file URI that opens at a line and column
+   * @param {string} hostPath - Source file path on host
+   * @param {number} line - 1-based line number
+   * @param {number|null} column - 1-based column number
+   * @returns {vscode.Uri} File URI with a "L<line>,<column>" fragment
+   */
+  createSourceUri(hostPath, line, column) {
+    return vscode.Uri.file(hostPath).with({
+      fragment: column ? `L${line},${column}` : `L${line}`,
+    });
+  }
+}
+
+module.exports = { CrashReportLinkProvider };
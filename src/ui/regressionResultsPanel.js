@@ -0,0 +1,138 @@
+const vscode = require("vscode");
+const path = require("path");
+
+/**
+ * RegressionResultsPanel - Webview panel with the results of the last
+ * regression corpus run
+ *
+ * One row per replayed input with its fuzzer, status, exit code and the
+ * sanitizer summary; failing rows expand to the end of the fuzzer output.
+ * The panel is static, a new run replaces its content.
+ */
+class RegressionResultsPanel {
+  constructor(extensionPath) {
+    this.extensionPath = extensionPath;
+    this.panel = null;
+  }
+
+  /**
+   * Shows the results of a run, reusing the open panel
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} results - Results from runRegressionCorpus
+   */
+  show(workspacePath, results) {
+    const uiPath = path.join(this.extensionPath, "src", "ui");
+    if (!this.panel) {
+      this.panel = vscode.window.createWebviewPanel(
+        "codeforgeRegressionResults",
+        "Regression Results",
+        vscode.ViewColumn.Active,
+        {
+          enableScripts: false,
+          localResourceRoots: [vscode.Uri.file(uiPath)],
+        },
+      );
+      this.panel.onDidDispose(() => {
+        this.panel = null;
+      });
+    } else {
+      this.panel.reveal();
+    }
+
+    this.panel.webview.html = this.getHtml(
+      this.panel.webview,
+      workspacePath,
+      results,
+    );
+  }
+
+  /**
+   * Generates the panel HTML
+   * @param {vscode.Webview} webview - Panel webview
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Array<Object>} results - Results from runRegressionCorpus
+   * @returns {string} HTML document
+   */
+  getHtml(webview, workspacePath, results) {
+    const cssUri = webview.asWebviewUri(
+      vscode.Uri.file(
+        path.join(this.extensionPath, "src", "ui", "regressionResults.css"),
+      ),
+    );
+    const failed = results.filter((result) => !result.passed).length;
+    const rows = results
+      .map((result) => renderRow(workspacePath, result))
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource};">
+    <title>Regression Results</title>
+    <link rel="stylesheet" href="${cssUri}">
+</head>
+<body>
+    <h1>Regression Results
+        <span class="run-summary">${results.length - failed} passed, ${failed} failed · ${escapeHtml(new Date().toLocaleString())}</span>
+    </h1>
+    <table>
+        <thead>
+            <tr><th>Status</th><th>Fuzzer</th><th>Input</th><th>Exit Code</th><th>Summary</th></tr>
+        </thead>
+        <tbody>
+${rows}
+        </tbody>
+    </table>
+</body>
+</html>`;
+  }
+
+  /**
+   * Closes the panel
+   */
+  dispose() {
+    if (this.panel) {
+      this.panel.dispose();
+    }
+  }
+}
+
+/**
+ * Renders the table row of a result
+ * @param {string} workspacePath - Path to the workspace root
+ * @param {Object} result - Result from runRegressionCorpus
+ * @returns {string} HTML table row
+ */
+function renderRow(workspacePath, result) {
+  const status = result.passed
+    ? '<span class="status passed">✅ Pass</span>'
+    : '<span class="status failed">❌ Fail</span>';
+  const summary = result.log
+    ? `<details><summary>${escapeHtml(result.summary || "")}</summary><pre>${escapeHtml(result.log)}</pre></details>`
+    : escapeHtml(result.summary || "");
+
+  return `            <tr class="${result.passed ? "passed" : "failed"}">
+                <td>${status}</td>
+                <td>${escapeHtml(result.fuzzerName)}</td>
+                <td title="${escapeHtml(path.relative(workspacePath, result.inputPath))}"><code>${escapeHtml(result.input)}</code></td>
+                <td>${result.exitCode === null ? "–" : result.exitCode}</td>
+                <td>${summary}</td>
+            </tr>`;
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = { RegressionResultsPanel };
@@ -19,14 +19,34 @@
       data: [],
       error: null,
     },
+    fuzzerStats: {},
+    sessionHistory: {
+      isLoading: false,
+      lastUpdated: null,
+      data: {},
+      error: null,
+    },
+    campaign: {
+      data: null,
+      isRunning: false,
+    },
     dockerImage: {
       isUpToDate: true,
       isChecking: false,
       lastChecked: null,
       error: null,
     },
+    settings: {
+      minimizeCrashes: true,
+    },
   };
 
+  // Crash groups ("fuzzer/signatureId") the user has expanded
+  const expandedCrashGroups = new Set();
+
+  // Crashes selected for batch actions, keyed by "fuzzer/fullHash"
+  const selectedCrashes = new Map();
+
   // DOM elements
   const elements = {
     terminalBtn: document.getElementById("terminal-btn"),
@@ -35,6 +55,7 @@
     loadingOverlay: document.getElementById("loading-overlay"),
     loadingText: document.getElementById("loading-text"),
     refreshFuzzersBtn: document.getElementById("refresh-fuzzers-btn"),
+    runRegressionsBtn: document.getElementById("run-regressions-btn"),
     fuzzersContent: document.getElementById("fuzzers-content"),
     // Initialization elements
     initializationSection: document.getElementById("initialization-section"),
@@ -47,6 +68,11 @@
     unknownStateSection: document.getElementById("unknown-state-section"),
     actionsSection: document.getElementById("actions-section"),
     fuzzersSection: document.getElementById("fuzzers-section"),
+    historySection: document.getElementById("history-section"),
+    historyContent: document.getElementById("history-content"),
+    campaignSection: document.getElementById("campaign-section"),
+    campaignContent: document.getElementById("campaign-content"),
+    startCampaignBtn: document.getElementById("start-campaign-btn"),
   };
 
   // Verify all elements exist
@@ -74,6 +100,16 @@
       executeCommand("refreshFuzzers"),
     );
   }
+  if (elements.runRegressionsBtn) {
+    elements.runRegressionsBtn.addEventListener("click", () =>
+      executeCommand("runRegressionCorpus"),
+    );
+  }
+  if (elements.startCampaignBtn) {
+    elements.startCampaignBtn.addEventListener("click", () =>
+      executeCommand("startCampaign"),
+    );
+  }
   if (elements.initializeBtn) {
     elements.initializeBtn.addEventListener("click", () =>
       executeInitialization(),
@@ -144,6 +180,18 @@
             : currentState.fuzzers.error,
       };
     }
+    if (newState.fuzzerStats) {
+      currentState.fuzzerStats = newState.fuzzerStats;
+    }
+    if (newState.sessionHistory) {
+      currentState.sessionHistory = {
+        ...currentState.sessionHistory,
+        ...newState.sessionHistory,
+      };
+    }
+    if (newState.campaign) {
+      currentState.campaign = newState.campaign;
+    }
     if (newState.initialization) {
       currentState.initialization = {
         ...currentState.initialization,
@@ -156,6 +204,9 @@
         ...newState.dockerImage,
       };
     }
+    if (newState.settings) {
+      currentState.settings = newState.settings;
+    }
     if (newState.isLoading !== undefined) {
       currentState.isLoading = newState.isLoading;
     }
@@ -172,6 +223,8 @@
     updateButtonStates();
     updateDockerImageUI();
     updateFuzzerDisplay();
+    updateCampaignDisplay();
+    updateSessionHistoryDisplay();
   }
 
   function updateButtonStates() {
@@ -218,9 +271,28 @@
       viewCrash: "Opening crash file...",
       analyzeCrash: "Analyzing crash...",
       debugCrash: "Launching GDB server...",
+      recordCrashWithRr: "Recording crash with rr...",
+      goToCrashingFrame: "Locating crashing frame...",
+      minimizeCrash: "Minimizing crash input...",
+      exportReproducer: "Exporting reproducer...",
+      saveRegressionTest: "Saving regression test...",
+      batchCrashAction: "Running batch crash action...",
+      editCrashTriage: "Triaging crash...",
+      analyzeCrashWithGdbScript: "Running GDB script...",
+      runRegressionCorpus: "Running regression corpus...",
       clearCrashes: "Clearing crashes...",
       reevaluateCrashes: "Reevaluating crashes...",
+      startCampaign: "Starting campaign...",
+      pauseCampaign: "Pausing campaign...",
+      resumeCampaign: "Resuming campaign...",
+      stopCampaign: "Stopping campaign...",
+      stopFuzzer: "Stopping fuzzer...",
+      pauseFuzzer: "Pausing fuzzer...",
+      resumeFuzzer: "Resuming fuzzer...",
       viewCorpus: "Opening corpus viewer...",
+      manageSeeds: "Loading seeds...",
+      minimizeCorpus: "Minimizing corpus...",
+      showCoverage: "Collecting coverage...",
       initializeCodeForge: "Initializing CodeForge...",
       updateDockerImage: "Updating Docker image...",
     };
@@ -285,6 +357,9 @@
       elements.unknownStateSection.style.display = "none";
     if (elements.actionsSection) elements.actionsSection.style.display = "none";
     if (elements.fuzzersSection) elements.fuzzersSection.style.display = "none";
+    if (elements.campaignSection)
+      elements.campaignSection.style.display = "none";
+    if (elements.historySection) elements.historySection.style.display = "none";
   }
 
   function showInitializationSection(hasError) {
@@ -318,6 +393,10 @@
       elements.actionsSection.style.display = "block";
     if (elements.fuzzersSection)
       elements.fuzzersSection.style.display = "block";
+    if (elements.campaignSection)
+      elements.campaignSection.style.display = "block";
+    if (elements.historySection)
+      elements.historySection.style.display = "block";
   }
 
   function updateDockerImageUI() {
@@ -492,8 +571,21 @@
       return;
     }
 
+    // Drop selected crashes that are gone, e.g. after a batch delete
+    const crashKeys = new Set();
+    fuzzers.data.forEach((fuzzer) => {
+      (fuzzer.crashes || []).forEach((crash) => {
+        crashKeys.add(`${fuzzer.name}/${crash.fullHash}`);
+      });
+    });
+    for (const key of selectedCrashes.keys()) {
+      if (!crashKeys.has(key)) {
+        selectedCrashes.delete(key);
+      }
+    }
+
     // Render fuzzer data - build complete HTML string first
-    let html = "";
+    let html = '<div class="crash-batch-bar" id="crash-batch-bar"></div>';
     fuzzers.data.forEach((fuzzer) => {
       html += renderFuzzerItem(fuzzer);
     });
@@ -503,6 +595,74 @@
 
     // Add event listeners for fuzzer and crash actions
     addFuzzerEventListeners();
+    updateSelectionDisplay();
+  }
+
+  function updateBatchBar() {
+    const bar = document.getElementById("crash-batch-bar");
+    if (!bar) return;
+
+    const count = selectedCrashes.size;
+    if (count === 0) {
+      bar.innerHTML = "";
+      bar.classList.remove("visible");
+      return;
+    }
+
+    const actions = [
+      ["reports", "📄", "Generate crash reports"],
+      ["minimize", "🗜️", "Minimize crash inputs"],
+      ["export", "📦", "Export reproducer bundles"],
+      ["archive", "🗄️", "Archive crashes"],
+      ["delete", "🗑️", "Delete crashes"],
+    ].filter(([action]) => action !== "minimize" || canMinimizeCrashes());
+    bar.innerHTML = `
+      <span class="batch-count">${count} ${count === 1 ? "crash" : "crashes"} selected</span>
+      <div class="batch-actions">
+        ${actions
+          .map(
+            ([action, icon, title]) =>
+              `<button class="batch-action-btn ${action === "delete" ? "danger" : ""}" data-batch-action="${action}" title="${title}">${icon}</button>`,
+          )
+          .join("")}
+        <button class="batch-clear-btn" title="Clear selection">✕</button>
+      </div>
+    `;
+    bar.classList.add("visible");
+
+    bar.querySelectorAll(".batch-action-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const action = e.currentTarget.dataset.batchAction;
+        const crashes = Array.from(selectedCrashes.values());
+        selectedCrashes.clear();
+        updateSelectionDisplay();
+        executeCommand("batchCrashAction", { action, crashes });
+      });
+    });
+    bar.querySelector(".batch-clear-btn").addEventListener("click", () => {
+      selectedCrashes.clear();
+      updateSelectionDisplay();
+    });
+  }
+
+  // Syncs checkboxes and the batch bar with the selection without re-rendering
+  function updateSelectionDisplay() {
+    document.querySelectorAll(".crash-select").forEach((checkbox) => {
+      const key = `${checkbox.dataset.fuzzerName}/${checkbox.dataset.fullHash}`;
+      checkbox.checked = selectedCrashes.has(key);
+      checkbox
+        .closest(".crash-item")
+        .classList.toggle("selected", checkbox.checked);
+    });
+    document.querySelectorAll(".crash-select-all").forEach((checkbox) => {
+      const boxes = document.querySelectorAll(
+        `.crash-select[data-fuzzer-name="${checkbox.dataset.fuzzer}"]`,
+      );
+      const checked = Array.from(boxes).filter((box) => box.checked).length;
+      checkbox.checked = boxes.length > 0 && checked === boxes.length;
+      checkbox.indeterminate = checked > 0 && checked < boxes.length;
+    });
+    updateBatchBar();
   }
 
   function renderFuzzerItem(fuzzer) {
@@ -513,29 +673,19 @@
     const testCount = fuzzer.testCount || 0;
     const formattedTestCount = formatTestCount(testCount);
 
-    // Render crashes as collapsible sub-items
+    // Render crashes grouped by signature when deduplication produced groups,
+    // otherwise as a flat list of crash files
     let crashItems = "";
     if (crashCount > 0) {
-      fuzzer.crashes.forEach((crash) => {
-        const formattedDate = formatCrashDate(crash.createdAt);
-        crashItems += `
-          <div class="crash-item" data-crash-id="${crash.id}">
-            <div class="crash-info">
-              <span class="crash-id">${crash.id}</span>
-              <span class="crash-size">${formatFileSize(crash.fileSize)}</span>
-              <span class="crash-date">${formattedDate}</span>
-            </div>
-            <div class="crash-actions">
-              <button class="crash-action-btn" data-action="view" data-crash-id="${crash.id}"
-                      data-full-hash="${crash.fullHash}" data-file-path="${crash.filePath}" data-fuzzer-name="${fuzzer.name}" title="View crash">👁️</button>
-              <button class="crash-action-btn" data-action="analyze" data-crash-id="${crash.id}"
-                      data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Analyze crash">🔍</button>
-              <button class="crash-action-btn" data-action="debug" data-crash-id="${crash.id}"
-                      data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Debug crash (launch GDB server)">🐛</button>
-            </div>
-          </div>
-        `;
-      });
+      if (Array.isArray(fuzzer.crashGroups) && fuzzer.crashGroups.length > 0) {
+        fuzzer.crashGroups.forEach((group) => {
+          crashItems += renderCrashGroup(fuzzer, group);
+        });
+      } else {
+        fuzzer.crashes.forEach((crash) => {
+          crashItems += renderCrashItem(fuzzer, crash);
+        });
+      }
     }
 
     const crashSection =
@@ -543,7 +693,13 @@
         ? `
       <div class="fuzzer-crashes ${crashCount > 0 ? "has-crashes" : ""}" data-fuzzer="${fuzzer.name}">
         <div class="crashes-header">
+          <input type="checkbox" class="crash-select-all" data-fuzzer="${fuzzer.name}" title="Select all crashes of this fuzzer" aria-label="Select all crashes of ${displayName}">
           <span class="crashes-label">${crashCount} ${crashText}</span>
+          ${
+            Array.isArray(fuzzer.crashGroups) && fuzzer.crashGroups.length > 0
+              ? `<span class="unique-bugs-label">${fuzzer.crashGroups.length} unique ${fuzzer.crashGroups.length === 1 ? "bug" : "bugs"}</span>`
+              : ""
+          }
         </div>
         <div class="crash-list" id="crashes-${fuzzer.name}">
           ${crashItems}
@@ -563,25 +719,465 @@
       </div>
     `;
 
+    const stats = currentState.fuzzerStats
+      ? currentState.fuzzerStats[fuzzer.name]
+      : null;
+    const isRunning = !!(stats && stats.running);
+    const isPaused = isRunning && !!stats.paused;
+    const runControls = isRunning
+      ? `
+            <button class="fuzzer-action-btn" data-action="stopFuzzer" data-fuzzer-name="${fuzzer.name}" title="Stop this fuzzer (saves its corpus)">⏹️</button>
+            <button class="fuzzer-action-btn" data-action="${isPaused ? "resumeFuzzer" : "pauseFuzzer"}" data-fuzzer-name="${fuzzer.name}" title="${isPaused ? "Resume this fuzzer" : "Pause this fuzzer"}">${isPaused ? "⏯️" : "⏸️"}</button>`
+      : `
+            <button class="fuzzer-action-btn" data-action="runFuzzer" data-fuzzer-name="${fuzzer.name}" title="Run this fuzzer">▶️</button>`;
+
     return `
-      <div class="fuzzer-item" data-fuzzer="${fuzzer.name}">
+      <div class="fuzzer-item ${isRunning ? "running" : ""}" data-fuzzer="${fuzzer.name}">
         <div class="fuzzer-header">
           <div class="fuzzer-info">
             <span class="fuzzer-name">${displayName}</span>
             ${testCount > 0 ? `<span class="test-count" title="${testCount} test cases executed">${formattedTestCount}</span>` : ""}
+            ${isPaused ? `<span class="running-badge paused" title="Fuzzer is paused">paused</span>` : isRunning ? `<span class="running-badge" title="Fuzzer is running">running</span>` : ""}
           </div>
-          <div class="fuzzer-actions">
-            <button class="fuzzer-action-btn" data-action="runFuzzer" data-fuzzer-name="${fuzzer.name}" title="Run this fuzzer">▶️</button>
+          <div class="fuzzer-actions">${runControls}
             <button class="fuzzer-action-btn" data-action="reevaluateCrashes" data-fuzzer-name="${fuzzer.name}" title="Reevaluate crashes for this fuzzer">🔄</button>
             <button class="fuzzer-action-btn" data-action="viewCorpus" data-fuzzer-name="${fuzzer.name}" title="View corpus files">📁</button>
+            <button class="fuzzer-action-btn" data-action="manageSeeds" data-fuzzer-name="${fuzzer.name}" title="Manage seeds and dictionary">🌱</button>
+            <button class="fuzzer-action-btn" data-action="minimizeCorpus" data-fuzzer-name="${fuzzer.name}" title="Minimize or merge corpus">✂️</button>
+            <button class="fuzzer-action-btn" data-action="showCoverage" data-fuzzer-name="${fuzzer.name}" title="Show source coverage of the corpus">📊</button>
           </div>
         </div>
+        ${renderFuzzerStats(stats)}
         ${crashSection}
       </div>
     `;
   }
 
+  function renderCrashItem(fuzzer, crash) {
+    const formattedDate = formatCrashDate(crash.createdAt);
+    const isSelected = selectedCrashes.has(`${fuzzer.name}/${crash.fullHash}`);
+    return `
+      <div class="crash-item ${isSelected ? "selected" : ""}" data-crash-id="${crash.id}">
+        <input type="checkbox" class="crash-select" data-crash-id="${crash.id}" data-full-hash="${crash.fullHash}"
+               data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" ${isSelected ? "checked" : ""}
+               aria-label="Select crash ${crash.id}">
+        <div class="crash-info">
+          <span class="crash-id">${crash.id}${renderBugBadges(crash.metadata)}${renderReevaluationBadge(crash.reevaluation)}${renderTriageBadge(crash.triage)}</span>
+          <span class="crash-size">${formatFileSize(crash.fileSize)}${renderMinimizedSize(crash)}${renderMemoryAccess(crash.metadata)}</span>
+          <span class="crash-date">${formattedDate}</span>
+        </div>
+        <div class="crash-actions">
+          <button class="crash-action-btn" data-action="view" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-file-path="${crash.filePath}" data-fuzzer-name="${fuzzer.name}" title="View crash">👁️</button>
+          <button class="crash-action-btn" data-action="analyze" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Analyze crash">🔍</button>
+          <button class="crash-action-btn" data-action="debug" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Debug crash (launch GDB server)">🐛</button>
+          <button class="crash-action-btn" data-action="recordRr" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Record with rr (debug a replay that can run backwards)">⏪</button>
+          <button class="crash-action-btn" data-action="gdbScript" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Analyze with GDB script (batch mode)">📜</button>
+          <button class="crash-action-btn" data-action="goToFrame" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Go to crashing frame">📍</button>
+          ${
+            canMinimizeCrashes()
+              ? `<button class="crash-action-btn" data-action="minimize" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Minimize crash input">🗜️</button>`
+              : ""
+          }
+          <button class="crash-action-btn" data-action="export" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Export reproducer bundle">📦</button>
+          <button class="crash-action-btn" data-action="saveRegression" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Save as regression test">🧪</button>
+          <button class="crash-action-btn" data-action="triage" data-crash-id="${crash.id}"
+                  data-full-hash="${crash.fullHash}" data-fuzzer-name="${fuzzer.name}" data-file-path="${crash.filePath}" title="Triage crash (status, assignee, notes, issue)">🏷️</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Crash minimization can be turned off with codeforge.fuzzing.minimizeCrashes
+  function canMinimizeCrashes() {
+    return !currentState.settings || currentState.settings.minimizeCrashes;
+  }
+
+  function renderSeverityBadge(severity) {
+    if (!severity || severity === "unknown") {
+      return "";
+    }
+    return `<span class="severity-badge severity-${escapeHtml(severity)}" title="Severity: ${escapeHtml(severity)}">${escapeHtml(severity)}</span>`;
+  }
+
+  function renderBugBadges(metadata) {
+    if (!metadata || metadata.bugClass === "unknown") {
+      return "";
+    }
+    return `
+      ${renderSeverityBadge(metadata.severity)}
+      <span class="bug-class-badge" title="${escapeHtml(metadata.description || metadata.sanitizer)}">${escapeHtml(metadata.bugClass)}</span>
+    `;
+  }
+
+  function renderTriageBadge(triage) {
+    if (!triage || !triage.status) {
+      return "";
+    }
+    const details = [`Triage: ${triage.status}`];
+    if (triage.assignee) {
+      details.push(`Assignee: ${triage.assignee}`);
+    }
+    if (triage.issueUrl) {
+      details.push(`Issue: ${triage.issueUrl}`);
+    }
+    if (triage.notes) {
+      details.push(triage.notes);
+    }
+    const label = triage.assignee
+      ? `${triage.status} · @${triage.assignee}`
+      : triage.status;
+    return ` <span class="triage-badge triage-${escapeHtml(triage.status)}" title="${escapeHtml(details.join("\n"))}">${escapeHtml(label)}</span>`;
+  }
+
+  function renderReevaluationBadge(reevaluation) {
+    const labels = {
+      fixed: "fixed",
+      reproducing: "reproduces",
+      flaky: "flaky",
+    };
+    if (!reevaluation || !labels[reevaluation.status]) {
+      return "";
+    }
+    const rate = Math.round(
+      (reevaluation.reproduced / reevaluation.attempts) * 100,
+    );
+    const label =
+      reevaluation.status === "flaky"
+        ? `${labels.flaky} ${rate}%`
+        : labels[reevaluation.status];
+    const title = `Crashed ${reevaluation.reproduced} of ${reevaluation.attempts} replays (${rate}%) when last reevaluated (${formatCrashDate(reevaluation.reevaluatedAt)})`;
+    return ` <span class="reevaluation-badge reevaluation-${reevaluation.status}" title="${escapeHtml(title)}">${label}</span>`;
+  }
+
+  function renderMinimizedSize(crash) {
+    if (typeof crash.minimizedSize !== "number") {
+      return "";
+    }
+    const reduction =
+      crash.fileSize > 0
+        ? Math.round((1 - crash.minimizedSize / crash.fileSize) * 100)
+        : 0;
+    return ` <span class="minimized-size" title="Minimized input: ${escapeHtml(crash.minimizedPath)}">→ ${formatFileSize(crash.minimizedSize)} (-${reduction}%)</span>`;
+  }
+
+  function renderMemoryAccess(metadata) {
+    if (!metadata || !metadata.accessType) {
+      return "";
+    }
+    const size = metadata.accessSize ? ` of ${metadata.accessSize} bytes` : "";
+    const address = metadata.address ? ` at ${metadata.address}` : "";
+    return ` · ${escapeHtml(metadata.accessType)}${size}${escapeHtml(address)}`;
+  }
+
+  function renderCrashGroup(fuzzer, group) {
+    const groupKey = `${fuzzer.name}/${group.signatureId}`;
+    const isExpanded = expandedCrashGroups.has(groupKey);
+    const label =
+      group.sanitizer === "unknown"
+        ? "Unclassified crash"
+        : `${group.sanitizer}: ${group.bugClass}`;
+    const topFrame = group.frames && group.frames[0];
+    const location = topFrame
+      ? `${topFrame.function}${topFrame.file ? ` (${topFrame.file.split("/").pop()}${topFrame.line ? `:${topFrame.line}` : ""})` : ""}`
+      : "";
+    const hitText = group.hitCount === 1 ? "input" : "inputs";
+
+    let crashItems = "";
+    group.crashes.forEach((crash) => {
+      crashItems += renderCrashItem(fuzzer, crash);
+    });
+
+    return `
+      <details class="crash-group" data-group-key="${escapeHtml(groupKey)}" ${isExpanded ? "open" : ""}>
+        <summary class="crash-group-header" title="${escapeHtml(group.signature)}">
+          ${renderSeverityBadge(group.severity)}
+          <span class="crash-group-label">${escapeHtml(label)}</span>
+          ${location ? `<span class="crash-group-frame">${escapeHtml(location)}</span>` : ""}
+          <span class="hit-count-badge" title="${group.hitCount} crash ${hitText} with this signature">${group.hitCount}</span>
+          ${renderTriageBadge(group.representative && group.representative.triage)}
+        </summary>
+        <div class="crash-group-items">
+          ${crashItems}
+        </div>
+      </details>
+    `;
+  }
+
+  function renderFuzzerStats(stats) {
+    if (!stats || !stats.current) {
+      return "";
+    }
+
+    const { current, history } = stats;
+    const values = [];
+    if (current.coverage !== null) {
+      values.push(
+        `<span class="stat-value" title="Covered code blocks/edges">cov ${formatStatNumber(current.coverage)}</span>`,
+      );
+    }
+    if (current.features !== null) {
+      values.push(
+        `<span class="stat-value" title="Coverage features">ft ${formatStatNumber(current.features)}</span>`,
+      );
+    }
+    if (current.corpusSize !== null) {
+      values.push(
+        `<span class="stat-value" title="Inputs in corpus">corp ${formatStatNumber(current.corpusSize)}</span>`,
+      );
+    }
+    if (current.execPerSec !== null) {
+      values.push(
+        `<span class="stat-value" title="Executions per second">${formatStatNumber(current.execPerSec)} exec/s</span>`,
+      );
+    }
+    if (current.rssMb !== null) {
+      values.push(
+        `<span class="stat-value" title="Resident memory">${current.rssMb} MB</span>`,
+      );
+    }
+
+    const coverageHistory = (history || [])
+      .map((sample) => sample.coverage)
+      .filter((value) => value !== null && value !== undefined);
+
+    return `
+      <div class="fuzzer-stats ${stats.running ? "running" : "finished"}">
+        ${renderSparkline(coverageHistory)}
+        <div class="stats-values">${values.join("")}</div>
+      </div>
+    `;
+  }
+
+  function renderSparkline(values, width = 120, height = 24) {
+    if (!values || values.length < 2) {
+      return "";
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const step = width / (values.length - 1);
+
+    const points = values
+      .map((value, index) => {
+        const x = (index * step).toFixed(1);
+        const y = (height - 2 - ((value - min) / range) * (height - 4)).toFixed(
+          1,
+        );
+        return `${x},${y}`;
+      })
+      .join(" ");
+
+    return `
+      <svg class="stats-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+           role="img" aria-label="Coverage trend: ${min} to ${max}">
+        <polyline points="${points}" fill="none" stroke-width="1.5" />
+      </svg>
+    `;
+  }
+
+  // Fuzzing campaign display management
+  function updateCampaignDisplay() {
+    if (!elements.campaignContent) return;
+
+    const { data: campaign, isRunning } = currentState.campaign;
+    if (!campaign) {
+      elements.campaignContent.innerHTML = `
+        <div class="history-empty">No campaign yet. Use ➕ to fuzz several targets round-robin within a time budget.</div>
+      `;
+      return;
+    }
+
+    const elapsed = campaign.fuzzers.reduce(
+      (sum, fuzzer) => sum + fuzzer.elapsedSeconds,
+      0,
+    );
+    const percent = Math.min(
+      100,
+      Math.round((elapsed / campaign.totalBudgetSeconds) * 100),
+    );
+    const newCrashes = campaign.fuzzers.reduce(
+      (sum, fuzzer) => sum + fuzzer.newCrashes.length,
+      0,
+    );
+    // A "running" campaign that is not running here was interrupted by a restart
+    const status =
+      campaign.status === "running" && !isRunning
+        ? "interrupted"
+        : campaign.status;
+    const canResume =
+      !isRunning && (status === "paused" || status === "interrupted");
+
+    const controls = [
+      isRunning
+        ? `<button class="fuzzer-action-btn" data-campaign-action="pauseCampaign" title="Pause the campaign">⏸️</button>`
+        : "",
+      canResume
+        ? `<button class="fuzzer-action-btn" data-campaign-action="resumeCampaign" title="Resume the campaign">▶️</button>`
+        : "",
+      isRunning || canResume
+        ? `<button class="fuzzer-action-btn" data-campaign-action="stopCampaign" title="Stop the campaign">⏹️</button>`
+        : "",
+    ].join("");
+
+    const rows = campaign.fuzzers
+      .map((fuzzer) => {
+        const isCurrent =
+          campaign.currentTurn && campaign.currentTurn.fuzzer === fuzzer.name;
+        const crashTitle = fuzzer.newCrashes
+          .map((crash) => escapeHtml(crash.label))
+          .join("\n");
+        return `
+          <tr class="history-row ${fuzzer.error ? "error" : ""} ${isCurrent ? "current" : ""}"${fuzzer.error ? ` title="${escapeHtml(fuzzer.error)}"` : ""}>
+            <td>${isCurrent ? "▶ " : ""}${escapeHtml(fuzzer.name)}</td>
+            <td>${formatDuration(fuzzer.elapsedSeconds * 1000)} / ${formatDuration(fuzzer.budgetSeconds * 1000)}</td>
+            <td>${fuzzer.turns}</td>
+            <td${crashTitle ? ` title="${crashTitle}"` : ""}>${fuzzer.newCrashes.length}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    elements.campaignContent.innerHTML = `
+      <div class="history-item campaign-item">
+        <div class="history-header">
+          <span class="campaign-status status-${escapeHtml(status)}">${escapeHtml(status)}</span>
+          <span class="history-count">${formatDuration(elapsed * 1000)} of ${formatDuration(campaign.totalBudgetSeconds * 1000)} · ${newCrashes} new ${newCrashes === 1 ? "crash" : "crashes"}</span>
+          <div class="fuzzer-actions">${controls}</div>
+        </div>
+        <div class="campaign-progress" title="${percent}% of the time budget used">
+          <div class="campaign-progress-bar" style="width: ${percent}%"></div>
+        </div>
+        <table class="history-table">
+          <thead>
+            <tr>
+              <th>Fuzzer</th>
+              <th>Time</th>
+              <th>Turns</th>
+              <th>New crashes</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+
+    elements.campaignContent
+      .querySelectorAll("[data-campaign-action]")
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          executeCommand(e.currentTarget.dataset.campaignAction);
+        });
+      });
+  }
+
+  // Session history display management
+  function updateSessionHistoryDisplay() {
+    if (!elements.historyContent) return;
+
+    const { sessionHistory } = currentState;
+    const fuzzerNames = Object.keys(sessionHistory.data || {});
+
+    if (sessionHistory.error) {
+      elements.historyContent.innerHTML = `
+        <div class="history-empty">Failed to load session history</div>
+      `;
+      return;
+    }
+
+    if (fuzzerNames.length === 0) {
+      elements.historyContent.innerHTML =
+        sessionHistory.lastUpdated !== null
+          ? `<div class="history-empty">No fuzzing sessions recorded yet</div>`
+          : "";
+      return;
+    }
+
+    elements.historyContent.innerHTML = fuzzerNames
+      .sort()
+      .map((fuzzerName) =>
+        renderSessionHistory(fuzzerName, sessionHistory.data[fuzzerName]),
+      )
+      .join("");
+  }
+
+  function renderSessionHistory(fuzzerName, sessions) {
+    const fuzzer = (currentState.fuzzers.data || []).find(
+      (f) => f.name === fuzzerName,
+    );
+    const displayName = fuzzer?.displayName || fuzzerName;
+    const latest = sessions[0];
+    const maxRows = 10;
+
+    const rows = sessions
+      .slice(0, maxRows)
+      .map((session) => {
+        const delta =
+          session.coverageDelta !== null && session.coverageDelta !== 0
+            ? `<span class="coverage-delta ${session.coverageDelta < 0 ? "negative" : "positive"}">${session.coverageDelta > 0 ? "+" : ""}${session.coverageDelta}</span>`
+            : "";
+        const coverage =
+          session.finalCoverage !== null ? session.finalCoverage : "–";
+        const regressionTitle = session.isRegression
+          ? ` title="Coverage below previous best (${session.bestPreviousCoverage})"`
+          : "";
+        return `
+          <tr class="history-row ${session.isRegression ? "regression" : ""} ${session.status === "error" ? "error" : ""}"${regressionTitle}>
+            <td>${formatCrashDate(session.startTime)}</td>
+            <td>${formatDuration(session.durationMs)}</td>
+            <td>${coverage} ${delta}</td>
+            <td>${session.newCrashes}</td>
+            <td>${session.exitCode !== null ? session.exitCode : "–"}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="history-item" data-fuzzer="${fuzzerName}">
+        <div class="history-header">
+          <span class="fuzzer-name">${displayName}</span>
+          <span class="history-count">${sessions.length} ${sessions.length === 1 ? "session" : "sessions"}</span>
+          ${latest && latest.isRegression ? `<span class="regression-badge" title="Latest run reached less coverage than an earlier run">coverage regression</span>` : ""}
+        </div>
+        <table class="history-table">
+          <thead>
+            <tr>
+              <th>Started</th>
+              <th>Duration</th>
+              <th>Coverage</th>
+              <th>Crashes</th>
+              <th>Exit</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
   function addFuzzerEventListeners() {
+    // Remember which crash groups are expanded across re-renders
+    document.querySelectorAll(".crash-group").forEach((group) => {
+      group.addEventListener("toggle", () => {
+        const key = group.dataset.groupKey;
+        if (group.open) {
+          expandedCrashGroups.add(key);
+        } else {
+          expandedCrashGroups.delete(key);
+        }
+      });
+    });
+
     // Run fuzzer buttons
     document
       .querySelectorAll('.fuzzer-action-btn[data-action="runFuzzer"]')
@@ -592,6 +1188,18 @@
         });
       });
 
+    // Stop, pause and resume buttons of running fuzzers
+    ["stopFuzzer", "pauseFuzzer", "resumeFuzzer"].forEach((command) => {
+      document
+        .querySelectorAll(`.fuzzer-action-btn[data-action="${command}"]`)
+        .forEach((btn) => {
+          btn.addEventListener("click", (e) => {
+            const fuzzerName = e.target.dataset.fuzzerName;
+            executeCommand(command, { fuzzerName });
+          });
+        });
+    });
+
     // Reevaluate crashes buttons
     document
       .querySelectorAll('.fuzzer-action-btn[data-action="reevaluateCrashes"]')
@@ -612,6 +1220,36 @@
         });
       });
 
+    // Manage seeds buttons
+    document
+      .querySelectorAll('.fuzzer-action-btn[data-action="manageSeeds"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const fuzzerName = e.target.dataset.fuzzerName;
+          executeCommand("manageSeeds", { fuzzerName });
+        });
+      });
+
+    // Minimize corpus buttons
+    document
+      .querySelectorAll('.fuzzer-action-btn[data-action="minimizeCorpus"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const fuzzerName = e.target.dataset.fuzzerName;
+          executeCommand("minimizeCorpus", { fuzzerName });
+        });
+      });
+
+    // Show coverage buttons
+    document
+      .querySelectorAll('.fuzzer-action-btn[data-action="showCoverage"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const fuzzerName = e.target.dataset.fuzzerName;
+          executeCommand("showCoverage", { fuzzerName });
+        });
+      });
+
     // View crash buttons
     document
       .querySelectorAll('.crash-action-btn[data-action="view"]')
@@ -666,6 +1304,163 @@
         });
       });
 
+    // Record with rr buttons
+    document
+      .querySelectorAll('.crash-action-btn[data-action="recordRr"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const crashId = e.target.dataset.crashId;
+          const fullHash = e.target.dataset.fullHash;
+          const fuzzerName = e.target.dataset.fuzzerName;
+          const filePath = e.target.dataset.filePath;
+          executeCommand("recordCrashWithRr", {
+            crashId,
+            fullHash,
+            fuzzerName,
+            filePath,
+          });
+        });
+      });
+
+    // Go to crashing frame buttons
+    document
+      .querySelectorAll('.crash-action-btn[data-action="goToFrame"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const crashId = e.target.dataset.crashId;
+          const fullHash = e.target.dataset.fullHash;
+          const fuzzerName = e.target.dataset.fuzzerName;
+          const filePath = e.target.dataset.filePath;
+          executeCommand("goToCrashingFrame", {
+            crashId,
+            fullHash,
+            fuzzerName,
+            filePath,
+          });
+        });
+      });
+
+    // Minimize crash buttons
+    document
+      .querySelectorAll('.crash-action-btn[data-action="minimize"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const crashId = e.target.dataset.crashId;
+          const fullHash = e.target.dataset.fullHash;
+          const fuzzerName = e.target.dataset.fuzzerName;
+          const filePath = e.target.dataset.filePath;
+          executeCommand("minimizeCrash", {
+            crashId,
+            fullHash,
+            fuzzerName,
+            filePath,
+          });
+        });
+      });
+
+    // Export reproducer buttons
+    document
+      .querySelectorAll('.crash-action-btn[data-action="export"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const crashId = e.target.dataset.crashId;
+          const fullHash = e.target.dataset.fullHash;
+          const fuzzerName = e.target.dataset.fuzzerName;
+          const filePath = e.target.dataset.filePath;
+          executeCommand("exportReproducer", {
+            crashId,
+            fullHash,
+            fuzzerName,
+            filePath,
+          });
+        });
+      });
+
+    // Save as regression test buttons
+    document
+      .querySelectorAll('.crash-action-btn[data-action="saveRegression"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const crashId = e.target.dataset.crashId;
+          const fuzzerName = e.target.dataset.fuzzerName;
+          const filePath = e.target.dataset.filePath;
+          executeCommand("saveRegressionTest", {
+            crashId,
+            fuzzerName,
+            filePath,
+          });
+        });
+      });
+
+    // GDB script analysis buttons
+    document
+      .querySelectorAll('.crash-action-btn[data-action="gdbScript"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const crashId = e.target.dataset.crashId;
+          const fuzzerName = e.target.dataset.fuzzerName;
+          const filePath = e.target.dataset.filePath;
+          executeCommand("analyzeCrashWithGdbScript", {
+            crashId,
+            fuzzerName,
+            filePath,
+          });
+        });
+      });
+
+    // Triage buttons
+    document
+      .querySelectorAll('.crash-action-btn[data-action="triage"]')
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const crashId = e.target.dataset.crashId;
+          const fullHash = e.target.dataset.fullHash;
+          const fuzzerName = e.target.dataset.fuzzerName;
+          executeCommand("editCrashTriage", {
+            crashId,
+            fullHash,
+            fuzzerName,
+          });
+        });
+      });
+
+    // Crash selection for batch actions
+    document.querySelectorAll(".crash-select").forEach((checkbox) => {
+      checkbox.addEventListener("change", (e) => {
+        const { crashId, fullHash, fuzzerName, filePath } = e.target.dataset;
+        const key = `${fuzzerName}/${fullHash}`;
+        if (e.target.checked) {
+          selectedCrashes.set(key, { crashId, fullHash, fuzzerName, filePath });
+        } else {
+          selectedCrashes.delete(key);
+        }
+        updateSelectionDisplay();
+      });
+    });
+    document.querySelectorAll(".crash-select-all").forEach((checkbox) => {
+      checkbox.addEventListener("change", (e) => {
+        document
+          .querySelectorAll(
+            `.crash-select[data-fuzzer-name="${e.target.dataset.fuzzer}"]`,
+          )
+          .forEach((box) => {
+            const { crashId, fullHash, fuzzerName, filePath } = box.dataset;
+            const key = `${fuzzerName}/${fullHash}`;
+            if (e.target.checked) {
+              selectedCrashes.set(key, {
+                crashId,
+                fullHash,
+                fuzzerName,
+                filePath,
+              });
+            } else {
+              selectedCrashes.delete(key);
+            }
+          });
+        updateSelectionDisplay();
+      });
+    });
+
     // Clear all buttons
     document.querySelectorAll(".clear-all-btn").forEach((btn) => {
       btn.addEventListener("click", (e) => {
@@ -675,6 +1470,14 @@
     });
   }
 
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
   function formatFileSize(bytes) {
     if (bytes === 0) return "0 B";
     const k = 1024;
@@ -712,6 +1515,23 @@
     }
   }
 
+  function formatDuration(ms) {
+    if (!ms || ms < 1000) return "<1s";
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+
+  function formatStatNumber(value) {
+    if (value < 10000) return value.toString();
+    if (value < 1000000) return (value / 1000).toFixed(1) + "k";
+    return (value / 1000000).toFixed(1) + "M";
+  }
+
   function formatTestCount(count) {
     if (count === 0) return "0";
     if (count < 1000) return count.toString();
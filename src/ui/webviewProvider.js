@@ -3,9 +3,19 @@ const path = require("path");
 const fs = require("fs").promises;
 const dockerOperations = require("../core/dockerOperations");
 const { FuzzerDiscoveryService } = require("../fuzzing/fuzzerDiscoveryService");
+const { SessionHistoryService } = require("../fuzzing/sessionHistoryService");
+const { CrashDiagnosticsProvider } = require("./crashDiagnosticsProvider");
 const {
   InitializationDetectionService,
 } = require("../core/initializationDetectionService");
+const { shouldMinimizeCrashes } = require("../fuzzing/fuzzingConfig");
+
+/**
+ * Minimum interval between live fuzzer stats pushes to the webview.
+ * libFuzzer can print many NEW lines per second early in a run, so updates
+ * are coalesced to avoid re-rendering the fuzzer list on every line.
+ */
+const STATS_UPDATE_INTERVAL_MS = 500;
 
 /**
  * CodeForge Webview View Provider
@@ -31,12 +41,24 @@ class CodeForgeWebviewProvider {
         data: [],
         error: null,
       },
+      fuzzerStats: {},
+      sessionHistory: {
+        isLoading: false,
+        lastUpdated: null,
+        data: {},
+        error: null,
+      },
+      campaign: {
+        data: null,
+        isRunning: false,
+      },
       dockerImage: {
         isUpToDate: true,
         isChecking: false,
         lastChecked: null,
         error: null,
       },
+      settings: this._getSettings(),
     };
 
     // Add backward compatibility getter for crashes
@@ -51,6 +73,12 @@ class CodeForgeWebviewProvider {
 
     // Initialize services
     this._fuzzerDiscoveryService = new FuzzerDiscoveryService(resourceManager);
+    // Crash reports are generated after the crash list is shown
+    this._fuzzerDiscoveryService.onDidGenerateCrashMetadata(() =>
+      vscode.commands.executeCommand("codeforge.refreshFuzzers"),
+    );
+    this._sessionHistoryService = new SessionHistoryService();
+    this._crashDiagnostics = new CrashDiagnosticsProvider();
     this._initializationService = new InitializationDetectionService(
       resourceManager,
     );
@@ -61,6 +89,11 @@ class CodeForgeWebviewProvider {
     this._updateState = this._updateState.bind(this);
     this._updateFuzzerState = this._updateFuzzerState.bind(this);
     this._setFuzzerLoading = this._setFuzzerLoading.bind(this);
+    this._updateFuzzerStats = this._updateFuzzerStats.bind(this);
+    this._refreshSessionHistory = this._refreshSessionHistory.bind(this);
+    this._clearCrashDiagnostics = this._clearCrashDiagnostics.bind(this);
+    this._updateCampaignState = this._updateCampaignState.bind(this);
+    this._statsUpdateTimer = null;
     this._checkInitializationStatus =
       this._checkInitializationStatus.bind(this);
     this._updateInitializationState =
@@ -94,15 +127,27 @@ class CodeForgeWebviewProvider {
       this._currentState.fuzzers.isLoading = false;
     }
 
+    this._currentState.settings = this._getSettings();
+
     // Set initial HTML content with current state (after updating it)
     webviewView.webview.html = this._getHtmlForWebview(webviewView.webview);
 
     // Handle messages from the webview
     webviewView.webview.onDidReceiveMessage(this._handleMessage);
 
+    // Show or hide actions that depend on settings when they change
+    const configurationListener = vscode.workspace.onDidChangeConfiguration(
+      (event) => {
+        if (event.affectsConfiguration("codeforge.fuzzing")) {
+          this._updateState({ settings: this._getSettings() });
+        }
+      },
+    );
+
     // Handle webview disposal
     webviewView.onDidDispose(() => {
       this._view = undefined;
+      configurationListener.dispose();
     });
 
     // Only check initialization status if we've never checked before
@@ -172,12 +217,31 @@ class CodeForgeWebviewProvider {
         refreshFuzzers: "codeforge.refreshFuzzers",
         refreshCrashes: "codeforge.refreshFuzzers", // Backward compatibility
         runFuzzer: "codeforge.runFuzzer",
+        startCampaign: "codeforge.startCampaign",
+        pauseCampaign: "codeforge.pauseCampaign",
+        resumeCampaign: "codeforge.resumeCampaign",
+        stopCampaign: "codeforge.stopCampaign",
+        stopFuzzer: "codeforge.stopFuzzer",
+        pauseFuzzer: "codeforge.pauseFuzzer",
+        resumeFuzzer: "codeforge.resumeFuzzer",
         viewCrash: "codeforge.viewCrash",
         analyzeCrash: "codeforge.analyzeCrash",
         debugCrash: "codeforge.debugCrash",
+        recordCrashWithRr: "codeforge.recordCrashWithRr",
+        goToCrashingFrame: "codeforge.goToCrashingFrame",
+        minimizeCrash: "codeforge.minimizeCrash",
+        exportReproducer: "codeforge.exportReproducer",
+        saveRegressionTest: "codeforge.saveRegressionTest",
+        editCrashTriage: "codeforge.editCrashTriage",
+        analyzeCrashWithGdbScript: "codeforge.analyzeCrashWithGdbScript",
+        batchCrashAction: "codeforge.batchCrashAction",
+        runRegressionCorpus: "codeforge.runRegressionCorpus",
         clearCrashes: "codeforge.clearCrashes",
         reevaluateCrashes: "codeforge.reevaluateCrashes",
         viewCorpus: "codeforge.viewCorpus",
+        manageSeeds: "codeforge.manageSeeds",
+        minimizeCorpus: "codeforge.minimizeCorpus",
+        showCoverage: "codeforge.showCoverage",
         initializeCodeForge: "codeforge.initializeProject",
         updateDockerImage: "codeforge.updateDockerImage",
       };
@@ -213,6 +277,20 @@ class CodeForgeWebviewProvider {
     }
   }
 
+  /**
+   * Settings the webview needs to decide which actions to offer
+   * @returns {Object} {minimizeCrashes}
+   */
+  _getSettings() {
+    let minimizeCrashes = true;
+    try {
+      minimizeCrashes = shouldMinimizeCrashes();
+    } catch (error) {
+      // Invalid settings are reported by the commands that use them
+    }
+    return { minimizeCrashes };
+  }
+
   /**
    * Update the current state and notify the webview
    */
@@ -245,6 +323,35 @@ class CodeForgeWebviewProvider {
       type: "stateUpdate",
       state: this._currentState,
     });
+
+    if (Array.isArray(fuzzerData.data)) {
+      this._updateCrashDiagnostics(fuzzerData.data);
+    }
+  }
+
+  /**
+   * Publish the crashes of the discovered fuzzers to the Problems panel
+   * @param {Array} fuzzers - Fuzzer objects with crashes and crash groups
+   */
+  _updateCrashDiagnostics(fuzzers) {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+      return;
+    }
+
+    this._crashDiagnostics
+      .updateDiagnostics(workspaceFolder.uri.fsPath, fuzzers)
+      .catch((error) => {
+        console.warn(`Crash diagnostics update failed: ${error.message}`);
+      });
+  }
+
+  /**
+   * Remove the Problems panel entries of a fuzzer's crashes
+   * @param {string} fuzzerName - Name of the fuzzer
+   */
+  _clearCrashDiagnostics(fuzzerName) {
+    this._crashDiagnostics.clearFuzzer(fuzzerName);
   }
 
   /**
@@ -259,6 +366,114 @@ class CodeForgeWebviewProvider {
     });
   }
 
+  /**
+   * Update live libFuzzer stats for a fuzzer and notify the webview
+   * Running updates are throttled; a fuzzer finishing is sent immediately.
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {Object} stats - Stats snapshot with running, current and history
+   */
+  _updateFuzzerStats(fuzzerName, stats) {
+    this._currentState.fuzzerStats = {
+      ...this._currentState.fuzzerStats,
+      [fuzzerName]: stats,
+    };
+
+    if (!stats || !stats.running) {
+      this._flushFuzzerStats();
+      return;
+    }
+
+    if (!this._statsUpdateTimer) {
+      this._statsUpdateTimer = setTimeout(
+        () => this._flushFuzzerStats(),
+        STATS_UPDATE_INTERVAL_MS,
+      );
+    }
+  }
+
+  /**
+   * Mark a running fuzzer as paused or resumed in the webview
+   * The flag lives on the fuzzer's stats and is dropped by the next stats
+   * update, which only arrives once the fuzzer runs again.
+   * @param {string} fuzzerName - Name of the fuzzer
+   * @param {boolean} paused - Whether the fuzzer is paused
+   */
+  _setFuzzerPaused(fuzzerName, paused) {
+    const stats = this._currentState.fuzzerStats[fuzzerName];
+    if (!stats) {
+      return;
+    }
+    this._currentState.fuzzerStats = {
+      ...this._currentState.fuzzerStats,
+      [fuzzerName]: { ...stats, paused },
+    };
+    this._flushFuzzerStats();
+  }
+
+  /**
+   * Send pending fuzzer stats to the webview
+   */
+  _flushFuzzerStats() {
+    if (this._statsUpdateTimer) {
+      clearTimeout(this._statsUpdateTimer);
+      this._statsUpdateTimer = null;
+    }
+    this._sendMessage({
+      type: "stateUpdate",
+      state: this._currentState,
+    });
+  }
+
+  /**
+   * Show the state of the fuzzing campaign in the webview
+   * @param {Object|null} campaign - Campaign from CampaignScheduler
+   * @param {boolean} isRunning - Whether the campaign is running in this window
+   */
+  _updateCampaignState(campaign, isRunning) {
+    this._currentState.campaign = {
+      data: campaign ? JSON.parse(JSON.stringify(campaign)) : null,
+      isRunning: !!isRunning,
+    };
+    this._sendMessage({
+      type: "stateUpdate",
+      state: this._currentState,
+    });
+  }
+
+  /**
+   * Reload recorded fuzzing sessions for the workspace and notify the webview
+   */
+  async _refreshSessionHistory() {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder) {
+      return;
+    }
+
+    try {
+      const history = await this._sessionHistoryService.getAllHistory(
+        workspaceFolder.uri.fsPath,
+      );
+      this._currentState.sessionHistory = {
+        isLoading: false,
+        lastUpdated: new Date().toISOString(),
+        data: history,
+        error: null,
+      };
+    } catch (error) {
+      console.warn(`Session history refresh failed: ${error.message}`);
+      this._currentState.sessionHistory = {
+        ...this._currentState.sessionHistory,
+        isLoading: false,
+        error: error.message,
+      };
+    }
+
+    this._sendMessage({
+      type: "stateUpdate",
+      state: this._currentState,
+    });
+  }
+
   /**
    * Check initialization status and update state
    */
@@ -426,9 +641,14 @@ class CodeForgeWebviewProvider {
         <section class="fuzzers-section" id="fuzzers-section">
             <div class="section-header">
                 <h2>Fuzzers</h2>
-                <button class="refresh-btn" id="refresh-fuzzers-btn" title="Refresh fuzzer data">
-                    <span class="btn-icon">🔄</span>
-                </button>
+                <div class="section-header-actions">
+                    <button class="refresh-btn" id="run-regressions-btn" title="Run regression corpus">
+                        <span class="btn-icon">🔁</span>
+                    </button>
+                    <button class="refresh-btn" id="refresh-fuzzers-btn" title="Refresh fuzzer data">
+                        <span class="btn-icon">🔄</span>
+                    </button>
+                </div>
             </div>
             
             <div class="fuzzers-content" id="fuzzers-content">
@@ -436,6 +656,31 @@ class CodeForgeWebviewProvider {
             </div>
         </section>
 
+        <!-- Fuzzing Campaign Section -->
+        <section class="campaign-section" id="campaign-section">
+            <div class="section-header">
+                <h2>Fuzzing Campaign</h2>
+                <button class="refresh-btn" id="start-campaign-btn" title="Start a new fuzzing campaign">
+                    <span class="btn-icon">➕</span>
+                </button>
+            </div>
+
+            <div class="campaign-content" id="campaign-content">
+                <!-- Dynamic content populated by JavaScript -->
+            </div>
+        </section>
+
+        <!-- Session History Section -->
+        <section class="history-section" id="history-section">
+            <div class="section-header">
+                <h2>Session History</h2>
+            </div>
+
+            <div class="history-content" id="history-content">
+                <!-- Dynamic content populated by JavaScript -->
+            </div>
+        </section>
+
         <!-- Loading Overlay -->
         <div class="loading-overlay" id="loading-overlay" style="display: none;">
             <div class="loading-spinner"></div>
@@ -593,6 +838,8 @@ class CodeForgeWebviewProvider {
         isLoading: false,
         error: null,
       });
+
+      await this._refreshSessionHistory();
     } catch (error) {
       // Handle errors gracefully - don't show error messages for initial discovery
       this._setFuzzerLoading(false, error.message);
@@ -604,6 +851,11 @@ class CodeForgeWebviewProvider {
    * Dispose of the webview provider
    */
   dispose() {
+    if (this._statsUpdateTimer) {
+      clearTimeout(this._statsUpdateTimer);
+      this._statsUpdateTimer = null;
+    }
+    this._crashDiagnostics.dispose();
     if (this._view) {
       this._view = undefined;
     }
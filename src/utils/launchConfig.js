@@ -1,6 +1,7 @@
 const fs = require("fs").promises;
 const path = require("path");
 const vscode = require("vscode");
+const { PathMapper } = require("../fuzzing/gdbIntegration");
 
 /**
  * Launch Configuration Manager
@@ -14,12 +15,14 @@ class LaunchConfigManager {
 
   /**
    * Detect which debugging extensions are installed
-   * Checks for CodeLLDB and NativeDebug extensions
+   * Checks for the Microsoft C/C++ (cpptools), CodeLLDB and NativeDebug extensions
    * @returns {Object} Object with boolean flags for each extension
    */
   detectDebugExtensions() {
     const extensions = this.vscode.extensions.all;
 
+    const cppTools = extensions.some((ext) => ext.id === "ms-vscode.cpptools");
+
     const codeLLDB = extensions.some(
       (ext) =>
         ext.id === "vadimcn.vscode-lldb" ||
@@ -32,14 +35,17 @@ class LaunchConfigManager {
     );
 
     return {
+      cppTools,
       codeLLDB,
       nativeDebug,
-      // Prioritize CodeLLDB over NativeDebug
-      preferredExtension: codeLLDB
-        ? "codeLLDB"
-        : nativeDebug
-          ? "nativeDebug"
-          : null,
+      // Prioritize cpptools, then CodeLLDB over NativeDebug
+      preferredExtension: cppTools
+        ? "cppTools"
+        : codeLLDB
+          ? "codeLLDB"
+          : nativeDebug
+            ? "nativeDebug"
+            : null,
     };
   }
 
@@ -104,6 +110,71 @@ class LaunchConfigManager {
     return config;
   }
 
+  /**
+   * Create a Microsoft C/C++ (cppdbg) launch configuration for gdbserver debugging
+   * cpptools connects its host gdb to gdbserver through miDebuggerServerAddress;
+   * the program is needed on the host to load symbols.
+   * @param {string} configName - Name for the launch configuration
+   * @param {number} port - Port number for GDB server connection
+   * @param {string} fuzzerExecutable - Path to the fuzzer executable (host path, optional)
+   * @param {Object} options - Additional configuration options
+   * @param {Object} options.sourceFileMap - Container path prefix -> host path prefix
+   * @param {boolean} options.stopAtConnect - Stop once connected to gdbserver
+   * @returns {Object} cppdbg launch configuration
+   */
+  createCppdbgConfig(configName, port, fuzzerExecutable = null, options = {}) {
+    const config = {
+      name: configName,
+      type: "cppdbg",
+      request: "launch",
+      MIMode: "gdb",
+      miDebuggerServerAddress: `localhost:${port}`,
+      cwd: "${workspaceFolder}",
+      setupCommands: [
+        {
+          description: "Enable pretty-printing for gdb",
+          text: "-enable-pretty-printing",
+          ignoreFailures: true,
+        },
+      ],
+    };
+
+    // Add program path if provided
+    if (fuzzerExecutable) {
+      config.program = fuzzerExecutable;
+    }
+
+    if (options.sourceFileMap && Object.keys(options.sourceFileMap).length) {
+      config.sourceFileMap = options.sourceFileMap;
+    }
+
+    if (options.stopAtConnect !== undefined) {
+      config.stopAtConnect = options.stopAtConnect;
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the source path substitutions between container and host
+   * The container sees the workspace at its host path with any drive letter
+   * removed; that prefix is mapped back when the two differ.
+   * @param {string} workspacePath - Path to the workspace root
+   * @param {Object} additionalMappings - Further container -> host prefixes
+   * @returns {Object} Container path prefix -> host path prefix
+   */
+  getSourceFileMap(workspacePath, additionalMappings = {}) {
+    const sourceFileMap = {};
+    const containerWorkspace = new PathMapper().mapHostToContainer(
+      workspacePath,
+      workspacePath,
+    );
+    if (containerWorkspace !== workspacePath) {
+      sourceFileMap[containerWorkspace] = workspacePath;
+    }
+    return { ...sourceFileMap, ...(additionalMappings || {}) };
+  }
+
   /**
    * Check if a fuzzer exists using codeforge CLI
    * @param {string} workspacePath - Path to the workspace root
@@ -181,13 +252,13 @@ class LaunchConfigManager {
 
   /**
    * Create or update GDB attach configuration in workspace launch.json
-   * Automatically detects and uses the appropriate debug extension (CodeLLDB or NativeDebug)
+   * Automatically detects and uses the appropriate debug extension (cpptools, CodeLLDB or NativeDebug)
    * @param {string} workspacePath - Path to the workspace root
    * @param {string} configName - Name for the launch configuration
    * @param {number} port - Port number for GDB server connection
    * @param {string} fuzzerExecutable - Path to the fuzzer executable (host path, optional)
    * @param {Object} options - Additional configuration options
-   * @param {string} options.fuzzerName - Name of the fuzzer (used to get path for CodeLLDB)
+   * @param {string} options.fuzzerName - Name of the fuzzer (used to get path for cpptools and CodeLLDB)
    * @returns {Promise<Object>} Result object with success status and details
    */
   async createOrUpdateGdbAttachConfig(
@@ -240,7 +311,26 @@ class LaunchConfigManager {
       let extensionUsed = null;
       let resolvedFuzzerPath = fuzzerExecutable;
 
-      if (debugExtensions.preferredExtension === "codeLLDB") {
+      if (debugExtensions.preferredExtension === "cppTools") {
+        // cpptools loads symbols from the program, so resolve it like for CodeLLDB
+        if (options.fuzzerName && !fuzzerExecutable) {
+          resolvedFuzzerPath = await this.getFuzzerPath(
+            workspacePath,
+            options.fuzzerName,
+          );
+        }
+
+        debugConfig = this.createCppdbgConfig(
+          configName,
+          port,
+          resolvedFuzzerPath,
+          {
+            sourceFileMap: this.getSourceFileMap(workspacePath),
+            stopAtConnect: options.stopAtConnect,
+          },
+        );
+        extensionUsed = "C/C++ (cpptools)";
+      } else if (debugExtensions.preferredExtension === "codeLLDB") {
         // For CodeLLDB, try to get the fuzzer path if fuzzerName is provided
         if (options.fuzzerName && !fuzzerExecutable) {
           resolvedFuzzerPath = await this.getFuzzerPath(
@@ -304,6 +394,7 @@ class LaunchConfigManager {
         launchJsonExists,
         extensionUsed,
         debugExtensions: {
+          cppTools: debugExtensions.cppTools,
           codeLLDB: debugExtensions.codeLLDB,
           nativeDebug: debugExtensions.nativeDebug,
           preferred: debugExtensions.preferredExtension,
@@ -336,6 +427,9 @@ class LaunchConfigManager {
 
   /**
    * Get all GDB configurations from launch.json
+   * These are the configurations that attach to a gdbserver, in the formats
+   * createOrUpdateGdbAttachConfig writes: Native Debug attach, CodeLLDB
+   * gdb-remote and cppdbg miDebuggerServerAddress.
    * @param {string} workspacePath - Path to the workspace root
    * @returns {Promise<Array>} Array of GDB configurations
    */
@@ -353,7 +447,14 @@ class LaunchConfigManager {
 
       // Filter for GDB configurations
       return launchConfig.configurations.filter(
-        (config) => config.type === "gdb" && config.request === "attach",
+        (config) =>
+          (config.type === "gdb" && config.request === "attach") ||
+          (config.type === "lldb" &&
+            Array.isArray(config.processCreateCommands) &&
+            config.processCreateCommands.some((command) =>
+              String(command).startsWith("gdb-remote "),
+            )) ||
+          (config.type === "cppdbg" && Boolean(config.miDebuggerServerAddress)),
       );
     } catch (error) {
       // File doesn't exist or is invalid
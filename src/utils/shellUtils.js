@@ -0,0 +1,32 @@
+const path = require("path");
+
+/**
+ * Quotes a value for a POSIX shell
+ * @param {string} value - Value to quote
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Checks that a workspace file can be placed in a container script as is.
+ * Crash paths reach the scripts from the webview and are interpolated inside
+ * double quotes, so they must stay in the workspace (which is what the
+ * container mounts) and must not contain characters bash expands there.
+ * @param {string} workspacePath - Path to the workspace root
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} True if the path is inside the workspace and needs no
+ *   shell quoting
+ */
+function isScriptSafePath(workspacePath, filePath) {
+  const relativePath = path.relative(workspacePath, filePath || "");
+  return (
+    !!filePath &&
+    !relativePath.startsWith("..") &&
+    !path.isAbsolute(relativePath) &&
+    !/["$`\\]/.test(filePath)
+  );
+}
+
+module.exports = { shellQuote, isScriptSafePath };
@@ -0,0 +1,109 @@
+const zlib = require("zlib");
+
+/**
+ * Size of tar headers and the unit file contents are padded to
+ */
+const BLOCK_SIZE = 512;
+
+/**
+ * Writes a string into a header field, truncated to the field length
+ * @param {Buffer} header - Header block
+ * @param {string} value - Field value
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ */
+function writeField(header, value, offset, length) {
+  header.write(value, offset, length, "utf8");
+}
+
+/**
+ * Writes a number as a zero-padded, NUL-terminated octal header field
+ * @param {Buffer} header - Header block
+ * @param {number} value - Field value
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length including the terminator
+ */
+function writeOctal(header, value, offset, length) {
+  writeField(
+    header,
+    value.toString(8).padStart(length - 1, "0") + "\0",
+    offset,
+    length,
+  );
+}
+
+/**
+ * Builds the ustar header of a regular file
+ * @param {string} name - Path of the file in the archive
+ * @param {number} size - File size in bytes
+ * @param {number} mode - File permissions
+ * @param {number} mtime - Modification time in seconds since the epoch
+ * @returns {Buffer} Header block
+ * @throws {Error} If the path does not fit the header
+ */
+function createHeader(name, size, mode, mtime) {
+  let prefix = "";
+  let fileName = name;
+  // Paths over 100 bytes are split into prefix and name at a "/"
+  if (Buffer.byteLength(name) > 100) {
+    const split = name.lastIndexOf("/", 155);
+    prefix = split > 0 ? name.slice(0, split) : "";
+    fileName = split > 0 ? name.slice(split + 1) : name;
+  }
+  if (Buffer.byteLength(fileName) > 100 || Buffer.byteLength(prefix) > 155) {
+    throw new Error(`Path is too long for a tar archive: ${name}`);
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeField(header, fileName, 0, 100);
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  writeField(header, "        ", 148, 8); // checksum, counted as spaces
+  writeField(header, "0", 156, 1); // regular file
+  writeField(header, "ustar\u000000", 257, 8);
+  writeField(header, prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeField(header, checksum.toString(8).padStart(6, "0") + "\0 ", 148, 8);
+  return header;
+}
+
+/**
+ * Creates a gzip-compressed tar archive
+ * Written here rather than by a tar binary so the archive is the same on
+ * every host and file modes (such as an executable script) survive Windows.
+ * @param {Array<Object>} entries - Files with name (path in the archive),
+ *   content (Buffer or string) and optional mode (default 0o644)
+ * @param {Date} mtime - Modification time of all files (default: now)
+ * @returns {Buffer} The .tar.gz content
+ */
+function createTarGz(entries, mtime = new Date()) {
+  const seconds = Math.floor(mtime.getTime() / 1000);
+  const blocks = [];
+
+  for (const entry of entries) {
+    const content = Buffer.isBuffer(entry.content)
+      ? entry.content
+      : Buffer.from(entry.content, "utf8");
+    blocks.push(
+      createHeader(entry.name, content.length, entry.mode || 0o644, seconds),
+    );
+    blocks.push(content);
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+  // End of archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+module.exports = { createTarGz };
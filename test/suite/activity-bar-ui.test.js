@@ -86,12 +86,26 @@ suite("Activity Bar UI Test Suite", () => {
             data: [],
             error: null,
           },
+          fuzzerStats: {},
+          sessionHistory: {
+            isLoading: false,
+            lastUpdated: null,
+            data: {},
+            error: null,
+          },
+          campaign: {
+            data: null,
+            isRunning: false,
+          },
           dockerImage: {
             isUpToDate: true,
             isChecking: false,
             lastChecked: null,
             error: null,
           },
+          settings: {
+            minimizeCrashes: true,
+          },
         },
         "Initial state should be correct",
       );
@@ -195,12 +209,26 @@ suite("Activity Bar UI Test Suite", () => {
             data: [],
             error: null,
           },
+          fuzzerStats: {},
+          sessionHistory: {
+            isLoading: false,
+            lastUpdated: null,
+            data: {},
+            error: null,
+          },
+          campaign: {
+            data: null,
+            isRunning: false,
+          },
           dockerImage: {
             isUpToDate: true,
             isChecking: false,
             lastChecked: null,
             error: null,
           },
+          settings: {
+            minimizeCrashes: true,
+          },
         },
         "State should be updated correctly",
       );
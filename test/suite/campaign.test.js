@@ -0,0 +1,240 @@
+/**
+ * Fuzzing Campaign Test Suite
+ *
+ * Tests for time-budgeted background fuzzing campaigns:
+ * - CampaignService - Budget split, round-robin turns, crash tracking, persistence
+ * - CampaignScheduler - Running turns, checkpointing and announcing new crashes
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const fuzzingOperations = require("../../src/fuzzing/fuzzingOperations");
+const { CampaignService } = require("../../src/fuzzing/campaignService");
+const { CampaignScheduler } = require("../../src/fuzzing/campaignScheduler");
+
+suite("Fuzzing Campaign Test Suite", () => {
+  let workspacePath;
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-campaign-")),
+    );
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  suite("CampaignService", () => {
+    test("Should split the budget by weight in whole seconds", () => {
+      const service = new CampaignService();
+
+      assert.deepStrictEqual(
+        service.allocateBudgets(["a", "b", "c"], 100),
+        [34, 33, 33],
+      );
+      assert.deepStrictEqual(
+        service.allocateBudgets(["a", "b"], 3600, { a: 3 }),
+        [2700, 900],
+      );
+    });
+
+    test("Should reject invalid campaign definitions", () => {
+      const service = new CampaignService();
+
+      assert.throws(
+        () =>
+          service.createCampaign({
+            fuzzers: [{ name: "bad;name", preset: "debug" }],
+            totalBudgetSeconds: 30,
+            jobs: 0,
+          }),
+        (error) =>
+          error.message.startsWith("Invalid campaign:") &&
+          error.message.includes("at least 60 seconds") &&
+          error.message.includes("Jobs must be between 1 and 64"),
+      );
+    });
+
+    test("Should rotate turns and skip fuzzers that used their budget or failed", () => {
+      const service = new CampaignService();
+      const campaign = service.createCampaign({
+        fuzzers: [
+          { name: "a-fuzz", preset: "debug" },
+          { name: "b-fuzz", preset: "debug" },
+          { name: "c-fuzz", preset: "" },
+        ],
+        totalBudgetSeconds: 900,
+        sliceSeconds: 200,
+      });
+
+      const first = service.getNextTurn(campaign);
+      assert.deepStrictEqual(first, {
+        index: 0,
+        fuzzer: "a-fuzz",
+        preset: "debug",
+        seconds: 200,
+      });
+
+      service.recordProgress(campaign, "a-fuzz", 200);
+      service.completeTurn(campaign, first.index);
+      campaign.fuzzers[1].error = "build failed";
+
+      const next = service.getNextTurn(campaign);
+      assert.strictEqual(next.fuzzer, "c-fuzz");
+
+      // The last turn only gets what is left of the budget
+      campaign.fuzzers[2].elapsedSeconds = 300;
+      service.completeTurn(campaign, next.index);
+      assert.deepStrictEqual(service.getNextTurn(campaign), {
+        index: 0,
+        fuzzer: "a-fuzz",
+        preset: "debug",
+        seconds: 100,
+      });
+
+      campaign.fuzzers[0].elapsedSeconds = 295;
+      assert.strictEqual(service.getNextTurn(campaign), null);
+    });
+
+    test("Should only report crashes found after the baseline", () => {
+      const service = new CampaignService();
+      const campaign = service.createCampaign({
+        fuzzers: [{ name: "a-fuzz", preset: "debug" }],
+        totalBudgetSeconds: 600,
+      });
+
+      const baseline = service.recordCrashes(campaign, "a-fuzz", [
+        { id: "sig-1", label: "ASan: heap-buffer-overflow" },
+      ]);
+      const found = service.recordCrashes(campaign, "a-fuzz", [
+        { id: "sig-1", label: "ASan: heap-buffer-overflow" },
+        { id: "sig-2", label: "UBSan: signed-integer-overflow" },
+      ]);
+
+      assert.deepStrictEqual(baseline, []);
+      assert.deepStrictEqual(
+        found.map((crash) => crash.id),
+        ["sig-2"],
+      );
+      assert.strictEqual(service.getSummary(campaign).newCrashes, 1);
+    });
+
+    test("Should persist campaigns in the fuzzing output directory", async () => {
+      const service = new CampaignService();
+      const campaign = service.createCampaign({
+        fuzzers: [{ name: "a-fuzz", preset: "debug" }],
+        totalBudgetSeconds: 600,
+      });
+
+      await service.saveCampaign(workspacePath, campaign);
+      const loaded = await service.loadCampaign(workspacePath);
+
+      assert.strictEqual(
+        service.getCampaignFilePath(workspacePath),
+        path.join(workspacePath, ".codeforge", "fuzzing", "campaign.json"),
+      );
+      assert.deepStrictEqual(loaded, campaign);
+      assert.strictEqual(service.isResumable(loaded), true);
+    });
+  });
+
+  suite("CampaignScheduler", () => {
+    test("Should run turns with time-limited fuzzing and announce new crashes", async () => {
+      const onUpdate = sinon.stub();
+      const scheduler = new CampaignScheduler(null, { onUpdate });
+      const runStub = sinon
+        .stub(fuzzingOperations, "runFuzzTestsWithScript")
+        .callsFake(async () => {
+          const turn = scheduler.campaign.currentTurn;
+          scheduler.campaignService.recordProgress(
+            scheduler.campaign,
+            turn.fuzzer,
+            turn.seconds,
+          );
+          return { executed: 1 };
+        });
+      sinon
+        .stub(scheduler, "collectCrashSignatures")
+        .onFirstCall()
+        .resolves([])
+        .onSecondCall()
+        .resolves([{ id: "sig-1", label: "ASan: use-after-free" }]);
+      const warningStub = sinon
+        .stub(vscode.window, "showWarningMessage")
+        .resolves(undefined);
+      const infoStub = sinon.stub(vscode.window, "showInformationMessage");
+      sinon.stub(vscode.commands, "executeCommand").resolves();
+
+      await scheduler.start(workspacePath, {
+        fuzzers: [{ name: "a-fuzz", preset: "debug" }],
+        totalBudgetSeconds: 60,
+        sliceSeconds: 60,
+        jobs: 2,
+      });
+      await scheduler.loop;
+
+      const options = runStub.firstCall.args[5];
+      assert.deepStrictEqual(options.libFuzzerArgs, [
+        "-max_total_time=60",
+        "-jobs=2",
+      ]);
+      assert.ok(runStub.calledOnce, "Budget should be used in one turn");
+
+      const campaign =
+        await scheduler.campaignService.loadCampaign(workspacePath);
+      assert.strictEqual(campaign.status, "completed");
+      assert.strictEqual(campaign.fuzzers[0].turns, 1);
+      assert.strictEqual(campaign.fuzzers[0].newCrashes[0].id, "sig-1");
+      assert.ok(warningStub.firstCall.args[0].includes("ASan: use-after-free"));
+      assert.ok(infoStub.firstCall.args[0].includes("1 new unique crash"));
+      assert.strictEqual(onUpdate.lastCall.args[1], false);
+    });
+
+    test("Should resume an interrupted campaign from its checkpoint", async () => {
+      const scheduler = new CampaignScheduler();
+      const campaign = scheduler.campaignService.createCampaign({
+        fuzzers: [
+          { name: "a-fuzz", preset: "debug" },
+          { name: "b-fuzz", preset: "debug" },
+        ],
+        totalBudgetSeconds: 120,
+      });
+      campaign.fuzzers[0].elapsedSeconds = 60;
+      campaign.fuzzers[0].knownCrashes = [];
+      campaign.fuzzers[1].knownCrashes = [];
+      campaign.nextIndex = 1;
+      campaign.currentTurn = {
+        fuzzer: "b-fuzz",
+        seconds: 60,
+        startedAt: new Date().toISOString(),
+      };
+      await scheduler.campaignService.saveCampaign(workspacePath, campaign);
+
+      const runStub = sinon
+        .stub(fuzzingOperations, "runFuzzTestsWithScript")
+        .callsFake(async () => {
+          scheduler.campaignService.recordProgress(
+            scheduler.campaign,
+            "b-fuzz",
+            60,
+          );
+          return { executed: 1 };
+        });
+      sinon.stub(scheduler, "collectCrashSignatures").resolves([]);
+      sinon.stub(vscode.window, "showInformationMessage");
+
+      await scheduler.resume(workspacePath);
+      await scheduler.loop;
+
+      assert.ok(runStub.calledOnce);
+      assert.strictEqual(runStub.firstCall.args[2][0].fuzzer, "b-fuzz");
+      assert.strictEqual(scheduler.campaign.status, "completed");
+    });
+  });
+});
@@ -12,6 +12,10 @@ const sinon = require("sinon");
 const vscode = require("vscode");
 const { EventEmitter } = require("events");
 const { CodeForgeCommandHandlers } = require("../../src/ui/commandHandlers");
+const { computeCrashSignature } = require("../../src/fuzzing/crashSignature");
+const {
+  TRIAGE_SIGNATURE_FRAMES,
+} = require("../../src/fuzzing/crashTriageService");
 
 // Import test helpers
 const {
@@ -94,14 +98,40 @@ suite("Command Handlers Test Suite", () => {
       );
     });
 
+    test("Should share the webview's fuzzer discovery service", () => {
+      const fuzzerDiscoveryService = {
+        onDidGenerateCrashMetadata: sandbox.stub(),
+      };
+      const handlers = new CodeForgeCommandHandlers(
+        mockContext,
+        mockOutputChannel,
+        {
+          ...mockWebviewProvider,
+          _fuzzerDiscoveryService: fuzzerDiscoveryService,
+        },
+        mockResourceManager,
+      );
+
+      assert.strictEqual(
+        handlers.fuzzerDiscoveryService,
+        fuzzerDiscoveryService,
+      );
+      // The webview refreshes when crash reports are generated
+      assert.ok(fuzzerDiscoveryService.onDidGenerateCrashMetadata.notCalled);
+      assert.strictEqual(
+        handlers.getCampaignScheduler().fuzzerDiscoveryService,
+        fuzzerDiscoveryService,
+      );
+    });
+
     test("Should return correct command handlers map", () => {
       const handlers = commandHandlers.getCommandHandlers();
 
       assert.ok(handlers, "Should return handlers object");
       assert.strictEqual(
         Object.keys(handlers).length,
-        14,
-        "Should have 14 handlers",
+        34,
+        "Should have 34 handlers",
       );
       assert.ok(
         handlers["codeforge.launchTerminal"],
@@ -127,6 +157,14 @@ suite("Command Handlers Test Suite", () => {
         handlers["codeforge.viewCorpus"],
         "Should have viewCorpus handler",
       );
+      assert.ok(
+        handlers["codeforge.manageSeeds"],
+        "Should have manageSeeds handler",
+      );
+      assert.ok(
+        handlers["codeforge.minimizeCorpus"],
+        "Should have minimizeCorpus handler",
+      );
       assert.ok(
         handlers["codeforge.analyzeCrash"],
         "Should have analyzeCrash handler",
@@ -147,6 +185,78 @@ suite("Command Handlers Test Suite", () => {
         handlers["codeforge.debugCrash"],
         "Should have debugCrash handler",
       );
+      assert.ok(
+        handlers["codeforge.goToCrashingFrame"],
+        "Should have goToCrashingFrame handler",
+      );
+      assert.ok(
+        handlers["codeforge.minimizeCrash"],
+        "Should have minimizeCrash handler",
+      );
+      assert.ok(
+        handlers["codeforge.exportReproducer"],
+        "Should have exportReproducer handler",
+      );
+      assert.ok(
+        handlers["codeforge.saveRegressionTest"],
+        "Should have saveRegressionTest handler",
+      );
+      assert.ok(
+        handlers["codeforge.editCrashTriage"],
+        "Should have editCrashTriage handler",
+      );
+      assert.ok(
+        handlers["codeforge.analyzeCrashWithGdbScript"],
+        "Should have analyzeCrashWithGdbScript handler",
+      );
+      assert.ok(
+        handlers["codeforge.recordCrashWithRr"],
+        "Should have recordCrashWithRr handler",
+      );
+      assert.ok(
+        handlers["codeforge.batchCrashAction"],
+        "Should have batchCrashAction handler",
+      );
+      assert.ok(
+        handlers["codeforge.runRegressionCorpus"],
+        "Should have runRegressionCorpus handler",
+      );
+      assert.ok(
+        handlers["codeforge.showCoverage"],
+        "Should have showCoverage handler",
+      );
+      assert.ok(
+        handlers["codeforge.hideCoverage"],
+        "Should have hideCoverage handler",
+      );
+      assert.ok(
+        handlers["codeforge.stopFuzzer"],
+        "Should have stopFuzzer handler",
+      );
+      assert.ok(
+        handlers["codeforge.pauseFuzzer"],
+        "Should have pauseFuzzer handler",
+      );
+      assert.ok(
+        handlers["codeforge.resumeFuzzer"],
+        "Should have resumeFuzzer handler",
+      );
+      assert.ok(
+        handlers["codeforge.startCampaign"],
+        "Should have startCampaign handler",
+      );
+      assert.ok(
+        handlers["codeforge.pauseCampaign"],
+        "Should have pauseCampaign handler",
+      );
+      assert.ok(
+        handlers["codeforge.resumeCampaign"],
+        "Should have resumeCampaign handler",
+      );
+      assert.ok(
+        handlers["codeforge.stopCampaign"],
+        "Should have stopCampaign handler",
+      );
     });
 
     test("Should handle safe output logging", () => {
@@ -1615,6 +1725,373 @@ suite("Command Handlers Test Suite", () => {
     });
   });
 
+  suite("handleDebugCrash Command", () => {
+    const params = {
+      crashId: "aaaa11112",
+      fullHash: "aaaa1111222233334444",
+      fuzzerName: "libfuzzer",
+      filePath:
+        "/test/workspace/.codeforge/fuzzing/libfuzzer-output/crash-aaaa1111222233334444",
+    };
+
+    test("Should start a codeforge debug session without writing launch.json", async () => {
+      sandbox.stub(commandHandlers, "ensureInitializedAndBuilt").resolves(true);
+      const startDebugging = sandbox
+        .stub(vscode.debug, "startDebugging")
+        .resolves(true);
+      const writeConfig = sandbox.stub(
+        commandHandlers.launchConfigManager,
+        "createOrUpdateGdbAttachConfig",
+      );
+
+      await commandHandlers.handleDebugCrash(params);
+
+      assert.ok(startDebugging.calledOnce, "Should start debugging");
+      assert.deepStrictEqual(startDebugging.firstCall.args[1], {
+        type: "codeforge",
+        request: "launch",
+        name: "Debug Crash: libfuzzer - aaaa11112",
+        fuzzer: "libfuzzer",
+        crash: params.filePath,
+      });
+      assert.ok(writeConfig.notCalled, "Should not touch launch.json");
+    });
+
+    test("Should ask the debug session for an rr replay", async () => {
+      sandbox.stub(commandHandlers, "ensureInitializedAndBuilt").resolves(true);
+      const startDebugging = sandbox
+        .stub(vscode.debug, "startDebugging")
+        .resolves(true);
+
+      await commandHandlers.handleRecordCrashWithRr(params);
+
+      assert.deepStrictEqual(startDebugging.firstCall.args[1], {
+        type: "codeforge",
+        request: "launch",
+        name: "Replay Crash: libfuzzer - aaaa11112",
+        fuzzer: "libfuzzer",
+        crash: params.filePath,
+        rr: true,
+      });
+    });
+
+    test("Should not start debugging when initialization is cancelled", async () => {
+      sandbox
+        .stub(commandHandlers, "ensureInitializedAndBuilt")
+        .resolves(false);
+      const startDebugging = sandbox.stub(vscode.debug, "startDebugging");
+
+      await commandHandlers.handleDebugCrash(params);
+
+      assert.ok(startDebugging.notCalled);
+    });
+  });
+
+  suite("handleAnalyzeCrashWithGdbScript Command", () => {
+    const params = {
+      crashId: "aaaa11112",
+      fuzzerName: "libfuzzer",
+      filePath:
+        "/test/workspace/.codeforge/fuzzing/libfuzzer-output/crash-aaaa1111",
+    };
+
+    setup(() => {
+      sandbox.stub(commandHandlers, "ensureInitializedAndBuilt").resolves(true);
+      sandbox
+        .stub(vscode.window, "withProgress")
+        .callsFake((options, task) =>
+          task({ report: sandbox.stub() }, { isCancellationRequested: false }),
+        );
+    });
+
+    test("Should show the output of the picked script as a document", async () => {
+      const script = {
+        name: "regs",
+        filePath: "/test/workspace/.codeforge/gdb-scripts/regs.gdb",
+        commands: ["info registers"],
+      };
+      sandbox
+        .stub(commandHandlers.gdbScriptService, "listScripts")
+        .resolves([script]);
+      const analyze = sandbox
+        .stub(commandHandlers.gdbScriptService, "analyzeCrash")
+        .resolves("rax 0x0 0\n");
+      testEnvironment.vscodeMocks.window.showQuickPick.callsFake(
+        async (items) => items[0],
+      );
+
+      await commandHandlers.handleAnalyzeCrashWithGdbScript(params);
+
+      assert.ok(
+        analyze.calledOnceWith(
+          sinon.match.string,
+          "libfuzzer",
+          params.filePath,
+          script,
+        ),
+      );
+      const { content } =
+        testEnvironment.vscodeMocks.workspace.openTextDocument.firstCall
+          .args[0];
+      assert.ok(content.includes('# GDB script "regs" on crash aaaa11112'));
+      assert.ok(content.endsWith("rax 0x0 0\n"));
+    });
+
+    test("Should save a new script before running it", async () => {
+      sandbox
+        .stub(commandHandlers.gdbScriptService, "listScripts")
+        .resolves([]);
+      const save = sandbox
+        .stub(commandHandlers.gdbScriptService, "saveScript")
+        .callsFake(async (workspacePath, name, commands) => ({
+          name,
+          filePath: `${workspacePath}/.codeforge/gdb-scripts/${name}.gdb`,
+          commands,
+        }));
+      const analyze = sandbox
+        .stub(commandHandlers.gdbScriptService, "analyzeCrash")
+        .resolves("");
+      testEnvironment.vscodeMocks.window.showQuickPick.callsFake(
+        async (items) => items[items.length - 1],
+      );
+      testEnvironment.vscodeMocks.window.showInputBox
+        .onFirstCall()
+        .resolves("locals")
+        .onSecondCall()
+        .resolves("bt; info locals;");
+
+      await commandHandlers.handleAnalyzeCrashWithGdbScript(params);
+
+      assert.ok(
+        save.calledOnceWith(sinon.match.string, "locals", [
+          "bt",
+          "info locals",
+        ]),
+      );
+      assert.strictEqual(analyze.firstCall.args[3].name, "locals");
+    });
+
+    test("Should keep ';' inside strings and brackets in new script commands", () => {
+      assert.deepStrictEqual(
+        commandHandlers.splitGdbCommands(
+          "bt; printf \"a;b\\n\"; call f(); print ';'; print ({int x = 1; x;}); echo it's;",
+        ),
+        [
+          "bt",
+          'printf "a;b\\n"',
+          "call f()",
+          "print ';'",
+          "print ({int x = 1; x;})",
+          "echo it's",
+        ],
+      );
+    });
+  });
+
+  suite("handleEditCrashTriage Command", () => {
+    test("Should store the signature the triage key is computed over", async () => {
+      const metadata = {
+        sanitizer: "AddressSanitizer",
+        bugClass: "heap-buffer-overflow",
+        stack: [
+          { function: "parse_header", file: "/src/parser.c", line: 42 },
+          { function: "LLVMFuzzerTestOneInput", file: "/src/fuzz.c", line: 7 },
+        ],
+      };
+      commandHandlers.fuzzerDiscoveryService.getCachedFuzzer.returns({
+        name: "libfuzzer",
+        crashes: [
+          {
+            id: "aaaa1111",
+            fullHash: "aaaa1111",
+            metadata,
+            triageKey: "libfuzzer:sig",
+            triage: null,
+          },
+        ],
+      });
+      sandbox
+        .stub(
+          commandHandlers.fuzzerDiscoveryService.crashDeduplicationService,
+          "getConfig",
+        )
+        .returns({ enabled: true, signatureFrames: 1 });
+      testEnvironment.vscodeMocks.window.showQuickPick.callsFake(
+        async (items) => items[0],
+      );
+      testEnvironment.vscodeMocks.window.showInputBox.resolves("");
+      const update = sandbox
+        .stub(commandHandlers.crashTriageService, "updateTriage")
+        .callsFake(async (workspacePath, key, fields) => fields);
+
+      await commandHandlers.handleEditCrashTriage({
+        fuzzerName: "libfuzzer",
+        fullHash: "aaaa1111",
+      });
+
+      assert.ok(update.calledOnce);
+      assert.strictEqual(update.firstCall.args[1], "libfuzzer:sig");
+      assert.strictEqual(
+        update.firstCall.args[2].signature,
+        computeCrashSignature(metadata, TRIAGE_SIGNATURE_FRAMES).signature,
+      );
+    });
+  });
+
+  suite("Batch Crash Actions", () => {
+    const crashes = ["aaaa1111", "bbbb2222"].map((hash) => ({
+      id: hash,
+      fullHash: hash,
+      filePath: `/test/workspace/.codeforge/fuzzing/libfuzzer-output/crash-${hash}`,
+    }));
+    const selection = [...crashes, { fullHash: "gone0000" }].map((crash) => ({
+      crashId: crash.id,
+      fullHash: crash.fullHash,
+      fuzzerName: "libfuzzer",
+    }));
+    let withProgress;
+
+    setup(() => {
+      testEnvironment.fuzzerMocks.getCachedFuzzer.callsFake((fuzzerName) => ({
+        name: fuzzerName,
+        preset: "libfuzzer",
+        crashes,
+      }));
+      sandbox.stub(commandHandlers, "ensureInitializedAndBuilt").resolves(true);
+      sandbox.stub(commandHandlers, "handleRefreshFuzzers").resolves();
+      withProgress = sandbox
+        .stub(vscode.window, "withProgress")
+        .callsFake((options, task) =>
+          task({ report: sandbox.stub() }, { isCancellationRequested: false }),
+        );
+    });
+
+    test("handleBatchCrashAction should archive the crashes of a fuzzer at once", async () => {
+      const archive = sandbox
+        .stub(commandHandlers.crashReevaluationService, "archiveCrashes")
+        .resolves(["archived-1", "archived-2"]);
+
+      await commandHandlers.handleBatchCrashAction({
+        action: "archive",
+        crashes: selection,
+      });
+
+      assert.ok(withProgress.calledOnce, "Should show one progress");
+      assert.ok(archive.calledOnce, "Should archive in one container");
+      assert.deepStrictEqual(archive.firstCall.args[2], crashes);
+      assert.ok(
+        testEnvironment.vscodeMocks.window.showInformationMessage.calledWith(
+          "CodeForge: Archived 2 of 2 crash(es)",
+        ),
+        "Should summarize the batch",
+      );
+    });
+
+    test("handleBatchCrashAction should not need valid minimization settings to archive", async () => {
+      testEnvironment.vscodeMocks.workspace.getConfiguration.returns({
+        get: (key, defaultValue) =>
+          key === "fuzzing.crashMinimization.maxTotalTime" ? 0 : defaultValue,
+      });
+      const archive = sandbox
+        .stub(commandHandlers.crashReevaluationService, "archiveCrashes")
+        .resolves(["archived-1", "archived-2"]);
+
+      await commandHandlers.handleBatchCrashAction({
+        action: "archive",
+        crashes: selection,
+      });
+
+      assert.ok(archive.calledOnce);
+      assert.ok(
+        testEnvironment.vscodeMocks.window.showInformationMessage.calledWith(
+          "CodeForge: Archived 2 of 2 crash(es)",
+        ),
+      );
+    });
+
+    test("handleBatchCrashAction should not minimize when minimization is turned off", async () => {
+      testEnvironment.vscodeMocks.workspace.getConfiguration.returns({
+        get: (key, defaultValue) =>
+          key === "fuzzing.minimizeCrashes" ? false : defaultValue,
+      });
+      const minimize = sandbox.stub(
+        commandHandlers.crashMinimizationService,
+        "minimizeCrash",
+      );
+
+      await commandHandlers.handleBatchCrashAction({
+        action: "minimize",
+        crashes: selection,
+      });
+
+      assert.ok(minimize.notCalled);
+      assert.ok(withProgress.notCalled);
+      assert.ok(
+        testEnvironment.vscodeMocks.window.showInformationMessage.calledWith(
+          sinon.match(/codeforge\.fuzzing\.minimizeCrashes/),
+        ),
+      );
+    });
+
+    test("handleBatchCrashAction should continue after a crash fails", async () => {
+      const minimize = sandbox.stub(
+        commandHandlers.crashMinimizationService,
+        "minimizeCrash",
+      );
+      minimize.onFirstCall().rejects(new Error("Crash did not reproduce"));
+      minimize.onSecondCall().resolves({ filePath: "minimized-crash" });
+
+      await commandHandlers.handleBatchCrashAction({
+        action: "minimize",
+        crashes: selection,
+      });
+
+      assert.strictEqual(minimize.callCount, 2);
+      assert.ok(
+        testEnvironment.vscodeMocks.window.showWarningMessage.calledWith(
+          sinon.match(/Minimized 1 of 2 crash\(es\), 1 failed/),
+        ),
+        "Should report the failed crash",
+      );
+      assert.ok(
+        mockOutputChannel.appendLine.calledWith(
+          sinon.match(/crash aaaa1111 of libfuzzer failed/),
+        ),
+        "Should log the failure",
+      );
+    });
+
+    test("handleBatchCrashAction should not delete without confirmation", async () => {
+      const remove = sandbox.stub(
+        commandHandlers.crashReevaluationService,
+        "deleteCrashes",
+      );
+      testEnvironment.vscodeMocks.window.showWarningMessage.resolves(undefined);
+
+      await commandHandlers.handleBatchCrashAction({
+        action: "delete",
+        crashes: selection,
+      });
+
+      assert.ok(remove.notCalled, "Should not delete crashes");
+      assert.ok(withProgress.notCalled, "Should not start the batch");
+    });
+
+    test("handleBatchCrashAction should reject unknown actions", async () => {
+      await commandHandlers.handleBatchCrashAction({
+        action: "rm -rf",
+        crashes: selection,
+      });
+
+      assert.ok(
+        testEnvironment.vscodeMocks.window.showErrorMessage.calledWith(
+          sinon.match(/Unknown batch crash action/),
+        ),
+      );
+      assert.ok(withProgress.notCalled);
+    });
+  });
+
   suite("Fuzzer Command Integration Tests", () => {
     test("Should handle complete fuzzer workflow", async () => {
       // Mock successful initialization for all operations
@@ -0,0 +1,287 @@
+/**
+ * Corpus Explorer Test Suite
+ *
+ * Tests for browsing and editing fuzzer corpora:
+ * - CorpusService - Listing, searching and deleting corpus inputs
+ * - CorpusExplorerPanel - Webview messages, previews and input actions
+ * - RegressionCorpusService - Promoting inputs to regression tests
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { CorpusService } = require("../../src/fuzzing/corpusService");
+const {
+  CorpusExplorerPanel,
+  PREVIEW_BYTES,
+} = require("../../src/ui/corpusExplorerPanel");
+const {
+  RegressionCorpusService,
+} = require("../../src/fuzzing/regressionCorpusService");
+
+suite("Corpus Explorer Test Suite", () => {
+  let workspacePath;
+  let corpusDir;
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-corpus-")),
+    );
+    corpusDir = new CorpusService().getCorpusDirectory(
+      workspacePath,
+      "parser-fuzz",
+    );
+    await fs.mkdir(corpusDir, { recursive: true });
+    await fs.writeFile(path.join(corpusDir, "aaa111"), "GET / HTTP/1.1");
+    await fs.writeFile(path.join(corpusDir, "bbb222"), Buffer.from([0, 1, 2]));
+    await fs.writeFile(path.join(corpusDir, "crash-ccc333"), "boom");
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  function createProcess(code) {
+    const process = new EventEmitter();
+    process.stdout = new EventEmitter();
+    process.stderr = new EventEmitter();
+    setImmediate(() => process.emit("close", code));
+    return process;
+  }
+
+  suite("CorpusService", () => {
+    test("Should list inputs without crash files", async () => {
+      const inputs = await new CorpusService().listInputs(corpusDir);
+
+      assert.deepStrictEqual(
+        inputs.map((input) => [input.name, input.size]).sort(),
+        [
+          ["aaa111", 14],
+          ["bbb222", 3],
+        ],
+      );
+      assert.ok(!isNaN(Date.parse(inputs[0].modified)));
+    });
+
+    test("Should search input names and contents", async () => {
+      const service = new CorpusService();
+
+      assert.deepStrictEqual(await service.searchInputs(corpusDir, "HTTP"), [
+        "aaa111",
+      ]);
+      assert.deepStrictEqual(await service.searchInputs(corpusDir, "BBB"), [
+        "bbb222",
+      ]);
+      assert.deepStrictEqual(await service.searchInputs(corpusDir, "boom"), []);
+    });
+
+    test("Should delete inputs in the container", async () => {
+      const service = new CorpusService();
+      const runStub = sinon
+        .stub(service.dockerOperations, "runDockerCommandWithOutput")
+        .callsFake(() => createProcess(0));
+
+      const deleted = await service.deleteInputs(
+        workspacePath,
+        "parser-fuzz",
+        ["aaa111", "bbb222"],
+        "test-image",
+      );
+
+      assert.strictEqual(deleted, 2);
+      assert.strictEqual(runStub.firstCall.args[1], "test-image");
+      assert.strictEqual(
+        runStub.firstCall.args[2],
+        `cd "${corpusDir}" && rm -f -- "aaa111" "bbb222"`,
+      );
+    });
+
+    test("Should refuse input names that are not plain file names", async () => {
+      const service = new CorpusService();
+      const runStub = sinon.stub(
+        service.dockerOperations,
+        "runDockerCommandWithOutput",
+      );
+
+      await assert.rejects(
+        service.deleteInputs(workspacePath, "parser-fuzz", [
+          "../corpus",
+          '$(rm -rf ~)"',
+        ]),
+        /Invalid corpus input name/,
+      );
+      assert.ok(runStub.notCalled);
+    });
+  });
+
+  suite("CorpusExplorerPanel", () => {
+    let webview;
+    let panel;
+    let actions;
+    let explorer;
+
+    setup(() => {
+      webview = {
+        html: "",
+        cspSource: "vscode-resource:",
+        asWebviewUri: (uri) => uri,
+        onDidReceiveMessage: sinon.stub(),
+        postMessage: sinon.stub().resolves(true),
+      };
+      panel = {
+        webview,
+        reveal: sinon.stub(),
+        onDidDispose: sinon.stub(),
+        dispose: sinon.stub(),
+      };
+      sinon.stub(vscode.window, "createWebviewPanel").returns(panel);
+      sinon.stub(vscode.workspace, "createFileSystemWatcher").returns({
+        onDidCreate: sinon.stub(),
+        onDidDelete: sinon.stub(),
+        dispose: sinon.stub(),
+      });
+      actions = {
+        generateHexDump: sinon
+          .stub()
+          .resolves(
+            "Hex View: aaa111\nFile Size: 14 bytes\n\n00000000  47 45 54  |GET|\n",
+          ),
+        debugInput: sinon.stub().resolves(),
+        promoteInput: sinon.stub().resolves(),
+        openTextReport: sinon.stub().resolves(),
+      };
+      explorer = new CorpusExplorerPanel("/ext", null, actions);
+    });
+
+    async function send(message) {
+      await webview.onDidReceiveMessage.firstCall.args[0](message);
+    }
+
+    test("Should open one panel per fuzzer and send its inputs", async () => {
+      explorer.show(workspacePath, "parser-fuzz");
+      explorer.show(workspacePath, "parser-fuzz");
+      await send({ type: "ready" });
+
+      assert.ok(vscode.window.createWebviewPanel.calledOnce);
+      assert.ok(panel.reveal.calledOnce);
+      assert.ok(webview.html.includes("corpusExplorer.js"));
+
+      const message = webview.postMessage.lastCall.args[0];
+      assert.strictEqual(message.type, "inputs");
+      assert.strictEqual(
+        message.corpusDirectory,
+        path.join(".codeforge", "fuzzing", "parser-fuzz-output", "corpus"),
+      );
+      assert.deepStrictEqual(message.inputs.map((input) => input.name).sort(), [
+        "aaa111",
+        "bbb222",
+      ]);
+    });
+
+    test("Should preview inputs with the hex dump of their first bytes", async () => {
+      explorer.show(workspacePath, "parser-fuzz");
+      await send({ type: "ready" });
+      await send({ type: "preview", name: "aaa111" });
+
+      assert.ok(
+        actions.generateHexDump.calledWith(
+          path.join(corpusDir, "aaa111"),
+          PREVIEW_BYTES,
+        ),
+      );
+      assert.deepStrictEqual(webview.postMessage.lastCall.args[0], {
+        type: "preview",
+        name: "aaa111",
+        hexDump: "00000000  47 45 54  |GET|\n",
+      });
+    });
+
+    test("Should pass input paths to the GDB and regression actions", async () => {
+      explorer.show(workspacePath, "parser-fuzz");
+      await send({ type: "ready" });
+      await send({ type: "debug", name: "bbb222" });
+      await send({ type: "promote", name: "aaa111" });
+
+      assert.ok(
+        actions.debugInput.calledWith(
+          "parser-fuzz",
+          path.join(corpusDir, "bbb222"),
+        ),
+      );
+      assert.ok(
+        actions.promoteInput.calledWith(
+          "parser-fuzz",
+          path.join(corpusDir, "aaa111"),
+        ),
+      );
+    });
+
+    test("Should reject names that are not in the corpus", async () => {
+      explorer.show(workspacePath, "parser-fuzz");
+      await send({ type: "ready" });
+      await send({ type: "debug", name: "../../../etc/passwd" });
+
+      assert.ok(actions.debugInput.notCalled);
+      assert.strictEqual(webview.postMessage.lastCall.args[0].type, "error");
+    });
+
+    test("Should delete inputs only after confirmation", async () => {
+      const warningStub = sinon.stub(vscode.window, "showWarningMessage");
+      const deleteStub = sinon
+        .stub(explorer.corpusService, "deleteInputs")
+        .resolves(1);
+      explorer.show(workspacePath, "parser-fuzz");
+      await send({ type: "ready" });
+
+      warningStub.resolves(undefined);
+      await send({ type: "delete", names: ["aaa111"] });
+      assert.ok(deleteStub.notCalled);
+
+      warningStub.resolves("Delete");
+      await send({ type: "delete", names: ["aaa111"] });
+      assert.ok(
+        deleteStub.calledWith(workspacePath, "parser-fuzz", ["aaa111"]),
+      );
+    });
+  });
+
+  suite("RegressionCorpusService", () => {
+    test("Should save an input once under its SHA-1", async () => {
+      const service = new RegressionCorpusService();
+      const inputPath = path.join(corpusDir, "aaa111");
+
+      const first = await service.saveInput(
+        workspacePath,
+        "parser-fuzz",
+        inputPath,
+      );
+      const second = await service.saveInput(
+        workspacePath,
+        "parser-fuzz",
+        inputPath,
+      );
+
+      assert.strictEqual(
+        first.filePath,
+        path.join(
+          workspacePath,
+          ".codeforge",
+          "regressions",
+          "parser-fuzz",
+          "237e1da92209c64fdb32ffc52cdef59b29405a2f",
+        ),
+      );
+      assert.strictEqual(first.duplicate, false);
+      assert.strictEqual(second.duplicate, true);
+      assert.strictEqual(
+        await fs.readFile(first.filePath, "utf8"),
+        "GET / HTTP/1.1",
+      );
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Corpus Minimization Test Suite
+ *
+ * Tests for CorpusMinimizationService:
+ * - Container scripts for libFuzzer -merge=1 and cargo fuzz cmin
+ * - Merging other corpus directories and tar exports
+ * - Before/after corpus statistics
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  CorpusMinimizationService,
+} = require("../../src/fuzzing/corpusMinimizationService");
+
+suite("Corpus Minimization Test Suite", () => {
+  let workspacePath;
+  let service;
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-minimize-")),
+    );
+    service = new CorpusMinimizationService();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  async function writeCorpus(files) {
+    const corpusDir = service.corpusService.getCorpusDirectory(
+      workspacePath,
+      "parser-fuzz",
+    );
+    await fs.mkdir(corpusDir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(corpusDir, name), content);
+    }
+    return corpusDir;
+  }
+
+  test("Should merge into a fresh directory and swap it in for CMake fuzzers", () => {
+    const script = service.buildMinimizeScript(workspacePath, {
+      name: "parser-fuzz",
+      preset: "debug",
+      executable: "/ws/.codeforge/fuzzing/parser-fuzz",
+    });
+    const lines = script.split("\n");
+
+    assert.ok(
+      script.includes(
+        '"$BIN" -merge=1 -detect_leaks=0 "$WORK/minimized" "$WORK/inputs"',
+      ),
+    );
+    assert.ok(script.includes("! -name 'crash-*'"));
+    assert.ok(!script.includes("cargo fuzz"));
+
+    // Crash inputs are carried over before the minimized corpus replaces the old one
+    const keepIndex = lines.findIndex((line) =>
+      line.includes("\\( -name 'crash-*' -o"),
+    );
+    const swapIndex = lines.indexOf('mv "$CORPUS" "$WORK/previous"');
+    assert.ok(keepIndex > 0 && keepIndex < swapIndex);
+    assert.strictEqual(
+      lines[swapIndex + 1],
+      'mv "$WORK/minimized" "$CORPUS" || { mv "$WORK/previous" "$CORPUS"; exit 1; }',
+    );
+  });
+
+  test("Should use cargo fuzz cmin for Rust fuzzers", () => {
+    const script = service.buildMinimizeScript(workspacePath, {
+      name: "fuzz_target_1",
+      preset: "",
+    });
+
+    assert.ok(
+      script.includes('cargo fuzz cmin "fuzz_target_1" "$WORK/minimized"'),
+    );
+    assert.ok(!script.includes("-merge=1"));
+  });
+
+  test("Should mount merge sources read-only and unpack archives", async () => {
+    await writeCorpus({ a: "1" });
+    sinon
+      .stub(service.fuzzerResolver, "resolveFuzzerExecutable")
+      .resolves("/ws/.codeforge/fuzzing/parser-fuzz");
+    const executeStub = sinon.stub(service, "executeMinimizeScript").resolves();
+
+    await service.minimizeCorpus(
+      workspacePath,
+      { name: "parser-fuzz", preset: "debug" },
+      ["/home/teammate/corpus", "/tmp/export.tar.gz"],
+      "test-image",
+    );
+
+    const [, script, imageName, dockerArgs] = executeStub.firstCall.args;
+    assert.strictEqual(imageName, "test-image");
+    assert.deepStrictEqual(dockerArgs, [
+      "-v",
+      "/home/teammate/corpus:/codeforge-merge/0:ro",
+      "-v",
+      "/tmp/export.tar.gz:/codeforge-merge/1:ro",
+    ]);
+    assert.ok(
+      script.includes('tar -xf "/codeforge-merge/1" -C "$WORK/merge-1"'),
+    );
+    assert.ok(
+      script.includes(
+        '"$WORK/inputs" "/codeforge-merge/0" "$WORK/merge-1" >&2',
+      ),
+    );
+    assert.throws(
+      () => service.getMergeMounts(["/tmp/a:b"]),
+      /path contains ":"/,
+    );
+  });
+
+  test("Should report corpus statistics before and after minimizing", async () => {
+    const corpusDir = await writeCorpus({
+      a: "1234",
+      b: "56",
+      c: "7",
+      "crash-deadbeef": "boom",
+    });
+    sinon.stub(service, "executeMinimizeScript").callsFake(async () => {
+      await fs.rm(path.join(corpusDir, "b"));
+      await fs.rm(path.join(corpusDir, "c"));
+    });
+
+    const result = await service.minimizeCorpus(
+      workspacePath,
+      { name: "parser-fuzz", preset: "" },
+      [],
+      "test-image",
+    );
+
+    assert.deepStrictEqual(result, {
+      before: { files: 3, size: 7 },
+      after: { files: 1, size: 4 },
+    });
+  });
+
+  test("Should refuse to minimize an empty corpus", async () => {
+    const executeStub = sinon.stub(service, "executeMinimizeScript");
+
+    await assert.rejects(
+      service.minimizeCorpus(
+        workspacePath,
+        { name: "parser-fuzz", preset: "debug" },
+        [],
+        "test-image",
+      ),
+      /parser-fuzz has no corpus yet/,
+    );
+    assert.ok(executeStub.notCalled);
+  });
+
+  test("Should wrap script failures", async () => {
+    await writeCorpus({ a: "1" });
+    sinon
+      .stub(service, "executeMinimizeScript")
+      .rejects(new Error("Minimization script exited with code 1: no fuzzer"));
+    sinon.stub(console, "error");
+
+    await assert.rejects(
+      service.minimizeCorpus(
+        workspacePath,
+        { name: "parser-fuzz", preset: "" },
+        [],
+        "test-image",
+      ),
+      /Corpus minimization failed: Minimization script exited with code 1/,
+    );
+  });
+});
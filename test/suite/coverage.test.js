@@ -0,0 +1,251 @@
+/**
+ * Fuzzing Coverage Test Suite
+ *
+ * Tests for source coverage of fuzzing corpora:
+ * - parseLcov - Line hit counts and per-file percentages
+ * - CoverageService - Container scripts and loading mapped reports
+ * - CoverageDecorationProvider - Gutter decorations for covered/uncovered lines
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  parseLcov,
+  summarizeCoverage,
+} = require("../../src/fuzzing/lcovParser");
+const { CoverageService } = require("../../src/fuzzing/coverageService");
+const {
+  CoverageDecorationProvider,
+} = require("../../src/ui/coverageDecorationProvider");
+
+suite("Fuzzing Coverage Test Suite", () => {
+  let workspacePath;
+
+  function lcovFor(parserPath) {
+    return [
+      "TN:",
+      `SF:${parserPath}`,
+      "FN:10,parse_header",
+      "DA:10,4",
+      "DA:11,4",
+      "DA:12,0",
+      "DA:13,0",
+      "LF:4",
+      "LH:2",
+      "end_of_record",
+      "SF:/usr/include/string.h",
+      "DA:5,1",
+      "end_of_record",
+      `SF:${path.join(workspacePath, ".codeforge", "coverage", "gen.c")}`,
+      "DA:1,1",
+      "end_of_record",
+    ].join("\n");
+  }
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-coverage-")),
+    );
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  suite("parseLcov", () => {
+    test("Should parse line hits and compute percentages", () => {
+      const [file] = parseLcov(lcovFor("/src/parser.c"));
+
+      assert.strictEqual(file.file, "/src/parser.c");
+      assert.strictEqual(file.lines.get(10), 4);
+      assert.strictEqual(file.lines.get(12), 0);
+      assert.strictEqual(file.linesFound, 4);
+      assert.strictEqual(file.linesHit, 2);
+      assert.strictEqual(file.percent, 50);
+    });
+
+    test("Should sum hits of files listed in several records", () => {
+      const files = parseLcov(
+        "SF:/src/a.c\nDA:1,0\nDA:2,1\nend_of_record\nSF:/src/a.c\nDA:1,3\nend_of_record\n",
+      );
+
+      assert.strictEqual(files.length, 1);
+      assert.strictEqual(files[0].lines.get(1), 3);
+      assert.strictEqual(files[0].percent, 100);
+    });
+
+    test("Should summarize totals across files", () => {
+      const totals = summarizeCoverage(
+        parseLcov(
+          "SF:/a.c\nDA:1,1\nDA:2,0\nend_of_record\nSF:/b.c\nDA:1,0\nend_of_record",
+        ),
+      );
+
+      assert.deepStrictEqual(totals, {
+        linesFound: 3,
+        linesHit: 1,
+        percent: 33.3,
+      });
+    });
+  });
+
+  suite("CoverageService", () => {
+    test("Should build an instrumented preset build for CMake fuzzers", () => {
+      const service = new CoverageService();
+      const script = service.buildCoverageScript(workspacePath, {
+        name: "example-fuzz",
+        preset: "debug",
+      });
+
+      assert.ok(script.includes('cmake --preset "debug"'));
+      assert.ok(script.includes("-DCMAKE_PROJECT_INCLUDE="));
+      assert.ok(script.includes("-fprofile-instr-generate -fcoverage-mapping"));
+      assert.ok(script.includes("-runs=0"));
+      assert.ok(script.includes("llvm-cov export -format=lcov"));
+      assert.ok(script.includes("! -name 'crash-*'"));
+      assert.ok(!script.includes("cargo fuzz"));
+    });
+
+    test("Should use cargo fuzz coverage for Rust fuzzers", () => {
+      const service = new CoverageService();
+      const script = service.buildCoverageScript(workspacePath, {
+        name: "fuzz_target_1",
+        preset: "",
+      });
+
+      assert.ok(script.includes('cargo fuzz coverage "fuzz_target_1"'));
+      assert.ok(script.includes("export -format=lcov"));
+      assert.ok(!script.includes("cmake"));
+    });
+
+    test("Should replay the corpus from the configured output directory", () => {
+      sinon.stub(vscode.workspace, "getConfiguration").returns({
+        get: (key, defaultValue) =>
+          key === "fuzzing.outputDirectory" ? "out/fuzz" : defaultValue,
+      });
+      const service = new CoverageService();
+      const script = service.buildCoverageScript(workspacePath, {
+        name: "example-fuzz",
+        preset: "debug",
+      });
+
+      const corpusDir = path.join(
+        workspacePath,
+        "out",
+        "fuzz",
+        "example-fuzz-output",
+        "corpus",
+      );
+      assert.ok(script.includes(`find "${corpusDir}" -maxdepth 1`));
+      assert.ok(!script.includes(".codeforge/fuzzing"));
+    });
+
+    test("Should load the report with host paths inside the workspace", async () => {
+      const service = new CoverageService();
+      const parserPath = path.join(workspacePath, "src", "parser.c");
+      const coverageDir = service.getCoverageDirectory(
+        workspacePath,
+        "example-fuzz",
+      );
+      await fs.mkdir(coverageDir, { recursive: true });
+      await fs.writeFile(
+        path.join(coverageDir, "coverage.lcov"),
+        lcovFor(parserPath),
+      );
+
+      const report = await service.loadCoverage(workspacePath, "example-fuzz");
+
+      assert.strictEqual(report.fuzzerName, "example-fuzz");
+      assert.strictEqual(report.files.length, 1);
+      assert.strictEqual(report.files[0].filePath, parserPath);
+      assert.deepStrictEqual(report.totals, {
+        linesFound: 4,
+        linesHit: 2,
+        percent: 50,
+      });
+    });
+
+    test("Should return null when no report exists", async () => {
+      const service = new CoverageService();
+      assert.strictEqual(
+        await service.loadCoverage(workspacePath, "example-fuzz"),
+        null,
+      );
+    });
+
+    test("Should wrap script failures", async () => {
+      const service = new CoverageService();
+      sinon
+        .stub(service, "executeCoverageScript")
+        .rejects(new Error("Coverage script exited with code 1: no corpus"));
+      sinon.stub(console, "error");
+
+      await assert.rejects(
+        service.generateCoverage(
+          workspacePath,
+          { name: "example-fuzz", preset: "debug" },
+          "test-image",
+        ),
+        /Coverage generation failed: Coverage script exited with code 1/,
+      );
+    });
+  });
+
+  suite("CoverageDecorationProvider", () => {
+    function createEditor(filePath) {
+      return {
+        document: { uri: vscode.Uri.file(filePath), lineCount: 20 },
+        setDecorations: sinon.stub(),
+      };
+    }
+
+    test("Should decorate covered and uncovered lines of reported files", () => {
+      const provider = new CoverageDecorationProvider(workspacePath);
+      const parserPath = path.join(workspacePath, "src", "parser.c");
+      const [file] = parseLcov(lcovFor(parserPath));
+      provider.showCoverage({
+        fuzzerName: "example-fuzz",
+        files: [{ ...file, filePath: parserPath }],
+        totals: summarizeCoverage([file]),
+      });
+
+      const editor = createEditor(parserPath);
+      provider.applyToEditor(editor);
+
+      const covered = editor.setDecorations.firstCall.args[1];
+      const uncovered = editor.setDecorations.secondCall.args[1];
+      assert.strictEqual(
+        editor.setDecorations.firstCall.args[0],
+        provider.coveredDecoration,
+      );
+      assert.deepStrictEqual(
+        covered.map((decoration) => decoration.range.start.line),
+        [9, 10],
+      );
+      assert.deepStrictEqual(
+        uncovered.map((decoration) => decoration.range.start.line),
+        [11, 12],
+      );
+      assert.ok(covered[0].hoverMessage.includes("Reached 4 times"));
+
+      provider.dispose();
+    });
+
+    test("Should clear decorations of files without coverage", () => {
+      const provider = new CoverageDecorationProvider(workspacePath);
+      const editor = createEditor(path.join(workspacePath, "src", "other.c"));
+
+      provider.applyToEditor(editor);
+
+      assert.deepStrictEqual(editor.setDecorations.firstCall.args[1], []);
+      assert.deepStrictEqual(editor.setDecorations.secondCall.args[1], []);
+
+      provider.dispose();
+    });
+  });
+});
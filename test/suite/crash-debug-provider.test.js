@@ -0,0 +1,296 @@
+/**
+ * Crash Debug Configuration Provider Test Suite
+ *
+ * Tests for the "codeforge" debug type:
+ * - Turning a fuzzer/crash configuration into a CodeLLDB or Native Debug one
+ * - Debugging rr replays of crashes
+ * - Source path substitutions between container and host
+ * - Waiting for gdbserver and refusing unusable crashes
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const vscode = require("vscode");
+const { EventEmitter } = require("events");
+const {
+  CrashDebugConfigurationProvider,
+} = require("../../src/ui/crashDebugConfigurationProvider");
+
+suite("Crash Debug Configuration Provider Test Suite", () => {
+  const workspacePath = "/home/user/project";
+  const folder = { uri: { fsPath: workspacePath }, name: "project", index: 0 };
+  const crashHash = "0123456789abcdef0123456789abcdef01234567";
+  let provider;
+  let sandbox;
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(vscode.window, "showErrorMessage");
+    provider = new CrashDebugConfigurationProvider();
+    sandbox.stub(provider.launchConfigManager, "checkFuzzerExists").resolves({
+      exists: true,
+      path: `${workspacePath}/build/fuzz/parser-fuzz`,
+    });
+  });
+
+  teardown(() => {
+    sandbox.restore();
+  });
+
+  function stubExtensions(codeLLDB, nativeDebug) {
+    sandbox
+      .stub(provider.launchConfigManager, "detectDebugExtensions")
+      .returns({
+        codeLLDB,
+        nativeDebug,
+        preferredExtension: codeLLDB
+          ? "codeLLDB"
+          : nativeDebug
+            ? "nativeDebug"
+            : null,
+      });
+  }
+
+  function crashConfig(extra = {}) {
+    return {
+      type: "codeforge",
+      request: "launch",
+      name: "Debug Crash: parser-fuzz - 012345678",
+      fuzzer: "parser-fuzz",
+      crash: `${workspacePath}/.codeforge/fuzzing/parser-fuzz-output/crash-${crashHash}`,
+      ...extra,
+    };
+  }
+
+  function fakeProcess() {
+    const process = new EventEmitter();
+    process.stdout = new EventEmitter();
+    process.stderr = new EventEmitter();
+    process.killed = false;
+    process.kill = sinon.stub().callsFake(() => {
+      process.killed = true;
+    });
+    return process;
+  }
+
+  test("Should attach CodeLLDB to gdbserver when it is installed", async () => {
+    stubExtensions(true, true);
+    const startGdbServer = sandbox.stub(provider, "startGdbServer").resolves({
+      hostPort: 2003,
+      containerName: "project_gdbserver_1",
+      process: fakeProcess(),
+    });
+
+    const config = await provider.resolveDebugConfiguration(
+      folder,
+      crashConfig(),
+    );
+
+    assert.ok(
+      startGdbServer.calledOnceWith(workspacePath, "parser-fuzz", crashHash),
+    );
+    assert.strictEqual(config.type, "lldb");
+    assert.strictEqual(config.name, "Debug Crash: parser-fuzz - 012345678");
+    assert.deepStrictEqual(config.processCreateCommands, [
+      "gdb-remote localhost:2003",
+    ]);
+    assert.strictEqual(
+      config.program,
+      `${workspacePath}/build/fuzz/parser-fuzz`,
+    );
+    // The workspace has the same path in the container
+    assert.strictEqual(config.sourceMap, undefined);
+    assert.deepStrictEqual(config.codeforge, {
+      fuzzer: "parser-fuzz",
+      crashHash,
+      hostPort: 2003,
+      containerName: "project_gdbserver_1",
+    });
+  });
+
+  test("Should remove the gdbserver container when the session ends", async () => {
+    stubExtensions(true, false);
+    const server = {
+      hostPort: 2004,
+      containerName: "project_gdbserver_2",
+      process: fakeProcess(),
+    };
+    sandbox.stub(provider, "startGdbServer").resolves(server);
+    const stopGdbServer = sandbox
+      .stub(provider.gdbServerLauncher, "stopGdbServer")
+      .resolves(true);
+    sandbox.stub(provider.launchConfigManager, "configExists").resolves(true);
+    const removeGdbConfig = sandbox
+      .stub(provider.launchConfigManager, "removeGdbConfig")
+      .resolves({ success: true });
+
+    const configuration = await provider.resolveDebugConfiguration(
+      folder,
+      crashConfig(),
+    );
+    const session = { name: configuration.name, configuration };
+
+    assert.strictEqual(
+      await provider.handleSessionTerminated({
+        name: "Other",
+        configuration: { type: "node" },
+      }),
+      false,
+    );
+    assert.ok(stopGdbServer.notCalled);
+
+    assert.strictEqual(await provider.handleSessionTerminated(session), true);
+    assert.strictEqual(
+      stopGdbServer.firstCall.args[0].containerName,
+      "project_gdbserver_2",
+    );
+    assert.ok(
+      removeGdbConfig.calledOnceWith(workspacePath, configuration.name),
+    );
+
+    // A second terminate event for the same session is ignored
+    assert.strictEqual(await provider.handleSessionTerminated(session), false);
+    assert.ok(stopGdbServer.calledOnce);
+  });
+
+  test("Should debug an rr replay when the configuration asks for rr", async () => {
+    stubExtensions(false, true);
+    const startGdbServer = sandbox
+      .stub(provider, "startGdbServer")
+      .resolves({ hostPort: 2005, process: fakeProcess() });
+
+    const config = await provider.resolveDebugConfiguration(
+      folder,
+      crashConfig({ rr: true }),
+    );
+
+    assert.deepStrictEqual(startGdbServer.firstCall.args[3], {
+      recordWithRr: true,
+    });
+    assert.strictEqual(config.target, ":2005");
+  });
+
+  test("Should fall back to Native Debug with path substitutions", async () => {
+    stubExtensions(false, true);
+    sandbox
+      .stub(provider, "startGdbServer")
+      .resolves({ hostPort: 2000, process: fakeProcess() });
+
+    const config = await provider.resolveDebugConfiguration(
+      folder,
+      crashConfig({ crash: crashHash, sourceMap: { "/src": "/opt/src" } }),
+    );
+
+    assert.strictEqual(config.type, "gdb");
+    assert.strictEqual(config.request, "attach");
+    assert.strictEqual(config.target, ":2000");
+    assert.deepStrictEqual(config.pathSubstitutions, { "/src": "/opt/src" });
+  });
+
+  test("Should map the fuzzer path back to a Windows host", () => {
+    assert.strictEqual(
+      provider.mapProgramPath(
+        "/Users/dev/project/build/fuzz",
+        "C:/Users/dev/project",
+      ),
+      "C:/Users/dev/project/build/fuzz",
+    );
+  });
+
+  test("Should attach the C/C++ debugger when cpptools is installed", async () => {
+    sandbox
+      .stub(provider.launchConfigManager, "detectDebugExtensions")
+      .returns({
+        cppTools: true,
+        codeLLDB: true,
+        nativeDebug: false,
+        preferredExtension: "cppTools",
+      });
+    sandbox
+      .stub(provider, "startGdbServer")
+      .resolves({ hostPort: 2001, process: fakeProcess() });
+
+    const config = await provider.resolveDebugConfiguration(
+      folder,
+      crashConfig({ sourceMap: { "/src": "/opt/src" } }),
+    );
+
+    assert.strictEqual(config.type, "cppdbg");
+    assert.strictEqual(config.miDebuggerServerAddress, "localhost:2001");
+    assert.deepStrictEqual(config.sourceFileMap, { "/src": "/opt/src" });
+    assert.strictEqual(provider.selectDebugger("lldb"), "lldb");
+    assert.strictEqual(provider.selectDebugger("gdb"), null);
+  });
+
+  test("Should not start gdbserver for crashes that are not a hash", async () => {
+    stubExtensions(true, false);
+    const startGdbServer = sandbox.stub(provider, "startGdbServer");
+
+    const config = await provider.resolveDebugConfiguration(
+      folder,
+      crashConfig({ crash: "crash-abc; rm -rf /" }),
+    );
+
+    assert.strictEqual(config, undefined);
+    assert.ok(startGdbServer.notCalled);
+    assert.ok(
+      vscode.window.showErrorMessage.firstCall.args[0].includes(
+        "Invalid crash",
+      ),
+    );
+  });
+
+  test("Should abort when no debugger extension is installed", async () => {
+    stubExtensions(false, false);
+    const startGdbServer = sandbox.stub(provider, "startGdbServer");
+
+    const config = await provider.resolveDebugConfiguration(
+      folder,
+      crashConfig(),
+    );
+
+    assert.strictEqual(config, undefined);
+    assert.ok(startGdbServer.notCalled);
+    assert.ok(
+      vscode.window.showErrorMessage.firstCall.args[0].includes("CodeLLDB"),
+    );
+  });
+
+  test("Should wait until gdbserver listens", async () => {
+    const process = fakeProcess();
+
+    const ready = provider.waitForGdbServer(process, 1000);
+    process.stderr.emit(
+      "data",
+      Buffer.from("Process /fuzz created; pid = 7\n"),
+    );
+    process.stderr.emit("data", Buffer.from("Listening on port 2000\n"));
+
+    await ready;
+    assert.strictEqual(process.listenerCount("close"), 0);
+  });
+
+  test("Should wait until the rr replay accepts a debugger", async () => {
+    const process = fakeProcess();
+
+    const ready = provider.waitForGdbServer(process, 1000);
+    process.stderr.emit(
+      "data",
+      Buffer.from(
+        "Launch gdb with\n  gdb '-l' '10000' '-ex' 'target extended-remote 0.0.0.0:2000'\n",
+      ),
+    );
+
+    await ready;
+  });
+
+  test("Should fail when gdbserver exits before listening", async () => {
+    const process = fakeProcess();
+
+    const ready = provider.waitForGdbServer(process, 1000);
+    process.stdout.emit("data", Buffer.from("Fuzzer not found\n"));
+    process.emit("close", 1);
+
+    await assert.rejects(ready, /exited with code 1[\s\S]*Fuzzer not found/);
+  });
+});
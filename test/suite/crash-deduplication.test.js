@@ -0,0 +1,335 @@
+/**
+ * CrashDeduplicationService Test Suite
+ *
+ * Tests for grouping crash inputs by stack signature:
+ * - groupCrashes - Bucketing, hit counts, severity and fallback groups
+ * - FuzzerDiscoveryService integration - crash metadata and crashGroups on fuzzer objects,
+ *   reports generated in the background
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  CrashDeduplicationService,
+} = require("../../src/fuzzing/crashDeduplicationService");
+const {
+  FuzzerDiscoveryService,
+} = require("../../src/fuzzing/fuzzerDiscoveryService");
+const {
+  parseSanitizerReport,
+} = require("../../src/fuzzing/sanitizerReportParser");
+
+function asanReport(bugClass, topFunction) {
+  return `
+==1==ERROR: AddressSanitizer: ${bugClass} on address 0x602000000011
+    #0 0x4f8b2a in ${topFunction} /workspace/src/parser.c:42:7
+    #1 0x4f8c10 in LLVMFuzzerTestOneInput /workspace/fuzz/fuzz.c:12:3
+SUMMARY: AddressSanitizer: ${bugClass} /workspace/src/parser.c:42:7 in ${topFunction}
+`;
+}
+
+suite("CrashDeduplicationService Test Suite", () => {
+  let workspacePath;
+  let outputDir;
+  let service;
+
+  function makeCrash(hash, createdAt, fileSize = 10) {
+    return {
+      id: `crash-${hash.substring(0, 8)}`,
+      fullHash: hash,
+      fileName: `crash-${hash}`,
+      filePath: path.join(outputDir, `crash-${hash}`),
+      fileSize,
+      createdAt,
+      fuzzerName: "example-fuzz",
+    };
+  }
+
+  setup(async () => {
+    workspacePath = await fs.mkdtemp(
+      path.join(os.tmpdir(), "codeforge-dedup-"),
+    );
+    outputDir = path.join(
+      workspacePath,
+      ".codeforge",
+      "fuzzing",
+      "example-fuzz-output",
+    );
+    await fs.mkdir(outputDir, { recursive: true });
+    service = new CrashDeduplicationService();
+    sinon.stub(service, "getConfig").returns({
+      enabled: true,
+      signatureFrames: 3,
+    });
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  suite("groupCrashes", () => {
+    test("Should bucket crashes with the same signature", async () => {
+      const reports = {
+        aaaa1111: asanReport("heap-buffer-overflow", "parse_header"),
+        bbbb2222: asanReport("heap-buffer-overflow", "parse_header"),
+        cccc3333: asanReport("heap-use-after-free", "free_message"),
+      };
+      sinon
+        .stub(service.crashReportService, "generateCrashReport")
+        .callsFake(async (ws, fuzzer, hash) => reports[hash]);
+
+      const groups = await service.groupCrashes(
+        workspacePath,
+        "example-fuzz",
+        [
+          makeCrash("aaaa1111", "2025-01-01T10:00:00.000Z", 40),
+          makeCrash("bbbb2222", "2025-01-02T10:00:00.000Z", 12),
+          makeCrash("cccc3333", "2025-01-01T12:00:00.000Z"),
+        ],
+        "test-image",
+      );
+
+      assert.strictEqual(groups.length, 2);
+
+      const overflow = groups[0];
+      assert.strictEqual(overflow.bugClass, "heap-buffer-overflow");
+      assert.strictEqual(overflow.hitCount, 2);
+      assert.strictEqual(overflow.frames[0].function, "parse_header");
+      assert.strictEqual(overflow.representative.fullHash, "bbbb2222");
+      assert.strictEqual(overflow.firstSeen, "2025-01-01T10:00:00.000Z");
+      assert.strictEqual(overflow.lastSeen, "2025-01-02T10:00:00.000Z");
+
+      assert.strictEqual(groups[1].bugClass, "heap-use-after-free");
+      assert.strictEqual(groups[1].hitCount, 1);
+    });
+
+    test("Should use metadata already attached to crashes", async () => {
+      const generateStub = sinon.stub(
+        service.crashReportService,
+        "generateCrashReport",
+      );
+      const crash = {
+        ...makeCrash("aaaa1111", "2025-01-01T10:00:00.000Z"),
+        metadata: parseSanitizerReport(
+          asanReport("heap-buffer-overflow", "parse_header"),
+        ),
+      };
+      const failedCrash = {
+        ...makeCrash("bbbb2222", "2025-01-02T10:00:00.000Z"),
+        metadata: null,
+      };
+
+      const groups = await service.groupCrashes(
+        workspacePath,
+        "example-fuzz",
+        [crash, failedCrash],
+        "test-image",
+      );
+
+      assert.ok(generateStub.notCalled, "Reports should not be regenerated");
+      assert.strictEqual(groups.length, 2);
+      assert.strictEqual(groups[1].bugClass, "heap-buffer-overflow");
+      assert.strictEqual(groups[0].sanitizer, "unknown");
+    });
+
+    test("Should rate a group by its most severe crash", async () => {
+      const readReport = asanReport("heap-buffer-overflow", "parse_header");
+      const writeReport = readReport.replace(
+        "0x602000000011",
+        "0x602000000011\nWRITE of size 8 at 0x602000000011 thread T0",
+      );
+      const reports = { aaaa1111: readReport, bbbb2222: writeReport };
+      sinon
+        .stub(service.crashReportService, "generateCrashReport")
+        .callsFake(async (ws, fuzzer, hash) => reports[hash]);
+
+      const groups = await service.groupCrashes(
+        workspacePath,
+        "example-fuzz",
+        [
+          makeCrash("aaaa1111", "2025-01-01T10:00:00.000Z"),
+          makeCrash("bbbb2222", "2025-01-02T10:00:00.000Z"),
+        ],
+        "test-image",
+      );
+
+      assert.strictEqual(groups.length, 1);
+      assert.strictEqual(groups[0].severity, "critical");
+    });
+
+    test("Should keep crashes whose report fails as separate groups", async () => {
+      sinon
+        .stub(service.crashReportService, "generateCrashReport")
+        .rejects(new Error("fuzzer binary missing"));
+      sinon.stub(console, "warn");
+
+      const groups = await service.groupCrashes(
+        workspacePath,
+        "example-fuzz",
+        [
+          makeCrash("aaaa1111", "2025-01-01T10:00:00.000Z"),
+          makeCrash("bbbb2222", "2025-01-02T10:00:00.000Z"),
+        ],
+        "test-image",
+      );
+
+      assert.strictEqual(groups.length, 2);
+      assert.ok(groups.every((group) => group.sanitizer === "unknown"));
+      assert.ok(groups.every((group) => group.hitCount === 1));
+    });
+
+    test("Should not generate reports for crashes without a hash", async () => {
+      const generateStub = sinon.stub(
+        service.crashReportService,
+        "generateCrashReport",
+      );
+
+      const groups = await service.groupCrashes(
+        workspacePath,
+        "example-fuzz",
+        [{ id: "crash-123", filePath: "/path/to/crash-123" }],
+        "test-image",
+      );
+
+      assert.ok(generateStub.notCalled);
+      assert.strictEqual(groups.length, 1);
+      assert.strictEqual(groups[0].signature, "unknown:crash-123");
+    });
+
+    test("Should return empty array when there are no crashes", async () => {
+      const groups = await service.groupCrashes(
+        workspacePath,
+        "example-fuzz",
+        [],
+      );
+      assert.deepStrictEqual(groups, []);
+    });
+  });
+
+  suite("FuzzerDiscoveryService integration", () => {
+    test("Should attach crash metadata and groups to fuzzer objects", async () => {
+      const discoveryService = new FuzzerDiscoveryService();
+      const metadata = parseSanitizerReport(
+        asanReport("heap-buffer-overflow", "parse_header"),
+      );
+      const metadataStub = sinon
+        .stub(discoveryService.crashReportService, "readCachedMetadata")
+        .resolves({ metadata, needsReport: false });
+      sinon
+        .stub(discoveryService.crashDeduplicationService, "getConfig")
+        .returns({ enabled: true, signatureFrames: 3 });
+      const groupStub = sinon
+        .stub(discoveryService.crashDeduplicationService, "groupCrashes")
+        .resolves([{ signatureId: "abc", hitCount: 1 }]);
+      const crash = makeCrash("aaaa1111", "2025-01-01T10:00:00.000Z");
+
+      const fuzzers = await discoveryService.buildFuzzerObjects(
+        workspacePath,
+        [{ preset: "debug", fuzzer: "example-fuzz" }],
+        [{ fuzzerName: "example-fuzz", crashes: [crash] }],
+        "test-image",
+      );
+
+      assert.ok(metadataStub.calledOnce);
+      assert.strictEqual(fuzzers[0].crashes[0].metadata, metadata);
+      assert.strictEqual(discoveryService.pendingCrashMetadata.size, 0);
+      assert.ok(groupStub.calledOnce);
+      assert.strictEqual(groupStub.firstCall.args[2][0].metadata, metadata);
+      assert.deepStrictEqual(fuzzers[0].crashGroups, [
+        { signatureId: "abc", hitCount: 1 },
+      ]);
+    });
+
+    test("Should skip grouping when deduplication is disabled", async () => {
+      const discoveryService = new FuzzerDiscoveryService();
+      const batchStub = sinon.stub(
+        discoveryService.crashReportService,
+        "generateCrashMetadataBatch",
+      );
+      sinon
+        .stub(discoveryService.crashDeduplicationService, "getConfig")
+        .returns({ enabled: false, signatureFrames: 3 });
+      const groupStub = sinon.stub(
+        discoveryService.crashDeduplicationService,
+        "groupCrashes",
+      );
+
+      const fuzzers = await discoveryService.buildFuzzerObjects(
+        workspacePath,
+        [{ preset: "debug", fuzzer: "example-fuzz" }],
+        [
+          {
+            fuzzerName: "example-fuzz",
+            crashes: [makeCrash("aaaa1111", "2025-01-01T10:00:00.000Z")],
+          },
+        ],
+      );
+
+      assert.ok(groupStub.notCalled);
+      assert.strictEqual(fuzzers[0].crashGroups, null);
+      assert.strictEqual(fuzzers[0].crashes.length, 1);
+      assert.strictEqual(fuzzers[0].crashes[0].metadata, null);
+      // Reports are still generated for the badges, links and diagnostics
+      assert.strictEqual(discoveryService.pendingCrashMetadata.size, 1);
+      assert.ok(batchStub.notCalled);
+    });
+
+    test("Should generate missing reports in one background container", async () => {
+      const discoveryService = new FuzzerDiscoveryService();
+      sinon
+        .stub(discoveryService.crashDeduplicationService, "getConfig")
+        .returns({ enabled: true, signatureFrames: 3 });
+      const crashes = [
+        makeCrash("aaaa1111", "2025-01-01T10:00:00.000Z"),
+        makeCrash("bbbb2222", "2025-01-01T11:00:00.000Z"),
+      ];
+      const batchStub = sinon
+        .stub(discoveryService.crashReportService, "generateCrashMetadataBatch")
+        .callsFake(async (workspace, entries) => {
+          for (const { crash } of entries) {
+            await discoveryService.crashReportService.updateCache(crash, {
+              report: asanReport("heap-use-after-free", "free_node"),
+            });
+          }
+          return entries.length;
+        });
+      const generated = sinon.stub();
+      discoveryService.onDidGenerateCrashMetadata(generated);
+
+      const first = await discoveryService.attachCrashMetadata(
+        workspacePath,
+        "example-fuzz",
+        crashes,
+      );
+      assert.deepStrictEqual(
+        first.map((crash) => crash.metadata),
+        [null, null],
+      );
+      assert.ok(batchStub.notCalled, "Attaching should not run a container");
+
+      assert.strictEqual(
+        await discoveryService.generatePendingCrashMetadata(
+          workspacePath,
+          "test-image",
+        ),
+        2,
+      );
+      assert.ok(batchStub.calledOnce);
+      assert.strictEqual(batchStub.firstCall.args[1].length, 2);
+      assert.ok(generated.calledOnceWith(workspacePath));
+
+      // The refresh that follows shows the metadata and queues nothing
+      const second = await discoveryService.attachCrashMetadata(
+        workspacePath,
+        "example-fuzz",
+        crashes,
+      );
+      assert.strictEqual(second[0].metadata.bugClass, "heap-use-after-free");
+      assert.strictEqual(discoveryService.pendingCrashMetadata.size, 0);
+    });
+  });
+});
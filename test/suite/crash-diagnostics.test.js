@@ -0,0 +1,195 @@
+/**
+ * CrashDiagnosticsProvider Test Suite
+ *
+ * Tests for publishing crashes to the Problems panel:
+ * - updateDiagnostics - One diagnostic per unique crash on the top in-project frame
+ * - clearFuzzer - Removing a fuzzer's diagnostics
+ * - Command handler integration - Diagnostics cleared with clear-crashes
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  CrashDiagnosticsProvider,
+} = require("../../src/ui/crashDiagnosticsProvider");
+const { CodeForgeCommandHandlers } = require("../../src/ui/commandHandlers");
+const {
+  parseSanitizerReport,
+} = require("../../src/fuzzing/sanitizerReportParser");
+
+suite("CrashDiagnosticsProvider Test Suite", () => {
+  let workspacePath;
+  let parserPath;
+  let fuzzPath;
+  let provider;
+
+  function metadataFor(bugClass) {
+    return parseSanitizerReport(
+      [
+        `==1==ERROR: AddressSanitizer: ${bugClass} on address 0x602000000011`,
+        "    #0 0x4f8b2a in __asan_memcpy /src/llvm-project/compiler-rt/lib/asan/asan_interceptors.cpp:22:3",
+        `    #1 0x4f8c10 in parse_header ${parserPath}:42:7`,
+        "    #2 0x4f8c80 in memcpy_wrapper /usr/include/string.h:10:3",
+        `    #3 0x4f8d00 in LLVMFuzzerTestOneInput ${fuzzPath}:12:3`,
+        `SUMMARY: AddressSanitizer: ${bugClass} ${parserPath}:42:7 in parse_header`,
+      ].join("\n"),
+    );
+  }
+
+  function fuzzer(name, crashGroups, crashes = []) {
+    return { name, preset: "debug", crashes, crashGroups };
+  }
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-diagnostics-")),
+    );
+    await fs.mkdir(path.join(workspacePath, "src"));
+    await fs.mkdir(path.join(workspacePath, "fuzz"));
+    parserPath = path.join(workspacePath, "src", "parser.c");
+    fuzzPath = path.join(workspacePath, "fuzz", "fuzz.c");
+    await fs.writeFile(parserPath, "int parse_header(void);\n");
+    await fs.writeFile(fuzzPath, "int LLVMFuzzerTestOneInput(void);\n");
+    provider = new CrashDiagnosticsProvider();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    provider.dispose();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  suite("updateDiagnostics", () => {
+    test("Should place one diagnostic per crash group on the top in-project frame", async () => {
+      const metadata = metadataFor("heap-buffer-overflow");
+      const representative = { id: "crash-aaaa", metadata };
+
+      await provider.updateDiagnostics(workspacePath, [
+        fuzzer("example-fuzz", [
+          {
+            representative,
+            crashes: [representative, { id: "crash-bbbb", metadata }],
+            hitCount: 2,
+          },
+        ]),
+      ]);
+
+      const diagnostics = provider.diagnosticCollection.get(
+        vscode.Uri.file(parserPath),
+      );
+      assert.strictEqual(diagnostics.length, 1);
+
+      const [diagnostic] = diagnostics;
+      assert.strictEqual(diagnostic.severity, vscode.DiagnosticSeverity.Error);
+      assert.strictEqual(diagnostic.range.start.line, 41);
+      assert.strictEqual(diagnostic.range.start.character, 6);
+      assert.ok(diagnostic.message.startsWith(metadata.summary));
+      assert.ok(diagnostic.message.includes("2 crash inputs"));
+      assert.strictEqual(diagnostic.code, "heap-buffer-overflow");
+      assert.strictEqual(diagnostic.source, "CodeForge (example-fuzz)");
+
+      // Frames outside the workspace are left out of the related information
+      assert.strictEqual(diagnostic.relatedInformation.length, 1);
+      const [related] = diagnostic.relatedInformation;
+      assert.strictEqual(related.location.uri.fsPath, fuzzPath);
+      assert.strictEqual(related.location.range.start.line, 11);
+      assert.strictEqual(related.message, "#3 in LLVMFuzzerTestOneInput");
+    });
+
+    test("Should use individual crashes when deduplication is disabled", async () => {
+      await provider.updateDiagnostics(workspacePath, [
+        fuzzer("example-fuzz", null, [
+          { id: "crash-aaaa", metadata: metadataFor("heap-buffer-overflow") },
+          { id: "crash-bbbb", metadata: metadataFor("heap-use-after-free") },
+          { id: "crash-cccc", metadata: null },
+        ]),
+      ]);
+
+      assert.strictEqual(
+        provider.diagnosticCollection.get(vscode.Uri.file(parserPath)).length,
+        2,
+      );
+    });
+
+    test("Should replace diagnostics of crashes that are gone", async () => {
+      const crash = {
+        id: "crash-aaaa",
+        metadata: metadataFor("heap-buffer-overflow"),
+      };
+      await provider.updateDiagnostics(workspacePath, [
+        fuzzer("example-fuzz", null, [crash]),
+      ]);
+
+      await provider.updateDiagnostics(workspacePath, [
+        fuzzer("example-fuzz", []),
+      ]);
+
+      assert.strictEqual(
+        provider.diagnosticCollection.get(vscode.Uri.file(parserPath)),
+        undefined,
+      );
+    });
+
+    test("Should skip crashes without a frame in the workspace", async () => {
+      await provider.updateDiagnostics(workspacePath, [
+        fuzzer("example-fuzz", null, [
+          {
+            id: "crash-aaaa",
+            metadata: parseSanitizerReport(
+              "==1==ERROR: AddressSanitizer: SEGV on unknown address 0x000000000000\n    #0 0x4f8b2a in main (/out/example-fuzz+0x4f8b2a)",
+            ),
+          },
+        ]),
+      ]);
+
+      assert.strictEqual(provider.fuzzerDiagnostics.size, 0);
+    });
+  });
+
+  suite("clearFuzzer", () => {
+    test("Should only remove the diagnostics of the given fuzzer", async () => {
+      await provider.updateDiagnostics(workspacePath, [
+        fuzzer("first-fuzz", null, [
+          { id: "crash-aaaa", metadata: metadataFor("heap-buffer-overflow") },
+        ]),
+        fuzzer("second-fuzz", null, [
+          { id: "crash-bbbb", metadata: metadataFor("heap-use-after-free") },
+        ]),
+      ]);
+      assert.strictEqual(
+        provider.diagnosticCollection.get(vscode.Uri.file(parserPath)).length,
+        2,
+      );
+
+      provider.clearFuzzer("first-fuzz");
+
+      const diagnostics = provider.diagnosticCollection.get(
+        vscode.Uri.file(parserPath),
+      );
+      assert.strictEqual(diagnostics.length, 1);
+      assert.strictEqual(diagnostics[0].source, "CodeForge (second-fuzz)");
+    });
+  });
+
+  suite("Command handler integration", () => {
+    test("Should clear a fuzzer's diagnostics through the webview provider", () => {
+      const webviewProvider = { _clearCrashDiagnostics: sinon.stub() };
+      const commandHandlers = new CodeForgeCommandHandlers(
+        null,
+        null,
+        webviewProvider,
+        null,
+      );
+
+      commandHandlers.clearCrashDiagnostics("example-fuzz");
+
+      assert.ok(
+        webviewProvider._clearCrashDiagnostics.calledOnceWith("example-fuzz"),
+      );
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Crash Export Test Suite
+ *
+ * Tests for exporting crashes as reproducer bundles:
+ * - CrashExportService - Bundle contents and the reproduce.sh script
+ * - createTarGz - The archive format the bundle is written in
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { CrashExportService } = require("../../src/fuzzing/crashExportService");
+const { createTarGz } = require("../../src/utils/tarArchive");
+
+/**
+ * Reads the entries of a .tar.gz created by createTarGz
+ */
+function readTarGz(archive) {
+  const tar = zlib.gunzipSync(archive);
+  const entries = [];
+  let offset = 0;
+  while (offset < tar.length && tar[offset] !== 0) {
+    const field = (start, length) =>
+      tar
+        .subarray(offset + start, offset + start + length)
+        .toString("utf8")
+        .replace(/\0.*$/s, "");
+    const name = field(0, 100);
+    const prefix = field(345, 155);
+    const size = parseInt(field(124, 12), 8);
+    entries.push({
+      name: prefix ? `${prefix}/${name}` : name,
+      mode: parseInt(field(100, 8), 8),
+      content: tar.subarray(offset + 512, offset + 512 + size),
+    });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+suite("Crash Export Test Suite", () => {
+  let workspacePath;
+  let crash;
+  let service;
+
+  const image = {
+    isUpToDate: true,
+    localImage: "codeforge-project",
+    remoteImage: "ghcr.io/example/codeforge-cmake:latest",
+    localImageId: "sha256:1234abcd",
+    remoteImageId: "sha256:1234abcd",
+  };
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-export-")),
+    );
+    const corpusDir = path.join(
+      workspacePath,
+      ".codeforge",
+      "fuzzing",
+      "parser-fuzz-output",
+      "corpus",
+    );
+    await fs.mkdir(corpusDir, { recursive: true });
+    crash = {
+      id: "deadbeef0",
+      fullHash: "deadbeef0123",
+      filePath: path.join(corpusDir, "crash-deadbeef0123"),
+    };
+    await fs.writeFile(crash.filePath, Buffer.from([0xff, 0x00, 0x41]));
+    service = new CrashExportService();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  suite("CrashExportService", () => {
+    test("Should rebuild and replay the crash in the recorded image", () => {
+      const script = service.buildReproduceScript(
+        workspacePath,
+        { name: "parser-fuzz", preset: "debug" },
+        crash,
+        image,
+      );
+
+      assert.ok(script.startsWith("#!/usr/bin/env bash\n"));
+      assert.ok(
+        script.includes("IMAGE='ghcr.io/example/codeforge-cmake:latest'"),
+      );
+      assert.ok(script.includes("IMAGE_ID='sha256:1234abcd'"));
+      assert.ok(
+        script.includes("codeforge build-fuzz-tests 'debug:parser-fuzz'"),
+      );
+      assert.ok(
+        script.includes(
+          "cp '/codeforge-reproducer/crash-deadbeef0123' '.codeforge/fuzzing/parser-fuzz-output/corpus/crash-deadbeef0123'",
+        ),
+      );
+      assert.ok(
+        script.includes(
+          "codeforge generate-crash-report 'parser-fuzz/deadbeef0123'",
+        ),
+      );
+    });
+
+    test("Should pack input, report, metadata and script into one directory", async () => {
+      sinon
+        .stub(service.crashReportService, "getCachedCrashReport")
+        .resolves("\x1b[1;31m==1==ERROR: AddressSanitizer\x1b[0m\n");
+      sinon
+        .stub(service.dockerOperations, "verifyDockerImageUpToDate")
+        .resolves(image);
+      const targetPath = path.join(workspacePath, "bundle.tar.gz");
+
+      const result = await service.exportReproducer(
+        workspacePath,
+        { name: "parser_fuzz", preset: "" },
+        crash,
+        targetPath,
+        "test-image",
+      );
+
+      const entries = readTarGz(await fs.readFile(targetPath));
+      const byName = Object.fromEntries(
+        entries.map((entry) => [entry.name, entry]),
+      );
+      const dir = "parser_fuzz-crash-deadbeef0";
+      assert.deepStrictEqual(
+        result.files,
+        entries.map((entry) => entry.name),
+      );
+      assert.deepStrictEqual(Object.keys(byName).sort(), [
+        `${dir}/crash-deadbeef0123`,
+        `${dir}/crash.json`,
+        `${dir}/report.txt`,
+        `${dir}/reproduce.sh`,
+      ]);
+      assert.deepStrictEqual(
+        byName[`${dir}/crash-deadbeef0123`].content,
+        Buffer.from([0xff, 0x00, 0x41]),
+      );
+      assert.strictEqual(
+        byName[`${dir}/report.txt`].content.toString(),
+        "==1==ERROR: AddressSanitizer\n",
+      );
+      assert.strictEqual(byName[`${dir}/reproduce.sh`].mode, 0o755);
+
+      const manifest = JSON.parse(byName[`${dir}/crash.json`].content);
+      assert.deepStrictEqual(manifest.fuzzer, {
+        name: "parser_fuzz",
+        preset: "",
+      });
+      assert.deepStrictEqual(manifest.image, {
+        name: "ghcr.io/example/codeforge-cmake:latest",
+        id: "sha256:1234abcd",
+        upToDate: true,
+      });
+    });
+  });
+
+  suite("createTarGz", () => {
+    test("Should split long paths into the ustar prefix", () => {
+      const name = `${"d".repeat(120)}/input`;
+      const [entry] = readTarGz(createTarGz([{ name, content: "abc" }]));
+
+      assert.strictEqual(entry.name, name);
+      assert.strictEqual(entry.mode, 0o644);
+      assert.strictEqual(entry.content.toString(), "abc");
+    });
+
+    test("Should reject file names that do not fit the header", () => {
+      assert.throws(
+        () => createTarGz([{ name: "x".repeat(101), content: "" }]),
+        /Path is too long for a tar archive/,
+      );
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Crash Minimization Test Suite
+ *
+ * Tests for CrashMinimizationService:
+ * - Container scripts for libFuzzer -minimize_crash=1 and cargo fuzz tmin
+ * - Where minimized inputs are stored and how they are reported
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  CrashMinimizationService,
+  getMinimizedCrashPath,
+} = require("../../src/fuzzing/crashMinimizationService");
+const {
+  CrashDiscoveryService,
+} = require("../../src/fuzzing/crashDiscoveryService");
+
+suite("Crash Minimization Test Suite", () => {
+  let workspacePath;
+  let crashPath;
+  let service;
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-tmin-")),
+    );
+    const outputDir = path.join(
+      workspacePath,
+      ".codeforge",
+      "fuzzing",
+      "parser-fuzz-output",
+    );
+    await fs.mkdir(outputDir, { recursive: true });
+    crashPath = path.join(outputDir, "crash-deadbeef");
+    await fs.writeFile(crashPath, "A".repeat(200));
+    service = new CrashMinimizationService();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  test("Should store minimized inputs next to the crash", () => {
+    assert.strictEqual(
+      getMinimizedCrashPath("/ws/out/crash-deadbeef"),
+      path.join("/ws/out", "minimized-crash-deadbeef"),
+    );
+  });
+
+  test("Should run libFuzzer -minimize_crash=1 within the time budget for CMake fuzzers", () => {
+    const script = service.buildMinimizeScript(
+      workspacePath,
+      {
+        name: "parser-fuzz",
+        preset: "debug",
+        executable: "/ws/build/parser-fuzz",
+      },
+      crashPath,
+      90,
+    );
+    const lines = script.split("\n");
+
+    assert.ok(
+      script.includes(
+        '"$BIN" -minimize_crash=1 -max_total_time=90 -exact_artifact_path="$TMP" "$CRASH"',
+      ),
+    );
+    assert.ok(script.includes(`OUT="${getMinimizedCrashPath(crashPath)}"`));
+    // The result only appears under its final name once it is complete
+    assert.strictEqual(lines[lines.length - 1], 'mv "$TMP" "$OUT"');
+  });
+
+  test("Should use cargo fuzz tmin for Rust fuzzers", () => {
+    const script = service.buildMinimizeScript(
+      workspacePath,
+      { name: "parser_fuzz", preset: "" },
+      crashPath,
+      60,
+    );
+
+    assert.ok(
+      script.includes(
+        'cargo fuzz tmin "parser_fuzz" "$CRASH" -- -max_total_time=60',
+      ),
+    );
+    assert.ok(script.includes("*/artifacts/parser_fuzz/minimized-from-*"));
+    assert.ok(!script.includes("-minimize_crash=1"));
+  });
+
+  test("Should report the original and minimized sizes", async () => {
+    sinon.stub(service, "executeMinimizeScript").callsFake(async () => {
+      await fs.writeFile(getMinimizedCrashPath(crashPath), "A".repeat(12));
+    });
+
+    const result = await service.minimizeCrash(
+      workspacePath,
+      { name: "parser_fuzz", preset: "" },
+      crashPath,
+      60,
+      "test-image",
+    );
+
+    assert.deepStrictEqual(result, {
+      filePath: getMinimizedCrashPath(crashPath),
+      originalSize: 200,
+      minimizedSize: 12,
+    });
+  });
+
+  test("Should refuse crash paths that cannot be placed in the script", async () => {
+    const executeStub = sinon.stub(service, "executeMinimizeScript");
+
+    for (const badPath of [
+      path.join(os.tmpdir(), "crash-elsewhere"),
+      path.join(workspacePath, 'crash-$(id)"'),
+    ]) {
+      await assert.rejects(
+        service.minimizeCrash(
+          workspacePath,
+          { name: "parser_fuzz", preset: "" },
+          badPath,
+          60,
+          "test-image",
+        ),
+        /Invalid crash file path/,
+      );
+    }
+    assert.ok(executeStub.notCalled);
+  });
+
+  test("Should list the minimized size with the crash", async () => {
+    await fs.writeFile(getMinimizedCrashPath(crashPath), "A".repeat(12));
+    const discovery = new CrashDiscoveryService();
+    sinon.stub(discovery, "executeFindCrashesScript").resolves([
+      {
+        fuzzerName: "parser-fuzz",
+        crashPath: path.relative(workspacePath, crashPath),
+      },
+    ]);
+
+    const [fuzzerData] = await discovery.discoverCrashes(
+      workspacePath,
+      "test-image",
+    );
+
+    assert.strictEqual(fuzzerData.crashes[0].fileSize, 200);
+    assert.strictEqual(fuzzerData.crashes[0].minimizedSize, 12);
+    assert.strictEqual(
+      fuzzerData.crashes[0].minimizedPath,
+      getMinimizedCrashPath(crashPath),
+    );
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Crash Reevaluation Test Suite
+ *
+ * Tests for CrashReevaluationService:
+ * - Container scripts that replay crashes a configurable number of times
+ * - Fixed, reproducing and flaky outcomes and where they are stored
+ * - Archiving or deleting fixed crashes while keeping flaky ones
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const {
+  CrashReevaluationService,
+  REEVALUATION_STATUS,
+} = require("../../src/fuzzing/crashReevaluationService");
+const {
+  FuzzerDiscoveryService,
+} = require("../../src/fuzzing/fuzzerDiscoveryService");
+
+const execFileAsync = promisify(execFile);
+
+suite("Crash Reevaluation Test Suite", () => {
+  let workspacePath;
+  let outputDir;
+  let service;
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-reevaluate-")),
+    );
+    outputDir = path.join(
+      workspacePath,
+      ".codeforge",
+      "fuzzing",
+      "parser-fuzz-output",
+    );
+    await fs.mkdir(outputDir, { recursive: true });
+    service = new CrashReevaluationService();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  function makeCrash(hash) {
+    return {
+      id: hash.substring(0, 9),
+      fullHash: hash,
+      filePath: path.join(outputDir, `crash-${hash}`),
+    };
+  }
+
+  function replayOutput(hash, exitCodes) {
+    return exitCodes
+      .map((code) => `CODEFORGE_REPLAY parser-fuzz ${hash} ${code}`)
+      .join("\n");
+  }
+
+  test("Should replay every crash several times without rebuilding", () => {
+    const crash = makeCrash("aaaa1111");
+    const script = service.buildReplayScript(
+      workspacePath,
+      [
+        { name: "parser-fuzz", preset: "debug", crashes: [crash] },
+        { name: "json_fuzz", preset: "", crashes: [makeCrash("bbbb2222")] },
+      ],
+      { attempts: 3, timeout: 25, memoryLimit: 2048 },
+    );
+
+    assert.ok(!script.includes("build-fuzz-tests"));
+    assert.ok(script.includes("for i in $(seq 3); do"));
+    assert.ok(
+      script.includes(
+        `"$BIN" -timeout=25 -rss_limit_mb=2048 "${crash.filePath}" > /dev/null 2>&1`,
+      ),
+    );
+    assert.ok(script.includes('if [ -n "$BIN" ] && [ -x "$BIN" ]; then'));
+    assert.ok(
+      script.includes('echo "CODEFORGE_REPLAY parser-fuzz aaaa1111 $?"'),
+    );
+    assert.ok(script.includes('cargo fuzz run "json_fuzz"'));
+  });
+
+  test("Should skip the crashes of Rust fuzzers that do not build", async () => {
+    const script = service.buildReplayScript(
+      workspacePath,
+      [{ name: "json_fuzz", preset: "", crashes: [makeCrash("bbbb2222")] }],
+      { attempts: 2, timeout: 25, memoryLimit: 2048 },
+    );
+    assert.ok(
+      script.includes('if cargo fuzz build "json_fuzz" > /dev/null 2>&1; then'),
+    );
+
+    // Run the script with a cargo whose build fails
+    const binDir = path.join(workspacePath, "bin");
+    await fs.mkdir(binDir);
+    await fs.writeFile(
+      path.join(binDir, "cargo"),
+      '#!/bin/sh\n[ "$2" = build ] && exit 1\nexit 77\n',
+      { mode: 0o755 },
+    );
+    const { stdout, stderr } = await execFileAsync("bash", ["-c", script], {
+      env: { ...process.env, PATH: `${binDir}:${process.env.PATH}` },
+    });
+
+    assert.strictEqual(service.parseReplayOutput(stdout).size, 0);
+    assert.ok(stderr.includes("Fuzzer json_fuzz does not build"));
+  });
+
+  test("Should tell fixed, reproducing and flaky crashes apart", () => {
+    assert.strictEqual(service.classify(0, 3), REEVALUATION_STATUS.FIXED);
+    assert.strictEqual(service.classify(3, 3), REEVALUATION_STATUS.REPRODUCING);
+    assert.strictEqual(service.classify(1, 3), REEVALUATION_STATUS.FLAKY);
+    assert.strictEqual(service.classify(0, 0), null);
+  });
+
+  test("Should store the outcome with the crash metadata", async () => {
+    const fixed = makeCrash("aaaa1111");
+    const flaky = makeCrash("bbbb2222");
+    const skipped = makeCrash("cccc3333");
+    sinon
+      .stub(service, "runScript")
+      .resolves(
+        [
+          replayOutput("aaaa1111", [0, 0, 0]),
+          replayOutput("bbbb2222", [1, 0, 0]),
+        ].join("\n"),
+      );
+
+    const results = await service.reevaluateCrashes(
+      workspacePath,
+      [
+        {
+          name: "parser-fuzz",
+          preset: "debug",
+          crashes: [fixed, flaky, skipped],
+        },
+      ],
+      { attempts: 3, timeout: 25, memoryLimit: 2048 },
+      "test-image",
+    );
+
+    assert.deepStrictEqual(
+      results.map((result) => [
+        result.crash.id,
+        result.status,
+        result.reproduced,
+        result.reproductionRate,
+      ]),
+      [
+        ["aaaa1111", "fixed", 0, 0],
+        ["bbbb2222", "flaky", 1, 1 / 3],
+      ],
+    );
+    const cached = await service.crashReportService.readCache(flaky);
+    assert.strictEqual(cached.reevaluation.status, "flaky");
+    assert.strictEqual(cached.reevaluation.attempts, 3);
+    assert.strictEqual(cached.reevaluation.reproductionRate, 1 / 3);
+    assert.deepStrictEqual(
+      await service.crashReportService.readCache(skipped),
+      {},
+    );
+
+    // The next refresh shows the outcome in the crash list
+    const discoveryService = new FuzzerDiscoveryService();
+    sinon
+      .stub(discoveryService.crashReportService, "readCachedMetadata")
+      .resolves({ metadata: null, needsReport: false });
+    const [annotated] = await discoveryService.attachCrashMetadata(
+      workspacePath,
+      "parser-fuzz",
+      [flaky],
+      "test-image",
+    );
+    assert.strictEqual(annotated.reevaluation.status, "flaky");
+  });
+
+  test("Should archive fixed crashes with their minimized input", async () => {
+    const crash = makeCrash("aaaa1111");
+    const runScript = sinon.stub(service, "runScript").resolves("");
+
+    const archived = await service.archiveCrashes(
+      workspacePath,
+      "parser-fuzz",
+      [crash],
+      "test-image",
+    );
+
+    const target = path.join(outputDir, "archived-crashes", "fixed-aaaa1111");
+    assert.deepStrictEqual(archived, [target]);
+    const script = runScript.firstCall.args[1];
+    assert.ok(script.includes(`mv -f "${crash.filePath}" "${target}"`));
+    assert.ok(
+      script.includes(
+        `mv -f "${path.join(outputDir, "minimized-crash-aaaa1111")}" "${path.join(outputDir, "archived-crashes", "minimized-fixed-aaaa1111")}"`,
+      ),
+    );
+    assert.ok(!script.includes("rm "));
+  });
+
+  test("Should delete crashes with their minimized input", async () => {
+    const crash = makeCrash("aaaa1111");
+    const runScript = sinon.stub(service, "runScript").resolves("");
+
+    const deleted = await service.deleteCrashes(
+      workspacePath,
+      [crash],
+      "test-image",
+    );
+
+    assert.deepStrictEqual(deleted, [crash.filePath]);
+    assert.strictEqual(runScript.firstCall.args[3], "crash_delete");
+    assert.ok(
+      runScript.firstCall.args[1].includes(
+        `rm -f "${crash.filePath}" "${path.join(outputDir, "minimized-crash-aaaa1111")}"`,
+      ),
+    );
+  });
+
+  test("Should refuse crash paths that cannot be placed in the script", async () => {
+    const runScript = sinon.stub(service, "runScript");
+
+    await assert.rejects(
+      service.archiveCrashes(
+        workspacePath,
+        "parser-fuzz",
+        [{ fullHash: "x", filePath: path.join(outputDir, 'crash-"x') }],
+        "test-image",
+      ),
+      /Invalid crash file path/,
+    );
+    assert.ok(runScript.notCalled);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * CrashReportLinkProvider Test Suite
+ *
+ * Tests for navigating from crash reports to workspace sources:
+ * - provideDocumentLinks - Links for frame and summary locations
+ * - resolveSourcePath - Container path mapping and workspace checks
+ * - findCrashingFrame - Selecting the frame to open
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  CrashReportLinkProvider,
+} = require("../../src/ui/crashReportLinkProvider");
+const {
+  parseSanitizerReport,
+} = require("../../src/fuzzing/sanitizerReportParser");
+
+function createDocument(text, workspacePath) {
+  const lines = text.split("\n");
+  return {
+    uri: {
+      scheme: "codeforge-crash",
+      query: new URLSearchParams({ workspacePath }).toString(),
+    },
+    lineCount: lines.length,
+    lineAt: (index) => ({ text: lines[index] }),
+  };
+}
+
+suite("CrashReportLinkProvider Test Suite", () => {
+  let workspacePath;
+  let parserPath;
+  let provider;
+
+  function report() {
+    return [
+      "==1==ERROR: AddressSanitizer: heap-buffer-overflow on address 0x602000000011",
+      `    #0 0x4f8b2a in __asan_memcpy /src/llvm-project/compiler-rt/lib/asan/asan_interceptors.cpp:22:3`,
+      `    #1 0x4f8c10 in parse_header ${parserPath}:42:7`,
+      `    #2 0x4f8d00 in LLVMFuzzerTestOneInput ${path.join(workspacePath, "fuzz", "missing.c")}:12:3`,
+      "    #3 0x4f8e00 in main (/out/example-fuzz+0x4f8e00)",
+      `SUMMARY: AddressSanitizer: heap-buffer-overflow ${parserPath}:42:7 in parse_header`,
+    ].join("\n");
+  }
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-links-")),
+    );
+    await fs.mkdir(path.join(workspacePath, "src"));
+    parserPath = path.join(workspacePath, "src", "parser.c");
+    await fs.writeFile(parserPath, "int parse_header(void);\n");
+    provider = new CrashReportLinkProvider();
+  });
+
+  teardown(async () => {
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  suite("provideDocumentLinks", () => {
+    test("Should link frame and summary locations in workspace sources", async () => {
+      const links = await provider.provideDocumentLinks(
+        createDocument(report(), workspacePath),
+      );
+
+      assert.strictEqual(links.length, 2);
+
+      const [frameLink, summaryLink] = links;
+      const frameLine = report().split("\n")[2];
+      assert.strictEqual(frameLink.range.start.line, 2);
+      assert.strictEqual(
+        frameLine.substring(
+          frameLink.range.start.character,
+          frameLink.range.end.character,
+        ),
+        `${parserPath}:42:7`,
+      );
+      assert.strictEqual(frameLink.target.fsPath, parserPath);
+      assert.strictEqual(frameLink.target.fragment, "L42,7");
+
+      assert.strictEqual(summaryLink.range.start.line, 5);
+      assert.strictEqual(summaryLink.target.fsPath, parserPath);
+    });
+
+    test("Should resolve GDB frames and relative paths against the workspace", async () => {
+      const text = [
+        "#0  0x000055555555a1b2 in parse_header (buf=0x0) at src/parser.c:42",
+        "#1  0x00007ffff7a2d840 in __libc_start_main () from /lib/x86_64-linux-gnu/libc.so.6",
+      ].join("\n");
+
+      const links = await provider.provideDocumentLinks(
+        createDocument(text, workspacePath),
+      );
+
+      assert.strictEqual(links.length, 1);
+      assert.strictEqual(links[0].target.fsPath, parserPath);
+      assert.strictEqual(links[0].target.fragment, "L42");
+    });
+  });
+
+  suite("resolveSourcePath", () => {
+    test("Should map container paths inside the workspace", async () => {
+      assert.strictEqual(
+        await provider.resolveSourcePath(parserPath, workspacePath),
+        parserPath,
+      );
+    });
+
+    test("Should reject files outside the workspace or missing on the host", async () => {
+      assert.strictEqual(
+        await provider.resolveSourcePath(
+          "/usr/include/string.h",
+          workspacePath,
+        ),
+        null,
+      );
+      assert.strictEqual(
+        await provider.resolveSourcePath("../outside.c", workspacePath),
+        null,
+      );
+      assert.strictEqual(
+        await provider.resolveSourcePath("src/missing.c", workspacePath),
+        null,
+      );
+    });
+  });
+
+  suite("findCrashingFrame", () => {
+    test("Should return the first frame in a workspace source", async () => {
+      const frame = await provider.findCrashingFrame(
+        parseSanitizerReport(report()),
+        workspacePath,
+      );
+
+      assert.deepStrictEqual(frame, {
+        filePath: parserPath,
+        line: 42,
+        column: 7,
+        index: 1,
+      });
+    });
+
+    test("Should fall back to the sanitizer location without a stack", async () => {
+      const frame = await provider.findCrashingFrame(
+        parseSanitizerReport(
+          "src/parser.c:17:9: runtime error: signed integer overflow: 2147483647 + 1 cannot be represented in type 'int'",
+        ),
+        workspacePath,
+      );
+
+      assert.deepStrictEqual(frame, {
+        filePath: parserPath,
+        line: 17,
+        column: 9,
+        index: null,
+      });
+    });
+
+    test("Should return null when no frame is in the workspace", async () => {
+      const frame = await provider.findCrashingFrame(
+        parseSanitizerReport(
+          "==1==ERROR: AddressSanitizer: SEGV on unknown address 0x000000000000\n    #0 0x4f8b2a in main (/out/example-fuzz+0x4f8b2a)",
+        ),
+        workspacePath,
+      );
+
+      assert.strictEqual(frame, null);
+    });
+  });
+});
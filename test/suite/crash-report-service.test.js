@@ -7,12 +7,17 @@
  * - extractCrashHash - Crash ID parsing
  * - formatCrashReportForDisplay - Output formatting (now returns full crash report)
  * - isCrashReportAvailable - Availability checking
+ * - getCachedCrashReport / getCrashMetadata - Report and metadata cache next to crash files
+ * - generateCrashMetadataBatch - Reports of several crashes in one container
  */
 
 const assert = require("assert");
 const sinon = require("sinon");
 const path = require("path");
-const { CrashReportService } = require("../../src/fuzzing/crashReportService");
+const {
+  CrashReportService,
+  CRASH_CACHE_DIR,
+} = require("../../src/fuzzing/crashReportService");
 const dockerOperations = require("../../src/core/dockerOperations");
 const EventEmitter = require("events");
 
@@ -307,4 +312,208 @@ suite("CrashReportService Test Suite", () => {
       assert.strictEqual(result, false);
     });
   });
+
+  suite("crash report cache", () => {
+    const fsp = require("fs").promises;
+    const os = require("os");
+    const ASAN_REPORT = [
+      "==1==ERROR: AddressSanitizer: heap-buffer-overflow on address 0x602000000011",
+      "READ of size 1 at 0x602000000011 thread T0",
+      "    #0 0x4f8b2a in parse_header /workspace/src/parser.c:42:7",
+      "SUMMARY: AddressSanitizer: heap-buffer-overflow /workspace/src/parser.c:42:7 in parse_header",
+    ].join("\n");
+    let tempDir;
+    let crash;
+
+    setup(async () => {
+      tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), "codeforge-report-"));
+      crash = {
+        id: "crash-abc123",
+        fullHash: "abc123def456",
+        filePath: path.join(tempDir, "crash-abc123def456"),
+      };
+    });
+
+    teardown(async () => {
+      await fsp.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test("Should cache generated reports next to the crash file", async () => {
+      const generateStub = sandbox
+        .stub(crashReportService, "generateCrashReport")
+        .resolves(ASAN_REPORT);
+
+      await crashReportService.getCachedCrashReport(
+        "/workspace",
+        "test-fuzz",
+        crash,
+        "test-image",
+      );
+      const report = await crashReportService.getCachedCrashReport(
+        "/workspace",
+        "test-fuzz",
+        crash,
+        "test-image",
+      );
+
+      assert.strictEqual(report, ASAN_REPORT);
+      assert.strictEqual(generateStub.callCount, 1);
+      assert.ok(
+        generateStub.calledWith(
+          "/workspace",
+          "test-fuzz",
+          "abc123def456",
+          "test-image",
+        ),
+      );
+
+      const cachePath = path.join(
+        tempDir,
+        CRASH_CACHE_DIR,
+        "abc123def456.json",
+      );
+      assert.strictEqual(crashReportService.getCacheFilePath(crash), cachePath);
+      const cached = JSON.parse(await fsp.readFile(cachePath, "utf8"));
+      assert.strictEqual(cached.report, ASAN_REPORT);
+      assert.strictEqual(cached.fullHash, "abc123def456");
+    });
+
+    test("Should parse and cache crash metadata", async () => {
+      const generateStub = sandbox
+        .stub(crashReportService, "generateCrashReport")
+        .resolves(ASAN_REPORT);
+
+      const metadata = await crashReportService.getCrashMetadata(
+        "/workspace",
+        "test-fuzz",
+        crash,
+        "test-image",
+      );
+
+      assert.strictEqual(metadata.sanitizer, "AddressSanitizer");
+      assert.strictEqual(metadata.bugClass, "heap-buffer-overflow");
+      assert.strictEqual(metadata.severity, "high");
+      assert.strictEqual(metadata.accessSize, 1);
+
+      const cached = await crashReportService.readCache(crash);
+      assert.deepStrictEqual(cached.metadata, metadata);
+      assert.strictEqual(cached.report, ASAN_REPORT);
+
+      await crashReportService.getCrashMetadata(
+        "/workspace",
+        "test-fuzz",
+        crash,
+        "test-image",
+      );
+      assert.strictEqual(generateStub.callCount, 1);
+    });
+
+    test("Should re-parse metadata from an older parser version", async () => {
+      const generateStub = sandbox.stub(
+        crashReportService,
+        "generateCrashReport",
+      );
+      await crashReportService.updateCache(crash, {
+        report: ASAN_REPORT,
+        metadata: { version: 0, bugClass: "stale" },
+      });
+
+      const metadata = await crashReportService.getCrashMetadata(
+        "/workspace",
+        "test-fuzz",
+        crash,
+        "test-image",
+      );
+
+      assert.strictEqual(metadata.bugClass, "heap-buffer-overflow");
+      assert.ok(generateStub.notCalled, "Cached report should be reused");
+    });
+
+    test("Should not ask for a report again after it failed", async () => {
+      sandbox
+        .stub(crashReportService, "generateCrashReport")
+        .rejects(new Error("Crash report generation failed: no fuzzer"));
+
+      assert.deepStrictEqual(
+        await crashReportService.readCachedMetadata(crash),
+        { metadata: null, needsReport: true },
+      );
+      await assert.rejects(
+        crashReportService.getCrashMetadata(
+          "/workspace",
+          "test-fuzz",
+          crash,
+          "test-image",
+        ),
+        /no fuzzer/,
+      );
+
+      assert.deepStrictEqual(
+        await crashReportService.readCachedMetadata(crash),
+        { metadata: null, needsReport: false },
+      );
+      // A parser update retries the crash
+      await crashReportService.updateCache(crash, {
+        reportError: { message: "no fuzzer", version: 0 },
+      });
+      assert.strictEqual(
+        (await crashReportService.readCachedMetadata(crash)).needsReport,
+        true,
+      );
+    });
+
+    test("Should generate the reports of several crashes in one container", async () => {
+      const failing = {
+        id: "crash-fed987",
+        fullHash: "fed987",
+        filePath: path.join(tempDir, "crash-fed987"),
+      };
+      const execute = sandbox
+        .stub(crashReportService, "executeBatchReportScript")
+        .resolves(
+          [
+            "",
+            "CODEFORGE_CRASH_REPORT begin test-fuzz/abc123def456",
+            ASAN_REPORT,
+            "",
+            "CODEFORGE_CRASH_REPORT stderr",
+            "",
+            "CODEFORGE_CRASH_REPORT end test-fuzz/abc123def456 0",
+            "",
+            "CODEFORGE_CRASH_REPORT begin test-fuzz/fed987",
+            "",
+            "CODEFORGE_CRASH_REPORT stderr",
+            "Fuzzer executable not found",
+            "",
+            "CODEFORGE_CRASH_REPORT end test-fuzz/fed987 1",
+          ].join("\n"),
+        );
+
+      const written = await crashReportService.generateCrashMetadataBatch(
+        "/workspace",
+        [
+          { fuzzerName: "test-fuzz", crash },
+          { fuzzerName: "test-fuzz", crash: failing },
+          { fuzzerName: "bad;name", crash },
+        ],
+        "test-image",
+      );
+
+      assert.strictEqual(written, 2);
+      assert.ok(execute.calledOnce);
+      const script = execute.firstCall.args[1];
+      assert.ok(script.includes('report "test-fuzz/abc123def456"'));
+      assert.ok(script.includes('report "test-fuzz/fed987"'));
+      assert.ok(!script.includes("bad;name"));
+
+      const cached = await crashReportService.readCache(crash);
+      assert.strictEqual(cached.report, ASAN_REPORT);
+      assert.strictEqual(cached.metadata.bugClass, "heap-buffer-overflow");
+      const failed = await crashReportService.readCache(failing);
+      assert.ok(
+        failed.reportError.message.includes("Fuzzer executable not found"),
+      );
+      assert.strictEqual(failed.metadata, undefined);
+    });
+  });
 });
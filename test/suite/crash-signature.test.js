@@ -0,0 +1,101 @@
+/**
+ * Crash Signature Test Suite
+ *
+ * Tests for deriving deduplication signatures from crash reports:
+ * - computeCrashSignature - Signature stability and frame filtering
+ * - normalizeFunctionName - Build-independent function names
+ */
+
+const assert = require("assert");
+const {
+  normalizeFunctionName,
+  computeCrashSignature,
+} = require("../../src/fuzzing/crashSignature");
+const {
+  parseSanitizerReport,
+} = require("../../src/fuzzing/sanitizerReportParser");
+
+const ASAN_REPORT = `
+==1234==ERROR: AddressSanitizer: heap-buffer-overflow on address 0x602000000011 at pc 0x4f8b2a bp 0x7ffc sp 0x7ffc
+READ of size 1 at 0x602000000011 thread T0
+    #0 0x4f8b2a in parse_header /workspace/src/parser.c:42:7
+    #1 0x4f8c10 in parse_message /workspace/src/parser.c:88:3
+    #2 0x4f8d00 in LLVMFuzzerTestOneInput /workspace/fuzz/fuzz_parser.c:12:3
+    #3 0x43de23 in fuzzer::Fuzzer::ExecuteCallback(unsigned char const*, unsigned long) (/workspace/.codeforge/fuzzing/fuzz_parser+0x43de23)
+    #4 0x7f1234 in __libc_start_main (/lib/x86_64-linux-gnu/libc.so.6+0x29d8f) (BuildId: 4f7b0c955c3d81d7cac1501a2498b69d1d82bfe7)
+
+0x602000000011 is located 0 bytes to the right of 1-byte region [0x602000000010,0x602000000011)
+allocated by thread T0 here:
+    #0 0x4a1b2c in malloc (/workspace/.codeforge/fuzzing/fuzz_parser+0x4a1b2c)
+    #1 0x4f8a00 in read_input /workspace/src/input.c:10:5
+
+SUMMARY: AddressSanitizer: heap-buffer-overflow /workspace/src/parser.c:42:7 in parse_header
+`;
+
+suite("Crash Signature Test Suite", () => {
+  suite("computeCrashSignature", () => {
+    test("Should combine bug type with top symbolized frames", () => {
+      const result = computeCrashSignature(ASAN_REPORT, 3);
+
+      assert.strictEqual(
+        result.signature,
+        "AddressSanitizer:heap-buffer-overflow|parse_header|parse_message|LLVMFuzzerTestOneInput",
+      );
+      assert.strictEqual(result.frames.length, 3);
+      assert.strictEqual(result.frames[0].file, "/workspace/src/parser.c");
+      assert.strictEqual(result.frames[0].line, 42);
+      assert.match(result.signatureId, /^[0-9a-f]{12}$/);
+    });
+
+    test("Should ignore sanitizer runtime and libFuzzer frames", () => {
+      const report = `
+==1==ERROR: AddressSanitizer: SEGV on unknown address 0x000000000000
+    #0 0x4a1000 in __asan_memcpy (/out/fuzz+0x4a1000)
+    #1 0x4f8b2a in copy_buffer /src/buf.c:7:3
+    #2 0x43de23 in fuzzer::Fuzzer::ExecuteCallback(unsigned char const*, unsigned long) (/out/fuzz+0x43de23)
+SUMMARY: AddressSanitizer: SEGV /src/buf.c:7:3 in copy_buffer
+`;
+      const result = computeCrashSignature(report, 3);
+
+      assert.strictEqual(result.signature, "AddressSanitizer:SEGV|copy_buffer");
+    });
+
+    test("Should produce the same signature regardless of addresses and line numbers", () => {
+      const shifted = ASAN_REPORT.replace(/0x4f8b2a/g, "0x5a0000").replace(
+        "parser.c:42:7",
+        "parser.c:45:7",
+      );
+
+      assert.strictEqual(
+        computeCrashSignature(shifted).signatureId,
+        computeCrashSignature(ASAN_REPORT).signatureId,
+      );
+    });
+
+    test("Should accept parsed metadata", () => {
+      assert.deepStrictEqual(
+        computeCrashSignature(parseSanitizerReport(ASAN_REPORT)),
+        computeCrashSignature(ASAN_REPORT),
+      );
+    });
+
+    test("Should respect the frame count", () => {
+      const result = computeCrashSignature(ASAN_REPORT, 1);
+      assert.strictEqual(
+        result.signature,
+        "AddressSanitizer:heap-buffer-overflow|parse_header",
+      );
+    });
+  });
+
+  suite("normalizeFunctionName", () => {
+    test("Should strip Rust hashes and compiler clone suffixes", () => {
+      assert.strictEqual(
+        normalizeFunctionName("my_crate::parse::h0123456789abcdef"),
+        "my_crate::parse",
+      );
+      assert.strictEqual(normalizeFunctionName("decode.cold"), "decode");
+      assert.strictEqual(normalizeFunctionName("decode.constprop.0"), "decode");
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Crash Triage Test Suite
+ *
+ * Tests for CrashTriageService:
+ * - Triage keys shared by crash inputs with the same signature
+ * - Reading, validating and updating .codeforge/triage.json
+ * - Triage attached to discovered crashes
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  CrashTriageService,
+  TRIAGE_FILE,
+} = require("../../src/fuzzing/crashTriageService");
+const {
+  FuzzerDiscoveryService,
+} = require("../../src/fuzzing/fuzzerDiscoveryService");
+
+suite("Crash Triage Test Suite", () => {
+  let workspacePath;
+  let service;
+
+  const metadata = {
+    sanitizer: "AddressSanitizer",
+    bugClass: "heap-buffer-overflow",
+    stack: [
+      { function: "parse_header", file: "/src/parser.c", line: 42 },
+      { function: "LLVMFuzzerTestOneInput", file: "/src/fuzz.c", line: 7 },
+    ],
+  };
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-triage-")),
+    );
+    service = new CrashTriageService();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  async function readTriageFile() {
+    return JSON.parse(
+      await fs.readFile(path.join(workspacePath, TRIAGE_FILE), "utf8"),
+    );
+  }
+
+  test("Should share the key between inputs with the same signature", () => {
+    const first = service.getTriageKey("parser-fuzz", {
+      fullHash: "aaaa1111",
+      metadata,
+    });
+    const second = service.getTriageKey("parser-fuzz", {
+      fullHash: "bbbb2222",
+      metadata,
+    });
+
+    assert.strictEqual(first, second);
+    assert.match(first, /^parser-fuzz\/[0-9a-f]{12}$/);
+    assert.strictEqual(
+      service.getTriageKey("parser-fuzz", {
+        fullHash: "cccc3333",
+        metadata: null,
+      }),
+      "parser-fuzz/cccc3333",
+    );
+  });
+
+  test("Should update one record and keep the rest of the file", async () => {
+    await fs.mkdir(path.join(workspacePath, ".codeforge"));
+    await fs.writeFile(
+      path.join(workspacePath, TRIAGE_FILE),
+      JSON.stringify({
+        $schema: "./triage.schema.json",
+        crashes: { "parser-fuzz/zzz": { status: "wontfix", notes: "Known" } },
+      }),
+    );
+
+    await service.updateTriage(workspacePath, "parser-fuzz/abc", {
+      status: "confirmed",
+      assignee: " alice ",
+      issueUrl: "https://example.com/issues/12",
+      notes: "",
+    });
+    const record = await service.updateTriage(
+      workspacePath,
+      "parser-fuzz/abc",
+      { assignee: "" },
+    );
+
+    assert.strictEqual(record.status, "confirmed");
+    assert.ok(!("assignee" in record));
+    const file = await readTriageFile();
+    assert.strictEqual(file.$schema, "./triage.schema.json");
+    assert.deepStrictEqual(Object.keys(file.crashes), [
+      "parser-fuzz/abc",
+      "parser-fuzz/zzz",
+    ]);
+    assert.strictEqual(
+      file.crashes["parser-fuzz/abc"].issueUrl,
+      "https://example.com/issues/12",
+    );
+    assert.deepStrictEqual(await service.loadTriage(workspacePath), {
+      ...file.crashes,
+    });
+  });
+
+  test("Should reject invalid records", async () => {
+    await assert.rejects(
+      service.updateTriage(workspacePath, "parser-fuzz/abc", {
+        status: "done",
+      }),
+      /status must be one of new, confirmed, wontfix, fixed/,
+    );
+    await assert.rejects(
+      service.updateTriage(workspacePath, "parser-fuzz/abc", {
+        issueUrl: "javascript:alert(1)",
+      }),
+      /issueUrl must be an http\(s\) URL/,
+    );
+    assert.deepStrictEqual(await service.loadTriage(workspacePath), {});
+
+    await fs.mkdir(path.join(workspacePath, ".codeforge"));
+    await fs.writeFile(path.join(workspacePath, TRIAGE_FILE), "{ nope");
+    await assert.rejects(
+      service.loadTriage(workspacePath),
+      /Invalid crash triage in \.codeforge\/triage\.json/,
+    );
+  });
+
+  test("Should attach the triage of the unique crash to every input", async () => {
+    const key = service.getTriageKey("parser-fuzz", { metadata });
+    await service.updateTriage(workspacePath, key, {
+      status: "confirmed",
+      assignee: "alice",
+    });
+    const discoveryService = new FuzzerDiscoveryService();
+    sinon
+      .stub(discoveryService.crashReportService, "readCachedMetadata")
+      .resolves({ metadata, needsReport: false });
+    // Grouping with fewer frames must not change the key of shared records
+    sinon
+      .stub(discoveryService.crashDeduplicationService, "getConfig")
+      .returns({ enabled: true, signatureFrames: 1 });
+    const outputDir = path.join(workspacePath, "parser-fuzz-output");
+
+    const crashes = await discoveryService.attachCrashMetadata(
+      workspacePath,
+      "parser-fuzz",
+      ["aaaa1111", "bbbb2222"].map((hash) => ({
+        id: hash,
+        fullHash: hash,
+        filePath: path.join(outputDir, `crash-${hash}`),
+      })),
+      "test-image",
+    );
+
+    for (const crash of crashes) {
+      assert.strictEqual(crash.triageKey, key);
+      assert.strictEqual(crash.triage.assignee, "alice");
+    }
+
+    // Edits reach the cached crashes without a rediscovery
+    discoveryService.cachedFuzzers.set("parser-fuzz", {
+      name: "parser-fuzz",
+      crashes,
+    });
+    assert.strictEqual(
+      discoveryService.updateCachedTriage(key, { status: "fixed" }),
+      2,
+    );
+    assert.strictEqual(crashes[1].triage.status, "fixed");
+  });
+});
@@ -8,6 +8,9 @@
 
 const assert = require("assert");
 const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
 const dockerOperations = require("../../src/core/dockerOperations");
 
 suite("Docker Operations Test Suite", () => {
@@ -151,6 +154,59 @@ suite("Docker Operations Test Suite", () => {
     });
   });
 
+  suite("Container Process Signals", () => {
+    test("signalContainerProcesses should reject unsafe process names", async () => {
+      const execStub = sandbox.stub(require("child_process"), "exec");
+
+      await assert.rejects(
+        dockerOperations.signalContainerProcesses(
+          "test-container",
+          "fuzzer'; rm -rf /",
+        ),
+        /Invalid process name/,
+      );
+      await assert.rejects(
+        dockerOperations.signalContainerProcesses(
+          "test-container",
+          "test-fuzzer",
+          "KILL",
+        ),
+        /Unsupported signal/,
+      );
+      assert.ok(execStub.notCalled, "Docker should not be invoked");
+    });
+  });
+
+  suite("Running Commands in New Containers", () => {
+    test("runCommandInNewContainer should name tracked containers after the workspace", async () => {
+      const workspacePath = await fs.realpath(
+        await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-docker-")),
+      );
+      sandbox.stub(console, "error");
+
+      try {
+        // The workspace has no launch script, so the spawn fails once started
+        const scriptProcess = dockerOperations.runCommandInNewContainer(
+          workspacePath,
+          "true",
+          { containerType: "fuzzer" },
+        );
+        await new Promise((resolve) => scriptProcess.on("error", resolve));
+
+        const args = scriptProcess.spawnargs;
+        const name = args[args.indexOf("--name") + 1];
+        assert.ok(
+          name.startsWith(
+            `${dockerOperations.generateContainerName(workspacePath)}_fuzzer_`,
+          ),
+          name,
+        );
+      } finally {
+        await fs.rm(workspacePath, { recursive: true, force: true });
+      }
+    });
+  });
+
   suite("Docker Build Operations", () => {
     test("should validate Dockerfile existence before building", async () => {
       // This test would verify that the build process checks for Dockerfile
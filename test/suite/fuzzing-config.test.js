@@ -664,6 +664,235 @@ suite("Fuzzing Configuration Test Suite", () => {
     });
   });
 
+  suite("getCrashDeduplicationConfig() Function", () => {
+    test("should return defaults when no settings are provided", () => {
+      mockConfiguration.get.callsFake((key, defaultValue) => defaultValue);
+
+      const config = fuzzingConfig.getCrashDeduplicationConfig();
+
+      assert.deepStrictEqual(config, { enabled: true, signatureFrames: 3 });
+    });
+
+    test("should use workspace settings when provided", () => {
+      mockConfiguration.get.callsFake((key, defaultValue) => {
+        const customValues = {
+          "fuzzing.crashDeduplication.enabled": false,
+          "fuzzing.crashDeduplication.signatureFrames": 5,
+        };
+        return customValues[key] !== undefined
+          ? customValues[key]
+          : defaultValue;
+      });
+
+      const config = fuzzingConfig.getCrashDeduplicationConfig();
+
+      assert.deepStrictEqual(config, { enabled: false, signatureFrames: 5 });
+    });
+
+    test("should reject out of range signature frame counts", () => {
+      mockConfiguration.get.callsFake((key, defaultValue) =>
+        key === "fuzzing.crashDeduplication.signatureFrames" ? 0 : defaultValue,
+      );
+
+      assert.throws(
+        () => fuzzingConfig.getCrashDeduplicationConfig(),
+        /signatureFrames must be between 1 and 20/,
+      );
+    });
+  });
+
+  suite("getCrashMinimizationConfig() Function", () => {
+    test("should return the time budget from settings", () => {
+      mockConfiguration.get.callsFake((key, defaultValue) =>
+        key === "fuzzing.crashMinimization.maxTotalTime" ? 120 : defaultValue,
+      );
+
+      assert.deepStrictEqual(fuzzingConfig.getCrashMinimizationConfig(), {
+        maxTotalTime: 120,
+      });
+    });
+
+    test("should reject out of range time budgets", () => {
+      mockConfiguration.get.callsFake((key, defaultValue) =>
+        key === "fuzzing.crashMinimization.maxTotalTime" ? 0 : defaultValue,
+      );
+
+      assert.throws(
+        () => fuzzingConfig.getCrashMinimizationConfig(),
+        /maxTotalTime must be between 1 and 3600/,
+      );
+    });
+  });
+
+  suite("getCrashReevaluationConfig() Function", () => {
+    test("should be off by default", () => {
+      mockConfiguration.get.callsFake((key, defaultValue) => defaultValue);
+
+      assert.deepStrictEqual(fuzzingConfig.getCrashReevaluationConfig(), {
+        afterBuild: false,
+        archiveFixed: false,
+        replays: 3,
+      });
+    });
+
+    test("should reject replay counts out of range", () => {
+      for (const replays of [0, 21, 2.5]) {
+        mockConfiguration.get.callsFake((key, defaultValue) =>
+          key === "fuzzing.crashReevaluation.replays" ? replays : defaultValue,
+        );
+
+        assert.throws(
+          () => fuzzingConfig.getCrashReevaluationConfig(),
+          /crashReevaluation.replays must be a whole number between 1 and 20/,
+        );
+      }
+    });
+
+    test("should reject non-boolean switches", () => {
+      mockConfiguration.get.callsFake((key, defaultValue) =>
+        key === "fuzzing.crashReevaluation.archiveFixed" ? "yes" : defaultValue,
+      );
+
+      assert.throws(
+        () => fuzzingConfig.getCrashReevaluationConfig(),
+        /crashReevaluation.archiveFixed must be a boolean/,
+      );
+    });
+  });
+
+  suite("getRegressionDirectory() Function", () => {
+    test("should default to .codeforge/regressions", () => {
+      mockConfiguration.get.callsFake((key, defaultValue) => defaultValue);
+
+      assert.strictEqual(
+        fuzzingConfig.getRegressionDirectory(),
+        ".codeforge/regressions",
+      );
+    });
+
+    test("should reject directories outside the workspace", () => {
+      for (const directory of ["../regressions", "/tmp/regressions", ""]) {
+        mockConfiguration.get.callsFake((key, defaultValue) =>
+          key === "fuzzing.regressionDirectory" ? directory : defaultValue,
+        );
+
+        assert.throws(
+          () => fuzzingConfig.getRegressionDirectory(),
+          /regressionDirectory must be a path inside the workspace/,
+        );
+      }
+    });
+  });
+
+  suite("Fuzzer Overrides", () => {
+    const fs = require("fs").promises;
+    const os = require("os");
+    const path = require("path");
+    let workspacePath;
+
+    setup(async () => {
+      mockConfiguration.get.callsFake((key, defaultValue) => defaultValue);
+      workspacePath = await fs.mkdtemp(
+        path.join(os.tmpdir(), "codeforge-overrides-"),
+      );
+    });
+
+    teardown(async () => {
+      await fs.rm(workspacePath, { recursive: true, force: true });
+    });
+
+    async function writeOverrides(content) {
+      await fs.mkdir(path.join(workspacePath, ".codeforge"), {
+        recursive: true,
+      });
+      await fs.writeFile(
+        path.join(workspacePath, ".codeforge", "fuzzers.json"),
+        typeof content === "string" ? content : JSON.stringify(content),
+      );
+    }
+
+    test("should return no overrides when the project file is missing", async () => {
+      assert.deepStrictEqual(
+        await fuzzingConfig.loadFuzzerOverrides(workspacePath),
+        {},
+      );
+    });
+
+    test("should load per-fuzzer overrides and merge them with the settings", async () => {
+      await writeOverrides({
+        fuzzers: {
+          "parser-fuzz": {
+            libfuzzer: { maxLen: 1024 },
+            timeoutPerRun: 5,
+            dictionary: "fuzz/parser.dict",
+            env: { ASAN_OPTIONS: "detect_leaks=0" },
+          },
+        },
+      });
+
+      const overrides = await fuzzingConfig.loadFuzzerOverrides(workspacePath);
+      const config = fuzzingConfig.getFuzzerConfig("parser-fuzz", overrides);
+      const other = fuzzingConfig.getFuzzerConfig("lexer-fuzz", overrides);
+
+      assert.strictEqual(config.libfuzzer.maxLen, 1024);
+      assert.strictEqual(
+        config.libfuzzer.jobs,
+        8,
+        "Unset options keep the setting",
+      );
+      assert.strictEqual(config.timeoutPerRun, 5);
+      assert.strictEqual(config.enabled, true);
+      assert.strictEqual(config.dictionary, "fuzz/parser.dict");
+      assert.deepStrictEqual(config.env, { ASAN_OPTIONS: "detect_leaks=0" });
+      assert.strictEqual(other.libfuzzer.maxLen, 4096);
+      assert.strictEqual(
+        fuzzingConfig.getLibFuzzerOptions(config).max_len,
+        1024,
+      );
+      assert.deepStrictEqual(
+        fuzzingConfig.getOverrideLibFuzzerFlags(overrides["parser-fuzz"]),
+        ["-max_len=1024", "-timeout=5"],
+      );
+    });
+
+    test("should reject overrides outside the setting ranges", async () => {
+      await writeOverrides({
+        fuzzers: {
+          "parser-fuzz": {
+            memoryLimit: 64,
+            libfuzzer: { jobs: 100, maxLenght: 10 },
+            seedCorpus: ["../outside"],
+            env: { "BAD-NAME": "1" },
+          },
+        },
+      });
+
+      await assert.rejects(
+        fuzzingConfig.loadFuzzerOverrides(workspacePath),
+        (error) =>
+          error.message.startsWith(
+            "Invalid fuzzer overrides in .codeforge/fuzzers.json",
+          ) &&
+          error.message.includes(
+            "parser-fuzz: memoryLimit must be between 128 and 16384, got: 64",
+          ) &&
+          error.message.includes("libfuzzer.jobs must be between 1 and 64") &&
+          error.message.includes('unknown option "libfuzzer.maxLenght"') &&
+          error.message.includes("seedCorpus must be a list of paths") &&
+          error.message.includes("invalid environment variable: BAD-NAME"),
+      );
+    });
+
+    test("should report malformed JSON", async () => {
+      await writeOverrides("{ fuzzers: ");
+
+      await assert.rejects(
+        fuzzingConfig.loadFuzzerOverrides(workspacePath),
+        /Invalid fuzzer overrides in \.codeforge\/fuzzers\.json/,
+      );
+    });
+  });
+
   suite("Module Exports", () => {
     test("should export all expected functions", () => {
       assert.strictEqual(typeof fuzzingConfig.getFuzzingConfig, "function");
@@ -474,6 +474,49 @@ suite("Fuzzing Operations Test Suite", () => {
       assert(command.includes("debug:test-fuzzer release:another-fuzzer"));
     });
 
+    test("runFuzzTestsWithScript should report live libFuzzer stats", async () => {
+      const mockScriptOutput =
+        "[+] running fuzzer: /workspace/.codeforge/fuzzing/test-fuzzer\n";
+      const mockFuzzerOutput =
+        "#2\tINITED cov: 10 ft: 12 corp: 1/1b exec/s: 0 rss: 30Mb\n" +
+        "#1024\tpulse  cov: 14 ft: 20 corp: 3/12b lim: 8 exec/s: 512 rss: 31Mb\n";
+      const fuzzTests = [{ preset: "debug", fuzzer: "test-fuzzer" }];
+
+      const mockProcess = {
+        stdout: { on: sandbox.stub() },
+        stderr: { on: sandbox.stub() },
+        on: sandbox.stub(),
+      };
+
+      sandbox
+        .stub(dockerOperations, "runDockerCommandWithOutput")
+        .returns(mockProcess);
+
+      mockProcess.stdout.on.withArgs("data").callsArgWith(1, mockScriptOutput);
+      mockProcess.stderr.on.withArgs("data").callsArgWith(1, mockFuzzerOutput);
+      mockProcess.on.withArgs("close").callsArgWith(1, 0);
+
+      const onStats = sandbox.stub();
+
+      await fuzzingOperations.runFuzzTestsWithScript(
+        "/test/workspace",
+        "test-container",
+        fuzzTests,
+        mockOutputChannel,
+        null,
+        { onStats },
+      );
+
+      assert(onStats.called, "Should publish stats");
+      const lastCall = onStats.lastCall;
+      assert.strictEqual(lastCall.args[0], "test-fuzzer");
+      const stats = lastCall.args[1];
+      assert.strictEqual(stats.running, false, "Should be finished on close");
+      assert.strictEqual(stats.current.coverage, 14);
+      assert.strictEqual(stats.current.execPerSec, 512);
+      assert.strictEqual(stats.history.length, 2);
+    });
+
     test("runFuzzTestsWithScript should detect crashes", async () => {
       const mockScriptOutput =
         "[+] running fuzzer: /workspace/.codeforge/fuzzing/test-fuzzer\n[+] Found crash file: /workspace/.codeforge/fuzzing/test-fuzzer-output/crash-abc123\n";
@@ -2116,4 +2159,313 @@ compilation terminated.
       assert(summary.includes("Fuzzers executed: 3"));
     });
   });
+
+  suite("Stopping and Pausing Fuzzers", () => {
+    const EventEmitter = require("events");
+
+    async function startRun(fuzzers) {
+      const mockProcess = new EventEmitter();
+      mockProcess.stdout = new EventEmitter();
+      mockProcess.stderr = new EventEmitter();
+      const runStub = sandbox
+        .stub(dockerOperations, "runDockerCommandWithOutput")
+        .returns(mockProcess);
+
+      const runPromise = fuzzingOperations.runFuzzTestsWithScript(
+        "/test/workspace",
+        "test-image",
+        fuzzers.map((fuzzer) => ({ preset: "debug", fuzzer })),
+        mockOutputChannel,
+      );
+      // The run container starts once the fuzzer overrides are loaded
+      while (!runStub.called) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+      return { mockProcess, runStub, runPromise };
+    }
+
+    function finishRun(mockProcess, fuzzers) {
+      mockProcess.stdout.emit(
+        "data",
+        fuzzers.map((f) => `[+] running fuzzer: /out/${f}\n`).join(""),
+      );
+      mockProcess.emit("close", 72);
+    }
+
+    test("runFuzzTestsWithScript should track fuzzers by their run container", async () => {
+      const { mockProcess, runStub, runPromise } = await startRun([
+        "test-fuzzer",
+      ]);
+
+      const options = runStub.firstCall.args[4];
+      assert.strictEqual(options.containerType, "fuzzing");
+      assert.ok(options.containerName.startsWith("test-image_fuzzing_"));
+
+      const running = fuzzingOperations.getRunningFuzzer(
+        "/test/workspace",
+        "test-fuzzer",
+      );
+      assert.strictEqual(running.containerName, options.containerName);
+      assert.strictEqual(running.paused, false);
+
+      finishRun(mockProcess, ["test-fuzzer"]);
+      await runPromise;
+
+      assert.strictEqual(
+        fuzzingOperations.getRunningFuzzer("/test/workspace", "test-fuzzer"),
+        null,
+      );
+    });
+
+    test("stopFuzzTarget should interrupt the fuzzer and wait for it to exit", async () => {
+      const { mockProcess, runStub, runPromise } = await startRun([
+        "test-fuzzer",
+      ]);
+      const containerName = runStub.firstCall.args[4].containerName;
+      const signalStub = sandbox
+        .stub(dockerOperations, "signalContainerProcesses")
+        .callsFake(async () => {
+          setTimeout(() => finishRun(mockProcess, ["test-fuzzer"]), 10);
+          return 1;
+        });
+      const stopStub = sandbox.stub(dockerOperations, "stopContainer");
+
+      const result = await fuzzingOperations.stopFuzzTarget(
+        "/test/workspace",
+        "test-fuzzer",
+      );
+
+      assert.ok(signalStub.calledOnceWith(containerName, "test-fuzzer", "INT"));
+      assert.ok(stopStub.notCalled, "Container should exit on its own");
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.message, "Fuzzer test-fuzzer stopped");
+
+      // An interrupted run is not reported as a failed run
+      const results = await runPromise;
+      assert.strictEqual(results.executed, 1);
+    });
+
+    test("stopFuzzTarget should stop the container after the grace period", async () => {
+      const { mockProcess, runStub, runPromise } = await startRun([
+        "test-fuzzer",
+      ]);
+      const containerName = runStub.firstCall.args[4].containerName;
+      sandbox.stub(dockerOperations, "signalContainerProcesses").resolves(1);
+      const stopStub = sandbox
+        .stub(dockerOperations, "stopContainer")
+        .callsFake(async () => {
+          finishRun(mockProcess, ["test-fuzzer"]);
+          return true;
+        });
+
+      const result = await fuzzingOperations.stopFuzzTarget(
+        "/test/workspace",
+        "test-fuzzer",
+        { gracePeriodMs: 10 },
+      );
+      await runPromise;
+
+      assert.ok(stopStub.calledOnceWith(containerName));
+      assert.ok(result.message.includes(containerName));
+    });
+
+    test("stopFuzzTarget should leave the other fuzzers of a run running", async () => {
+      const fuzzers = ["first-fuzzer", "second-fuzzer"];
+      const { mockProcess, runPromise } = await startRun(fuzzers);
+      sandbox.stub(dockerOperations, "signalContainerProcesses").resolves(1);
+      const stopStub = sandbox.stub(dockerOperations, "stopContainer");
+
+      const result = await fuzzingOperations.stopFuzzTarget(
+        "/test/workspace",
+        "first-fuzzer",
+      );
+
+      assert.strictEqual(result.success, true);
+      assert.ok(stopStub.notCalled);
+      assert.ok(
+        fuzzingOperations.getRunningFuzzer("/test/workspace", "second-fuzzer"),
+      );
+
+      finishRun(mockProcess, fuzzers);
+      await runPromise;
+    });
+
+    test("stopFuzzTarget should report fuzzers that are not running", async () => {
+      const signalStub = sandbox.stub(
+        dockerOperations,
+        "signalContainerProcesses",
+      );
+
+      const result = await fuzzingOperations.stopFuzzTarget(
+        "/test/workspace",
+        "idle-fuzzer",
+      );
+
+      assert.strictEqual(result.success, true);
+      assert.ok(result.message.includes("not running"));
+      assert.ok(signalStub.notCalled);
+    });
+
+    test("pauseFuzzTarget and resumeFuzzTarget should suspend and continue the fuzzer", async () => {
+      const { mockProcess, runStub, runPromise } = await startRun([
+        "test-fuzzer",
+      ]);
+      const containerName = runStub.firstCall.args[4].containerName;
+      const signalStub = sandbox
+        .stub(dockerOperations, "signalContainerProcesses")
+        .resolves(1);
+
+      await fuzzingOperations.pauseFuzzTarget("/test/workspace", "test-fuzzer");
+      assert.ok(signalStub.calledWith(containerName, "test-fuzzer", "STOP"));
+      assert.strictEqual(
+        fuzzingOperations.getRunningFuzzer("/test/workspace", "test-fuzzer")
+          .paused,
+        true,
+      );
+
+      await fuzzingOperations.resumeFuzzTarget(
+        "/test/workspace",
+        "test-fuzzer",
+      );
+      assert.ok(signalStub.calledWith(containerName, "test-fuzzer", "CONT"));
+      assert.strictEqual(
+        fuzzingOperations.getRunningFuzzer("/test/workspace", "test-fuzzer")
+          .paused,
+        false,
+      );
+
+      finishRun(mockProcess, ["test-fuzzer"]);
+      await runPromise;
+    });
+
+    test("pauseFuzzTarget should fail for fuzzers that are not running", async () => {
+      await assert.rejects(
+        fuzzingOperations.pauseFuzzTarget("/test/workspace", "idle-fuzzer"),
+        /Fuzzer idle-fuzzer is not running/,
+      );
+    });
+  });
+
+  suite("libFuzzer Arguments", () => {
+    test("runFuzzTestsWithScript should append libFuzzer flags to the run command", async () => {
+      const EventEmitter = require("events");
+      const mockProcess = new EventEmitter();
+      mockProcess.stdout = new EventEmitter();
+      mockProcess.stderr = new EventEmitter();
+      const runStub = sandbox
+        .stub(dockerOperations, "runDockerCommandWithOutput")
+        .returns(mockProcess);
+
+      const runPromise = fuzzingOperations.runFuzzTestsWithScript(
+        "/test/workspace",
+        "test-image",
+        [{ preset: "debug", fuzzer: "test-fuzzer" }],
+        mockOutputChannel,
+        null,
+        { libFuzzerArgs: ["-max_total_time=600", "-jobs=4"] },
+      );
+      while (!runStub.called) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+      mockProcess.emit("close", 0);
+      await runPromise;
+
+      assert.strictEqual(
+        runStub.firstCall.args[2],
+        'codeforge run-fuzz-tests "debug:test-fuzzer" "-max_total_time=600" "-jobs=4"',
+      );
+    });
+
+    test("buildRunCommand should run fuzzers with overrides on their own", () => {
+      const command = fuzzingOperations.buildRunCommand(
+        "/test/workspace",
+        [
+          { preset: "debug", fuzzer: "lexer-fuzz" },
+          { preset: "debug", fuzzer: "parser-fuzz" },
+        ],
+        {
+          "parser-fuzz": {
+            libfuzzer: { maxLen: 1024 },
+            dictionary: "fuzz/parser.dict",
+            seedCorpus: ["fuzz/seeds"],
+            env: { ASAN_OPTIONS: "detect_leaks=0:quarantine='1'" },
+          },
+        },
+        ["-max_total_time=60"],
+      );
+
+      const steps = command.split("; ");
+      assert.strictEqual(steps[0], "status=0");
+      assert.strictEqual(
+        steps[1],
+        'codeforge run-fuzz-tests "debug:lexer-fuzz" "-max_total_time=60" || status=$?',
+      );
+      assert.ok(
+        steps[2].startsWith(
+          "mkdir -p '/test/workspace/.codeforge/fuzzing/parser-fuzz-output/corpus' && find '/test/workspace/fuzz/seeds' -type f -exec cp -n",
+        ),
+      );
+      assert.strictEqual(
+        steps[steps.length - 2],
+        `ASAN_OPTIONS='detect_leaks=0:quarantine='\\''1'\\''' codeforge run-fuzz-tests "debug:parser-fuzz" "-max_len=1024" '-dict=/test/workspace/fuzz/parser.dict' "-max_total_time=60" || status=$?`,
+      );
+      assert.strictEqual(steps[steps.length - 1], "exit $status");
+    });
+
+    test("buildRunCommand should quote dictionaries in workspaces with spaces", () => {
+      const command = fuzzingOperations.buildRunCommand(
+        "/home/u/My Project",
+        [{ preset: "debug", fuzzer: "parser-fuzz" }],
+        { "parser-fuzz": { dictionary: ".codeforge/dictionaries/p.dict" } },
+      );
+
+      assert.strictEqual(
+        command.split("; ")[1],
+        `codeforge run-fuzz-tests "debug:parser-fuzz" '-dict=/home/u/My Project/.codeforge/dictionaries/p.dict' || status=$?`,
+      );
+    });
+
+    test("runFuzzTestsWithScript should skip fuzzers disabled in the project file", async () => {
+      const fsPromises = require("fs").promises;
+      const os = require("os");
+      const workspacePath = await fsPromises.mkdtemp(
+        path.join(os.tmpdir(), "codeforge-disabled-"),
+      );
+      await fsPromises.mkdir(path.join(workspacePath, ".codeforge"));
+      await fsPromises.writeFile(
+        path.join(workspacePath, ".codeforge", "fuzzers.json"),
+        JSON.stringify({ fuzzers: { "slow-fuzz": { enabled: false } } }),
+      );
+      const runStub = sandbox.stub(
+        dockerOperations,
+        "runDockerCommandWithOutput",
+      );
+
+      try {
+        const results = await fuzzingOperations.runFuzzTestsWithScript(
+          workspacePath,
+          "test-image",
+          [{ preset: "debug", fuzzer: "slow-fuzz" }],
+          mockOutputChannel,
+        );
+
+        assert.deepStrictEqual(results.skipped, ["slow-fuzz"]);
+        assert.strictEqual(results.executed, 0);
+        assert.ok(runStub.notCalled, "No container should be started");
+      } finally {
+        await fsPromises.rm(workspacePath, { recursive: true, force: true });
+      }
+    });
+
+    test("formatLibFuzzerArgs should reject flags that are not name=value", () => {
+      assert.throws(
+        () => fuzzingOperations.formatLibFuzzerArgs(["-jobs=4; rm -rf /"]),
+        /Invalid libFuzzer flag/,
+      );
+      assert.throws(
+        () => fuzzingOperations.formatLibFuzzerArgs(["--help"]),
+        /Invalid libFuzzer flag/,
+      );
+    });
+  });
 });
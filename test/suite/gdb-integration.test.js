@@ -19,6 +19,7 @@ const {
   GdbTerminalLauncher,
   GdbServerLauncher,
   GdbIntegration,
+  RR_DOCKER_ARGS,
 } = require("../../src/fuzzing/gdbIntegration");
 
 // Import test helpers
@@ -1355,6 +1356,102 @@ suite("GDB Integration Test Suite", () => {
         `codeforge run-crash-in-gdbserver ${fuzzerName}:${fullCrashHash}:2000`,
       );
     });
+
+    test("Should hold the host port until the gdbserver is stopped", async () => {
+      const process = {
+        stdout: { on: sandbox.stub() },
+        stderr: { on: sandbox.stub() },
+        on: sandbox.stub(),
+        kill: sandbox.stub(),
+        killed: false,
+        containerName: "test-container_gdbserver_1",
+      };
+      mockDockerOperations.runDockerCommandWithOutput.returns(process);
+      mockDockerOperations.stopContainer = sandbox.stub().resolves(true);
+
+      const first = await gdbServerLauncher.launchGdbServer(
+        "/test/workspace",
+        "test-fuzzer",
+        "abc123def456",
+      );
+      const second = await gdbServerLauncher.launchGdbServer(
+        "/test/workspace",
+        "test-fuzzer",
+        "abc123def456",
+      );
+      assert.notStrictEqual(first.hostPort, second.hostPort);
+      assert.strictEqual(first.containerName, "test-container_gdbserver_1");
+
+      assert.strictEqual(await gdbServerLauncher.stopGdbServer(first), true);
+      await gdbServerLauncher.stopGdbServer(second);
+
+      assert.ok(process.kill.called);
+      assert.ok(
+        mockDockerOperations.stopContainer.calledWith(
+          "test-container_gdbserver_1",
+          true,
+        ),
+      );
+      assert.strictEqual(
+        await gdbServerLauncher.findAvailablePort(first.hostPort),
+        first.hostPort,
+      );
+    });
+
+    test("Should record the crash with rr and serve its replay", async () => {
+      const result = await gdbServerLauncher.launchGdbServer(
+        "/test/workspace",
+        "test-fuzzer",
+        "abc123def456",
+        { recordWithRr: true },
+      );
+      gdbServerLauncher.releasePort(result.hostPort);
+
+      const dockerOptions =
+        mockDockerOperations.runDockerCommandWithOutput.firstCall.args[4];
+      for (const arg of RR_DOCKER_ARGS) {
+        assert.ok(dockerOptions.additionalArgs.includes(arg), arg);
+      }
+      assert.strictEqual(dockerOptions.containerType, "gdbserver");
+      assert.ok(
+        result.gdbserverCommand.includes(
+          "find '/test/workspace/.codeforge/fuzzing/test-fuzzer-output' -type f -name \"crash-abc123def456\"",
+        ),
+      );
+      assert.ok(
+        result.gdbserverCommand.includes(
+          'rr record --output-trace-dir ".codeforge/rr-traces/test-fuzzer-abc123def456" "$BIN" "$CRASH"',
+        ),
+      );
+      assert.ok(
+        result.gdbserverCommand.endsWith(
+          'exec rr replay --dbghost=0.0.0.0 --dbgport=2000 ".codeforge/rr-traces/test-fuzzer-abc123def456"',
+        ),
+      );
+      assert.ok(!result.gdbserverCommand.includes("run-crash-in-gdbserver"));
+    });
+
+    test("Should look up the rr crash in the configured output directory", () => {
+      sandbox.stub(require("vscode"), "workspace").value({
+        getConfiguration: sandbox.stub().returns({
+          get: (key, defaultValue) =>
+            key === "fuzzing.outputDirectory" ? "out/fuzz" : defaultValue,
+        }),
+      });
+
+      const command = gdbServerLauncher.buildRrReplayCommand(
+        "/home/u/My Project",
+        "test-fuzzer",
+        "abc123def456",
+        2000,
+      );
+
+      assert.ok(
+        command.includes(
+          "find '/home/u/My Project/out/fuzz/test-fuzzer-output' -type f",
+        ),
+      );
+    });
   });
 
   suite("GdbIntegration - GDB Server Launch", () => {
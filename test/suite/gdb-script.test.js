@@ -0,0 +1,131 @@
+/**
+ * GDB Script Test Suite
+ *
+ * Tests for GdbScriptService:
+ * - Named scripts in .codeforge/gdb-scripts/ and the built-in default
+ * - Container scripts that run a fuzzer on a crash under gdb --batch
+ * - Rejecting crash paths that cannot be placed in the script
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  GdbScriptService,
+  DEFAULT_GDB_SCRIPT,
+} = require("../../src/fuzzing/gdbScriptService");
+
+suite("GDB Script Test Suite", () => {
+  let workspacePath;
+  let service;
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-gdb-script-")),
+    );
+    service = new GdbScriptService();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  test("Should offer the built-in default script in an empty workspace", async () => {
+    assert.deepStrictEqual(await service.listScripts(workspacePath), [
+      { ...DEFAULT_GDB_SCRIPT, filePath: null },
+    ]);
+  });
+
+  test("Should save named scripts and read them back", async () => {
+    const saved = await service.saveScript(workspacePath, "heap-state", [
+      "info proc mappings",
+      "x/16gx $rdi",
+    ]);
+    const directory = path.join(workspacePath, ".codeforge", "gdb-scripts");
+    await fs.writeFile(
+      path.join(directory, "default.gdb"),
+      "# Team default\n\nbt\n",
+    );
+    await fs.writeFile(path.join(directory, "notes.txt"), "not a script");
+
+    assert.strictEqual(saved.filePath, path.join(directory, "heap-state.gdb"));
+    assert.deepStrictEqual(await service.listScripts(workspacePath), [
+      {
+        name: "default",
+        filePath: path.join(directory, "default.gdb"),
+        commands: ["bt"],
+      },
+      saved,
+    ]);
+  });
+
+  test("Should refuse script names that are not file names", async () => {
+    await assert.rejects(
+      service.saveScript(workspacePath, "../escape", ["bt"]),
+      /Invalid script name/,
+    );
+    await assert.rejects(
+      service.saveScript(workspacePath, "empty", []),
+      /at least one gdb command/,
+    );
+  });
+
+  test("Should run the fuzzer on the crash and then the script commands", () => {
+    const crashPath = path.join(workspacePath, "crash-aaaa1111");
+
+    const script = service.buildAnalysisScript(
+      workspacePath,
+      "parser-fuzz",
+      crashPath,
+      ["bt full", "x/32x $sp", "echo it's done"],
+    );
+
+    assert.ok(
+      script.includes('BIN="$(codeforge get-path-to-fuzzer "parser-fuzz")"'),
+    );
+    assert.ok(script.includes("abort_on_error=1"));
+    assert.ok(
+      script.includes(
+        `'gdb' '--batch' '--quiet' '--ex' 'set pagination off' '--ex' 'run' '--ex' 'bt full' '--ex' 'x/32x $sp' '--ex' 'echo it'\\''s done' '--args' "$BIN" '${crashPath}' 2>&1`,
+      ),
+    );
+    assert.ok(script.endsWith("exit 0"));
+  });
+
+  test("Should return the gdb output of a crash", async () => {
+    const execute = sinon
+      .stub(service, "executeAnalysisScript")
+      .resolves("#0  0x0000 in parse ()\n");
+
+    const output = await service.analyzeCrash(
+      workspacePath,
+      "parser-fuzz",
+      path.join(workspacePath, "crash-aaaa1111"),
+      DEFAULT_GDB_SCRIPT,
+      "test-image",
+    );
+
+    assert.strictEqual(output, "#0  0x0000 in parse ()\n");
+    assert.strictEqual(execute.firstCall.args[2], "test-image");
+    assert.ok(execute.firstCall.args[1].includes("'info registers'"));
+  });
+
+  test("Should refuse crash paths that cannot be placed in the script", async () => {
+    const execute = sinon.stub(service, "executeAnalysisScript");
+
+    await assert.rejects(
+      service.analyzeCrash(
+        workspacePath,
+        "parser-fuzz",
+        path.join(workspacePath, 'crash-"x'),
+        DEFAULT_GDB_SCRIPT,
+        "test-image",
+      ),
+      /Invalid crash file path/,
+    );
+    assert.ok(execute.notCalled);
+  });
+});
@@ -500,6 +500,28 @@ suite("Launch Configuration Manager Test Suite", () => {
       assert.strictEqual(configs[1].name, "GDB Config 2");
     });
 
+    test("Should include CodeLLDB and cppdbg gdbserver configurations", async () => {
+      const launchConfig = {
+        version: "0.2.0",
+        configurations: [
+          launchConfigManager.createCodeLLDBConfig("LLDB Config", 2000),
+          launchConfigManager.createCppdbgConfig("Cppdbg Config", 2001),
+          { name: "LLDB Launch", type: "lldb", request: "launch" },
+          { name: "Cppdbg Launch", type: "cppdbg", request: "launch" },
+        ],
+      };
+
+      mockFs.readFile.resolves(JSON.stringify(launchConfig));
+
+      const configs =
+        await launchConfigManager.getGdbConfigurations(workspacePath);
+
+      assert.deepStrictEqual(
+        configs.map((config) => config.name),
+        ["LLDB Config", "Cppdbg Config"],
+      );
+    });
+
     test("Should return empty array when launch.json doesn't exist", async () => {
       mockFs.readFile.rejects(new Error("ENOENT"));
 
@@ -779,6 +801,21 @@ suite("Launch Configuration Manager Test Suite", () => {
       assert.strictEqual(result.preferredExtension, "codeLLDB");
     });
 
+    test("Should prefer cpptools when it is installed", () => {
+      const mockVscode = {
+        extensions: {
+          all: [{ id: "vadimcn.vscode-lldb" }, { id: "ms-vscode.cpptools" }],
+        },
+      };
+
+      const manager = new LaunchConfigManager(mockFs, mockVscode);
+      const result = manager.detectDebugExtensions();
+
+      assert.strictEqual(result.cppTools, true);
+      assert.strictEqual(result.codeLLDB, true);
+      assert.strictEqual(result.preferredExtension, "cppTools");
+    });
+
     test("Should return null when no debug extensions installed", () => {
       // Create mock vscode with no debug extensions
       const mockVscode = {
@@ -864,6 +901,53 @@ suite("Launch Configuration Manager Test Suite", () => {
       assert.strictEqual(config.printCalls, true);
       assert.deepStrictEqual(config.autorun, ["continue"]);
     });
+
+    test("Should create cppdbg configuration", () => {
+      const config = launchConfigManager.createCppdbgConfig(
+        configName,
+        port,
+        fuzzerExecutable,
+        {
+          sourceFileMap: { "/Users/dev/project": "C:/Users/dev/project" },
+          stopAtConnect: true,
+        },
+      );
+
+      assert.strictEqual(config.type, "cppdbg");
+      assert.strictEqual(config.request, "launch");
+      assert.strictEqual(config.MIMode, "gdb");
+      assert.strictEqual(config.miDebuggerServerAddress, `localhost:${port}`);
+      assert.strictEqual(config.program, fuzzerExecutable);
+      assert.strictEqual(config.stopAtConnect, true);
+      assert.deepStrictEqual(config.sourceFileMap, {
+        "/Users/dev/project": "C:/Users/dev/project",
+      });
+      assert.deepStrictEqual(config.setupCommands, [
+        {
+          description: "Enable pretty-printing for gdb",
+          text: "-enable-pretty-printing",
+          ignoreFailures: true,
+        },
+      ]);
+    });
+
+    test("Should map the container workspace back to the host", () => {
+      // Mounted at the same path, nothing to map
+      assert.deepStrictEqual(
+        launchConfigManager.getSourceFileMap("/home/dev/project"),
+        {},
+      );
+      // The container has no drive letters
+      assert.deepStrictEqual(
+        launchConfigManager.getSourceFileMap("C:/Users/dev/project", {
+          "/src": "/opt/src",
+        }),
+        {
+          "/Users/dev/project": "C:/Users/dev/project",
+          "/src": "/opt/src",
+        },
+      );
+    });
   });
 
   suite("createOrUpdateGdbAttachConfig with Extension Detection", () => {
@@ -910,6 +994,38 @@ suite("Launch Configuration Manager Test Suite", () => {
       assert.ok(config.processCreateCommands);
     });
 
+    test("Should create cppdbg config when cpptools is installed", async () => {
+      const mockVscode = {
+        extensions: {
+          all: [{ id: "ms-vscode.cpptools" }, { id: "webfreak.debug" }],
+        },
+      };
+
+      const manager = new LaunchConfigManager(mockFs, mockVscode);
+
+      mockFs.access.rejects(new Error("ENOENT"));
+      mockFs.readFile.rejects(new Error("ENOENT"));
+
+      const result = await manager.createOrUpdateGdbAttachConfig(
+        workspacePath,
+        configName,
+        port,
+        fuzzerExecutable,
+        { stopAtConnect: true },
+      );
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.extensionUsed, "C/C++ (cpptools)");
+      assert.strictEqual(result.debugExtensions.preferred, "cppTools");
+
+      const config = JSON.parse(mockFs.writeFile.firstCall.args[1])
+        .configurations[0];
+      assert.strictEqual(config.type, "cppdbg");
+      assert.strictEqual(config.miDebuggerServerAddress, `localhost:${port}`);
+      assert.strictEqual(config.program, fuzzerExecutable);
+      assert.strictEqual(config.stopAtConnect, true);
+    });
+
     test("Should create NativeDebug config when NativeDebug is installed", async () => {
       // Mock vscode with NativeDebug extension
       const mockVscode = {
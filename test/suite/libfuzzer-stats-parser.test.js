@@ -0,0 +1,244 @@
+/**
+ * libFuzzer Stats Parser Test Suite
+ *
+ * Tests for parsing libFuzzer progress output:
+ * - parseLibFuzzerStatusLine - Single status line parsing (regular and fork mode)
+ * - LibFuzzerStatsTracker - Chunked stream parsing, fuzzer attribution and history
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const {
+  parseLibFuzzerStatusLine,
+  parseSizeToBytes,
+  LibFuzzerStatsTracker,
+} = require("../../src/fuzzing/libfuzzerStatsParser");
+
+suite("libFuzzer Stats Parser Test Suite", () => {
+  suite("parseLibFuzzerStatusLine", () => {
+    test("Should parse INITED line", () => {
+      const stats = parseLibFuzzerStatusLine(
+        "#2\tINITED cov: 3 ft: 4 corp: 1/1b exec/s: 0 rss: 30Mb",
+      );
+
+      assert.strictEqual(stats.event, "INITED");
+      assert.strictEqual(stats.execs, 2);
+      assert.strictEqual(stats.coverage, 3);
+      assert.strictEqual(stats.features, 4);
+      assert.strictEqual(stats.corpusSize, 1);
+      assert.strictEqual(stats.corpusBytes, 1);
+      assert.strictEqual(stats.execPerSec, 0);
+      assert.strictEqual(stats.rssMb, 30);
+    });
+
+    test("Should parse NEW line with mutation details", () => {
+      const stats = parseLibFuzzerStatusLine(
+        "#7\tNEW    cov: 4 ft: 5 corp: 2/3b lim: 4 exec/s: 0 rss: 30Mb L: 2/2 MS: 1 ChangeBit-",
+      );
+
+      assert.strictEqual(stats.event, "NEW");
+      assert.strictEqual(stats.coverage, 4);
+      assert.strictEqual(stats.corpusSize, 2);
+    });
+
+    test("Should parse pulse line with kilobyte corpus size", () => {
+      const stats = parseLibFuzzerStatusLine(
+        "#65536\tpulse  cov: 120 ft: 310 corp: 48/12Kb lim: 128 exec/s: 21845 rss: 45Mb",
+      );
+
+      assert.strictEqual(stats.event, "pulse");
+      assert.strictEqual(stats.execs, 65536);
+      assert.strictEqual(stats.corpusBytes, 12 * 1024);
+      assert.strictEqual(stats.execPerSec, 21845);
+    });
+
+    test("Should parse REDUCE and DONE lines", () => {
+      assert.strictEqual(
+        parseLibFuzzerStatusLine(
+          "#300\tREDUCE cov: 9 ft: 11 corp: 3/7b lim: 4 exec/s: 0 rss: 30Mb L: 1/2 MS: 1 EraseBytes-",
+        ).event,
+        "REDUCE",
+      );
+      assert.strictEqual(
+        parseLibFuzzerStatusLine(
+          "#100000\tDONE   cov: 9 ft: 11 corp: 3/7b lim: 4 exec/s: 50000 rss: 31Mb",
+        ).event,
+        "DONE",
+      );
+    });
+
+    test("Should parse fork mode summary line", () => {
+      const stats = parseLibFuzzerStatusLine(
+        "#4096: cov: 120 ft: 300 corp: 48 exec/s 2048 oom/timeout/crash: 0/0/1 time: 12s job: 3 dft_time: 0",
+      );
+
+      assert.strictEqual(stats.event, "fork");
+      assert.strictEqual(stats.execs, 4096);
+      assert.strictEqual(stats.coverage, 120);
+      assert.strictEqual(stats.features, 300);
+      assert.strictEqual(stats.corpusSize, 48);
+      assert.strictEqual(stats.corpusBytes, null);
+      assert.strictEqual(stats.execPerSec, 2048);
+      assert.strictEqual(stats.rssMb, null);
+    });
+
+    test("Should leave missing fields as null", () => {
+      const stats = parseLibFuzzerStatusLine("#2\tINITED exec/s: 0 rss: 30Mb");
+
+      assert.strictEqual(stats.coverage, null);
+      assert.strictEqual(stats.features, null);
+      assert.strictEqual(stats.corpusSize, null);
+    });
+
+    test("Should return null for non-status lines", () => {
+      assert.strictEqual(parseLibFuzzerStatusLine(""), null);
+      assert.strictEqual(parseLibFuzzerStatusLine(null), null);
+      assert.strictEqual(
+        parseLibFuzzerStatusLine("INFO: Seed: 1234567890"),
+        null,
+      );
+      assert.strictEqual(
+        parseLibFuzzerStatusLine("[+] running fuzzer: /path/to/fuzzer"),
+        null,
+      );
+    });
+  });
+
+  suite("parseSizeToBytes", () => {
+    test("Should convert libFuzzer size units", () => {
+      assert.strictEqual(parseSizeToBytes("40", "b"), 40);
+      assert.strictEqual(parseSizeToBytes("2", "Kb"), 2048);
+      assert.strictEqual(parseSizeToBytes("3", "Mb"), 3 * 1024 * 1024);
+    });
+  });
+
+  suite("LibFuzzerStatsTracker", () => {
+    test("Should attribute stats to the running fuzzer", () => {
+      const onUpdate = sinon.stub();
+      const tracker = new LibFuzzerStatsTracker(onUpdate);
+
+      tracker.processChunk(
+        "[+] running fuzzer: /workspace/.codeforge/fuzzing/first-fuzz\n",
+      );
+      tracker.processChunk(
+        "#2\tINITED cov: 3 ft: 4 corp: 1/1b exec/s: 0 rss: 30Mb\n",
+      );
+      tracker.processChunk(
+        "[+] running fuzzer: /workspace/.codeforge/fuzzing/second-fuzz\n",
+      );
+      tracker.processChunk(
+        "#2\tINITED cov: 7 ft: 9 corp: 1/1b exec/s: 0 rss: 30Mb\n",
+      );
+
+      const first = tracker.getSnapshot("first-fuzz");
+      const second = tracker.getSnapshot("second-fuzz");
+
+      assert.strictEqual(first.running, false);
+      assert.strictEqual(first.current.coverage, 3);
+      assert.strictEqual(second.running, true);
+      assert.strictEqual(second.current.coverage, 7);
+      assert(onUpdate.calledWith("second-fuzz"));
+    });
+
+    test("Should buffer partial lines across chunks", () => {
+      const tracker = new LibFuzzerStatsTracker(null, {
+        initialFuzzer: "example-fuzz",
+      });
+
+      tracker.processChunk("#1024\tpulse  cov: 1", "stderr");
+      assert.strictEqual(tracker.getSnapshot("example-fuzz"), null);
+
+      tracker.processChunk(
+        "2 ft: 18 corp: 5/40b exec/s: 512 rss: 31Mb\n",
+        "stderr",
+      );
+      assert.strictEqual(
+        tracker.getSnapshot("example-fuzz").current.coverage,
+        12,
+      );
+    });
+
+    test("Should keep stdout and stderr buffers separate", () => {
+      const tracker = new LibFuzzerStatsTracker(null, {
+        initialFuzzer: "example-fuzz",
+      });
+
+      tracker.processChunk("#1024\tpulse  cov: 12", "stderr");
+      tracker.processChunk("unrelated stdout line\n", "stdout");
+      tracker.processChunk(
+        " ft: 18 corp: 5/40b exec/s: 512 rss: 31Mb\n",
+        "stderr",
+      );
+
+      const snapshot = tracker.getSnapshot("example-fuzz");
+      assert.strictEqual(snapshot.history.length, 1);
+      assert.strictEqual(snapshot.current.features, 18);
+    });
+
+    test("Should limit history length", () => {
+      const tracker = new LibFuzzerStatsTracker(null, {
+        historyLimit: 3,
+        initialFuzzer: "example-fuzz",
+      });
+
+      for (let i = 1; i <= 5; i++) {
+        tracker.processLine(
+          `#${i}\tNEW    cov: ${i} ft: ${i} corp: 1/1b exec/s: 0 rss: 30Mb`,
+        );
+      }
+
+      const snapshot = tracker.getSnapshot("example-fuzz");
+      assert.deepStrictEqual(
+        snapshot.history.map((sample) => sample.coverage),
+        [3, 4, 5],
+      );
+    });
+
+    test("Should mark fuzzers finished on finishAll and flush partial lines", () => {
+      const onUpdate = sinon.stub();
+      const tracker = new LibFuzzerStatsTracker(onUpdate, {
+        initialFuzzer: "example-fuzz",
+      });
+
+      tracker.processChunk(
+        "#100\tDONE   cov: 9 ft: 11 corp: 3/7b exec/s: 10 rss: 31Mb",
+      );
+      tracker.finishAll();
+
+      const snapshot = tracker.getSnapshot("example-fuzz");
+      assert.strictEqual(snapshot.running, false);
+      assert.strictEqual(snapshot.current.event, "DONE");
+    });
+
+    test("Should ignore status lines before any fuzzer is known", () => {
+      const onUpdate = sinon.stub();
+      const tracker = new LibFuzzerStatsTracker(onUpdate);
+
+      tracker.processLine(
+        "#2\tINITED cov: 3 ft: 4 corp: 1/1b exec/s: 0 rss: 30Mb",
+      );
+
+      assert(onUpdate.notCalled);
+    });
+
+    test("Should not propagate callback errors", () => {
+      const tracker = new LibFuzzerStatsTracker(
+        () => {
+          throw new Error("webview gone");
+        },
+        { initialFuzzer: "example-fuzz" },
+      );
+      const consoleStub = sinon.stub(console, "error");
+
+      try {
+        assert.doesNotThrow(() =>
+          tracker.processLine(
+            "#2\tINITED cov: 3 ft: 4 corp: 1/1b exec/s: 0 rss: 30Mb",
+          ),
+        );
+      } finally {
+        consoleStub.restore();
+      }
+    });
+  });
+});
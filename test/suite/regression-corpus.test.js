@@ -0,0 +1,181 @@
+/**
+ * Regression Corpus Test Suite
+ *
+ * Tests for RegressionCorpusService:
+ * - Where regression inputs are saved and which are replayed
+ * - Container scripts that replay the inputs against each fuzzer
+ * - Pass/fail results read from the script output and fuzzer logs
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const vscode = require("vscode");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  RegressionCorpusService,
+} = require("../../src/fuzzing/regressionCorpusService");
+
+suite("Regression Corpus Test Suite", () => {
+  let workspacePath;
+  let service;
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-regression-")),
+    );
+    service = new RegressionCorpusService();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  async function saveInputs(fuzzerName, names) {
+    const directory = service.getRegressionDirectory(workspacePath, fuzzerName);
+    await fs.mkdir(directory, { recursive: true });
+    for (const name of names) {
+      await fs.writeFile(path.join(directory, name), name);
+    }
+  }
+
+  test("Should save inputs to the configured regression directory", async () => {
+    sinon.stub(vscode.workspace, "getConfiguration").returns({
+      get: (key, defaultValue) =>
+        key === "fuzzing.regressionDirectory"
+          ? "tests/regressions"
+          : defaultValue,
+    });
+    const inputPath = path.join(workspacePath, "crash-input");
+    await fs.writeFile(inputPath, "GET / HTTP/1.1");
+
+    const { filePath } = await service.saveInput(
+      workspacePath,
+      "parser-fuzz",
+      inputPath,
+    );
+
+    assert.strictEqual(
+      filePath,
+      path.join(
+        workspacePath,
+        "tests",
+        "regressions",
+        "parser-fuzz",
+        "237e1da92209c64fdb32ffc52cdef59b29405a2f",
+      ),
+    );
+  });
+
+  test("Should skip hidden files and names the script cannot take", async () => {
+    await saveInputs("parser-fuzz", ["bbb222", "aaa111", ".gitkeep", "a b"]);
+
+    assert.deepStrictEqual(
+      await service.listInputs(workspacePath, "parser-fuzz"),
+      ["aaa111", "bbb222"],
+    );
+    assert.deepStrictEqual(
+      await service.listInputs(workspacePath, "other-fuzz"),
+      [],
+    );
+  });
+
+  test("Should build the fuzzers and replay every input once", () => {
+    const script = service.buildReplayScript(
+      workspacePath,
+      [
+        { name: "parser-fuzz", preset: "debug", inputs: ["aaa111"] },
+        { name: "json_fuzz", preset: "", inputs: ["bbb222"] },
+      ],
+      { timeout: 25, memoryLimit: 2048 },
+    );
+    const regressions = path.join(workspacePath, ".codeforge", "regressions");
+
+    assert.ok(
+      script.includes(
+        'codeforge build-fuzz-tests "debug:parser-fuzz json_fuzz"',
+      ),
+    );
+    assert.ok(
+      script.includes('BIN="$(codeforge get-path-to-fuzzer "parser-fuzz")"'),
+    );
+    assert.ok(
+      script.includes(
+        `"$BIN" -timeout=25 -rss_limit_mb=2048 "${regressions}/parser-fuzz/aaa111" > "$LOGS/aaa111.log" 2>&1`,
+      ),
+    );
+    assert.ok(
+      script.includes(
+        `cargo fuzz run "json_fuzz" "${regressions}/json_fuzz/bbb222" -- -timeout=25 -rss_limit_mb=2048`,
+      ),
+    );
+    assert.ok(
+      script.includes('echo "CODEFORGE_REGRESSION parser-fuzz aaa111 $?"'),
+    );
+  });
+
+  test("Should report passing and failing inputs with the sanitizer summary", async () => {
+    await saveInputs("parser-fuzz", ["aaa111", "bbb222", "ccc333"]);
+    const logDir = service.getLogDirectory(workspacePath, "parser-fuzz");
+    const execute = sinon
+      .stub(service, "executeReplayScript")
+      .callsFake(async () => {
+        await fs.mkdir(logDir, { recursive: true });
+        await fs.writeFile(path.join(logDir, "aaa111.log"), "Done 1 runs\n");
+        await fs.writeFile(
+          path.join(logDir, "bbb222.log"),
+          "==1==ERROR: AddressSanitizer: heap-buffer-overflow on address 0x1\n" +
+            "SUMMARY: AddressSanitizer: heap-buffer-overflow parser.c:42 in parse\n",
+        );
+        return [
+          "CODEFORGE_REGRESSION parser-fuzz aaa111 0",
+          "CODEFORGE_REGRESSION parser-fuzz bbb222 1",
+          "",
+        ].join("\n");
+      });
+
+    const results = await service.runRegressionCorpus(
+      workspacePath,
+      [
+        { name: "parser-fuzz", preset: "debug" },
+        { name: "empty-fuzz", preset: "debug" },
+      ],
+      { timeout: 25, memoryLimit: 2048 },
+      "test-image",
+    );
+
+    assert.ok(execute.calledOnce);
+    assert.ok(!execute.firstCall.args[1].includes("empty-fuzz"));
+    assert.deepStrictEqual(
+      results.map((result) => [result.input, result.passed, result.exitCode]),
+      [
+        ["aaa111", true, 0],
+        ["bbb222", false, 1],
+        ["ccc333", false, null],
+      ],
+    );
+    assert.strictEqual(results[0].log, null);
+    assert.strictEqual(
+      results[1].summary,
+      "AddressSanitizer: heap-buffer-overflow parser.c:42 in parse",
+    );
+    assert.ok(results[1].log.includes("==1==ERROR: AddressSanitizer"));
+    assert.strictEqual(results[2].summary, "The input was not replayed");
+  });
+
+  test("Should not start a container without saved inputs", async () => {
+    const execute = sinon.stub(service, "executeReplayScript");
+
+    const results = await service.runRegressionCorpus(
+      workspacePath,
+      [{ name: "parser-fuzz", preset: "debug" }],
+      { timeout: 25, memoryLimit: 2048 },
+      "test-image",
+    );
+
+    assert.deepStrictEqual(results, []);
+    assert.ok(execute.notCalled);
+  });
+});
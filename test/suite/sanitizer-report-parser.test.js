@@ -0,0 +1,341 @@
+/**
+ * Sanitizer Report Parser Test Suite
+ *
+ * Tests for turning crash report text into structured crash metadata:
+ * - parseStackFrame / extractStacks - Sanitizer and GDB stack formats
+ * - classifyBug - Sanitizer and bug class detection (ASan, UBSan, MSan, LSan, Rust, libFuzzer)
+ * - extractMemoryAccess - Faulting address and access size
+ * - assessSeverity - Severity rating
+ * - parseSanitizerReport - Complete metadata
+ */
+
+const assert = require("assert");
+const {
+  parseSanitizerReport,
+  parseStackFrame,
+  extractStacks,
+  extractStackFrames,
+  classifyBug,
+  extractMemoryAccess,
+  assessSeverity,
+  PARSER_VERSION,
+} = require("../../src/fuzzing/sanitizerReportParser");
+
+const ASAN_UAF_REPORT = `
+==1234==ERROR: AddressSanitizer: heap-use-after-free on address 0x602000000010 at pc 0x4f8b2a bp 0x7ffc sp 0x7ffc
+WRITE of size 4 at 0x602000000010 thread T0
+    #0 0x4f8b2a in update_session /workspace/src/session.c:42:7
+    #1 0x4f8c10 in LLVMFuzzerTestOneInput /workspace/fuzz/fuzz_session.c:12:3
+    #2 0x43de23 in fuzzer::Fuzzer::ExecuteCallback(unsigned char const*, unsigned long) (/workspace/.codeforge/fuzzing/fuzz_session+0x43de23)
+
+0x602000000010 is located 0 bytes inside of 16-byte region [0x602000000010,0x602000000020)
+freed by thread T0 here:
+    #0 0x4a1b2c in free (/workspace/.codeforge/fuzzing/fuzz_session+0x4a1b2c)
+    #1 0x4f8a00 in close_session /workspace/src/session.c:30:3
+
+previously allocated by thread T0 here:
+    #0 0x4a1c00 in malloc (/workspace/.codeforge/fuzzing/fuzz_session+0x4a1c00)
+    #1 0x4f8900 in open_session /workspace/src/session.c:10:20
+
+SUMMARY: AddressSanitizer: heap-use-after-free /workspace/src/session.c:42:7 in update_session
+`;
+
+const RUST_PANIC_REPORT = `
+thread '<unnamed>' panicked at src/parser.rs:27:13:
+index out of bounds: the len is 3 but the index is 5
+note: run with \`RUST_BACKTRACE=1\` environment variable to display a backtrace
+==17== ERROR: libFuzzer: deadly signal
+    #0 0x55d0 in __sanitizer_print_stack_trace (/out/parse+0x55d0)
+    #1 0x5610 in fuzzer::PrintStackTrace() (/out/parse+0x5610)
+SUMMARY: libFuzzer: deadly signal
+`;
+
+suite("Sanitizer Report Parser Test Suite", () => {
+  suite("parseStackFrame", () => {
+    test("Should parse symbolized sanitizer frames", () => {
+      const frame = parseStackFrame(
+        "    #0 0x4f8b2a in parse_header /workspace/src/parser.c:42:7",
+      );
+
+      assert.deepStrictEqual(frame, {
+        index: 0,
+        address: "0x4f8b2a",
+        function: "parse_header",
+        file: "/workspace/src/parser.c",
+        line: 42,
+        column: 7,
+        module: null,
+      });
+    });
+
+    test("Should keep C++ signatures with spaces intact", () => {
+      const frame = parseStackFrame(
+        "    #1 0x4f8c00 in Foo::bar(std::string const&) /src/a.cc:10:3",
+      );
+
+      assert.strictEqual(frame.function, "Foo::bar(std::string const&)");
+      assert.strictEqual(frame.file, "/src/a.cc");
+      assert.strictEqual(frame.line, 10);
+    });
+
+    test("Should parse unsymbolized module frames", () => {
+      const frame = parseStackFrame(
+        "    #4 0x7ffff (/lib/x86_64-linux-gnu/libc.so.6+0x29e40) (BuildId: abc123)",
+      );
+
+      assert.strictEqual(frame.index, 4);
+      assert.strictEqual(frame.function, null);
+      assert.strictEqual(frame.module, "/lib/x86_64-linux-gnu/libc.so.6");
+    });
+
+    test("Should parse GDB backtrace frames", () => {
+      const frame = parseStackFrame(
+        "#1  0x000055555555 in parse_header (buf=0x0) at src/parser.c:42",
+      );
+
+      assert.strictEqual(frame.index, 1);
+      assert.strictEqual(frame.function, "parse_header");
+      assert.strictEqual(frame.file, "src/parser.c");
+      assert.strictEqual(frame.line, 42);
+
+      const libraryFrame = parseStackFrame(
+        "#2  0x00007ffff7a9e000 in ?? () from /lib/libc.so.6",
+      );
+      assert.strictEqual(libraryFrame.function, null);
+      assert.strictEqual(libraryFrame.module, "/lib/libc.so.6");
+    });
+
+    test("Should return null for non-frame lines", () => {
+      assert.strictEqual(parseStackFrame("READ of size 1 at 0x6020"), null);
+      assert.strictEqual(parseStackFrame(""), null);
+    });
+  });
+
+  suite("extractStacks", () => {
+    test("Should split and title the crash, free and allocation stacks", () => {
+      const stacks = extractStacks(ASAN_UAF_REPORT);
+
+      assert.strictEqual(stacks.length, 3);
+      assert.strictEqual(stacks[0].frames.length, 3);
+      assert.strictEqual(stacks[1].title, "freed by thread T0 here");
+      assert.strictEqual(stacks[1].frames[1].function, "close_session");
+      assert.strictEqual(
+        stacks[2].title,
+        "previously allocated by thread T0 here",
+      );
+      assert.strictEqual(
+        extractStackFrames(ASAN_UAF_REPORT)[0].function,
+        "update_session",
+      );
+    });
+
+    test("Should return empty array for empty report", () => {
+      assert.deepStrictEqual(extractStacks(""), []);
+      assert.deepStrictEqual(extractStackFrames(null), []);
+    });
+  });
+
+  suite("classifyBug", () => {
+    test("Should classify AddressSanitizer errors", () => {
+      const result = classifyBug(ASAN_UAF_REPORT);
+      assert.strictEqual(result.sanitizer, "AddressSanitizer");
+      assert.strictEqual(result.bugClass, "heap-use-after-free");
+
+      assert.strictEqual(
+        classifyBug(
+          "==1==ERROR: AddressSanitizer: attempting double-free on 0x6020 in thread T0:",
+        ).bugClass,
+        "double-free",
+      );
+      assert.strictEqual(
+        classifyBug(
+          "==1==ERROR: AddressSanitizer: SEGV on unknown address 0x000000000000 (pc 0x1 bp 0x2 sp 0x3 T0)",
+        ).bugClass,
+        "SEGV",
+      );
+    });
+
+    test("Should classify MemorySanitizer and LeakSanitizer errors", () => {
+      assert.deepStrictEqual(
+        classifyBug("==9==WARNING: MemorySanitizer: use-of-uninitialized-value")
+          .bugClass,
+        "use-of-uninitialized-value",
+      );
+
+      const leak = classifyBug(
+        "==9==ERROR: LeakSanitizer: detected memory leaks\n\nDirect leak of 24 byte(s) in 1 object(s) allocated from:\nSUMMARY: AddressSanitizer: 24 byte(s) leaked in 1 allocation(s).",
+      );
+      assert.strictEqual(leak.sanitizer, "LeakSanitizer");
+      assert.strictEqual(leak.bugClass, "memory-leak");
+    });
+
+    test("Should classify UBSan runtime errors with their location", () => {
+      const result = classifyBug(
+        "/workspace/src/math.c:5:12: runtime error: signed integer overflow: 2147483647 + 1 cannot be represented in type 'int'",
+      );
+
+      assert.strictEqual(result.sanitizer, "UndefinedBehaviorSanitizer");
+      assert.strictEqual(result.bugClass, "signed-integer-overflow");
+      assert.deepStrictEqual(result.location, {
+        file: "/workspace/src/math.c",
+        line: 5,
+        column: 12,
+      });
+    });
+
+    test("Should prefer a Rust panic over the libFuzzer deadly signal", () => {
+      const result = classifyBug(RUST_PANIC_REPORT);
+
+      assert.strictEqual(result.sanitizer, "RustPanic");
+      assert.strictEqual(result.bugClass, "panic");
+      assert.strictEqual(
+        result.description,
+        "index out of bounds: the len is 3 but the index is 5",
+      );
+      assert.strictEqual(result.location.file, "src/parser.rs");
+      assert.strictEqual(result.location.line, 27);
+    });
+
+    test("Should classify legacy Rust panic messages", () => {
+      const result = classifyBug(
+        "thread 'main' panicked at 'attempt to subtract with overflow', src/lib.rs:10:5",
+      );
+
+      assert.strictEqual(
+        result.description,
+        "attempt to subtract with overflow",
+      );
+      assert.strictEqual(result.location.file, "src/lib.rs");
+    });
+
+    test("Should classify libFuzzer timeouts and out-of-memory", () => {
+      assert.deepStrictEqual(
+        [
+          classifyBug("==5== ERROR: libFuzzer: timeout after 25 seconds")
+            .bugClass,
+          classifyBug(
+            "==5== ERROR: libFuzzer: out-of-memory (malloc(4294967296))",
+          ).bugClass,
+          classifyBug("==5== ERROR: libFuzzer: deadly signal").bugClass,
+        ],
+        ["timeout", "out-of-memory", "deadly-signal"],
+      );
+    });
+
+    test("Should fall back to signals and unknown", () => {
+      assert.deepStrictEqual(
+        classifyBug("Program received signal SIGSEGV, Segmentation fault.")
+          .bugClass,
+        "SIGSEGV",
+      );
+      assert.strictEqual(classifyBug("").sanitizer, "unknown");
+      assert.strictEqual(classifyBug("no crash here").bugClass, "unknown");
+    });
+  });
+
+  suite("extractMemoryAccess", () => {
+    test("Should extract access type, size and address", () => {
+      assert.deepStrictEqual(extractMemoryAccess(ASAN_UAF_REPORT), {
+        address: "0x602000000010",
+        accessType: "WRITE",
+        accessSize: 4,
+      });
+    });
+
+    test("Should read the access type of SEGV reports", () => {
+      const result = extractMemoryAccess(
+        "==1==ERROR: AddressSanitizer: SEGV on unknown address 0x000000000010 (pc 0x1)\n==1==The signal is caused by a READ memory access.",
+      );
+
+      assert.strictEqual(result.address, "0x000000000010");
+      assert.strictEqual(result.accessType, "READ");
+      assert.strictEqual(result.accessSize, null);
+    });
+  });
+
+  suite("assessSeverity", () => {
+    test("Should rate memory corruption by access type", () => {
+      assert.strictEqual(
+        assessSeverity({
+          bugClass: "heap-buffer-overflow",
+          accessType: "WRITE",
+          address: "0x602000000011",
+        }),
+        "critical",
+      );
+      assert.strictEqual(
+        assessSeverity({
+          bugClass: "heap-buffer-overflow",
+          accessType: "READ",
+          address: "0x602000000011",
+        }),
+        "high",
+      );
+      assert.strictEqual(
+        assessSeverity({ bugClass: "heap-use-after-free", accessType: "READ" }),
+        "critical",
+      );
+    });
+
+    test("Should rate null dereferences, UB and resource exhaustion lower", () => {
+      assert.strictEqual(
+        assessSeverity({
+          bugClass: "SEGV",
+          accessType: "READ",
+          address: "0x000000000000",
+        }),
+        "medium",
+      );
+      assert.strictEqual(
+        assessSeverity({ bugClass: "signed-integer-overflow" }),
+        "medium",
+      );
+      assert.strictEqual(assessSeverity({ bugClass: "panic" }), "medium");
+      assert.strictEqual(assessSeverity({ bugClass: "timeout" }), "low");
+      assert.strictEqual(assessSeverity({ bugClass: "memory-leak" }), "low");
+      assert.strictEqual(assessSeverity({ bugClass: "unknown" }), "unknown");
+    });
+  });
+
+  suite("parseSanitizerReport", () => {
+    test("Should produce complete crash metadata", () => {
+      const metadata = parseSanitizerReport(ASAN_UAF_REPORT);
+
+      assert.strictEqual(metadata.version, PARSER_VERSION);
+      assert.strictEqual(metadata.sanitizer, "AddressSanitizer");
+      assert.strictEqual(metadata.bugClass, "heap-use-after-free");
+      assert.strictEqual(metadata.severity, "critical");
+      assert.strictEqual(metadata.address, "0x602000000010");
+      assert.strictEqual(metadata.accessType, "WRITE");
+      assert.strictEqual(metadata.accessSize, 4);
+      assert.strictEqual(metadata.stack.length, 3);
+      assert.strictEqual(metadata.relatedStacks.length, 2);
+      assert.deepStrictEqual(metadata.location, {
+        file: "/workspace/src/session.c",
+        line: 42,
+        column: 7,
+      });
+      assert.strictEqual(
+        metadata.summary,
+        "AddressSanitizer: heap-use-after-free /workspace/src/session.c:42:7 in update_session",
+      );
+    });
+
+    test("Should use the panic location for Rust panics", () => {
+      const metadata = parseSanitizerReport(RUST_PANIC_REPORT);
+
+      assert.strictEqual(metadata.sanitizer, "RustPanic");
+      assert.strictEqual(metadata.severity, "medium");
+      assert.strictEqual(metadata.location.file, "src/parser.rs");
+    });
+
+    test("Should handle empty reports", () => {
+      const metadata = parseSanitizerReport("");
+
+      assert.strictEqual(metadata.bugClass, "unknown");
+      assert.strictEqual(metadata.severity, "unknown");
+      assert.deepStrictEqual(metadata.stack, []);
+      assert.strictEqual(metadata.location, null);
+    });
+  });
+});
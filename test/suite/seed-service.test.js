@@ -0,0 +1,182 @@
+/**
+ * Seed Service Test Suite
+ *
+ * Tests for per-fuzzer seed corpora and dictionaries:
+ * - extractDictionaryEntries - String and integer constants from sources
+ * - escapeDictionaryEntry - libFuzzer dictionary escaping
+ * - SeedService - Seed import, harness source lookup and dictionary generation
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  SeedService,
+  extractDictionaryEntries,
+  escapeDictionaryEntry,
+} = require("../../src/fuzzing/seedService");
+const { loadFuzzerOverrides } = require("../../src/fuzzing/fuzzingConfig");
+
+suite("Seed Service Test Suite", () => {
+  let workspacePath;
+
+  setup(async () => {
+    workspacePath = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "codeforge-seeds-")),
+    );
+  });
+
+  teardown(async () => {
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  async function writeFile(relativePath, content) {
+    const filePath = path.join(workspacePath, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  suite("extractDictionaryEntries", () => {
+    test("Should extract string literals with escapes decoded", () => {
+      const entries = extractDictionaryEntries(
+        [
+          '#include "parser.h"',
+          'if (memcmp(data, "PNG\\r\\n", 5) == 0) return;',
+          'const char *tag = "<svg";',
+          'char c = "x";',
+        ].join("\n"),
+      );
+
+      assert.ok(entries.includes("PNG\r\n"));
+      assert.ok(entries.includes("<svg"));
+      assert.ok(!entries.includes("parser.h"), "Includes are not input");
+      assert.ok(!entries.includes("x"), "Single bytes are not useful");
+    });
+
+    test("Should skip comments and format strings", () => {
+      const entries = extractDictionaryEntries(
+        [
+          '/* magic "HIDDEN" */',
+          '// "ALSO_HIDDEN"',
+          'printf("read %d bytes\\n", n);',
+          'let url = "http://example";',
+        ].join("\n"),
+      );
+
+      assert.deepStrictEqual(entries, ["http://example"]);
+    });
+
+    test("Should encode integers above one byte as little-endian", () => {
+      const entries = extractDictionaryEntries(
+        "if (x == 0x4D5A) y = 70000; z = 12; w = 0x1122334455u64;",
+      );
+
+      assert.deepStrictEqual(entries, [
+        "\x5A\x4D",
+        "\x70\x11\x01\x00",
+        "\x55\x44\x33\x22\x11\x00\x00\x00",
+      ]);
+    });
+  });
+
+  suite("escapeDictionaryEntry", () => {
+    test("Should escape quotes, backslashes and unprintable bytes", () => {
+      assert.strictEqual(
+        escapeDictionaryEntry('a"b\\c\x00\xff'),
+        'a\\"b\\\\c\\x00\\xFF',
+      );
+    });
+  });
+
+  suite("SeedService", () => {
+    test("Should copy seeds once and register the seed directory", async () => {
+      const service = new SeedService();
+      const single = await writeFile("inputs/one.bin", "first");
+      await writeFile("inputs/more/two.bin", "second");
+      await writeFile("inputs/more/copy.bin", "first");
+
+      const first = await service.addSeeds(workspacePath, "parser-fuzz", [
+        single,
+      ]);
+      const second = await service.addSeeds(workspacePath, "parser-fuzz", [
+        path.join(workspacePath, "inputs", "more"),
+      ]);
+
+      assert.deepStrictEqual(first, {
+        added: 1,
+        duplicates: 0,
+        seedDirectory: ".codeforge/seeds/parser-fuzz",
+      });
+      assert.strictEqual(second.added, 1);
+      assert.strictEqual(second.duplicates, 1);
+      assert.deepStrictEqual(
+        await service.getSeedSummary(workspacePath, "parser-fuzz"),
+        { count: 2, totalSize: 11 },
+      );
+
+      const overrides = await loadFuzzerOverrides(workspacePath);
+      assert.deepStrictEqual(overrides["parser-fuzz"].seedCorpus, [
+        ".codeforge/seeds/parser-fuzz",
+      ]);
+    });
+
+    test("Should find the harness, its local headers and their sources", async () => {
+      const service = new SeedService();
+      const harness = await writeFile(
+        "fuzz/parser_fuzz.cpp",
+        '#include "../src/parser.h"\n#include <stdint.h>\nextern "C" int LLVMFuzzerTestOneInput(const uint8_t *d, size_t n) { return 0; }\n',
+      );
+      const header = await writeFile("src/parser.h", "int parse();\n");
+      const source = await writeFile("src/parser.c", "int parse() {}\n");
+      const unrelated = await writeFile("src/lexer.c", "int lex() {}\n");
+      const otherHarness = await writeFile(
+        "fuzz/lexer_fuzz.cpp",
+        "int LLVMFuzzerTestOneInput() {}\n",
+      );
+
+      const sources = await service.getFuzzerSources("parser-fuzz", [
+        harness,
+        header,
+        source,
+        unrelated,
+        otherHarness,
+      ]);
+
+      assert.deepStrictEqual(sources, [harness, header, source]);
+    });
+
+    test("Should write the dictionary and register it", async () => {
+      const service = new SeedService();
+      const source = await writeFile(
+        "src/parser.c",
+        'if (!strcmp(key, "version")) return 0x0102;\n',
+      );
+
+      const result = await service.generateDictionary(
+        workspacePath,
+        "parser-fuzz",
+        [source],
+      );
+
+      assert.deepStrictEqual(result, {
+        dictionary: ".codeforge/dictionaries/parser-fuzz.dict",
+        entries: 2,
+      });
+      const content = await fs.readFile(
+        path.join(workspacePath, result.dictionary),
+        "utf8",
+      );
+      assert.ok(content.includes("# Sources: src/parser.c"));
+      assert.ok(content.includes('kw1="\\x02\\x01"'));
+      assert.ok(content.includes('kw2="version"'));
+
+      const overrides = await loadFuzzerOverrides(workspacePath);
+      assert.strictEqual(
+        overrides["parser-fuzz"].dictionary,
+        ".codeforge/dictionaries/parser-fuzz.dict",
+      );
+    });
+  });
+});
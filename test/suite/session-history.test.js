@@ -0,0 +1,258 @@
+/**
+ * SessionHistoryService Test Suite
+ *
+ * Tests for persisting and reading fuzzing session history:
+ * - recordSession - Appending sessions to the per-fuzzer history file
+ * - getHistory / getAllHistory - Reading history back
+ * - annotateRegressions - Coverage delta and regression detection
+ * - recordFuzzingSessions - Recording sessions from a fuzzing run
+ */
+
+const assert = require("assert");
+const sinon = require("sinon");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  SessionHistoryService,
+  HISTORY_FILE_NAME,
+  MAX_SESSIONS_PER_FUZZER,
+} = require("../../src/fuzzing/sessionHistoryService");
+const fuzzingOperations = require("../../src/fuzzing/fuzzingOperations");
+const {
+  LibFuzzerStatsTracker,
+} = require("../../src/fuzzing/libfuzzerStatsParser");
+
+suite("SessionHistoryService Test Suite", () => {
+  let workspacePath;
+  let service;
+
+  setup(async () => {
+    workspacePath = await fs.mkdtemp(
+      path.join(os.tmpdir(), "codeforge-history-"),
+    );
+    service = new SessionHistoryService();
+  });
+
+  teardown(async () => {
+    sinon.restore();
+    await fs.rm(workspacePath, { recursive: true, force: true });
+  });
+
+  suite("recordSession", () => {
+    test("Should write session to the fuzzer output directory", async () => {
+      await service.recordSession(workspacePath, {
+        fuzzer: "example-fuzz",
+        preset: "debug",
+        startTime: "2025-01-01T10:00:00.000Z",
+        endTime: "2025-01-01T10:05:00.000Z",
+        libFuzzerOptions: { runs: 16 },
+        finalCoverage: 120,
+        newCrashes: 2,
+        exitCode: 0,
+      });
+
+      const historyPath = path.join(
+        workspacePath,
+        ".codeforge",
+        "fuzzing",
+        "example-fuzz-output",
+        HISTORY_FILE_NAME,
+      );
+      const stored = JSON.parse(await fs.readFile(historyPath, "utf8"));
+
+      assert.strictEqual(stored.sessions.length, 1);
+      const session = stored.sessions[0];
+      assert.strictEqual(session.fuzzer, "example-fuzz");
+      assert.strictEqual(session.preset, "debug");
+      assert.strictEqual(session.durationMs, 5 * 60 * 1000);
+      assert.deepStrictEqual(session.libFuzzerOptions, { runs: 16 });
+      assert.strictEqual(session.finalCoverage, 120);
+      assert.strictEqual(session.finalFeatures, null);
+      assert.strictEqual(session.newCrashes, 2);
+      assert.strictEqual(session.status, "completed");
+    });
+
+    test("Should append to existing history", async () => {
+      await service.recordSession(workspacePath, {
+        fuzzer: "example-fuzz",
+        finalCoverage: 10,
+      });
+      await service.recordSession(workspacePath, {
+        fuzzer: "example-fuzz",
+        finalCoverage: 20,
+      });
+
+      const sessions = await service.getHistory(workspacePath, "example-fuzz");
+      assert.deepStrictEqual(
+        sessions.map((s) => s.finalCoverage),
+        [10, 20],
+      );
+    });
+
+    test("Should cap the number of stored sessions", async () => {
+      const historyPath = service.getHistoryFilePath(
+        workspacePath,
+        "example-fuzz",
+      );
+      const sessions = Array.from(
+        { length: MAX_SESSIONS_PER_FUZZER },
+        (_, i) => ({ fuzzer: "example-fuzz", finalCoverage: i }),
+      );
+      await fs.mkdir(path.dirname(historyPath), { recursive: true });
+      await fs.writeFile(historyPath, JSON.stringify({ sessions }));
+
+      await service.recordSession(workspacePath, {
+        fuzzer: "example-fuzz",
+        finalCoverage: 999,
+      });
+
+      const stored = await service.getHistory(workspacePath, "example-fuzz");
+      assert.strictEqual(stored.length, MAX_SESSIONS_PER_FUZZER);
+      assert.strictEqual(stored[0].finalCoverage, 1);
+      assert.strictEqual(stored[stored.length - 1].finalCoverage, 999);
+    });
+
+    test("Should require a fuzzer name", async () => {
+      await assert.rejects(
+        service.recordSession(workspacePath, {}),
+        /Session fuzzer name is required/,
+      );
+    });
+  });
+
+  suite("getHistory", () => {
+    test("Should return empty array when no history exists", async () => {
+      const sessions = await service.getHistory(workspacePath, "missing-fuzz");
+      assert.deepStrictEqual(sessions, []);
+    });
+
+    test("Should return empty array for corrupt history", async () => {
+      const historyPath = service.getHistoryFilePath(
+        workspacePath,
+        "example-fuzz",
+      );
+      await fs.mkdir(path.dirname(historyPath), { recursive: true });
+      await fs.writeFile(historyPath, "not json");
+
+      const sessions = await service.getHistory(workspacePath, "example-fuzz");
+      assert.deepStrictEqual(sessions, []);
+    });
+  });
+
+  suite("getAllHistory", () => {
+    test("Should return annotated sessions per fuzzer, newest first", async () => {
+      await service.recordSession(workspacePath, {
+        fuzzer: "first-fuzz",
+        finalCoverage: 50,
+      });
+      await service.recordSession(workspacePath, {
+        fuzzer: "first-fuzz",
+        finalCoverage: 40,
+      });
+      await service.recordSession(workspacePath, {
+        fuzzer: "second-fuzz",
+        finalCoverage: 5,
+      });
+      // Output directory without history should be skipped
+      await fs.mkdir(
+        path.join(workspacePath, ".codeforge", "fuzzing", "empty-fuzz-output"),
+        { recursive: true },
+      );
+
+      const history = await service.getAllHistory(workspacePath);
+
+      assert.deepStrictEqual(Object.keys(history).sort(), [
+        "first-fuzz",
+        "second-fuzz",
+      ]);
+      assert.strictEqual(history["first-fuzz"][0].finalCoverage, 40);
+      assert.strictEqual(history["first-fuzz"][0].isRegression, true);
+      assert.strictEqual(history["first-fuzz"][0].coverageDelta, -10);
+    });
+
+    test("Should return empty object when output directory is missing", async () => {
+      const history = await service.getAllHistory(workspacePath);
+      assert.deepStrictEqual(history, {});
+    });
+  });
+
+  suite("annotateRegressions", () => {
+    test("Should flag sessions below the previous best coverage", () => {
+      const annotated = service.annotateRegressions([
+        { finalCoverage: 10 },
+        { finalCoverage: 30 },
+        { finalCoverage: null },
+        { finalCoverage: 25 },
+        { finalCoverage: 35 },
+      ]);
+
+      assert.deepStrictEqual(
+        annotated.map((s) => s.isRegression),
+        [false, false, false, true, false],
+      );
+      assert.deepStrictEqual(
+        annotated.map((s) => s.coverageDelta),
+        [null, 20, null, -5, 10],
+      );
+      assert.strictEqual(annotated[3].bestPreviousCoverage, 30);
+    });
+  });
+
+  suite("recordFuzzingSessions", () => {
+    test("Should record final stats and crashes for each fuzzer that ran", async () => {
+      const tracker = new LibFuzzerStatsTracker();
+      tracker.processChunk(
+        "[+] running fuzzer: /workspace/.codeforge/fuzzing/first-fuzz\n" +
+          "#100\tpulse  cov: 12 ft: 20 corp: 4/10b exec/s: 50 rss: 30Mb\n",
+      );
+      tracker.finishAll();
+
+      const recordStub = sinon.stub(service, "recordSession").resolves({});
+
+      await fuzzingOperations.recordFuzzingSessions(
+        workspacePath,
+        [
+          { preset: "debug", fuzzer: "first-fuzz" },
+          { preset: "debug", fuzzer: "second-fuzz" },
+        ],
+        tracker,
+        {
+          executed: 1,
+          crashes: [{ fuzzer: "first-fuzz", file: "crash-abc" }],
+          errors: [],
+        },
+        0,
+        new Date().toISOString(),
+        service,
+      );
+
+      assert(recordStub.calledOnce, "Only the fuzzer that ran is recorded");
+      const session = recordStub.firstCall.args[1];
+      assert.strictEqual(session.fuzzer, "first-fuzz");
+      assert.strictEqual(session.preset, "debug");
+      assert.strictEqual(session.finalCoverage, 12);
+      assert.strictEqual(session.finalFeatures, 20);
+      assert.strictEqual(session.totalExecs, 100);
+      assert.strictEqual(session.newCrashes, 1);
+      assert.strictEqual(session.exitCode, 0);
+      assert.strictEqual(session.status, "completed");
+      assert.ok(session.libFuzzerOptions, "Should include libFuzzer options");
+    });
+
+    test("Should not throw when recording fails", async () => {
+      sinon.stub(service, "recordSession").rejects(new Error("disk full"));
+      sinon.stub(console, "error");
+
+      await fuzzingOperations.recordFuzzingSessions(
+        workspacePath,
+        [{ preset: "", fuzzer: "rust-fuzz" }],
+        null,
+        { executed: 0, crashes: [], errors: [] },
+        1,
+        new Date().toISOString(),
+        service,
+      );
+    });
+  });
+});
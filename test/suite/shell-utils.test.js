@@ -0,0 +1,44 @@
+/**
+ * Shell Utils Test Suite
+ *
+ * Tests for the helpers used to build container scripts:
+ * - shellQuote - Single-quoting values for a POSIX shell
+ * - isScriptSafePath - Crash paths that can be placed in a script as is
+ */
+
+const assert = require("assert");
+const path = require("path");
+const { shellQuote, isScriptSafePath } = require("../../src/utils/shellUtils");
+
+suite("Shell Utils Test Suite", () => {
+  const workspacePath = path.join(path.sep, "home", "u", "My Project");
+
+  test("Should single-quote values, escaping embedded quotes", () => {
+    assert.strictEqual(shellQuote("-dict=a b.dict"), "'-dict=a b.dict'");
+    assert.strictEqual(shellQuote("it's"), "'it'\\''s'");
+    assert.strictEqual(shellQuote(42), "'42'");
+  });
+
+  test("Should accept workspace paths without shell metacharacters", () => {
+    assert.ok(
+      isScriptSafePath(
+        workspacePath,
+        path.join(workspacePath, ".codeforge", "fuzzing", "crash-aaaa1111"),
+      ),
+    );
+  });
+
+  test("Should refuse paths outside the workspace or that bash expands", () => {
+    assert.ok(!isScriptSafePath(workspacePath, null));
+    assert.ok(
+      !isScriptSafePath(workspacePath, path.join(workspacePath, "..", "x")),
+    );
+    assert.ok(!isScriptSafePath(workspacePath, path.join(path.sep, "tmp")));
+    for (const name of ['crash-"x', "crash-$x", "crash-`x`", "crash-\\x"]) {
+      assert.ok(
+        !isScriptSafePath(workspacePath, path.join(workspacePath, name)),
+        name,
+      );
+    }
+  });
+});